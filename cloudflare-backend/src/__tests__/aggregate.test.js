@@ -0,0 +1,78 @@
+/**
+ * Tests for the map-reduce helpers used by the analyzer
+ */
+
+describe('dedupeFindings', () => {
+  test('should merge exact and near-duplicate findings', () => {
+    const { dedupeFindings } = require('../llm/aggregate.js');
+    const findings = [
+      'Collects your location data',
+      'Shares data with advertising partners',
+      'Collects your location data.',
+      'shares data with advertising partners!'
+    ];
+
+    expect(dedupeFindings(findings)).toEqual([
+      'Collects your location data',
+      'Shares data with advertising partners'
+    ]);
+  });
+
+  test('should rank findings reported by several chunks first', () => {
+    const { dedupeFindings } = require('../llm/aggregate.js');
+    const findings = ['Retains data indefinitely', 'Sells personal information', 'Sells personal information'];
+
+    expect(dedupeFindings(findings)[0]).toBe('Sells personal information');
+  });
+});
+
+describe('mergeChunkAnalyses', () => {
+  test('should skip failed chunks when merging', () => {
+    const { mergeChunkAnalyses } = require('../llm/aggregate.js');
+    const merged = mergeChunkAnalyses([
+      { keyPoints: ['Collects email'], redFlags: [], userRights: ['Right to delete'] },
+      { keyPoints: ['Unable to analyze this section'], redFlags: [], failed: true },
+      { keyPoints: ['Collects email'], redFlags: ['Sells data'], userRights: [] }
+    ]);
+
+    expect(merged.keyPoints).toEqual(['Collects email']);
+    expect(merged.redFlags).toEqual(['Sells data']);
+    expect(merged.userRights).toEqual(['Right to delete']);
+  });
+
+  test('should set aside findings without verified evidence', () => {
+    const { mergeChunkAnalyses } = require('../llm/aggregate.js');
+    const merged = mergeChunkAnalyses([
+      {
+        keyPoints: [{ text: 'Collects email', verified: true }],
+        redFlags: [{ text: 'Sells data to brokers', verified: false }],
+        userRights: []
+      }
+    ]);
+
+    expect(merged.keyPoints).toEqual([{ text: 'Collects email', verified: true }]);
+    expect(merged.redFlags).toEqual([]);
+    expect(merged.unverifiedFindings).toEqual([
+      { text: 'Sells data to brokers', verified: false, category: 'redFlags' }
+    ]);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('should preserve order and respect the limit', async () => {
+    const { mapWithConcurrency } = require('../utils/concurrency.js');
+    let inFlight = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (value) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return value * 2;
+    });
+
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(peak).toBe(2);
+  });
+});
\ No newline at end of file
@@ -4,24 +4,24 @@
 
 describe('API Endpoints', () => {
   test('should export handleAnalyze function', () => {
-    const { handleAnalyze } = require('./src/api/analyze.js');
+    const { handleAnalyze } = require('../api/analyze.js');
     expect(typeof handleAnalyze).toBe('function');
   });
 
   test('should export handleDetect function', () => {
-    const { handleDetect } = require('./src/api/detect.js');
+    const { handleDetect } = require('../api/detect.js');
     expect(typeof handleDetect).toBe('function');
   });
 
   test('should export handleHealth function', () => {
-    const { handleHealth } = require('./src/api/health.js');
+    const { handleHealth } = require('../api/health.js');
     expect(typeof handleHealth).toBe('function');
   });
 });
 
 describe('Utility Functions', () => {
   test('should export validation functions', () => {
-    const { validatePolicyUrl, checkRateLimit } = require('./src/utils/validation.js');
+    const { validatePolicyUrl, checkRateLimit } = require('../utils/validation.js');
     expect(typeof validatePolicyUrl).toBe('function');
     expect(typeof checkRateLimit).toBe('function');
   });
@@ -29,12 +29,12 @@ describe('Utility Functions', () => {
 
 describe('Durable Objects', () => {
   test('should export PolicyCache class', () => {
-    const { PolicyCache } = require('./src/durable-objects/policy-cache.js');
-    expect(typeof PolicyCache).toBe('constructor');
+    const { PolicyCache } = require('../durable-objects/policy-cache.js');
+    expect(typeof PolicyCache).toBe('function');
   });
 
   test('should export UserSession class', () => {
-    const { UserSession } = require('./src/durable-objects/user-session.js');
-    expect(typeof UserSession).toBe('constructor');
+    const { UserSession } = require('../durable-objects/user-session.js');
+    expect(typeof UserSession).toBe('function');
   });
 });
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Tests for URL canonicalization and cache aliases
+ */
+
+const { createCacheNamespace } = require('./helpers/durable-objects.js');
+
+const POLICY_HTML = `<html>
+<head><link rel="canonical" href="/legal/privacy"></head>
+<body><main>
+  <h1>Privacy Policy</h1>
+  <p>We collect your email address when you create an account and use it to send you receipts for every purchase.</p>
+  <p>We keep your data for 30 days after you close your account, unless the law requires us to keep it longer.</p>
+</main></body>
+</html>`;
+
+function analyze(env, url) {
+  const { handleAnalyze } = require('../api/analyze.js');
+  return handleAnalyze(new Request('https://worker.example/api/analyze', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url, options: { depth: 'quick' } })
+  }), env).then(response => response.json());
+}
+
+describe('normalizeUrl', () => {
+  test('should normalize host, slashes, fragments and tracking parameters', () => {
+    const { normalizeUrl } = require('../utils/canonical-url.js');
+
+    for (const url of [
+      'https://x.com/privacy',
+      'https://www.x.com/privacy/',
+      'https://X.com/privacy#cookies',
+      'https://x.com//privacy?utm_source=footer&utm_medium=web',
+      'https://x.com:443/privacy?fbclid=abc&gclid=def'
+    ]) {
+      expect(normalizeUrl(url)).toBe('https://x.com/privacy');
+    }
+
+    expect(normalizeUrl('https://x.com/privacy?lang=de&b=1&_hsenc=x')).toBe('https://x.com/privacy?b=1&lang=de');
+    expect(normalizeUrl('https://www.x.com/')).toBe('https://x.com');
+    expect(normalizeUrl('http://x.com:8080/Privacy')).toBe('http://x.com:8080/Privacy');
+    expect(normalizeUrl('not a url')).toBe('not a url');
+  });
+
+  test('should share cache keys between variants of a URL', () => {
+    const { getAnalysisCacheKey } = require('../utils/cache-keys.js');
+
+    expect(getAnalysisCacheKey('https://www.x.com/privacy/?utm_source=footer', 'privacy', 'quick'))
+      .toBe('privacy:quick:https://x.com/privacy');
+  });
+});
+
+describe('resolveCanonicalUrl', () => {
+  test('should follow redirects and honor declared canonical URLs on the same site', () => {
+    const { resolveCanonicalUrl } = require('../utils/canonical-url.js');
+
+    expect(resolveCanonicalUrl('https://x.com/p?id=1', { finalUrl: 'https://www.x.com/privacy/' })).toBe('https://x.com/privacy');
+    expect(resolveCanonicalUrl('https://x.com/p', { finalUrl: 'https://www.x.com/privacy/', canonicalUrl: '/legal/privacy' }))
+      .toBe('https://x.com/legal/privacy');
+    expect(resolveCanonicalUrl('https://x.com/privacy', { canonicalUrl: 'https://www.x.com/legal/privacy' })).toBe('https://x.com/legal/privacy');
+    expect(resolveCanonicalUrl('https://x.com/privacy', { canonicalUrl: 'https://other.example/privacy' })).toBe('https://x.com/privacy');
+    expect(resolveCanonicalUrl('https://x.com/privacy', { canonicalUrl: 'javascript:alert(1)' })).toBe('https://x.com/privacy');
+  });
+
+  test('should read canonical URLs from link elements and headers', () => {
+    const { findCanonicalLink, extractDocumentFromHtml } = require('../utils/html.js');
+    const { parseCanonicalLinkHeader } = require('../utils/fetcher.js');
+
+    expect(findCanonicalLink('<link rel="stylesheet" href="/a.css"><LINK REL="Canonical" HREF=" https://x.com/privacy ">')).toBe('https://x.com/privacy');
+    expect(findCanonicalLink('<p>No head</p>')).toBeNull();
+    expect(extractDocumentFromHtml(POLICY_HTML).canonicalUrl).toBe('/legal/privacy');
+    expect(parseCanonicalLinkHeader('<https://x.com/style.css>; rel=preload, <https://x.com/privacy.pdf>; rel="canonical"')).toBe('https://x.com/privacy.pdf');
+    expect(parseCanonicalLinkHeader('<https://x.com/next>; rel="next"')).toBeNull();
+    expect(parseCanonicalLinkHeader(null)).toBeNull();
+  });
+});
+
+describe('Canonical analysis caching', () => {
+  const originalFetch = global.fetch;
+  let fetched;
+  beforeEach(() => {
+    fetched = [];
+    global.fetch = async url => {
+      fetched.push(url);
+      const response = new Response(POLICY_HTML, { headers: { 'Content-Type': 'text/html' } });
+      // /p redirects to the policy
+      Object.defineProperty(response, 'url', { value: url.startsWith('https://vendor.example/p?') ? 'https://www.vendor.example/privacy/' : url });
+      return response;
+    };
+  });
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should analyze a policy once and record every URL that resolved to it', async () => {
+    const { handleResults } = require('../api/results.js');
+    const env = { LLM_PROVIDER: 'fixture', RATE_LIMIT_REQUESTS_PER_MINUTE: 1000, POLICY_CACHE: createCacheNamespace() };
+
+    const first = await analyze(env, 'https://www.vendor.example/privacy/?utm_source=footer');
+    expect(first).toMatchObject({ success: true, cached: false });
+    expect(first.result.url).toBe('https://vendor.example/legal/privacy');
+
+    // Lexical variants of a known URL are served without fetching
+    const canonical = await analyze(env, 'https://vendor.example/legal/privacy#top');
+    const alias = await analyze(env, 'https://vendor.example/privacy');
+    expect([canonical.cached, alias.cached]).toEqual([true, true]);
+    expect(fetched).toHaveLength(1);
+
+    // A new URL is fetched to find where it resolves, then reuses the analysis
+    const redirected = await analyze(env, 'https://vendor.example/p?id=7');
+    expect(redirected.cached).toBe(true);
+    expect(redirected.result.id).toBe(first.result.id);
+    expect(fetched).toHaveLength(2);
+
+    const response = await handleResults(new Request('https://worker.example/api/results?url=https%3A%2F%2Fvendor.example%2Fp%3Fid%3D7&depth=quick'), env);
+    const body = await response.json();
+    expect(body.result.id).toBe(first.result.id);
+    expect(body.url).toBe('https://vendor.example/legal/privacy');
+    expect(body.aliases).toEqual([
+      'https://www.vendor.example/privacy/?utm_source=footer',
+      'https://vendor.example/legal/privacy#top',
+      'https://vendor.example/privacy',
+      'https://vendor.example/p?id=7'
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Tests for section-aware extraction and chunking
+ */
+
+const html = `
+  <h1>Privacy Policy</h1>
+  <section>
+    <h2>Information we collect</h2>
+    <p>${'We collect your name, email address and device identifiers when you register. '.repeat(5)}</p>
+  </section>
+  <section>
+    <h2>How we share your information</h2>
+    <p>${'We share information with advertising partners and analytics providers. '.repeat(40)}</p>
+  </section>
+`;
+
+describe('extractDocumentFromHtml', () => {
+  test('should keep the heading path of each section', () => {
+    const { extractDocumentFromHtml } = require('../utils/html.js');
+    const document = extractDocumentFromHtml(html);
+
+    expect(document.sections.map(section => section.headingPath)).toEqual([
+      ['Privacy Policy'],
+      ['Privacy Policy', 'Information we collect'],
+      ['Privacy Policy', 'How we share your information']
+    ]);
+  });
+});
+
+describe('chunkDocument', () => {
+  test('should not cross section boundaries and should tag chunks', () => {
+    const { extractDocumentFromHtml } = require('../utils/html.js');
+    const { chunkDocument } = require('../llm/chunker.js');
+    const document = extractDocumentFromHtml(html);
+    const chunks = chunkDocument(document, { maxChunkSize: 1000 });
+
+    expect(chunks[0].section).toBe('Information we collect');
+    expect(chunks.slice(1).every(chunk => chunk.section === 'How we share your information')).toBe(true);
+    expect(chunks.length).toBeGreaterThan(2);
+  });
+
+  test('should report offsets into the document text', () => {
+    const { extractDocumentFromHtml } = require('../utils/html.js');
+    const { chunkDocument } = require('../llm/chunker.js');
+    const document = extractDocumentFromHtml(html);
+
+    chunkDocument(document, { maxChunkSize: 1000 }).forEach(chunk => {
+      expect(document.text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+      expect(chunk.text.length).toBeLessThanOrEqual(1000);
+    });
+  });
+});
\ No newline at end of file
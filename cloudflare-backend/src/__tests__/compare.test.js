@@ -0,0 +1,174 @@
+/**
+ * Tests for side-by-side policy comparison
+ */
+
+const { createCacheNamespace } = require('./helpers/durable-objects.js');
+
+const PROTECTIVE_POLICY = 'Information we collect\n\nWe collect your email address when you create an account and use it to send you receipts for every purchase.\n\nSharing\n\nWe share your order details with our affiliates and partners only to deliver what you buy.\n\nYour choices\n\nYou can request that we delete your data at any time, and we will do so within 30 days.';
+
+const INVASIVE_POLICY = 'Information we collect\n\nWe collect your precise location and biometric data whenever you use the app.\n\nSharing\n\nWe share your information with advertising partners and with data brokers. We keep your data indefinitely.';
+
+function createResult(url, { dataPractices = {}, userRights = [], compliance, score = 30, overall = 'green' } = {}) {
+  return {
+    url,
+    id: `${url}-analysis`,
+    timestamp: 1718000000000,
+    depth: 'standard',
+    overallRisk: overall,
+    analysis: { dataPractices, userRights, ...(compliance ? { compliance } : {}) },
+    riskScores: { overall, score, dimensions: { userRights: { score, level: overall, weight: 0.25, factors: [] } } }
+  };
+}
+
+function createRequest(body) {
+  return new Request('https://worker.example/api/compare', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+describe('comparePolicies', () => {
+  test('should name the most protective policy for each dimension', () => {
+    const { comparePolicies } = require('../llm/compare.js');
+    const first = createResult('https://a.example/privacy', {
+      dataPractices: {
+        dataCategories: [{ type: 'contact' }],
+        thirdParties: [{ type: 'service-providers', name: 'MailCo' }],
+        retention: [{ type: 'stated-period', duration: '30 days' }]
+      },
+      userRights: [{ text: 'Users can ask for their data to be deleted' }],
+      score: 20
+    });
+    const second = createResult('https://b.example/privacy', {
+      dataPractices: {
+        dataCategories: [{ type: 'contact' }, { type: 'health' }],
+        thirdParties: [{ type: 'advertisers', name: 'AdCo' }],
+        retention: [{ type: 'stated-period', duration: '1 year' }, { type: 'indefinite' }]
+      },
+      score: 55,
+      overall: 'yellow'
+    });
+
+    const { policies, dimensions } = comparePolicies([first, second]);
+
+    expect(policies.map(policy => policy.label)).toEqual(['a.example', 'b.example']);
+    expect(Object.keys(dimensions)).toEqual(['dataCollected', 'sharing', 'retention', 'rights', 'compliance', 'risk']);
+    for (const dimension of ['dataCollected', 'sharing', 'retention', 'rights', 'risk']) {
+      expect(dimensions[dimension].mostProtective).toEqual(['https://a.example/privacy']);
+    }
+
+    expect(dimensions.dataCollected.values[1]).toEqual({
+      url: 'https://b.example/privacy',
+      categories: ['contact', 'health'],
+      sensitive: ['health'],
+      summary: 'collects 2 categories of data, including sensitive health data'
+    });
+    expect(dimensions.sharing.values[1].named).toEqual(['AdCo']);
+    expect(dimensions.retention.reason).toBe(
+      'a.example is more protective: a.example states how long data is kept (30 days); b.example keeps some data indefinitely.'
+    );
+    expect(dimensions.risk.values.map(value => value.score)).toEqual([20, 55]);
+  });
+
+  test('should report ties and compliance differences', () => {
+    const { comparePolicies } = require('../llm/compare.js');
+    const checklist = (controller, retention) => ({
+      gdpr: {
+        label: 'GDPR',
+        status: 'partially',
+        present: [controller, retention].filter(status => status === 'present').length,
+        partial: [controller, retention].filter(status => status === 'partial').length,
+        missing: [controller, retention].filter(status => status === 'missing').length,
+        items: {
+          controllerIdentity: { label: 'Identity of the controller', status: controller },
+          retention: { label: 'Retention period', status: retention }
+        }
+      }
+    });
+    const results = [
+      createResult('https://a.example/privacy', { compliance: checklist('present', 'missing') }),
+      createResult('https://a.example/legacy/privacy', { compliance: checklist('present', 'partial') }),
+      createResult('https://c.example/privacy', { compliance: checklist('present', 'partial') })
+    ];
+
+    const { policies, dimensions } = comparePolicies(results);
+
+    // Two policies share a host, so every policy is labelled by URL
+    expect(policies.map(policy => policy.label)).toEqual(results.map(result => result.url));
+    expect(dimensions.sharing.mostProtective).toHaveLength(3);
+    expect(dimensions.sharing.reason).toMatch(/^All policies are equally protective: /);
+    expect(dimensions.compliance.mostProtective).toEqual(['https://a.example/legacy/privacy', 'https://c.example/privacy']);
+    expect(dimensions.compliance.reason).toMatch(/^https:\/\/a\.example\/legacy\/privacy and https:\/\/c\.example\/privacy are more protective: /);
+    expect(dimensions.compliance.differences).toEqual([
+      { regulation: 'gdpr', item: 'retention', label: 'Retention period', statuses: ['missing', 'partial', 'partial'] }
+    ]);
+    expect(() => comparePolicies([results[0]])).toThrow('At least two policies');
+  });
+
+  test('should rank a policy that is silent about sharing last', () => {
+    const { comparePolicies } = require('../llm/compare.js');
+    const silent = createResult('https://a.example/privacy');
+    const sharing = createResult('https://b.example/privacy', {
+      dataPractices: { thirdParties: [{ type: 'advertisers' }, { type: 'data-brokers' }] }
+    });
+
+    const { dimensions } = comparePolicies([silent, sharing]);
+
+    expect(dimensions.sharing.mostProtective).toEqual(['https://b.example/privacy']);
+    expect(dimensions.sharing.values[0]).toEqual({
+      url: 'https://a.example/privacy',
+      recipients: [],
+      named: [],
+      summary: 'does not describe sharing data with third parties'
+    });
+  });
+});
+
+describe('Compare API', () => {
+  const originalFetch = global.fetch;
+  beforeEach(() => {
+    global.fetch = async url => new Response(String(url).includes('invasive') ? INVASIVE_POLICY : PROTECTIVE_POLICY, {
+      headers: { 'Content-Type': 'text/plain' }
+    });
+  });
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should analyze, cache and compare the policies', async () => {
+    const { handleCompare } = require('../api/compare.js');
+    const env = { LLM_PROVIDER: 'fixture', RATE_LIMIT_REQUESTS_PER_MINUTE: 1000, POLICY_CACHE: createCacheNamespace() };
+    const urls = ['https://protective.example/privacy', 'https://invasive.example/privacy'];
+
+    const response = await handleCompare(createRequest({ urls, options: { depth: 'quick' } }), env);
+    expect(response.status).toBe(200);
+    const body = await response.json();
+
+    expect(body.success).toBe(true);
+    expect(body.depth).toBe('quick');
+    expect(body.policies.map(policy => [policy.label, policy.cached])).toEqual([['protective.example', false], ['invasive.example', false]]);
+    for (const dimension of ['sharing', 'retention', 'rights', 'risk']) {
+      expect(body.dimensions[dimension].mostProtective).toEqual(['https://protective.example/privacy']);
+    }
+    expect(body.dimensions.sharing.values[1].recipients).toEqual(expect.arrayContaining(['advertisers', 'data-brokers']));
+    expect(body.dimensions.rights.values[0].choices).toEqual(['access-and-deletion']);
+
+    const again = await (await handleCompare(createRequest({ urls: [...urls].reverse(), options: { depth: 'quick' } }), env)).json();
+    expect(again.policies.map(policy => policy.cached)).toEqual([true, true]);
+    expect(again.policies[1].analysisId).toBe(body.policies[0].analysisId);
+  });
+
+  test('should reject invalid comparison requests', async () => {
+    const { handleCompare } = require('../api/compare.js');
+    const env = { RATE_LIMIT_REQUESTS_PER_MINUTE: 1000, POLICY_CACHE: createCacheNamespace() };
+
+    expect((await handleCompare(createRequest({ urls: ['https://a.example/privacy'] }), env)).status).toBe(400);
+    expect((await handleCompare(createRequest({ urls: 'https://a.example/privacy' }), env)).status).toBe(400);
+    expect((await handleCompare(createRequest({ urls: ['https://a.example/privacy', 'https://a.example/privacy'] }), env)).status).toBe(400);
+    expect((await handleCompare(createRequest({ urls: ['https://a.example/privacy', 'not a url'] }), env)).status).toBe(400);
+    expect((await handleCompare(createRequest({ urls: Array.from({ length: 6 }, (_, index) => `https://${index}.example/privacy`) }), env)).status).toBe(400);
+    expect((await handleCompare(createRequest({ urls: ['https://a.example/privacy', 'https://b.example/privacy'], options: { depth: 'extreme' } }), env)).status).toBe(400);
+    expect((await handleCompare(new Request('https://worker.example/api/compare'), env)).status).toBe(405);
+  });
+});
\ No newline at end of file
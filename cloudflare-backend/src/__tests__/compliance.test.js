@@ -0,0 +1,72 @@
+/**
+ * Tests for the per-regulation compliance checklists
+ */
+
+const source = (section, start) => ({ section, headingPath: [section], start, end: start + 20, verified: true });
+
+describe('normalizeChunkCompliance', () => {
+  test('should keep known items with a usable status', () => {
+    const { normalizeChunkCompliance } = require('../llm/compliance.js');
+
+    expect(normalizeChunkCompliance({
+      gdpr: {
+        legalBasis: { status: 'Partially present', quote: 'q' },
+        dpoContact: { status: 'missing', quote: 'q' },
+        favouriteColour: { status: 'present', quote: 'q' }
+      },
+      ccpa: null,
+      hipaa: { notice: { status: 'present', quote: 'q' } }
+    })).toEqual({ gdpr: { legalBasis: { status: 'partial', note: null, quote: 'q' } } });
+  });
+});
+
+describe('mergeCompliance', () => {
+  test('should keep the best status per item and every source', () => {
+    const { mergeCompliance, COMPLIANCE_CHECKLISTS } = require('../llm/compliance.js');
+
+    const merged = mergeCompliance([
+      { gdpr: { retention: { status: 'partial', note: 'Vague', quote: 'as long as necessary', ...source('Retention', 100) } } },
+      { gdpr: { retention: { status: 'present', note: null, quote: 'deleted after 13 months', ...source('Retention', 300) } } },
+      { gdpr: { retention: { status: 'partial', note: null, quote: 'backups are kept longer', ...source('Security', 500) } } }
+    ]);
+
+    expect(merged.gdpr.items.retention.status).toBe('present');
+    expect(merged.gdpr.items.retention.sources.map(entry => [entry.status, entry.start])).toEqual([
+      ['partial', 100], ['present', 300], ['partial', 500]
+    ]);
+    expect(merged.gdpr.items.dpoContact).toEqual({ label: 'Contact details of the data protection officer', status: 'missing', sources: [] });
+    expect(merged.gdpr).toEqual(expect.objectContaining({
+      status: 'partially',
+      present: 1,
+      partial: 0,
+      missing: Object.keys(COMPLIANCE_CHECKLISTS.gdpr.items).length - 1
+    }));
+    expect(merged.pipeda.status).toBe('non-compliant');
+  });
+
+  test('should rate a regulation compliant only when every item is present', () => {
+    const { getComplianceVerdict } = require('../llm/compliance.js');
+
+    expect(getComplianceVerdict({ a: { status: 'present' }, b: { status: 'present' } })).toBe('compliant');
+    expect(getComplianceVerdict({ a: { status: 'present' }, b: { status: 'partial' } })).toBe('partially');
+    expect(getComplianceVerdict({ a: { status: 'missing' }, b: { status: 'partial' } })).toBe('partially');
+    expect(getComplianceVerdict({ a: { status: 'missing' }, b: { status: 'missing' } })).toBe('non-compliant');
+  });
+});
+
+describe('mergeChunkAnalyses compliance', () => {
+  test('should not let a later chunk overwrite an earlier one', () => {
+    const { mergeChunkAnalyses } = require('../llm/aggregate.js');
+
+    const merged = mergeChunkAnalyses([
+      { keyPoints: [], redFlags: [], userRights: [], compliance: { ccpa: { doNotSellOrShare: { status: 'present', quote: 'Do Not Sell or Share', ...source('Your choices', 40) } } } },
+      { keyPoints: [], redFlags: [], userRights: [], compliance: { ccpa: { retention: { status: 'partial', quote: 'kept as needed', ...source('Retention', 90) } } } },
+      { keyPoints: [], redFlags: [], userRights: [], compliance: { ccpa: { nonDiscrimination: { status: 'present', quote: 'made up', start: null, end: null, verified: false } } } }
+    ]);
+
+    expect(merged.compliance.ccpa.items.doNotSellOrShare.status).toBe('present');
+    expect(merged.compliance.ccpa.items.retention.status).toBe('partial');
+    expect(merged.compliance.ccpa.items.nonDiscrimination.status).toBe('missing');
+    expect(merged.unverifiedFindings).toEqual([expect.objectContaining({ category: 'compliance.ccpa.nonDiscrimination' })]);
+  });
+});
\ No newline at end of file
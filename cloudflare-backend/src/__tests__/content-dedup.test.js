@@ -0,0 +1,230 @@
+/**
+ * Tests for deduplicating analyses by content hash
+ */
+
+const { createCacheNamespace, createHistoryNamespace } = require('./helpers/durable-objects.js');
+
+const POLICY_HTML = `<html><body><main>
+  <h1>Privacy Policy</h1>
+  <p>We collect your email address when you create an account and use it to send you receipts for every purchase.</p>
+  <p>We keep your data for 30 days after you close your account, unless the law requires us to keep it longer.</p>
+</main></body></html>`;
+
+// The same text, laid out differently
+const REFORMATTED_HTML = POLICY_HTML.replace(/<p>We keep/, '<p>\n    We   keep');
+
+const CHANGED_HTML = POLICY_HTML.replace('30 days', '2 years');
+
+function analyze(env, url, options = {}) {
+  const { handleAnalyze } = require('../api/analyze.js');
+  return handleAnalyze(new Request('https://worker.example/api/analyze', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url, options: { depth: 'quick', ...options } })
+  }), env).then(response => response.json());
+}
+
+describe('getContentCacheKey', () => {
+  test('should key content per type and depth', () => {
+    const { getContentCacheKey } = require('../utils/cache-keys.js');
+
+    expect(getContentCacheKey('ab12', 'cookie', 'quick')).toBe('cookie:quick:sha256:ab12');
+    expect(getContentCacheKey('ab12')).toBe('privacy:standard:sha256:ab12');
+  });
+});
+
+describe('Content-hash deduplication', () => {
+  const originalFetch = global.fetch;
+  let pages;
+  let analyzed;
+  beforeEach(() => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    analyzed = jest.spyOn(PolicyAnalyzer.prototype, 'analyzePolicy');
+    pages = {};
+    global.fetch = async url => new Response(pages[url], { headers: { 'Content-Type': 'text/html' } });
+  });
+  afterEach(() => {
+    analyzed.mockRestore();
+    global.fetch = originalFetch;
+  });
+
+  test('should reuse the analysis of identical text served from another URL', async () => {
+    const env = { LLM_PROVIDER: 'fixture', RATE_LIMIT_REQUESTS_PER_MINUTE: 1000, POLICY_CACHE: createCacheNamespace() };
+    pages['https://vendor.example/privacy'] = POLICY_HTML;
+    pages['https://reseller.example/legal/privacy'] = REFORMATTED_HTML;
+    pages['https://vendor.example/de/datenschutz'] = POLICY_HTML;
+
+    const original = await analyze(env, 'https://vendor.example/privacy');
+    const reseller = await analyze(env, 'https://reseller.example/legal/privacy');
+    const locale = await analyze(env, 'https://vendor.example/de/datenschutz');
+
+    expect(analyzed).toHaveBeenCalledTimes(1);
+    expect(reseller).toMatchObject({ success: true, cached: true, contentChanged: false });
+    expect(reseller.result).toMatchObject({
+      url: 'https://reseller.example/legal/privacy',
+      contentHash: original.result.contentHash,
+      duplicateOf: { url: 'https://vendor.example/privacy', analysisId: original.result.id }
+    });
+    expect(reseller.result.id).not.toBe(original.result.id);
+    expect(reseller.result.analysis).toEqual(original.result.analysis);
+    // A copy of a copy points at the analysis that was actually run
+    expect(locale.result.duplicateOf).toEqual({ url: 'https://vendor.example/privacy', analysisId: original.result.id });
+
+    // Other analysis depths are not shared
+    const detailed = await analyze(env, 'https://reseller.example/legal/privacy', { depth: 'detailed' });
+    expect(detailed.cached).toBe(false);
+    expect(detailed.result.duplicateOf).toBeUndefined();
+  });
+
+  test('should record and index identical text under the URL it was found at', async () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const env = {
+      LLM_PROVIDER: 'fixture',
+      VECTOR_STORE: 'memory',
+      RATE_LIMIT_REQUESTS_PER_MINUTE: 1000,
+      POLICY_CACHE: createCacheNamespace(),
+      POLICY_HISTORY: createHistoryNamespace()
+    };
+    pages['https://vendor.example/privacy'] = POLICY_HTML;
+    pages['https://mirror.example/privacy'] = POLICY_HTML;
+
+    await analyze(env, 'https://vendor.example/privacy');
+    const mirror = await analyze(env, 'https://mirror.example/privacy');
+
+    expect(analyzed).toHaveBeenCalledTimes(1);
+    const analyzer = new PolicyAnalyzer(env);
+    expect(await analyzer.getLatestVersion('https://mirror.example/privacy')).toMatchObject({ hash: mirror.result.contentHash });
+    const matches = await analyzer.searchPolicies('email address receipts', { domain: 'mirror.example' });
+    expect(matches.length).toBeGreaterThan(0);
+    expect(matches[0]).toMatchObject({ url: 'https://mirror.example/privacy', analysisId: mirror.result.id });
+  });
+
+  test('should detect that the text at a URL changed', async () => {
+    const cache = createCacheNamespace();
+    const env = { LLM_PROVIDER: 'fixture', RATE_LIMIT_REQUESTS_PER_MINUTE: 1000, POLICY_CACHE: cache };
+    pages['https://vendor.example/privacy'] = POLICY_HTML;
+
+    const first = await analyze(env, 'https://vendor.example/privacy');
+    const unchanged = await analyze(env, 'https://vendor.example/privacy', { revalidate: true });
+    expect(unchanged).toMatchObject({ cached: true, contentChanged: false });
+    expect(unchanged.result.id).toBe(first.result.id);
+
+    pages['https://vendor.example/privacy'] = CHANGED_HTML;
+    // Without revalidating, the cached analysis is served until it expires
+    expect((await analyze(env, 'https://vendor.example/privacy')).result.id).toBe(first.result.id);
+
+    const changed = await analyze(env, 'https://vendor.example/privacy', { revalidate: true });
+    expect(changed).toMatchObject({ cached: false, contentChanged: true });
+    expect(changed.result.contentHash).not.toBe(first.result.contentHash);
+    expect(analyzed).toHaveBeenCalledTimes(2);
+
+    // The old text still leads to its own analysis, so reverting it needs no new one
+    pages['https://vendor.example/privacy'] = POLICY_HTML;
+    const reverted = await analyze(env, 'https://vendor.example/privacy', { revalidate: true });
+    expect(reverted).toMatchObject({ cached: true, contentChanged: true });
+    expect(reverted.result.id).toBe(first.result.id);
+    expect(analyzed).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reuse analyses and detect changes after the cache expires', async () => {
+    const cache = createCacheNamespace();
+    const env = { LLM_PROVIDER: 'fixture', RATE_LIMIT_REQUESTS_PER_MINUTE: 1000, POLICY_CACHE: cache, POLICY_HISTORY: createHistoryNamespace() };
+    const expireCache = () => cache.get('global-cache').fetch('https://internal/cleanup', {
+      method: 'POST',
+      body: JSON.stringify({ ttlMinutes: -1 })
+    });
+    pages['https://vendor.example/privacy'] = POLICY_HTML;
+    pages['https://reseller.example/legal/privacy'] = POLICY_HTML;
+
+    const first = await analyze(env, 'https://vendor.example/privacy');
+    await expireCache();
+    expect(cache.instance('global-cache').cache.size).toBe(0);
+
+    const unchanged = await analyze(env, 'https://vendor.example/privacy');
+    expect(unchanged).toMatchObject({ cached: true, contentChanged: false });
+    expect(unchanged.result.id).toBe(first.result.id);
+    const reseller = await analyze(env, 'https://reseller.example/legal/privacy');
+    expect(reseller.result.duplicateOf).toEqual({ url: 'https://vendor.example/privacy', analysisId: first.result.id });
+    expect(analyzed).toHaveBeenCalledTimes(1);
+
+    await expireCache();
+    pages['https://vendor.example/privacy'] = CHANGED_HTML;
+    const changed = await analyze(env, 'https://vendor.example/privacy');
+    expect(changed).toMatchObject({ cached: false, contentChanged: true });
+    expect(analyzed).toHaveBeenCalledTimes(2);
+
+    const { versions } = await (await env.POLICY_HISTORY.get('https://vendor.example/privacy').fetch('https://internal/timeline')).json();
+    expect(versions.map(version => version.hash)).toEqual([first.result.contentHash, changed.result.contentHash]);
+  });
+});
+
+describe('Analyses kept by content', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  function store(cache, contentHash) {
+    return cache.get('global-cache').fetch('https://internal/store', {
+      method: 'POST',
+      body: JSON.stringify({
+        url: `https://vendor.example/${contentHash}`,
+        key: `privacy:quick:https://vendor.example/${contentHash}`,
+        result: { id: contentHash, contentHash, type: 'privacy', depth: 'quick' }
+      })
+    });
+  }
+
+  function match(cache, contentHash) {
+    const { getContentCacheKey } = require('../utils/cache-keys.js');
+    return cache.get('global-cache').fetch('https://internal/match', {
+      method: 'POST',
+      body: JSON.stringify({ key: getContentCacheKey(contentHash, 'privacy', 'quick') })
+    });
+  }
+
+  test('should keep each analysis under its own key and evict the least recently used past the cap', async () => {
+    const { MAX_CONTENT_ENTRIES } = require('../durable-objects/policy-cache.js');
+    const cache = createCacheNamespace();
+    await store(cache, 'a1');
+    await store(cache, 'b2');
+    expect(cache.stored('global-cache')['content:privacy:quick:sha256:a1'].result.id).toBe('a1');
+    expect(JSON.stringify(cache.stored('global-cache').cache)).not.toContain('sha256:');
+
+    // Fill up to the cap, then reuse a1 so b2 is the least recently used
+    for (let i = cache.instance('global-cache').contents.size; i < MAX_CONTENT_ENTRIES; i++) {
+      cache.instance('global-cache').contents.set(`filler-${i}`, Date.now());
+    }
+    expect((await match(cache, 'a1')).status).toBe(200);
+    await store(cache, 'c3');
+
+    expect(cache.instance('global-cache').contents.size).toBe(MAX_CONTENT_ENTRIES);
+    expect((await match(cache, 'b2')).status).toBe(404);
+    expect(cache.stored('global-cache')['content:privacy:quick:sha256:b2']).toBeUndefined();
+    expect((await match(cache, 'a1')).status).toBe(200);
+    expect((await match(cache, 'c3')).status).toBe(200);
+  });
+
+  test('should remove analyses unused for the retention period on cleanup', async () => {
+    const { CONTENT_RETENTION_DAYS } = require('../durable-objects/policy-cache.js');
+    const cache = createCacheNamespace();
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now - (CONTENT_RETENTION_DAYS + 1) * DAY);
+
+    try {
+      await store(cache, 'old');
+      clock.mockReturnValue(now - DAY);
+      await store(cache, 'recent');
+      clock.mockReturnValue(now);
+
+      const cleanup = await (await cache.get('global-cache').fetch('https://internal/cleanup', {
+        method: 'POST',
+        body: JSON.stringify({ ttlMinutes: 30 })
+      })).json();
+
+      expect(cleanup.contentsRemoved).toBe(1);
+      expect((await match(cache, 'old')).status).toBe(404);
+      expect(cache.stored('global-cache')['content:privacy:quick:sha256:old']).toBeUndefined();
+      expect((await match(cache, 'recent')).status).toBe(200);
+    } finally {
+      clock.mockRestore();
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Tests for cookie policy analysis and the cookie inventory
+ */
+
+const COOKIE_TEXT = [
+  'We use cookies to run the site and to understand how it is used.',
+  'Cookie | Provider | Category | Expiry',
+  '__cf_bm | Cloudflare | Strictly necessary | 30 minutes',
+  '_ga | Google | Performance | 2 years',
+  '_fbp | Meta | Analytics | 3 months',
+  '',
+  'You can manage cookies from the Cookie Settings link in the footer.'
+].join('\n');
+
+describe('parseCookieTables', () => {
+  test('should read one cookie per table row with its offsets', () => {
+    const { parseCookieTables } = require('../llm/cookies.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const document = extractDocumentFromText(COOKIE_TEXT);
+
+    const cookies = parseCookieTables(document);
+
+    expect(cookies.map(cookie => cookie.name)).toEqual(['__cf_bm', '_ga', '_fbp']);
+    expect(cookies[1]).toEqual(expect.objectContaining({
+      provider: 'Google', purpose: 'analytics', duration: '2 years', party: null, quote: '_ga | Google | Performance | 2 years'
+    }));
+    expect(document.text.slice(cookies[2].start, cookies[2].end)).toBe('_fbp | Meta | Analytics | 3 months');
+  });
+
+  test('should ignore tables without a cookie name column', () => {
+    const { parseCookieTables } = require('../llm/cookies.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+
+    expect(parseCookieTables(extractDocumentFromText('Plan | Price\nBasic | $5'))).toEqual([]);
+  });
+});
+
+describe('normalizeCookiePurpose', () => {
+  test('should map stated categories onto cookie purposes', () => {
+    const { normalizeCookiePurpose } = require('../llm/cookies.js');
+
+    expect(normalizeCookiePurpose('Targeting cookies')).toBe('advertising');
+    expect(normalizeCookiePurpose('Performance and advertising')).toBe('advertising');
+    expect(normalizeCookiePurpose('Site statistics')).toBe('analytics');
+    expect(normalizeCookiePurpose('Essential')).toBe('strictly-necessary');
+    expect(normalizeCookiePurpose('Remembers your preferences')).toBe('functional');
+    expect(normalizeCookiePurpose(null)).toBe('unknown');
+  });
+});
+
+describe('buildCookieInventory', () => {
+  test('should merge model cookies into table rows and fill gaps from the catalog', () => {
+    const { buildCookieInventory } = require('../llm/cookies.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const document = extractDocumentFromText(COOKIE_TEXT);
+    const start = document.text.indexOf('_ga | Google');
+
+    const inventory = buildCookieInventory(document, [
+      { name: '_GA', provider: null, purpose: 'unknown', duration: null, party: 'first', quote: '_ga | Google | Performance', start, end: start + 26, verified: true },
+      { name: 'IDE', provider: null, purpose: 'unknown', duration: null, party: null, quote: 'a DoubleClick cookie', start: 0, end: 20, verified: true }
+    ]);
+
+    expect(inventory.map(cookie => cookie.name)).toEqual(['__cf_bm', '_ga', '_fbp', 'IDE']);
+    expect(inventory[1]).toEqual(expect.objectContaining({ purpose: 'analytics', purposeSource: 'policy', party: 'first' }));
+    expect(inventory[1].sources).toHaveLength(1);
+    expect(inventory[3]).toEqual(expect.objectContaining({
+      provider: 'Google DoubleClick', purpose: 'advertising', purposeSource: 'catalog', party: 'third'
+    }));
+  });
+});
+
+describe('detectTrackingFlags', () => {
+  test('should flag advertising cookies listed under another purpose and undisclosed cross-site tracking', () => {
+    const { buildCookieInventory, detectTrackingFlags } = require('../llm/cookies.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const document = extractDocumentFromText(COOKIE_TEXT);
+
+    const flags = detectTrackingFlags(buildCookieInventory(document), document.text);
+
+    expect(flags.map(flag => flag.type)).toEqual(['undisclosed-advertising', 'undisclosed-cross-site-tracking']);
+    expect(flags[0]).toEqual(expect.objectContaining({
+      cookies: ['_fbp'], description: '_fbp is a Meta advertising cookie but is listed as analytics'
+    }));
+    expect(flags[1].cookies).toEqual(['_fbp']);
+  });
+
+  test('should accept cross-site tracking the policy discloses', () => {
+    const { buildCookieInventory, detectTrackingFlags } = require('../llm/cookies.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const document = extractDocumentFromText(`${COOKIE_TEXT}\nOur partners use these cookies to show you interest-based ads.`);
+
+    const flags = detectTrackingFlags(buildCookieInventory(document), document.text);
+
+    expect(flags.map(flag => flag.type)).toEqual(['undisclosed-advertising']);
+  });
+});
+
+describe('PolicyAnalyzer cookie profile', () => {
+  test('should return the inventory, tracking flags and cookie rubric', async () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const prompts = [];
+    const env = {
+      AI: {
+        run: async (model, input) => {
+          prompts.push(input.messages);
+          if (input.messages[1].content.startsWith('Based on')) {
+            return { response: JSON.stringify({ executiveSummary: 'Uses Meta cookies.', recommendations: ['Refuse advertising cookies'] }) };
+          }
+          return {
+            response: JSON.stringify({
+              keyPoints: [],
+              redFlags: [],
+              userRights: [{ text: 'Cookie settings', quote: 'manage cookies from the Cookie Settings link' }],
+              cookies: [{ name: '_fbp', provider: 'Meta', purpose: 'analytics', duration: '3 months', party: 'first', quote: '_fbp | Meta | Analytics | 3 months' }],
+              cookiePractices: {
+                controls: [{ type: 'cookie-settings', description: 'Settings link', quote: 'manage cookies from the Cookie Settings link' }]
+              }
+            })
+          };
+        }
+      }
+    };
+    const analyzer = new PolicyAnalyzer(env);
+    analyzer.fetchPolicyContent = async () => extractDocumentFromText(COOKIE_TEXT);
+
+    const result = await analyzer.analyzePolicy('https://example.com/cookie-policy', 'cookie');
+
+    expect(prompts[0][1].content).toContain('"cookies": [{"name": "cookie name"');
+    expect(result.analysis.cookies.map(cookie => cookie.name)).toEqual(['__cf_bm', '_ga', '_fbp']);
+    expect(result.analysis.cookies[2].sources).toHaveLength(1);
+    expect(result.analysis.cookiePractices.controls).toEqual([expect.objectContaining({ type: 'cookie-settings' })]);
+    expect(result.analysis.trackingFlags.map(flag => flag.type)).toEqual(['undisclosed-advertising', 'undisclosed-cross-site-tracking']);
+    expect(Object.keys(result.riskScores.dimensions)).toEqual(['tracking', 'transparency', 'consent', 'control']);
+    expect(result.riskScores.dimensions.tracking.factors.map(factor => factor.id))
+      .toEqual(['undisclosed-advertising', 'undisclosed-cross-site-tracking']);
+    expect(result.riskScores.dimensions.control).toEqual(expect.objectContaining({ score: 25 }));
+  });
+});
\ No newline at end of file
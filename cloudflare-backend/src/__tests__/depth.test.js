@@ -0,0 +1,110 @@
+/**
+ * Tests for the quick / standard / detailed analysis modes
+ */
+
+const POLICY_TEXT = [
+  'We collect your email address when you create an account.',
+  'We may sell your personal information to advertising partners.',
+  'You can request deletion of your data at any time.'
+].join('\n\n');
+
+function createAnalyzer(reply) {
+  const { PolicyAnalyzer } = require('../llm/analyzer.js');
+  const calls = [];
+  const env = {
+    AI: {
+      run: async (model, input) => {
+        calls.push(input);
+        return { response: JSON.stringify(reply(input)) };
+      }
+    }
+  };
+  const analyzer = new PolicyAnalyzer(env);
+  analyzer.fetchPolicyContent = async () => {
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    return extractDocumentFromText(POLICY_TEXT);
+  };
+  return { analyzer, calls };
+}
+
+const findings = {
+  keyPoints: [{ text: 'Collects email', quote: 'We collect your email address' }],
+  redFlags: [{ text: 'Sells data', quote: 'We may sell your personal information' }],
+  userRights: [{ text: 'Deletion', quote: 'You can request deletion of your data' }],
+  compliance: { gdpr: { legalBasis: { status: 'partial', note: 'No legal basis for selling', quote: 'We may sell your personal information' } } }
+};
+
+describe('resolveAnalysisDepth', () => {
+  test('should accept the supported modes and legacy options', () => {
+    const { resolveAnalysisDepth } = require('../llm/depth.js');
+
+    expect(resolveAnalysisDepth()).toBe('standard');
+    expect(resolveAnalysisDepth({ depth: 'quick' })).toBe('quick');
+    expect(resolveAnalysisDepth({ analysisDepth: 'Detailed' })).toBe('detailed');
+    expect(resolveAnalysisDepth({ detailed: true })).toBe('detailed');
+    expect(() => resolveAnalysisDepth({ depth: 'exhaustive' })).toThrow('Analysis depth must be one of: quick, standard, detailed');
+  });
+});
+
+describe('getAnalysisCacheKey', () => {
+  test('should give every depth its own cache entry', () => {
+    const { getAnalysisCacheKey } = require('../utils/cache-keys.js');
+    const url = 'https://example.com/privacy';
+
+    expect(getAnalysisCacheKey(url, 'privacy', 'quick')).not.toBe(getAnalysisCacheKey(url, 'privacy', 'detailed'));
+  });
+});
+
+describe('PolicyAnalyzer depth modes', () => {
+  test('quick mode should make a single call within its token budget', async () => {
+    const { analyzer, calls } = createAnalyzer(() => ({
+      ...findings,
+      executiveSummary: 'Sells data.',
+      recommendations: ['Opt out']
+    }));
+
+    const result = await analyzer.analyzePolicy('https://example.com/privacy', 'privacy', { depth: 'quick' });
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0].max_tokens).toBe(1536);
+    expect(result.depth).toBe('quick');
+    expect(result.analysis.executiveSummary).toBe('Sells data.');
+    expect(result.analysis.redFlags.map(flag => flag.verified)).toEqual([true]);
+    expect(result.coverage).toEqual({ chunksAnalyzed: 1, chunksFailed: 0, totalChunks: 1, charactersAnalyzed: POLICY_TEXT.length, truncated: false });
+    expect(result.analysis.sections).toBeUndefined();
+    expect(JSON.stringify(calls[0])).not.toContain('compliance checklists');
+    expect(result.analysis.compliance).toBeUndefined();
+  });
+
+  test('standard mode should omit per-section output', async () => {
+    const { analyzer, calls } = createAnalyzer(input => (input.max_tokens === 500
+      ? { executiveSummary: 'Summary', recommendations: ['Opt out'] }
+      : findings));
+
+    const result = await analyzer.analyzePolicy('https://example.com/privacy');
+
+    expect(result.depth).toBe('standard');
+    expect(calls.map(call => call.max_tokens)).toEqual([2048, 500]);
+    expect(result.analysis.sections).toBeUndefined();
+    expect(JSON.stringify(calls[0])).not.toContain('compliance checklists');
+    expect(result.analysis.compliance).toBeUndefined();
+    expect(result.riskScores.dimensions.regulatory.factors.filter(factor => factor.id.startsWith('gdpr'))).toEqual([]);
+  });
+
+  test('detailed mode should return sections with their compliance items', async () => {
+    const { analyzer, calls } = createAnalyzer(input => (input.max_tokens === 1000
+      ? { executiveSummary: 'Summary', recommendations: ['Opt out'] }
+      : findings));
+
+    const result = await analyzer.analyzePolicy('https://example.com/privacy', 'privacy', { depth: 'detailed' });
+
+    expect(calls.map(call => call.max_tokens)).toEqual([4096, 1000]);
+    expect(JSON.stringify(calls[0])).toContain('compliance checklists');
+    expect(JSON.stringify(calls[1])).toContain('Compliance: gdpr partially');
+    expect(result.analysis.sections).toHaveLength(1);
+    expect(result.analysis.sections[0].compliance.gdpr.legalBasis).toEqual(expect.objectContaining({
+      status: 'partial', verified: true, section: null, headingPath: []
+    }));
+    expect(result.analysis.compliance.gdpr.items.legalBasis.status).toBe('partial');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Tests for evidence quote verification
+ */
+
+const SOURCE = 'We may share your “personal information” with advertising partners.\nWe retain   account data\nfor as long as your account is active.';
+
+describe('locateQuote', () => {
+  test('should find exact quotes', () => {
+    const { locateQuote } = require('../llm/evidence.js');
+    const location = locateQuote(SOURCE, 'share your “personal information” with advertising partners');
+
+    expect(SOURCE.slice(location.start, location.end)).toBe('share your “personal information” with advertising partners');
+  });
+
+  test('should ignore case, quote styles and whitespace differences', () => {
+    const { locateQuote } = require('../llm/evidence.js');
+    const location = locateQuote(SOURCE, '"we retain account data for as long as your account is active."');
+
+    expect(SOURCE.slice(location.start, location.end)).toBe('We retain   account data\nfor as long as your account is active.');
+    expect(locateQuote(SOURCE, 'share your "Personal Information" with advertising partners')).not.toBeNull();
+  });
+
+  test('should match elided quotes part by part, in order', () => {
+    const { locateQuote } = require('../llm/evidence.js');
+    const location = locateQuote(SOURCE, 'We may share your "personal information" ... advertising partners');
+
+    expect(location).toEqual({ start: 0, end: SOURCE.indexOf('.') });
+    expect(locateQuote(SOURCE, 'with advertising partners ... We may share your "personal information"')).toBeNull();
+  });
+
+  test('should reject elided quotes stitched from short or distant fragments', () => {
+    const { locateQuote } = require('../llm/evidence.js');
+    const filler = ' We describe our services in plain language.'.repeat(10);
+    const source = `We may share your personal information with advertising partners.${filler} We never sell data to brokers or resellers.`;
+
+    expect(locateQuote(source, 'We may share your ... with advertising partners')).toBeNull();
+    expect(locateQuote(source, 'We may share your personal information ... never sell data to brokers')).toBeNull();
+    expect(locateQuote(source, 'We may share your personal information ... with advertising partners')).not.toBeNull();
+  });
+
+  test('should reject quotes that are missing or too short to be evidence', () => {
+    const { locateQuote } = require('../llm/evidence.js');
+
+    expect(locateQuote(SOURCE, 'We sell your personal information to data brokers')).toBeNull();
+    expect(locateQuote(SOURCE, 'We may')).toBeNull();
+  });
+});
+
+describe('verifyFinding', () => {
+  const chunk = { text: SOURCE, start: 100, end: 100 + SOURCE.length };
+
+  test('should attach document offsets and the verbatim source passage', () => {
+    const { verifyFinding } = require('../llm/evidence.js');
+    const finding = verifyFinding({ text: 'Indefinite-ish retention', quote: 'we retain account data for as long as your account is active' }, chunk);
+
+    expect(finding).toEqual({
+      text: 'Indefinite-ish retention',
+      quote: 'We retain   account data\nfor as long as your account is active',
+      start: 100 + SOURCE.indexOf('We retain'),
+      end: 100 + SOURCE.length - 1,
+      verified: true
+    });
+  });
+
+  test('should mark findings with hallucinated quotes as unverified', () => {
+    const { verifyFinding } = require('../llm/evidence.js');
+
+    expect(verifyFinding({ text: 'Sells data', quote: 'We sell your data to anyone' }, chunk)).toEqual({
+      text: 'Sells data',
+      quote: 'We sell your data to anyone',
+      start: null,
+      end: null,
+      verified: false
+    });
+    expect(verifyFinding('Bare finding', chunk).verified).toBe(false);
+  });
+});
\ No newline at end of file
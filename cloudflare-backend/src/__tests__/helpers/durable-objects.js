@@ -0,0 +1,65 @@
+/**
+ * In-memory Durable Object fakes shared by the tests
+ */
+
+import { PolicyCache } from '../../durable-objects/policy-cache.js';
+import { PolicyHistory } from '../../durable-objects/policy-history.js';
+import { PolicyWatchlist } from '../../durable-objects/policy-watchlist.js';
+
+/**
+ * Durable Object storage over a plain object of entries. `put` takes a key
+ * and value or an object of entries; `delete` takes a key or an array.
+ */
+export function createStorage(stored = {}) {
+  return {
+    get: async key => stored[key],
+    put: async (key, value) => {
+      if (typeof key === 'object') Object.assign(stored, key);
+      else stored[key] = value;
+    },
+    delete: async keys => {
+      [].concat(keys).forEach(key => delete stored[key]);
+    },
+    setAlarm: async () => {}
+  };
+}
+
+/**
+ * A Durable Object namespace with one instance of `DurableObject` per name,
+ * each with its own storage. `instance(name)` and `stored(name)` give tests
+ * the object and its stored entries.
+ */
+export function createNamespace(DurableObject) {
+  const instances = {};
+  const entries = {};
+
+  const instance = name => {
+    if (!instances[name]) {
+      entries[name] = {};
+      instances[name] = new DurableObject({ storage: createStorage(entries[name]) });
+    }
+    return instances[name];
+  };
+
+  return {
+    instance,
+    stored: name => {
+      instance(name);
+      return entries[name];
+    },
+    idFromName: name => name,
+    get: id => ({ fetch: (url, init) => instance(id).fetch(new Request(url, init)) })
+  };
+}
+
+export function createCacheNamespace() {
+  return createNamespace(PolicyCache);
+}
+
+export function createHistoryNamespace() {
+  return createNamespace(PolicyHistory);
+}
+
+export function createWatchlistNamespace() {
+  return createNamespace(PolicyWatchlist);
+}
\ No newline at end of file
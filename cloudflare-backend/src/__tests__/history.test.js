@@ -0,0 +1,254 @@
+/**
+ * Tests for policy version history and change detection
+ */
+
+const { createHistoryNamespace } = require('./helpers/durable-objects.js');
+
+const VERSION_1 = `<main>
+  <h1>Privacy Policy</h1>
+  <h2>Sharing</h2>
+  <p>We do not sell your personal information. We share your email address with our payment processor.</p>
+  <h2>Retention</h2>
+  <p>We keep your data for 30 days after you close your account.</p>
+</main>`;
+
+const VERSION_2 = `<main>
+  <h1>Privacy Policy</h1>
+  <h2>Sharing</h2>
+  <p>We do not sell your personal information. We share your email address and purchase history with our advertising partners.</p>
+  <h2>Retention</h2>
+  <p>We keep your data for 30 days after you close your account.</p>
+  <h2>Biometrics</h2>
+  <p>We collect face scans to verify your identity.</p>
+</main>`;
+
+function createAnalyzer(env, html) {
+  const { PolicyAnalyzer } = require('../llm/analyzer.js');
+  const { extractDocumentFromHtml } = require('../utils/html.js');
+  const analyzer = new PolicyAnalyzer(env);
+  analyzer.fetchPolicyContent = async () => extractDocumentFromHtml(html);
+  return analyzer;
+}
+
+function createRequest(query) {
+  return new Request(`https://worker.example/api/history?${new URLSearchParams(query)}`);
+}
+
+describe('Policy diffs', () => {
+  test('should hash the normalized text, ignoring spacing', async () => {
+    const { createSnapshot } = require('../llm/versions.js');
+    const { createDocument } = require('../utils/document.js');
+
+    const first = await createSnapshot(createDocument([{ headingPath: ['Sharing'], text: 'We share   your data.\n\n\nWith partners.' }]));
+    const second = await createSnapshot(createDocument([{ headingPath: ['Sharing'], text: 'We share your data.\nWith partners. ' }]));
+    const third = await createSnapshot(createDocument([{ headingPath: ['Sharing'], text: 'We sell your data.' }]));
+
+    expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(first.hash).toBe(second.hash);
+    expect(first.hash).not.toBe(third.hash);
+  });
+
+  test('should report added, removed and modified clauses', () => {
+    const { diffSnapshots } = require('../llm/versions.js');
+    const before = {
+      sections: [
+        { headingPath: ['Sharing'], text: 'We do not sell your data. We share your email address with our payment processor.' },
+        { headingPath: ['Cookies'], text: 'We use cookies for analytics.' }
+      ]
+    };
+    const after = {
+      sections: [
+        { headingPath: ['Data sharing'], text: 'We do not sell your data. We share your email address and purchases with our advertising partners.' },
+        { headingPath: ['Children'], text: 'Our service is not directed at children.' }
+      ]
+    };
+
+    const { stats, changes } = diffSnapshots(before, after);
+
+    expect(stats).toEqual({ added: 1, removed: 1, modified: 1, unchanged: 1 });
+    expect(changes).toEqual([
+      {
+        type: 'modified',
+        section: 'Data sharing',
+        headingPath: ['Data sharing'],
+        before: 'We share your email address with our payment processor.',
+        after: 'We share your email address and purchases with our advertising partners.'
+      },
+      { type: 'removed', section: 'Cookies', headingPath: ['Cookies'], before: 'We use cookies for analytics.', after: null },
+      { type: 'added', section: 'Children', headingPath: ['Children'], before: null, after: 'Our service is not directed at children.' }
+    ]);
+    expect(diffSnapshots(before, before).changes).toEqual([]);
+  });
+
+  test('should cut a snapshot\'s text back into its sections from the outline', async () => {
+    const { createSnapshot, outlineSections, restoreSections } = require('../llm/versions.js');
+    const { createDocument } = require('../utils/document.js');
+
+    const snapshot = await createSnapshot(createDocument([
+      { headingPath: ['Sharing'], text: 'We share your data.\n\nWith partners.' },
+      { headingPath: ['Sharing', 'Advertising'], text: 'We show ads.' },
+      { headingPath: ['Cookies'], text: 'We use cookies.' }
+    ]));
+
+    expect(restoreSections(snapshot.text, outlineSections(snapshot.sections))).toEqual(snapshot.sections);
+  });
+
+  test('should align clauses without a table once the changed range passes the cap', () => {
+    const { diffSnapshots, MAX_ALIGNMENT_CELLS } = require('../llm/versions.js');
+    // Editing the first and last clause leaves no common prefix or suffix to trim
+    const count = 100 * Math.ceil(Math.sqrt(MAX_ALIGNMENT_CELLS) / 100) + 1;
+    const clauses = Array.from({ length: count }, (_, index) => `We keep record ${index} for audits.`);
+    const edited = clauses.map((clause, index) => index % 100 === 0 ? clause.replace('audits', 'audits and billing') : clause);
+    const before = { sections: [{ headingPath: ['Retention'], text: clauses.join(' ') }] };
+    const after = { sections: [{ headingPath: ['Retention'], text: edited.join(' ') }] };
+
+    const { stats, changes } = diffSnapshots(before, after);
+
+    const modified = Math.ceil(count / 100);
+    expect(stats).toEqual({ added: 0, removed: 0, modified, unchanged: count - modified });
+    expect(changes[0]).toMatchObject({ type: 'modified', before: 'We keep record 0 for audits.', after: 'We keep record 0 for audits and billing.' });
+  });
+
+  test('should report a rewrite too large to pair as removed and added clauses', () => {
+    const { diffSnapshots, MAX_PAIRED_COMPARISONS } = require('../llm/versions.js');
+    const count = Math.ceil(Math.sqrt(MAX_PAIRED_COMPARISONS)) + 10;
+    const before = { sections: [{ headingPath: ['Sharing'], text: Array.from({ length: count }, (_, index) => `We share dataset ${index} with partners.`).join(' ') }] };
+    const after = { sections: [{ headingPath: ['Sharing'], text: Array.from({ length: count }, (_, index) => `We share dataset ${index} with advertisers.`).join(' ') }] };
+
+    expect(diffSnapshots(before, after).stats).toEqual({ added: count, removed: count, modified: 0, unchanged: 0 });
+  });
+});
+
+describe('Policy history', () => {
+  const originalFetch = global.fetch;
+  beforeEach(() => {
+    global.fetch = async () => new Response('Not found', { status: 404, statusText: 'Not Found' });
+  });
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should record a new version only when the text changes', async () => {
+    const env = { LLM_PROVIDER: 'fixture', POLICY_HISTORY: createHistoryNamespace() };
+
+    const first = await createAnalyzer(env, VERSION_1).analyzePolicy('https://example.com/privacy');
+    await createAnalyzer(env, VERSION_1).analyzePolicy('https://example.com/privacy', 'privacy', { depth: 'quick' });
+    const second = await createAnalyzer(env, VERSION_2).analyzePolicy('https://example.com/privacy');
+
+    expect(first.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(second.contentHash).not.toBe(first.contentHash);
+
+    const stub = env.POLICY_HISTORY.get('https://example.com/privacy');
+    const { versions } = await (await stub.fetch('https://internal/timeline')).json();
+    expect(versions.map(({ version, hash }) => ({ version, hash }))).toEqual([
+      { version: 1, hash: first.contentHash },
+      { version: 2, hash: second.contentHash }
+    ]);
+    expect(versions[0].lastSeenAt).toBeGreaterThanOrEqual(versions[0].fetchedAt);
+    expect(versions[1].analysisId).toBe(second.id);
+
+    const snapshot = await (await stub.fetch('https://internal/snapshot', { method: 'POST', body: JSON.stringify({ version: 2 }) })).json();
+    expect(snapshot.sections).toBeUndefined();
+    expect(snapshot.outline.map(section => section.headingPath)).toEqual([
+      ['Privacy Policy', 'Sharing'],
+      ['Privacy Policy', 'Retention'],
+      ['Privacy Policy', 'Biometrics']
+    ]);
+  });
+
+  test('should return the timeline and a summarized diff', async () => {
+    const { handleHistory } = require('../api/history.js');
+    const env = {
+      LLM_PROVIDER: 'fixture',
+      LLM_FIXTURES: JSON.stringify([{
+        match: 'These clauses of the privacy policy changed',
+        response: {
+          summary: 'Purchase history is now shared with advertisers, and face scans are collected.',
+          materialChanges: [
+            { change: 1, description: 'Purchase history now goes to advertising partners', impact: 'worse' },
+            { change: 9, description: 'Invented change', impact: 'worse' }
+          ]
+        }
+      }]),
+      RATE_LIMIT_REQUESTS_PER_MINUTE: 1000,
+      POLICY_HISTORY: createHistoryNamespace()
+    };
+    await createAnalyzer(env, VERSION_1).analyzePolicy('https://example.com/privacy');
+    await createAnalyzer(env, VERSION_2).analyzePolicy('https://example.com/privacy');
+
+    const timeline = await (await handleHistory(createRequest({ url: 'https://example.com/privacy' }), env)).json();
+    expect(timeline.versions.map(version => version.version)).toEqual([1, 2]);
+    expect(timeline.diff).toBeUndefined();
+
+    const body = await (await handleHistory(createRequest({ url: 'https://example.com/privacy', from: 1, to: 2 }), env)).json();
+    expect(body.success).toBe(true);
+    expect(body.diff.stats).toMatchObject({ added: 1, modified: 1, removed: 0 });
+    expect(body.diff.changes.map(change => change.type)).toEqual(['modified', 'added']);
+    expect(body.diff.summary.engine).toBe('ai');
+    expect(body.diff.summary.summary).toContain('face scans');
+    expect(body.diff.summary.materialChanges).toEqual([expect.objectContaining({
+      change: 1,
+      impact: 'worse',
+      type: 'modified',
+      section: 'Sharing',
+      after: 'We share your email address and purchase history with our advertising partners.'
+    })]);
+    expect(body.diff.summary.prompts['change-summary'].version).toBe('1.0.0');
+  });
+
+  test('should find the history of a policy by any URL that resolves to it', async () => {
+    const { handleHistory } = require('../api/history.js');
+    const env = { LLM_PROVIDER: 'fixture', RATE_LIMIT_REQUESTS_PER_MINUTE: 1000, POLICY_HISTORY: createHistoryNamespace() };
+    await createAnalyzer(env, VERSION_1).analyzePolicy('https://example.com/privacy');
+
+    const variant = await (await handleHistory(createRequest({ url: 'https://www.example.com/privacy/?utm_source=mail#sharing' }), env)).json();
+    expect(variant).toMatchObject({ success: true, url: 'https://example.com/privacy' });
+    expect(variant.versions).toHaveLength(1);
+
+    global.fetch = async () => new Response(`<head><link rel="canonical" href="/privacy"></head>${VERSION_1}`, {
+      headers: { 'Content-Type': 'text/html' }
+    });
+    const declared = await (await handleHistory(createRequest({ url: 'https://example.com/legal?doc=privacy' }), env)).json();
+    expect(declared).toMatchObject({ success: true, url: 'https://example.com/privacy' });
+    expect(declared.versions).toHaveLength(1);
+  });
+
+  test('should rate limit lookups before fetching the policy', async () => {
+    const { handleHistory } = require('../api/history.js');
+    const env = { RATE_LIMIT_REQUESTS_PER_MINUTE: 1, POLICY_HISTORY: createHistoryNamespace() };
+    const fetched = [];
+    global.fetch = async url => {
+      fetched.push(url);
+      return new Response('Not found', { status: 404, statusText: 'Not Found' });
+    };
+    const lookup = () => handleHistory(new Request('https://worker.example/api/history?url=https://example.com/privacy', {
+      headers: { 'CF-Connecting-IP': '203.0.113.9' }
+    }), env);
+
+    expect((await lookup()).status).toBe(404);
+    expect((await lookup()).status).toBe(429);
+    expect(fetched).toHaveLength(1);
+  });
+
+  test('should diff without a summary when no model is configured', async () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const analyzer = new PolicyAnalyzer({});
+
+    const summary = await analyzer.summarizeChanges({ changes: [{ type: 'added', after: 'New clause.' }] }, 'privacy', { from: 0, to: 0 });
+    expect(summary).toMatchObject({ engine: 'diff', summary: null, materialChanges: [] });
+
+    const unchanged = await analyzer.summarizeChanges({ changes: [] });
+    expect(unchanged.summary).toBe('No clauses changed between these versions.');
+  });
+
+  test('should reject invalid history requests', async () => {
+    const { handleHistory } = require('../api/history.js');
+    const env = { POLICY_HISTORY: createHistoryNamespace(), RATE_LIMIT_REQUESTS_PER_MINUTE: 1000 };
+
+    expect((await handleHistory(createRequest({}), env)).status).toBe(400);
+    expect((await handleHistory(createRequest({ url: 'https://example.com/privacy', from: 1 }), env)).status).toBe(400);
+    expect((await handleHistory(createRequest({ url: 'https://example.com/privacy', from: 'a', to: 2 }), env)).status).toBe(400);
+    expect((await handleHistory(createRequest({ url: 'https://example.com/privacy' }), env)).status).toBe(404);
+    expect((await handleHistory(createRequest({ url: 'https://example.com/privacy' }), {})).status).toBe(503);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Fixture tests for main-content HTML extraction
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+describe('extractDocumentFromHtml with <main>', () => {
+  const { extractDocumentFromHtml } = require('../utils/html.js');
+  const document = extractDocumentFromHtml(loadFixture('privacy-policy-main.html'));
+
+  test('should drop navigation, cookie banners, sidebars and footers', () => {
+    expect(document.text).not.toMatch(/Pricing/);
+    expect(document.text).not.toMatch(/Accept All Cookies/);
+    expect(document.text).not.toMatch(/Related documents/);
+    expect(document.text).not.toMatch(/All rights reserved/);
+    expect(document.text).not.toMatch(/Skip to main content/);
+    expect(document.text).not.toMatch(/dataLayer/);
+  });
+
+  test('should keep clauses that mention "contact us"', () => {
+    expect(document.text).toContain('To exercise these rights, contact us at privacy@acme.example.');
+    expect(document.text).toContain('please contact us and we will respond within 30 days');
+  });
+
+  test('should decode named and numeric entities', () => {
+    expect(document.text).toContain('(“Acme”, “we” or “us”)');
+    expect(document.text).toContain('Stripe, Inc.');
+    expect(document.text).toContain('Café customers in Québec');
+    expect(document.text).toContain('1 Rue de l’Église, Montréal');
+    expect(document.text).toContain('Last updated: March 4, 2024');
+  });
+
+  test('should keep list structure', () => {
+    expect(document.text).toContain('- Account details such as your name, email address and password;');
+    expect(document.text).toContain('  - Metadata about those files (size, type & timestamps).');
+    expect(document.text).toContain('1. Access the personal data we hold about you.');
+    expect(document.text).toContain('2. Request deletion of your account and associated data.');
+  });
+
+  test('should keep table rows', () => {
+    expect(document.text).toContain('Recipient | Purpose | Location');
+    expect(document.text).toContain('Amazon Web Services | Hosting | EU & United States');
+  });
+
+  test('should keep the heading hierarchy', () => {
+    expect(document.sections.map(section => section.headingPath[section.headingPath.length - 1])).toEqual([
+      'Acme Cloud Privacy Policy',
+      '1. Information We Collect',
+      'Information collected automatically',
+      '2. How We Share Your Information',
+      '3. Your Rights'
+    ]);
+  });
+});
+
+describe('extractDocumentFromHtml without <main>', () => {
+  const { extractDocumentFromHtml } = require('../utils/html.js');
+  const document = extractDocumentFromHtml(loadFixture('privacy-policy-no-main.html'));
+
+  test('should drop page chrome identified by id and class', () => {
+    expect(document.text).not.toMatch(/Help Center/);
+    expect(document.text).not.toMatch(/Home › Legal/);
+    expect(document.text).not.toMatch(/This site uses cookies/);
+    expect(document.text).not.toMatch(/On this page/);
+    expect(document.text).not.toMatch(/Copyright 2023/);
+    expect(document.text).not.toMatch(/dataset/);
+  });
+
+  test('should keep the policy text', () => {
+    expect(document.text).toContain('We may combine this data with information obtained from data brokers.');
+    expect(document.text).toContain('We sell your personal information to data brokers.');
+    expect(document.text).toContain('for seven (7) years thereafter to comply with our legal obligations…');
+    expect(document.text).toContain('EU–U.S. Data Privacy Framework & Standard Contractual Clauses.');
+  });
+});
+
+describe('extractSections', () => {
+  test('should read script, style and textarea bodies as raw text', () => {
+    const { extractSections } = require('../utils/html.js');
+    const sections = extractSections(`<body>
+      <script>for (i = 0; i<a.length; i++) { if (a[i] </b) track(); }</script>
+      <STYLE>p<b { color: red }</STYLE >
+      <p>We collect your email address.</p>
+      <textarea>Tell us <b>why</b></textarea>
+    </body>`);
+
+    expect(sections.map(section => section.text)).toEqual(['We collect your email address.\nTell us <b>why</b>']);
+  });
+
+  test('should keep headers and footers inside an article but not page chrome', () => {
+    const { extractSections } = require('../utils/html.js');
+    const sections = extractSections(`<body>
+      <header><a href="/">Home</a></header>
+      <article>
+        <header><h1>Privacy Policy</h1><p>Last updated: May 5, 2024</p></header>
+        <p>We keep your data for 30 days.</p>
+        <footer>Questions? Write to privacy@example.com.</footer>
+      </article>
+      <footer>All rights reserved</footer>
+    </body>`);
+
+    expect(sections).toEqual([{
+      heading: 'Privacy Policy',
+      level: 1,
+      headingPath: ['Privacy Policy'],
+      text: 'Last updated: May 5, 2024\nWe keep your data for 30 days.\nQuestions? Write to privacy@example.com.'
+    }]);
+  });
+});
+
+describe('decodeEntities', () => {
+  test('should decode legacy entities without a semicolon', () => {
+    const { decodeEntities } = require('../utils/html.js');
+    expect(decodeEntities('&copy 2024 &ampersand')).toBe('© 2024 &ersand');
+  });
+
+  test('should map C1 numeric references to windows-1252', () => {
+    const { decodeEntities } = require('../utils/html.js');
+    expect(decodeEntities('&#147;quoted&#148; &#128;5')).toBe('“quoted” €5');
+  });
+
+  test('should leave unknown references untouched', () => {
+    const { decodeEntities } = require('../utils/html.js');
+    expect(decodeEntities('AT&T &bogus; &#xZZ;')).toBe('AT&T &bogus; &#xZZ;');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * Tests for the deterministic document metrics
+ */
+
+const POLICY = `Privacy Policy
+Last updated: March 5, 2024
+
+We collect your email address. Your data is stored on servers in the United States.
+We may share your information with partners, including but not limited to advertisers and analytics providers.
+You can delete your account at any time.`;
+
+describe('computeDocumentMetrics', () => {
+  test('should count words and sentences and estimate reading time', () => {
+    const { computeDocumentMetrics } = require('../llm/metrics.js');
+    const metrics = computeDocumentMetrics(POLICY);
+
+    expect(metrics.wordCount).toBe(46);
+    expect(metrics.sentenceCount).toBe(6);
+    expect(metrics.readingTimeMinutes).toBe(1);
+    expect(metrics.averageSentenceLength).toBe(7.7);
+    expect(computeDocumentMetrics({ text: POLICY })).toEqual(metrics);
+  });
+
+  test('should compute readability indices that rank plain text easier', () => {
+    const { computeDocumentMetrics } = require('../llm/metrics.js');
+    const plain = computeDocumentMetrics('We keep your email. We use it to send you bills. You can ask us to delete it.');
+    const dense = computeDocumentMetrics('Notwithstanding the foregoing, personally identifiable information may be disclosed to affiliated organizations, subsidiaries, and authorized representatives for legitimate operational, administrative, and regulatory compliance purposes.');
+
+    for (const index of ['fleschKincaidGrade', 'gunningFog', 'smogIndex', 'colemanLiauIndex', 'automatedReadabilityIndex']) {
+      expect(dense.readability[index]).toBeGreaterThan(plain.readability[index]);
+    }
+    expect(dense.readability.fleschReadingEase).toBeLessThan(plain.readability.fleschReadingEase);
+    expect(plain.readability.fleschKincaidGrade).toBeLessThan(5);
+    expect(computeDocumentMetrics('').readability).toBeNull();
+  });
+
+  test('should measure passive and hedging language', () => {
+    const { computeDocumentMetrics } = require('../llm/metrics.js');
+    const metrics = computeDocumentMetrics(POLICY);
+
+    expect(metrics.passiveSentenceShare).toBe(0.167);
+    expect(metrics.hedgingSentenceShare).toBe(0.167);
+    // The month in a date such as "May 5, 2024" is not a hedge
+    expect(metrics.hedgingPhrases).toEqual({ may: 1, 'including but not limited to': 1 });
+    expect(computeDocumentMetrics('Last updated May 5, 2024.').hedgingPhrases).toEqual({});
+  });
+
+  test('should estimate syllables', () => {
+    const { countSyllables } = require('../llm/metrics.js');
+
+    expect(['we', 'data', 'privacy', 'information', 'collected', 'shared', 'stores'].map(countSyllables)).toEqual([1, 2, 3, 4, 3, 1, 1]);
+  });
+});
+
+describe('findLastUpdated', () => {
+  test('should find the date the policy was last updated', () => {
+    const { findLastUpdated } = require('../llm/metrics.js');
+
+    expect(findLastUpdated(POLICY)).toEqual({ date: '2024-03-05', text: 'Last updated: March 5, 2024', start: 15, end: 42 });
+    expect(findLastUpdated('Effective date: 2023-01-15\nLast revised on the 3rd of May 2024').date).toBe('2024-05-03');
+    expect(findLastUpdated('Updated 12/31/2023').date).toBe('2023-12-31');
+    expect(findLastUpdated('This policy is effective as of June 2022.').date).toBe('2022-06');
+    expect(findLastUpdated('Effective 1 Jan. 2021').date).toBe('2021-01-01');
+    expect(findLastUpdated('We updated our cookie banner.')).toBeNull();
+  });
+});
+
+describe('Metrics in the analysis', () => {
+  test('should report metrics and score them under transparency', async () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const analyzer = new PolicyAnalyzer({});
+    analyzer.fetchPolicyContent = async () => extractDocumentFromText(POLICY.replace(/^Last updated.*$/m, ''));
+
+    const result = await analyzer.analyzePolicy('https://example.com/privacy');
+
+    expect(result.metrics).toMatchObject({ wordCount: 41, lastUpdated: null });
+    expect(result.riskScores.dimensions.transparency.factors.map(factor => factor.id)).toEqual(
+      expect.arrayContaining(['easy-to-read', 'undated'])
+    );
+  });
+
+  test('should score readability factors only when metrics are given', () => {
+    const { calculateRiskScores, COOKIE_RISK_RUBRIC } = require('../llm/risk.js');
+    const metrics = {
+      wordCount: 9000,
+      readingTimeMinutes: 38,
+      readability: { fleschKincaidGrade: 16.4 },
+      hedgingSentenceShare: 0.4,
+      passiveSentenceShare: 0.35,
+      lastUpdated: { date: '2024-03-05' }
+    };
+
+    const without = calculateRiskScores({ userRights: [] });
+    const scored = calculateRiskScores({ userRights: [], metrics });
+    expect(scored.dimensions.transparency.factors.slice(-4).map(factor => [factor.id, factor.points])).toEqual([
+      ['hard-to-read', 10],
+      ['long-read', 5],
+      ['hedging-language', 5],
+      ['passive-voice', 5]
+    ]);
+    expect(scored.dimensions.transparency.score).toBe(without.dimensions.transparency.score + 25);
+
+    const cookies = calculateRiskScores({ metrics }, undefined, COOKIE_RISK_RUBRIC);
+    expect(cookies.dimensions.transparency.factors.map(factor => factor.id)).toEqual([
+      'inventory-missing', 'hard-to-read', 'long-read', 'hedging-language', 'passive-voice'
+    ]);
+  });
+});
\ No newline at end of file
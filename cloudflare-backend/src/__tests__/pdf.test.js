@@ -0,0 +1,86 @@
+/**
+ * Tests for PDF and plain-text policy extraction
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadFixture(name) {
+  return new Uint8Array(fs.readFileSync(path.join(__dirname, 'fixtures', name)));
+}
+
+describe('extractDocumentFromPdf', () => {
+  test('should decode embedded fonts through their ToUnicode maps', async () => {
+    const { extractDocumentFromPdf } = require('../utils/pdf.js');
+    const document = await extractDocumentFromPdf(loadFixture('privacy-policy-tounicode.pdf'));
+
+    expect(document.format).toBe('pdf');
+    expect(document.pageCount).toBe(2);
+    expect(document.sections[0].text).toContain('We may sell your personal information to');
+    expect(document.sections[0].text).toContain('Café owners’ data included.');
+    expect(document.sections[1].text).toBe('Page two: We retain data indefinitely. You may request deletion at any time.');
+  });
+
+  test('should read pages stored in compressed object streams', async () => {
+    const { extractDocumentFromPdf } = require('../utils/pdf.js');
+    const document = await extractDocumentFromPdf(loadFixture('privacy-policy-object-streams.pdf'));
+
+    expect(document.sections.map(section => section.page)).toEqual([1, 2]);
+    expect(document.sections[1].text).toBe('Second page about data sharing with third parties.\nAnother line here.');
+  });
+
+  test('should reject content that is not a PDF', async () => {
+    const { extractDocumentFromPdf } = require('../utils/pdf.js');
+    await expect(extractDocumentFromPdf(new TextEncoder().encode('<html></html>'))).rejects.toThrow('not a valid PDF');
+  });
+
+  test('should reject streams that inflate past the decompression limit', async () => {
+    const zlib = require('zlib');
+    const { extractDocumentFromPdf } = require('../utils/pdf.js');
+    // About 20KB that inflates to 20MB
+    const bomb = zlib.deflateSync(Buffer.alloc(20 * 1024 * 1024, ' '));
+    const pdf = Buffer.concat([
+      Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n' +
+        '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj\n' +
+        '3 0 obj << /Type /Page /Parent 2 0 R /Contents 4 0 R >> endobj\n' +
+        `4 0 obj << /Length ${bomb.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      bomb,
+      Buffer.from('\nendstream\nendobj\ntrailer << /Root 1 0 R >>\n%%EOF', 'latin1')
+    ]);
+
+    await expect(extractDocumentFromPdf(new Uint8Array(pdf))).rejects.toThrow('too large to decompress');
+  });
+});
+
+describe('chunkDocument with paginated documents', () => {
+  test('should tag chunks with the pages they span', async () => {
+    const { extractDocumentFromPdf } = require('../utils/pdf.js');
+    const { chunkDocument } = require('../llm/chunker.js');
+    const document = await extractDocumentFromPdf(loadFixture('privacy-policy-tounicode.pdf'));
+
+    expect(chunkDocument(document)[0].pages).toEqual([1, 2]);
+    expect(chunkDocument(document, { maxChunkSize: 200 }).map(chunk => chunk.pages)).toEqual([[1], [2]]);
+  });
+});
+
+describe('extractDocumentFromText', () => {
+  test('should treat form feeds as page breaks', () => {
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const document = extractDocumentFromText('Page one text.\r\n\fPage two   text.');
+
+    expect(document.format).toBe('text');
+    expect(document.sections.map(section => [section.page, section.text])).toEqual([
+      [1, 'Page one text.'],
+      [2, 'Page two text.']
+    ]);
+  });
+
+  test('should detect the format from headers or the URL', () => {
+    const { detectDocumentFormat } = require('../utils/fetcher.js');
+
+    expect(detectDocumentFormat('application/pdf', 'https://example.com/dpa')).toBe('pdf');
+    expect(detectDocumentFormat('application/octet-stream', 'https://example.com/eula.PDF')).toBe('pdf');
+    expect(detectDocumentFormat('text/plain; charset=utf-8', 'https://example.com/terms')).toBe('text');
+    expect(detectDocumentFormat('image/png', 'https://example.com/logo.png')).toBe(null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Tests for the per-type analysis profiles
+ */
+
+const TERMS_TEXT = [
+  'Any dispute will be resolved by binding arbitration, and you waive any right to a class action.',
+  'We may modify these Terms at any time without notice. Your continued use means you accept the changes.',
+  'Your subscription renews automatically each month. Fees are non-refundable.'
+].join('\n\n');
+
+describe('getAnalysisProfile', () => {
+  test('should resolve supported types and reject unknown ones', () => {
+    const { getAnalysisProfile, validateAnalysisType } = require('../llm/profiles.js');
+
+    expect(getAnalysisProfile('terms').structuredField).toBe('clauses');
+    expect(getAnalysisProfile('both')).toBe(getAnalysisProfile('privacy'));
+    expect(() => validateAnalysisType('eula')).toThrow('Analysis type must be one of: privacy, terms, cookie, both');
+  });
+
+  test('should not ask for GDPR/CCPA verdicts on terms of service', () => {
+    const { getAnalysisProfile, describeResponseFormat, describeResponseInstructions } = require('../llm/profiles.js');
+    const terms = getAnalysisProfile('terms');
+
+    expect(describeResponseFormat(terms)).not.toContain('gdpr');
+    expect(describeResponseFormat(terms)).toContain('"clauses"');
+    expect(describeResponseInstructions(terms)).toContain('disputeResolution (Arbitration and class-action waivers)');
+    expect(terms.schema.properties.compliance).toBeUndefined();
+    expect(describeResponseFormat(getAnalysisProfile('privacy'))).toContain('"compliance"');
+    expect(describeResponseInstructions(getAnalysisProfile('privacy'))).toContain('- gdpr (GDPR Art. 13/14 disclosures)');
+    expect(describeResponseInstructions(terms)).not.toContain('gdpr');
+  });
+});
+
+describe('PolicyAnalyzer terms profile', () => {
+  test('should extract clauses and score them with the terms rubric', async () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const prompts = [];
+    const env = {
+      AI: {
+        run: async (model, input) => {
+          prompts.push(input.messages);
+          if (input.messages[1].content.startsWith('Based on')) {
+            return { response: JSON.stringify({ executiveSummary: 'Arbitration applies.', recommendations: ['Opt out of arbitration'] }) };
+          }
+          return {
+            response: JSON.stringify({
+              keyPoints: [],
+              redFlags: [{ text: 'Forced arbitration', quote: 'Any dispute will be resolved by binding arbitration' }],
+              userRights: [],
+              clauses: {
+                disputeResolution: [
+                  { type: 'forced-arbitration', description: 'Binding arbitration', quote: 'resolved by binding arbitration' },
+                  { type: 'class action waiver', description: 'No class actions', quote: 'you waive any right to a class action' }
+                ],
+                unilateralChanges: [{ type: 'change-without-notice', description: 'Silent changes', quote: 'We may modify these Terms at any time without notice' }],
+                autoRenewal: [{ type: 'auto-renewal', description: 'Monthly renewal', period: 'monthly', quote: 'Your subscription renews automatically each month' }]
+              }
+            })
+          };
+        }
+      }
+    };
+    const analyzer = new PolicyAnalyzer(env);
+    analyzer.fetchPolicyContent = async () => extractDocumentFromText(TERMS_TEXT);
+
+    const result = await analyzer.analyzePolicy('https://example.com/terms', 'terms');
+
+    expect(prompts[0][0].content).toContain('terms of service');
+    expect(prompts[1][1].content).toContain('Clauses: disputeResolution (forced-arbitration, class-action-waiver)');
+    expect(result.analysis.compliance).toBeUndefined();
+    expect(result.analysis.dataPractices).toBeUndefined();
+    expect(result.analysis.clauses.autoRenewal).toEqual([
+      expect.objectContaining({ type: 'auto-renewal', period: 'monthly' }),
+      expect.objectContaining({ type: 'no-refunds', sources: [expect.objectContaining({ detectedBy: 'rules', ruleId: 'no-refunds' })] })
+    ]);
+    expect(Object.keys(result.riskScores.dimensions)).toEqual([
+      'disputeResolution', 'unilateralChanges', 'autoRenewal', 'contentLicense', 'liability', 'termination'
+    ]);
+    expect(result.riskScores.dimensions.disputeResolution).toEqual(expect.objectContaining({ score: 80, level: 'red' }));
+    expect(result.riskScores.disputeResolution).toBe('red');
+    expect(result.riskScores.regulatory).toBeUndefined();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Tests for the prompt template registry
+ */
+
+describe('Prompt registry', () => {
+  test('should fill variables and identify the template used', () => {
+    const { renderPrompt } = require('../llm/prompts.js');
+
+    const { prompt, messages } = renderPrompt('parse-retry', { errors: 'missing "keyPoints"' });
+
+    expect(prompt).toEqual({ name: 'parse-retry', version: '1.0.0', variant: null, modelOverride: null });
+    expect(messages).toHaveLength(1);
+    expect(messages[0].role).toBe('user');
+    expect(messages[0].content).toContain('- missing "keyPoints"');
+  });
+
+  test('should leave placeholders inside variable values alone', () => {
+    const { renderPrompt } = require('../llm/prompts.js');
+
+    const { messages } = renderPrompt('parse-retry', { errors: 'unexpected {{text}}' });
+
+    expect(messages[0].content).toContain('unexpected {{text}}');
+  });
+
+  test('should reject missing variables and unknown prompts or versions', () => {
+    const { renderPrompt, parsePromptVersions } = require('../llm/prompts.js');
+
+    expect(() => renderPrompt('parse-retry', {})).toThrow('Prompt parse-retry@1.0.0 is missing the variable "errors"');
+    expect(() => renderPrompt('haiku', {})).toThrow('Unknown prompt: haiku');
+    expect(() => parsePromptVersions('{"summary": "9.9.9"}')).toThrow('Unknown version 9.9.9 of prompt summary');
+    expect(() => parsePromptVersions('["summary"]')).toThrow('PROMPT_VERSIONS must be a JSON object');
+    expect(parsePromptVersions('{"summary": "1.0.0"}')).toEqual({ summary: '1.0.0' });
+  });
+
+  test('should apply the policy type variant and then the model override', () => {
+    const { PROMPT_TEMPLATES, getPromptTemplate } = require('../llm/prompts.js');
+    const summary = PROMPT_TEMPLATES.summary['1.0.0'];
+    summary.models = { 'tiny-model': { system: 'Summarize briefly.' } };
+
+    try {
+      const privacy = getPromptTemplate('summary', { type: 'privacy', model: 'tiny-model' });
+      expect(privacy).toEqual(expect.objectContaining({ variant: 'privacy', modelOverride: 'tiny-model', system: 'Summarize briefly.' }));
+      expect(privacy.user).toContain('Compliance: {{compliance}}');
+
+      const terms = getPromptTemplate('summary', { type: 'terms', model: 'other-model' });
+      expect(terms).toEqual(expect.objectContaining({ variant: null, modelOverride: null }));
+      expect(terms.user).toContain('Clauses: {{clauses}}');
+    } finally {
+      delete summary.models;
+    }
+  });
+
+  test('should record the prompts and model behind an analysis', async () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const analyzer = new PolicyAnalyzer({
+      LLM_PROVIDER: 'fixture',
+      LLM_MODEL: 'replay-1',
+      LLM_FIXTURES: JSON.stringify([
+        { match: 'Analyze this terms of service excerpt', responses: ['not json', { keyPoints: [], redFlags: [], userRights: [] }] }
+      ])
+    });
+    analyzer.fetchPolicyContent = async () => extractDocumentFromText('You may cancel your subscription at any time from the account settings page.\n\nWe may suspend your account if you break these terms.');
+
+    const result = await analyzer.analyzePolicy('https://example.com/terms', 'terms');
+
+    expect(result.analysis.model).toEqual({ provider: 'fixture', name: 'replay-1' });
+    expect(result.analysis.prompts).toEqual({
+      'chunk-analysis': { version: '1.0.0', variant: null, modelOverride: null },
+      'parse-retry': { version: '1.0.0', variant: null, modelOverride: null },
+      summary: { version: '1.0.0', variant: null, modelOverride: null }
+    });
+  });
+
+  test('should fail fast on an unknown prompt version', () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+
+    expect(() => new PolicyAnalyzer({ PROMPT_VERSIONS: '{"chunk-analysis": "2.0.0"}' })).toThrow('Unknown version 2.0.0 of prompt chunk-analysis');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Tests for the pluggable LLM providers
+ */
+
+const POLICY_TEXT = 'We collect your email address when you create an account.\n\nWe keep your data indefinitely.';
+
+describe('createLLMProvider', () => {
+  test('should pick the provider named by LLM_PROVIDER', () => {
+    const { createLLMProvider } = require('../llm/providers/index.js');
+    const binding = { run: async () => ({ response: '{}' }) };
+
+    expect(createLLMProvider({})).toBeNull();
+    expect(createLLMProvider({ AI: binding })).toEqual(expect.objectContaining({
+      name: 'workers-ai', model: '@cf/meta/llama-3.3-70b-instruct-fp8-fast'
+    }));
+    expect(createLLMProvider({ AI: binding, LLM_PROVIDER: 'openai', LLM_API_BASE_URL: 'http://localhost:11434/v1/', LLM_MODEL: 'llama3.1' }))
+      .toEqual(expect.objectContaining({ name: 'openai', model: 'llama3.1', baseUrl: 'http://localhost:11434/v1' }));
+    expect(createLLMProvider({ LLM_PROVIDER: 'fixture', LLM_FIXTURES: '[{"match": "x", "response": "y"}]' }).fixtures).toHaveLength(1);
+  });
+
+  test('should reject incomplete or unknown configurations', () => {
+    const { createLLMProvider } = require('../llm/providers/index.js');
+
+    expect(() => createLLMProvider({ LLM_PROVIDER: 'workers-ai' })).toThrow('the AI binding is missing');
+    expect(() => createLLMProvider({ LLM_PROVIDER: 'openai', LLM_MODEL: 'gpt' })).toThrow('LLM_API_BASE_URL is required');
+    expect(() => createLLMProvider({ LLM_PROVIDER: 'fixture', LLM_FIXTURES: '{}' })).toThrow('LLM_FIXTURES must be a JSON array');
+    expect(() => createLLMProvider({ LLM_PROVIDER: 'bard' })).toThrow('LLM_PROVIDER must be one of: workers-ai, openai, fixture');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should post chat completions and return the reply', async () => {
+    const { OpenAICompatibleProvider } = require('../llm/providers/index.js');
+    const requests = [];
+    global.fetch = async (url, init) => {
+      requests.push({ url, init });
+      return { ok: true, json: async () => ({ choices: [{ message: { content: '{"ok": true}' } }] }) };
+    };
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'https://llm.example/v1', apiKey: 'secret', model: 'm' });
+
+    const reply = await provider.chat([{ role: 'user', content: 'Hi' }], { maxTokens: 100, temperature: 0.1 });
+
+    expect(reply).toBe('{"ok": true}');
+    expect(requests[0].url).toBe('https://llm.example/v1/chat/completions');
+    expect(requests[0].init.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(requests[0].init.body)).toEqual({
+      model: 'm', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 100, temperature: 0.1
+    });
+  });
+
+  test('should throw on error responses', async () => {
+    const { OpenAICompatibleProvider } = require('../llm/providers/index.js');
+    global.fetch = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable' });
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'https://llm.example/v1', model: 'm' });
+
+    await expect(provider.chat([])).rejects.toThrow('LLM endpoint returned 503 Service Unavailable');
+  });
+});
+
+describe('FixtureProvider', () => {
+  test('should drive the whole analysis offline, replaying responses in order', async () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const analyzer = new PolicyAnalyzer({
+      LLM_PROVIDER: 'fixture',
+      LLM_FIXTURES: JSON.stringify([
+        { match: 'Based on this analysis', response: { executiveSummary: 'Keeps data forever.', recommendations: ['Delete your account'] } },
+        {
+          match: 'Analyze this privacy policy excerpt',
+          responses: [
+            'Sorry, I cannot help with that.',
+            { keyPoints: [{ text: 'Collects email', quote: 'We collect your email address' }], redFlags: [], userRights: [] }
+          ]
+        }
+      ])
+    });
+    analyzer.fetchPolicyContent = async () => extractDocumentFromText(POLICY_TEXT);
+
+    const result = await analyzer.analyzePolicy('https://example.com/privacy');
+
+    expect(analyzer.provider.calls).toHaveLength(3);
+    expect(result.analysis.engine).toBe('ai');
+    expect(result.analysis.executiveSummary).toBe('Keeps data forever.');
+    expect(result.analysis.keyPoints.map(point => point.text)).toEqual(['Collects email']);
+    expect(result.analysis.redFlags.map(flag => flag.ruleId)).toEqual(['indefinite-retention']);
+    expect(result.analysis.parseFailures).toEqual([expect.objectContaining({ stage: 'chunk', recovered: true, attempt: 1 })]);
+  });
+
+  test('should answer unmatched prompts with a valid empty reply', async () => {
+    const { FixtureProvider } = require('../llm/providers/index.js');
+    const { parseModelResponse } = require('../llm/response-parser.js');
+    const { QUICK_ANALYSIS_SCHEMA } = require('../llm/schemas.js');
+
+    const reply = await new FixtureProvider().chat([{ role: 'user', content: 'anything' }]);
+
+    expect(parseModelResponse(reply, QUICK_ANALYSIS_SCHEMA).ok).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Tests for answering questions about a policy
+ */
+
+const POLICY_HTML = `<main>
+  <h1>Privacy Policy</h1>
+  <h2>Information we collect</h2>
+  <p>We collect your name, email address and precise location from the mobile app.</p>
+  <h2>Sharing</h2>
+  <p>We share your location with advertising partners so they can show you relevant ads.</p>
+  <h2>Your choices</h2>
+  <p>You can ask us to erase your account and the data linked to it by writing to privacy@example.com.</p>
+</main>`;
+
+function createAnalyzer(fixtures, env = {}) {
+  const { PolicyAnalyzer } = require('../llm/analyzer.js');
+  const { extractDocumentFromHtml } = require('../utils/html.js');
+  const analyzer = new PolicyAnalyzer({ LLM_PROVIDER: 'fixture', LLM_FIXTURES: JSON.stringify(fixtures), ...env });
+  analyzer.chunkContent = document => require('../llm/chunker.js').chunkDocument(document, { maxChunkSize: 1200, minChunkSize: 0 });
+  analyzer.fetchPolicyContent = async () => extractDocumentFromHtml(POLICY_HTML);
+  return analyzer;
+}
+
+describe('Question retrieval', () => {
+  test('should match question words to the policy wording', () => {
+    const { getQueryTerms, tokenize } = require('../llm/qa.js');
+
+    expect(tokenize('Sharing shared shares')).toEqual(['shar', 'shar', 'shar']);
+    expect(tokenize('policy policies')).toEqual(['polici', 'polici']);
+    expect(getQueryTerms('How do I delete my account?')).toEqual(expect.arrayContaining(['delet', 'account', 'eras']));
+  });
+
+  test('should rank the chunks that answer the question first', () => {
+    const { rankChunks } = require('../llm/qa.js');
+    const chunks = [
+      { index: 0, text: 'We collect your email address.', headingPath: ['Information we collect'] },
+      { index: 1, text: 'You can ask us to erase your account.', headingPath: ['Your choices'] },
+      { index: 2, text: 'This policy was last updated in May.', headingPath: ['Updates'] }
+    ];
+
+    const ranked = rankChunks(chunks, 'How do I delete my account?');
+
+    expect(ranked.map(({ chunk }) => chunk.index)).toEqual([1]);
+    expect(rankChunks(chunks, 'Is there a loyalty program?')).toEqual([]);
+  });
+
+  test('should only keep quotes found in the excerpts', () => {
+    const { verifyCitations } = require('../llm/qa.js');
+    const chunks = [
+      { text: 'Intro text.', start: 0, section: 'Intro', headingPath: ['Intro'] },
+      { text: 'We share your location with advertising partners.', start: 100, section: 'Sharing', headingPath: ['Sharing'] }
+    ];
+
+    const citations = verifyCitations([
+      { excerpt: 1, quote: 'share your location with advertising partners' },
+      { excerpt: 2, quote: 'We never share anything' }
+    ], chunks);
+
+    expect(citations).toEqual([{
+      quote: 'share your location with advertising partners',
+      start: 103,
+      end: 148,
+      section: 'Sharing',
+      headingPath: ['Sharing']
+    }]);
+  });
+});
+
+describe('PolicyAnalyzer.answerQuestion', () => {
+  test('should answer with verified quotes and their sections', async () => {
+    const analyzer = createAnalyzer([{
+      match: 'Question: Can they share my location with advertisers?',
+      response: {
+        addressed: true,
+        answer: 'Yes. Your location is shared with advertising partners.',
+        quotes: [{ excerpt: 1, quote: 'We share your location with advertising partners' }]
+      }
+    }]);
+
+    const result = await analyzer.answerQuestion('https://example.com/privacy', 'Can they share my location with advertisers?');
+
+    expect(result.addressed).toBe(true);
+    expect(result.answer).toBe('Yes. Your location is shared with advertising partners.');
+    expect(result.citations).toEqual([expect.objectContaining({
+      quote: 'We share your location with advertising partners',
+      section: 'Sharing',
+      headingPath: ['Privacy Policy', 'Sharing']
+    })]);
+    expect(result.retrieved[0].section).toBe('Sharing');
+    expect(result.prompts['policy-question']).toEqual(expect.objectContaining({ version: '1.0.0' }));
+  });
+
+  test('should not report an answer the quotes do not support', async () => {
+    const analyzer = createAnalyzer([{
+      match: 'Question:',
+      response: { addressed: true, answer: 'Your location is never shared.', quotes: [{ excerpt: 1, quote: 'We never share your location' }] }
+    }]);
+
+    const result = await analyzer.answerQuestion('https://example.com/privacy', 'Can they share my location with advertisers?');
+
+    expect(result.addressed).toBe(false);
+    expect(result.answer).toBe('The policy does not appear to address this question.');
+    expect(result.citations).toEqual([]);
+  });
+
+  test('should say so when no passage relates to the question', async () => {
+    const analyzer = createAnalyzer([]);
+
+    const result = await analyzer.answerQuestion('https://example.com/privacy', 'Is there a loyalty program?');
+
+    expect(result).toEqual(expect.objectContaining({ addressed: false, citations: [], retrieved: [] }));
+    expect(analyzer.provider.calls).toHaveLength(0);
+  });
+
+  test('should return the most relevant passages when no model is configured', async () => {
+    const analyzer = createAnalyzer([], { LLM_PROVIDER: '' });
+
+    const result = await analyzer.answerQuestion('https://example.com/privacy', 'How do I delete my account?');
+
+    expect(result.engine).toBe('retrieval');
+    expect(result.addressed).toBeNull();
+    expect(result.citations[0].section).toBe('Your choices');
+  });
+});
+
+describe('handleAsk', () => {
+  test('should require a question', async () => {
+    const { handleAsk } = require('../api/ask.js');
+    const request = new Request('https://worker.example/api/ask', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 'https://example.com/privacy', question: '  ' })
+    });
+
+    const response = await handleAsk(request, {}, {});
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should look up the policy of a cached analysis', async () => {
+    const { handleAsk } = require('../api/ask.js');
+    const lookups = [];
+    const env = {
+      POLICY_CACHE: {
+        idFromName: () => 'global-cache',
+        get: () => ({
+          fetch: async (url, init) => {
+            lookups.push(JSON.parse(init.body));
+            return new Response(JSON.stringify({ result: { id: 'abc', url: 'https://example.com/terms', type: 'terms' } }));
+          }
+        })
+      }
+    };
+    const asked = [];
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const answerQuestion = jest.spyOn(PolicyAnalyzer.prototype, 'answerQuestion').mockImplementation(async (...args) => {
+      asked.push(args);
+      return { addressed: false };
+    });
+
+    try {
+      const response = await handleAsk(new Request('https://worker.example/api/ask', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ analysisId: 'abc', question: 'Can I cancel?' })
+      }), env, {});
+
+      expect(response.status).toBe(200);
+      expect(lookups).toEqual([{ id: 'abc' }]);
+      expect(asked).toEqual([['https://example.com/terms', 'Can I cancel?', 'terms']]);
+    } finally {
+      answerQuestion.mockRestore();
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Tests for model response parsing and corrective retries
+ */
+
+describe('extractJson', () => {
+  test('should parse plain, fenced and chatty JSON', () => {
+    const { extractJson } = require('../llm/response-parser.js');
+
+    expect(extractJson('{"a": 1}').value).toEqual({ a: 1 });
+    expect(extractJson('```json\n{"a": 1}\n```').value).toEqual({ a: 1 });
+    expect(extractJson('Sure! Here is the analysis:\n\n{"a": {"b": "}"}}\n\nLet me know if you need more.').value)
+      .toEqual({ a: { b: '}' } });
+  });
+
+  test('should repair trailing commas outside strings', () => {
+    const { extractJson } = require('../llm/response-parser.js');
+
+    expect(extractJson('{"keyPoints": ["a, ]", "b",], }').value).toEqual({ keyPoints: ['a, ]', 'b'] });
+  });
+
+  test('should skip braces in prose before the JSON object', () => {
+    const { extractJson } = require('../llm/response-parser.js');
+
+    expect(extractJson('The {policy} says: {"a": 2}').value).toEqual({ a: 2 });
+  });
+
+  test('should report empty and truncated responses', () => {
+    const { extractJson } = require('../llm/response-parser.js');
+
+    expect(extractJson('')).toEqual({ ok: false, error: 'Response was empty' });
+    expect(extractJson('{"keyPoints": ["Collects loca').ok).toBe(false);
+  });
+});
+
+describe('parseModelResponse', () => {
+  test('should list schema violations', () => {
+    const { parseModelResponse } = require('../llm/response-parser.js');
+    const { CHUNK_ANALYSIS_SCHEMA } = require('../llm/schemas.js');
+
+    const result = parseModelResponse('{"keyPoints": "one point", "redFlags": [1]}', CHUNK_ANALYSIS_SCHEMA);
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([
+      '$.userRights is required',
+      '$.keyPoints should be array but was string',
+      '$.redFlags[0] should be object but was number'
+    ]);
+  });
+});
+
+describe('PolicyAnalyzer.runStructuredPrompt', () => {
+  function createAnalyzer(responses) {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const calls = [];
+    const env = {
+      AI: {
+        run: async (model, input) => {
+          calls.push(input.messages);
+          return { response: responses[calls.length - 1] };
+        }
+      }
+    };
+    return { analyzer: new PolicyAnalyzer(env), calls };
+  }
+
+  const chunk = { index: 0, text: 'We share your data with partners.', headingPath: ['Sharing'], section: 'Sharing' };
+
+  test('should retry with the validation errors and record the failure', async () => {
+    const { analyzer, calls } = createAnalyzer([
+      'I could not find any issues.',
+      '```json\n{"keyPoints": [{"text": "Shares data", "quote": "We share your data"}], "redFlags": [], "userRights": []}\n```'
+    ]);
+
+    const result = await analyzer.analyzeChunk(chunk, 'privacy');
+
+    expect(result.keyPoints).toEqual([{ text: 'Shares data', quote: 'We share your data' }]);
+    expect(result.attempts).toBe(2);
+    expect(result.parseFailures).toEqual([
+      { attempt: 1, errors: ['Response did not contain valid JSON'], responseExcerpt: 'I could not find any issues.' }
+    ]);
+    expect(calls[1].slice(-2).map(message => message.role)).toEqual(['assistant', 'user']);
+    expect(calls[1][calls[1].length - 1].content).toContain('Response did not contain valid JSON');
+  });
+
+  test('should mark the chunk as failed instead of inventing findings', async () => {
+    const { analyzer } = createAnalyzer(['nope', '{"keyPoints": []}']);
+
+    const result = await analyzer.analyzeChunk(chunk, 'privacy');
+
+    expect(result.failed).toBe(true);
+    expect(result.keyPoints).toEqual([]);
+    expect(result.parseFailures.map(failure => failure.errors)).toEqual([
+      ['Response did not contain valid JSON'],
+      ['$.redFlags is required', '$.userRights is required']
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * Tests for result schema versioning and migration
+ */
+
+const LEGACY_RESULT = {
+  url: 'https://example.com/privacy',
+  type: 'privacy',
+  contentLength: 5200,
+  processedLength: 4800,
+  chunksAnalyzed: 3,
+  analysis: {
+    executiveSummary: 'Old summary',
+    keyPoints: ['Collects email addresses'],
+    redFlags: ['Sells data to advertisers'],
+    recommendations: ['Opt out of the sale of your data'],
+    compliance: { gdpr: 'partially', ccpa: 'non-compliant' },
+    sections: []
+  },
+  riskScores: { overall: 'yellow', regulatory: 'red', transparency: 'green', userRights: 'yellow' },
+  timestamp: 1700000000000,
+  version: '1.0.0'
+};
+
+describe('Result schema', () => {
+  test('should produce results that match the JSON Schema', async () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const { RESULT_JSON_SCHEMA, RESULT_SCHEMA_VERSION } = require('../llm/result-schema.js');
+    const { validateSchema } = require('../llm/response-parser.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const analyzer = new PolicyAnalyzer({
+      LLM_PROVIDER: 'fixture',
+      LLM_FIXTURES: JSON.stringify([{
+        match: 'excerpt',
+        response: { keyPoints: [{ text: 'Collects email', quote: 'We collect your email address' }], redFlags: [], userRights: [] }
+      }])
+    });
+    analyzer.fetchPolicyContent = async () => extractDocumentFromText('We collect your email address when you sign up.\n\nWe keep your data indefinitely.');
+
+    const result = await analyzer.analyzePolicy('https://example.com/privacy');
+
+    expect(validateSchema(result, RESULT_JSON_SCHEMA)).toEqual([]);
+    expect(result.schemaVersion).toBe(RESULT_SCHEMA_VERSION);
+    expect(result.version).toBeUndefined();
+    expect(result.overallRisk).toBe(result.riskScores.overall);
+    expect(result.riskBreakdown).toEqual({
+      regulatory: result.riskScores.regulatory,
+      transparency: result.riskScores.transparency,
+      userRights: result.riskScores.userRights,
+      dataPractices: result.riskScores.dataPractices
+    });
+  });
+
+  test('should upgrade legacy results and downgrade on request', () => {
+    const { migrateResult, RESULT_JSON_SCHEMA } = require('../llm/result-schema.js');
+    const { validateSchema } = require('../llm/response-parser.js');
+    const { getRiskLevel } = require('../llm/risk.js');
+
+    const upgraded = migrateResult(LEGACY_RESULT);
+    expect(validateSchema(upgraded, RESULT_JSON_SCHEMA)).toEqual([]);
+    expect(upgraded).toEqual(expect.objectContaining({
+      schemaVersion: '2.0.0',
+      depth: 'standard',
+      coverage: { chunksAnalyzed: 3, chunksFailed: 0, totalChunks: 3 },
+      overallRisk: 'yellow',
+      riskBreakdown: { regulatory: 'red', transparency: 'green', userRights: 'yellow' }
+    }));
+    expect(upgraded.version).toBeUndefined();
+    expect(upgraded.analysis.keyPoints).toEqual([{ text: 'Collects email addresses', verified: false }]);
+    expect(upgraded.analysis.redFlags).toEqual([{ text: 'Sells data to advertisers', verified: false }]);
+    expect(getRiskLevel(upgraded.riskScores.score)).toBe('yellow');
+    expect(getRiskLevel(upgraded.riskScores.dimensions.regulatory.score)).toBe('red');
+
+    expect(migrateResult(upgraded, '1.0.0')).toEqual({
+      ...LEGACY_RESULT,
+      depth: 'standard',
+      coverage: { chunksAnalyzed: 3, chunksFailed: 0, totalChunks: 3 },
+      analysis: { ...LEGACY_RESULT.analysis, engine: 'ai', userRights: [], unverifiedFindings: [] }
+    });
+    expect(migrateResult(upgraded, '2.0.0')).toBe(upgraded);
+
+    // Findings made by the current analyzer are read back as strings
+    const current = {
+      ...upgraded,
+      analysis: { ...upgraded.analysis, redFlags: [{ text: 'Sells data', verified: true, quote: 'We sell your data', start: 0, end: 17 }] }
+    };
+    expect(migrateResult(current, '1.0.0').analysis.redFlags).toEqual(['Sells data']);
+
+    // Results cached before versioning have no version at all
+    const { version, ...unversioned } = LEGACY_RESULT;
+    expect(migrateResult(unversioned).schemaVersion).toBe('2.0.0');
+  });
+
+  test('should keep 1.0.0 compliance verdicts comparable after upgrading', () => {
+    const { migrateResult } = require('../llm/result-schema.js');
+    const { comparePolicies } = require('../llm/compare.js');
+    const { calculateRiskScores } = require('../llm/risk.js');
+
+    const partial = migrateResult(LEGACY_RESULT);
+    const compliant = migrateResult({
+      ...LEGACY_RESULT,
+      url: 'https://other.example/privacy',
+      analysis: { ...LEGACY_RESULT.analysis, compliance: { gdpr: 'compliant', ccpa: 'Compliant', other: 'mentions HIPAA' } }
+    });
+
+    expect(partial.analysis.compliance).toEqual({
+      gdpr: { label: 'GDPR Art. 13/14 disclosures', status: 'partially', items: {} },
+      ccpa: { label: 'CCPA as amended by CPRA', status: 'non-compliant', items: {} }
+    });
+    expect(Object.keys(compliant.analysis.compliance)).toEqual(['gdpr', 'ccpa']);
+
+    const { dimensions } = comparePolicies([partial, compliant]);
+    expect(dimensions.compliance.values[0].regulations.gdpr).toEqual({ status: 'partially', present: 0, partial: 1, missing: 0 });
+    expect(dimensions.compliance.mostProtective).toEqual(['https://other.example/privacy']);
+    expect(dimensions.compliance.differences).toEqual([]);
+
+    const factors = calculateRiskScores(partial.analysis).dimensions.regulatory.factors;
+    expect(factors.filter(factor => /^(gdpr|ccpa)-/.test(factor.id)).map(factor => factor.id)).toEqual(['gdpr-partially', 'ccpa-non-compliant']);
+  });
+
+  test('should reject unknown schema versions', () => {
+    const { resolveResultSchemaVersion, migrateResult } = require('../llm/result-schema.js');
+
+    expect(resolveResultSchemaVersion(undefined)).toBe('2.0.0');
+    expect(resolveResultSchemaVersion('1.0.0')).toBe('1.0.0');
+    expect(() => resolveResultSchemaVersion('3.0.0')).toThrow('Result schema version must be one of: 1.0.0, 2.0.0');
+    expect(() => migrateResult({ schemaVersion: '0.1.0' })).toThrow('Unknown result schema version: 0.1.0');
+  });
+
+  test('should upgrade results read from the PolicyCache', async () => {
+    const { PolicyCache } = require('../durable-objects/policy-cache.js');
+    const { createStorage } = require('./helpers/durable-objects.js');
+    const stored = {};
+    const state = { storage: createStorage(stored) };
+    stored.cache = [['privacy:standard:https://example.com/privacy', {
+      result: LEGACY_RESULT,
+      timestamp: Date.now(),
+      expiresAt: Date.now() + 60000,
+      ttlMinutes: 1
+    }]];
+    const cache = new PolicyCache(state);
+
+    const response = await cache.fetch(new Request('https://internal/check', {
+      method: 'POST',
+      body: JSON.stringify({ url: 'https://example.com/privacy', key: 'privacy:standard:https://example.com/privacy' })
+    }));
+    const { result } = await response.json();
+
+    expect(result.schemaVersion).toBe('2.0.0');
+    expect(result.riskBreakdown.regulatory).toBe('red');
+    expect(stored.cache[0][1].result.schemaVersion).toBe('2.0.0');
+  });
+});
\ No newline at end of file
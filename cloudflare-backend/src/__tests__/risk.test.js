@@ -0,0 +1,111 @@
+/**
+ * Tests for the explainable risk rubric
+ */
+
+function practices(types) {
+  return Object.fromEntries(Object.entries(types).map(([category, list]) => [
+    category,
+    list.map(type => (typeof type === 'string' ? { type, sources: [] } : { sources: [], ...type }))
+  ]));
+}
+
+describe('calculateRiskScores', () => {
+  test('should explain every dimension score with its factors', () => {
+    const { calculateRiskScores } = require('../llm/risk.js');
+    const scores = calculateRiskScores({
+      redFlags: [{ text: 'Sells data' }, { text: 'Keeps data forever' }],
+      userRights: [],
+      compliance: { gdpr: 'non-compliant', ccpa: 'Partially compliant' },
+      coverage: { chunksAnalyzed: 3, chunksFailed: 1, totalChunks: 4 },
+      dataPractices: practices({
+        dataCategories: ['location', 'health'],
+        purposes: ['advertising'],
+        thirdParties: ['data-brokers'],
+        retention: ['indefinite'],
+        security: [],
+        userChoices: [],
+        internationalTransfers: []
+      })
+    });
+
+    expect(scores.dimensions.regulatory.factors.map(factor => [factor.id, factor.points])).toEqual([
+      ['gdpr-non-compliant', 35],
+      ['ccpa-partially', 13],
+      ['red-flags', 20]
+    ]);
+    expect(scores.dimensions.regulatory.score).toBe(88);
+    expect(scores.regulatory).toBe('red');
+    expect(scores.dimensions.userRights.score).toBe(80);
+    expect(scores.dimensions.dataPractices.score).toBe(90);
+    expect(scores.dimensions.transparency.factors.map(factor => factor.id)).toEqual([
+      'unanalyzed-sections', 'data-categories-disclosed', 'retention-unspecified'
+    ]);
+    expect(scores.score).toBe(Math.round(88 * 0.3 + scores.dimensions.transparency.score * 0.2 + 80 * 0.25 + 90 * 0.25));
+    expect(scores.overall).toBe('red');
+  });
+
+  test('should rate a well-behaved policy green', () => {
+    const { calculateRiskScores } = require('../llm/risk.js');
+    const scores = calculateRiskScores({
+      redFlags: [],
+      userRights: [{ text: 'Access' }, { text: 'Deletion' }, { text: 'Portability' }],
+      compliance: { gdpr: 'compliant', ccpa: 'compliant' },
+      coverage: { chunksAnalyzed: 2, chunksFailed: 0, totalChunks: 2 },
+      dataPractices: practices({
+        dataCategories: ['contact'],
+        purposes: ['basic-service'],
+        thirdParties: [{ type: 'service-providers', name: 'Stripe' }],
+        retention: ['stated-period'],
+        security: ['encryption-in-transit'],
+        userChoices: ['opt-out-link', 'access-and-deletion'],
+        internationalTransfers: ['standard-contractual-clauses']
+      })
+    });
+
+    expect(scores.score).toBeLessThan(34);
+    expect([scores.overall, scores.regulatory, scores.transparency, scores.userRights, scores.dataPractices])
+      .toEqual(['green', 'green', 'green', 'green', 'green']);
+  });
+
+  test('should score a policy that discloses nothing above one that discloses part', () => {
+    const { calculateRiskScores } = require('../llm/risk.js');
+    const { mergeCompliance } = require('../llm/compliance.js');
+    const silent = mergeCompliance([]);
+    const partial = mergeCompliance([{ gdpr: { controllerIdentity: { status: 'present' }, retention: { status: 'partial' } } }]);
+    const regulatory = compliance => calculateRiskScores({ redFlags: [], userRights: [], compliance }).dimensions.regulatory;
+
+    expect(silent.gdpr.status).toBe('non-compliant');
+    expect(partial.gdpr.status).toBe('partially');
+    expect(regulatory(silent).factors.find(factor => factor.id === 'gdpr-non-compliant').points).toBe(35);
+    expect(regulatory(partial).factors.find(factor => factor.id === 'gdpr-partially')).toEqual({
+      id: 'gdpr-partially',
+      description: 'GDPR: 10 of 12 required disclosures missing, 1 partial',
+      points: 31
+    });
+    expect(regulatory({ gdpr: silent.gdpr }).score).toBeGreaterThan(regulatory({ gdpr: partial.gdpr }).score);
+  });
+
+  test('should score every regulation with a checklist', () => {
+    const { calculateRiskScores, COMPLIANCE_POINTS } = require('../llm/risk.js');
+    const { COMPLIANCE_CHECKLISTS, mergeCompliance } = require('../llm/compliance.js');
+
+    expect(Object.keys(COMPLIANCE_POINTS)).toEqual(Object.keys(COMPLIANCE_CHECKLISTS));
+    const { factors } = calculateRiskScores({
+      redFlags: [],
+      userRights: [],
+      compliance: { lgpd: mergeCompliance([]).lgpd, pipeda: 'compliant' }
+    }).dimensions.regulatory;
+    expect(factors.map(factor => [factor.id, factor.points])).toEqual([['lgpd-non-compliant', 15], ['pipeda-compliant', -5]]);
+  });
+});
+
+describe('getRiskThresholds', () => {
+  test('should read thresholds from the environment and reject inconsistent ones', () => {
+    const { getRiskThresholds, getRiskLevel } = require('../llm/risk.js');
+
+    expect(getRiskThresholds({})).toEqual({ yellow: 34, red: 67 });
+    expect(getRiskThresholds({ RISK_THRESHOLD_YELLOW: '20', RISK_THRESHOLD_RED: '50' })).toEqual({ yellow: 20, red: 50 });
+    expect(getRiskThresholds({ RISK_THRESHOLD_YELLOW: '80', RISK_THRESHOLD_RED: '50' })).toEqual({ yellow: 34, red: 67 });
+    expect(getRiskLevel(50, { yellow: 20, red: 50 })).toBe('red');
+  });
+});
\ No newline at end of file
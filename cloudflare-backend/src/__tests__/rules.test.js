@@ -0,0 +1,112 @@
+/**
+ * Tests for the rule-based pre-scanner
+ */
+
+const POLICY_TEXT = [
+  'We share information with our affiliates and partners. We may sell your personal information to third parties.',
+  'We do not sell your personal information to data brokers.',
+  'We keep your data indefinitely.',
+  'You have the right to delete your account data.'
+].join('\n\n');
+
+describe('scanPolicy', () => {
+  test('should report rule-based findings with sentence evidence', () => {
+    const { scanPolicy } = require('../llm/rules.js');
+    const { getAnalysisProfile } = require('../llm/profiles.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const document = extractDocumentFromText(POLICY_TEXT);
+
+    const scan = scanPolicy(document, getAnalysisProfile('privacy'));
+
+    expect(scan.redFlags.map(flag => flag.text)).toEqual([
+      'May sell personal information', 'May keep personal data indefinitely', 'Shares data with affiliates and partners'
+    ]);
+    expect(scan.redFlags[0]).toEqual(expect.objectContaining({
+      quote: 'We may sell your personal information to third parties.',
+      verified: true,
+      detectedBy: 'rules',
+      ruleId: 'sells-personal-information'
+    }));
+    expect(document.text.slice(scan.redFlags[0].start, scan.redFlags[0].end)).toBe(scan.redFlags[0].quote);
+    expect(scan.keyPoints.map(point => point.text)).toEqual(['States that personal information is not sold']);
+    expect(scan.userRights.map(right => right.text)).toEqual(['Users can ask for their data to be deleted']);
+    expect(scan.dataPractices.retention).toEqual([expect.objectContaining({ type: 'indefinite', duration: null })]);
+  });
+
+  test('should skip negated phrasing that has no negated finding', () => {
+    const { scanPolicy } = require('../llm/rules.js');
+    const { getAnalysisProfile } = require('../llm/profiles.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+
+    const scan = scanPolicy(extractDocumentFromText('We never work with data brokers.'), getAnalysisProfile('privacy'));
+
+    expect(scan.redFlags).toEqual([]);
+    expect(scan.matches).toEqual([]);
+  });
+});
+
+describe('PolicyAnalyzer rule-based analysis', () => {
+  function createAnalyzer(env) {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const analyzer = new PolicyAnalyzer(env);
+    analyzer.fetchPolicyContent = async () => extractDocumentFromText(POLICY_TEXT);
+    return analyzer;
+  }
+
+  test('should report rule-based findings without an AI binding', async () => {
+    const result = await createAnalyzer({}).analyzePolicy('https://example.com/privacy');
+
+    expect(result.analysis.engine).toBe('rules');
+    expect(result.analysis.redFlags).toHaveLength(3);
+    expect(result.analysis.executiveSummary).toContain('rule-based pattern matching only');
+    expect(result.analysis.recommendations).toContain('Use the opt-out of the sale of your personal information');
+    // Only detailed analyses check the compliance checklists
+    expect(result.analysis.compliance).toBeUndefined();
+    expect((await createAnalyzer({}).analyzePolicy('https://example.com/privacy', 'privacy', { depth: 'detailed' })).analysis.compliance).toBeNull();
+    expect(result.analysis.ruleScan).toEqual(expect.objectContaining({ matches: 5 }));
+    expect(result.riskScores.dimensions.dataPractices.factors.map(factor => factor.id)).toContain('indefinite-retention');
+  });
+
+  test('should fall back to rule-based findings when every model call fails', async () => {
+    const analyzer = createAnalyzer({ AI: { run: async () => ({ response: 'not json' }) } });
+
+    const result = await analyzer.analyzePolicy('https://example.com/privacy');
+
+    expect(result.analysis.engine).toBe('rules');
+    expect(result.coverage.chunksFailed).toBe(1);
+    expect(result.analysis.redFlags.every(flag => flag.detectedBy === 'rules')).toBe(true);
+  });
+
+  test('should pass hints to the model and keep only rule findings it missed', async () => {
+    const prompts = [];
+    const analyzer = createAnalyzer({
+      AI: {
+        run: async (model, input) => {
+          prompts.push(input.messages[1].content);
+          if (input.messages[1].content.startsWith('Based on')) {
+            return { response: JSON.stringify({ executiveSummary: 'Sells data.', recommendations: ['Opt out'] }) };
+          }
+          return {
+            response: JSON.stringify({
+              keyPoints: [],
+              redFlags: [{ text: 'Personal data is sold', quote: 'We may sell your personal information to third parties' }],
+              userRights: []
+            })
+          };
+        }
+      }
+    });
+
+    const result = await analyzer.analyzePolicy('https://example.com/privacy');
+
+    expect(prompts[0]).toContain('A rule-based pre-scan flagged these passages');
+    expect(prompts[0]).toContain('- "We keep your data indefinitely." (May keep personal data indefinitely)');
+    expect(result.analysis.engine).toBe('ai');
+    expect(result.analysis.redFlags.map(flag => [flag.text, flag.detectedBy])).toEqual([
+      ['Personal data is sold', undefined],
+      ['May keep personal data indefinitely', 'rules'],
+      ['Shares data with affiliates and partners', 'rules']
+    ]);
+  });
+});
\ No newline at end of file
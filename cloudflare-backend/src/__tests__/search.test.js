@@ -0,0 +1,249 @@
+/**
+ * Tests for the semantic index and cross-policy search
+ */
+
+const POLICIES = {
+  'https://www.example.com/privacy': `<main>
+    <h1>Privacy Policy</h1>
+    <h2>Biometric information</h2>
+    <p>We may sell face geometry and fingerprint data collected by our app to marketing partners.</p>
+    <h2>Contact</h2>
+    <p>Write to privacy@example.com with any questions about this policy or the data we hold.</p>
+  </main>`,
+  'https://shop.test/privacy': `<main>
+    <h1>Privacy Notice</h1>
+    <h2>Payments</h2>
+    <p>We share your card number with our payment processor to complete each purchase you make.</p>
+    <h2>Retention</h2>
+    <p>We keep your order history for seven years to meet tax and accounting obligations.</p>
+  </main>`,
+  'https://www.example.com/terms': `<main>
+    <h1>Terms of Service</h1>
+    <h2>Arbitration</h2>
+    <p>Any dispute with us will be resolved through binding arbitration instead of in court.</p>
+  </main>`
+};
+
+const ENV = { LLM_PROVIDER: 'fixture', VECTOR_STORE: 'memory', RATE_LIMIT_REQUESTS_PER_MINUTE: 1000 };
+
+function createAnalyzer(policies = POLICIES) {
+  const { PolicyAnalyzer } = require('../llm/analyzer.js');
+  const { extractDocumentFromHtml } = require('../utils/html.js');
+  const analyzer = new PolicyAnalyzer(ENV);
+  analyzer.chunkContent = (document, maxChunkSize) => require('../llm/chunker.js').chunkDocument(document, { maxChunkSize, minChunkSize: 0 });
+  analyzer.fetchPolicyContent = async url => extractDocumentFromHtml(policies[url]);
+  return analyzer;
+}
+
+async function analyzeAll() {
+  const analyzer = createAnalyzer();
+  await analyzer.analyzePolicy('https://www.example.com/privacy', 'privacy', { depth: 'quick' });
+  await analyzer.analyzePolicy('https://shop.test/privacy', 'privacy', { depth: 'quick' });
+  await analyzer.analyzePolicy('https://www.example.com/terms', 'terms', { depth: 'quick' });
+  return analyzer;
+}
+
+describe('Vector stores', () => {
+  test('should rank vectors by similarity and filter on metadata', async () => {
+    const { MemoryVectorStore } = require('../vector/index.js');
+    const store = new MemoryVectorStore();
+
+    await store.upsert([
+      { id: 'a', values: [1, 0], metadata: { type: 'privacy' } },
+      { id: 'b', values: [0.6, 0.8], metadata: { type: 'terms' } },
+      { id: 'c', values: [0, 1], metadata: { type: 'privacy' } }
+    ]);
+
+    expect((await store.query([1, 0])).map(match => match.id)).toEqual(['a', 'b', 'c']);
+    expect((await store.query([1, 0], { filter: { type: 'privacy' }, topK: 1 })).map(match => match.id)).toEqual(['a']);
+    expect(await store.query([0, 1], { topK: 1, returnMetadata: 'none' })).toEqual([{ id: 'c', score: 1 }]);
+
+    await store.deleteByIds(['a']);
+    expect((await store.query([1, 0])).map(match => match.id)).toEqual(['b', 'c']);
+    await expect(store.query([1, 0, 0])).rejects.toThrow('Vector has 3 dimensions; the index expects 2');
+  });
+
+  test('should select the store from the environment', async () => {
+    const { createVectorStore, MemoryVectorStore, VectorizeStore } = require('../vector/index.js');
+    const calls = [];
+    const binding = {
+      upsert: async vectors => calls.push(['upsert', vectors]),
+      query: async (values, options) => {
+        calls.push(['query', values, options]);
+        return { count: 1, matches: [{ id: 'a', score: 0.9 }] };
+      }
+    };
+
+    expect(createVectorStore({})).toBeNull();
+    expect(createVectorStore({ VECTOR_STORE: 'memory' })).toBeInstanceOf(MemoryVectorStore);
+    expect(createVectorStore({ VECTOR_STORE: 'memory' })).toBe(createVectorStore({ VECTOR_STORE: 'memory' }));
+    expect(() => createVectorStore({ VECTOR_STORE: 'vectorize' })).toThrow('POLICY_INDEX binding is missing');
+    expect(() => createVectorStore({ VECTOR_STORE: 'pinecone' })).toThrow('VECTOR_STORE must be one of: vectorize, memory');
+
+    const store = createVectorStore({ POLICY_INDEX: binding });
+    expect(store).toBeInstanceOf(VectorizeStore);
+    expect(await store.query([1, 0], { topK: 3, filter: { type: 'privacy' } })).toEqual([{ id: 'a', score: 0.9 }]);
+    expect(calls).toEqual([['query', [1, 0], { topK: 3, filter: { type: 'privacy' }, returnMetadata: 'all' }]]);
+  });
+});
+
+describe('Embeddings', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should embed through Workers AI and OpenAI-compatible endpoints', async () => {
+    const { WorkersAIProvider, OpenAICompatibleProvider } = require('../llm/providers/index.js');
+    const runs = [];
+    const workersAI = new WorkersAIProvider({
+      run: async (model, input) => {
+        runs.push({ model, input });
+        return { shape: [2, 2], data: [[1, 0], [0, 1]] };
+      }
+    });
+
+    expect(await workersAI.embed(['a', 'b'])).toEqual([[1, 0], [0, 1]]);
+    expect(runs).toEqual([{ model: '@cf/baai/bge-base-en-v1.5', input: { text: ['a', 'b'] } }]);
+
+    let request;
+    global.fetch = async (url, init) => {
+      request = { url, body: JSON.parse(init.body) };
+      return new Response(JSON.stringify({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] }));
+    };
+    const openai = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1', embeddingModel: 'nomic-embed-text' });
+
+    expect(await openai.embed(['a', 'b'])).toEqual([[1, 0], [0, 1]]);
+    expect(request).toEqual({ url: 'http://localhost:11434/v1/embeddings', body: { model: 'nomic-embed-text', input: ['a', 'b'] } });
+    await expect(new OpenAICompatibleProvider({ baseUrl: 'http://localhost', model: 'llama3.1' }).embed(['a']))
+      .rejects.toThrow('EMBEDDING_MODEL is required');
+  });
+
+  test('should give texts sharing keywords similar fixture embeddings', () => {
+    const { hashEmbedding } = require('../llm/providers/fixture.js');
+    const similarity = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+    const selling = hashEmbedding('We sell your biometric data');
+    expect(similarity(selling, hashEmbedding('selling biometric data'))).toBeGreaterThan(similarity(selling, hashEmbedding('binding arbitration')));
+    expect(similarity(selling, selling)).toBeCloseTo(1);
+  });
+});
+
+describe('Semantic index', () => {
+  beforeEach(() => {
+    require('../vector/index.js').createVectorStore(ENV).clear();
+  });
+
+  test('should index the chunks of every analysis', async () => {
+    const store = require('../vector/index.js').createVectorStore(ENV);
+    const events = [];
+    const analyzer = createAnalyzer();
+
+    const result = await analyzer.analyzePolicy('https://www.example.com/privacy', 'privacy', {
+      depth: 'quick',
+      onProgress: (event, data) => events.push({ event, data })
+    });
+
+    const indexed = [...store.vectors.values()];
+    expect(events[events.length - 1]).toEqual({ event: 'indexed', data: { chunks: indexed.length } });
+    expect(indexed.length).toBeGreaterThan(0);
+    expect(indexed[0].id).toMatch(/^[0-9a-f]{32}-\d+$/);
+    expect(indexed.map(vector => vector.metadata.section)).toEqual(expect.arrayContaining(['Biometric information', 'Contact']));
+    expect(indexed[0].metadata).toMatchObject({
+      url: 'https://www.example.com/privacy',
+      domain: 'example.com',
+      type: 'privacy',
+      analysisId: result.id,
+      analyzedAt: result.timestamp
+    });
+  });
+
+  test('should replace the chunks of a policy analyzed again', async () => {
+    const store = require('../vector/index.js').createVectorStore(ENV);
+    await createAnalyzer().analyzePolicy('https://www.example.com/privacy', 'privacy', { depth: 'quick' });
+
+    const shorter = createAnalyzer({
+      'https://www.example.com/privacy': '<main><h2>Contact</h2><p>Write to privacy@example.com with any questions about this policy.</p></main>'
+    });
+    await shorter.analyzePolicy('https://www.example.com/privacy', 'privacy', { depth: 'quick' });
+
+    expect([...store.vectors.values()].map(vector => vector.metadata.section)).toEqual(['Contact']);
+  });
+
+  test('should not index without a vector store, or fail the analysis when indexing fails', async () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const { extractDocumentFromText } = require('../utils/fetcher.js');
+    const withoutStore = new PolicyAnalyzer({ LLM_PROVIDER: 'fixture' });
+    withoutStore.fetchPolicyContent = async () => extractDocumentFromText('We collect your email address when you create an account with us and use it for receipts.');
+    const events = [];
+
+    await withoutStore.analyzePolicy('https://example.com/privacy', 'privacy', { onProgress: event => events.push(event) });
+    expect(withoutStore.vectorStore).toBeNull();
+    expect(events).not.toContain('indexed');
+
+    const failing = createAnalyzer();
+    failing.provider.embed = async () => {
+      throw new Error('Embedding model unavailable');
+    };
+    const result = await failing.analyzePolicy('https://www.example.com/privacy', 'privacy', { depth: 'quick' });
+    expect(result.overallRisk).toBeDefined();
+  });
+
+  test('should find clauses across policies, filtered by domain and type', async () => {
+    const analyzer = await analyzeAll();
+
+    const [best] = await analyzer.searchPolicies('policies that mention selling biometric data');
+    expect(best).toMatchObject({
+      url: 'https://www.example.com/privacy',
+      domain: 'example.com',
+      type: 'privacy',
+      section: 'Biometric information',
+      quote: 'We may sell face geometry and fingerprint data collected by our app to marketing partners.'
+    });
+    expect(best.text).toContain(best.quote);
+    expect(best.end - best.start).toBe(best.quote.length);
+
+    const shop = await analyzer.searchPolicies('selling data', { domain: 'www.shop.test' });
+    expect(shop.length).toBeGreaterThan(0);
+    expect(shop.every(match => match.domain === 'shop.test')).toBe(true);
+
+    const terms = await analyzer.searchPolicies('disputes in court', { domain: 'example.com', type: 'terms', limit: 1 });
+    expect(terms).toHaveLength(1);
+    expect(terms[0].section).toBe('Arbitration');
+  });
+});
+
+describe('Search API', () => {
+  beforeEach(() => {
+    require('../vector/index.js').createVectorStore(ENV).clear();
+  });
+
+  function createRequest(query) {
+    return new Request(`https://worker.example/api/search?${new URLSearchParams(query)}`);
+  }
+
+  test('should return the matching clauses', async () => {
+    const { handleSearch } = require('../api/search.js');
+    await analyzeAll();
+
+    const response = await handleSearch(createRequest({ q: 'binding arbitration', type: 'terms' }), ENV);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.filters).toEqual({ domain: null, type: 'terms' });
+    expect(body.results.map(match => match.section)).toEqual(['Arbitration']);
+  });
+
+  test('should reject invalid searches', async () => {
+    const { handleSearch } = require('../api/search.js');
+
+    expect((await handleSearch(createRequest({}), ENV)).status).toBe(400);
+    expect((await handleSearch(createRequest({ q: 'x'.repeat(501) }), ENV)).status).toBe(400);
+    expect((await handleSearch(createRequest({ q: 'arbitration', type: 'eula' }), ENV)).status).toBe(400);
+    expect((await handleSearch(createRequest({ q: 'arbitration', limit: '50' }), ENV)).status).toBe(400);
+    expect((await handleSearch(new Request('https://worker.example/api/search', { method: 'POST' }), ENV)).status).toBe(405);
+
+    const unconfigured = await handleSearch(createRequest({ q: 'arbitration' }), { LLM_PROVIDER: 'fixture' });
+    expect(unconfigured.status).toBe(503);
+  });
+});
\ No newline at end of file
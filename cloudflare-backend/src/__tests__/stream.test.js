@@ -0,0 +1,109 @@
+/**
+ * Tests for streamed analysis over server-sent events
+ */
+
+const POLICY_TEXT = 'Information we collect\n\nWe collect your email address when you create an account and use it to send you receipts for every purchase you make.\n\nHow long we keep it\n\nWe keep your data indefinitely, even after you close your account, unless the law requires us to delete it sooner.';
+
+function parseEvents(body) {
+  return body.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+function createEnv(cached = null) {
+  const stored = [];
+  const cacheStub = {
+    fetch: async (url, init) => {
+      if (url.endsWith('/check')) {
+        return cached ? new Response(JSON.stringify(cached)) : new Response('Not found', { status: 404 });
+      }
+      if (url.endsWith('/match')) {
+        return new Response('Not found', { status: 404 });
+      }
+      stored.push(JSON.parse(init.body));
+      return new Response(JSON.stringify({ success: true }));
+    }
+  };
+
+  return {
+    stored,
+    env: {
+      LLM_PROVIDER: 'fixture',
+      LLM_FIXTURES: JSON.stringify([
+        { match: 'Based on this analysis', response: { executiveSummary: 'Keeps data forever.', recommendations: ['Delete your account'] } },
+        { match: 'excerpt', response: { keyPoints: [{ text: 'Collects email', quote: 'We collect your email address' }], redFlags: [], userRights: [] } }
+      ]),
+      RATE_LIMIT_REQUESTS_PER_MINUTE: 1000,
+      POLICY_CACHE: { idFromName: () => 'global-cache', get: () => cacheStub }
+    }
+  };
+}
+
+function createRequest(body, headers = {}) {
+  return new Request('https://worker.example/api/analyze', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+describe('Streamed analysis', () => {
+  const originalFetch = global.fetch;
+  beforeEach(() => {
+    global.fetch = async () => new Response(POLICY_TEXT, { headers: { 'Content-Type': 'text/plain' } });
+  });
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should emit an event for every stage, then the result', async () => {
+    const { handleAnalyze } = require('../api/analyze.js');
+    const { env, stored } = createEnv();
+    const pending = [];
+
+    const response = await handleAnalyze(createRequest({ url: 'https://example.com/privacy' }, { Accept: 'text/event-stream' }), env, {
+      waitUntil: promise => pending.push(promise)
+    });
+    const events = parseEvents(await response.text());
+    await Promise.all(pending);
+
+    expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+    expect(events.map(({ event }) => event)).toEqual(['fetched', 'chunked', ...events.slice(2, -3).map(() => 'chunk'), 'summary', 'scores', 'result']);
+
+    const chunked = events[1].data;
+    const chunks = events.filter(({ event }) => event === 'chunk').map(({ data }) => data);
+    expect(chunks).toHaveLength(chunked.totalChunks);
+    expect(chunks.map(chunk => chunk.completed)).toEqual(chunks.map((chunk, index) => index + 1));
+    expect(chunks.flatMap(chunk => chunk.keyPoints.map(point => point.text))).toContain('Collects email');
+
+    expect(events.find(({ event }) => event === 'summary').data.executiveSummary).toBe('Keeps data forever.');
+    const { data: result } = events[events.length - 1];
+    expect(result.cached).toBe(false);
+    expect(result.result.overallRisk).toBe(events.find(({ event }) => event === 'scores').data.overallRisk);
+    expect(stored).toHaveLength(1);
+  });
+
+  test('should send a cached result straight away', async () => {
+    const { handleAnalyze } = require('../api/analyze.js');
+    const { env } = createEnv({ result: { schemaVersion: '2.0.0', url: 'https://example.com/privacy' }, timestamp: 1 });
+
+    const response = await handleAnalyze(createRequest({ url: 'https://example.com/privacy', options: { stream: true } }), env, {});
+
+    expect(parseEvents(await response.text())).toEqual([
+      { event: 'result', data: { result: { schemaVersion: '2.0.0', url: 'https://example.com/privacy' }, cached: true, timestamp: 1 } }
+    ]);
+  });
+
+  test('should report failures as an error event', async () => {
+    const { handleAnalyze } = require('../api/analyze.js');
+    const { env } = createEnv();
+    global.fetch = async () => new Response('Gone', { status: 410, statusText: 'Gone' });
+
+    const response = await handleAnalyze(createRequest({ url: 'https://example.com/privacy', options: { stream: true } }), env, {});
+    const events = parseEvents(await response.text());
+
+    expect(events).toEqual([{ event: 'error', data: expect.objectContaining({ error: 'Analysis failed' }) }]);
+    expect(events[0].data.message).toContain('410');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Tests for the structured data-practice taxonomy
+ */
+
+describe('normalizePractice', () => {
+  test('should map model types onto the taxonomy', () => {
+    const { normalizePractice } = require('../llm/taxonomy.js');
+
+    expect(normalizePractice('thirdParties', { type: 'Data Brokers', description: 'Sold to brokers', quote: 'q', name: ' Acme ' }))
+      .toEqual({ type: 'data-brokers', description: 'Sold to brokers', quote: 'q', name: 'Acme' });
+    expect(normalizePractice('retention', { type: 'forever', quote: 'q' }))
+      .toEqual({ type: 'unspecified', description: '', quote: 'q', duration: null });
+    expect(normalizePractice('purposes', { type: 'world domination', quote: 'q' }).type).toBe('other');
+    expect(normalizePractice('unknownCategory', { type: 'x' })).toBeNull();
+  });
+});
+
+describe('mergeDataPractices', () => {
+  test('should combine matching practices and keep every source', () => {
+    const { mergeDataPractices } = require('../llm/taxonomy.js');
+    const practice = (type, section, extra = {}) => ({
+      type, description: `${type} in ${section}`, quote: `quote from ${section}`, start: 0, end: 10,
+      verified: true, section, headingPath: [section], ...extra
+    });
+
+    const merged = mergeDataPractices([
+      { dataCategories: [practice('location', 'Collection')], thirdParties: [practice('advertisers', 'Sharing', { name: 'AdCo' })] },
+      { dataCategories: [practice('location', 'Cookies')], thirdParties: [practice('advertisers', 'Sharing', { name: 'Other Ads' })] }
+    ]);
+
+    expect(merged.dataCategories).toEqual([{
+      type: 'location',
+      description: 'location in Collection',
+      sources: [
+        { section: 'Collection', headingPath: ['Collection'], quote: 'quote from Collection', start: 0, end: 10 },
+        { section: 'Cookies', headingPath: ['Cookies'], quote: 'quote from Cookies', start: 0, end: 10 }
+      ]
+    }]);
+    expect(merged.thirdParties.map(entry => entry.name)).toEqual(['AdCo', 'Other Ads']);
+    expect(merged.internationalTransfers).toEqual([]);
+  });
+});
+
+describe('PolicyAnalyzer data practices', () => {
+  test('should verify practice quotes and link them to their section', () => {
+    const { PolicyAnalyzer } = require('../llm/analyzer.js');
+    const { mergeChunkAnalyses } = require('../llm/aggregate.js');
+    const analyzer = new PolicyAnalyzer({});
+    const chunk = {
+      index: 0,
+      text: 'We transfer your data to the United States under standard contractual clauses.',
+      start: 40,
+      end: 119,
+      headingPath: ['Privacy Policy', 'International transfers'],
+      section: 'International transfers'
+    };
+
+    const section = analyzer.tagChunkAnalysis({
+      keyPoints: [],
+      redFlags: [],
+      userRights: [],
+      dataPractices: {
+        internationalTransfers: [{
+          type: 'standard contractual clauses',
+          description: 'Transfers to the US under SCCs',
+          destination: 'United States',
+          quote: 'transfer your data to the United States under standard contractual clauses'
+        }],
+        retention: [{ type: 'indefinite', description: 'Kept forever', quote: 'We keep your data forever' }]
+      }
+    }, chunk);
+    const merged = mergeChunkAnalyses([section]);
+
+    expect(merged.dataPractices.internationalTransfers).toEqual([{
+      type: 'standard-contractual-clauses',
+      description: 'Transfers to the US under SCCs',
+      destination: 'United States',
+      sources: [{
+        section: 'International transfers',
+        headingPath: ['Privacy Policy', 'International transfers'],
+        quote: 'transfer your data to the United States under standard contractual clauses',
+        start: 43,
+        end: 117
+      }]
+    }]);
+    expect(merged.dataPractices.retention).toEqual([]);
+    expect(merged.unverifiedFindings.map(finding => finding.category)).toEqual(['dataPractices.retention']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * Tests for the policy watchlist and scheduled monitoring
+ */
+
+const { createCacheNamespace, createHistoryNamespace, createWatchlistNamespace } = require('./helpers/durable-objects.js');
+
+const POLICY_V1 = 'Information we collect\n\nWe collect your email address when you create an account and use it to send you receipts for every purchase.\n\nHow long we keep it\n\nWe keep your data for 30 days after you close your account, unless the law requires us to keep it longer.';
+
+const POLICY_V2 = 'Information we collect\n\nWe collect your email address when you create an account and use it to send you receipts for every purchase.\n\nHow long we keep it\n\nWe keep your data indefinitely, even after you close your account, and we may sell your personal information to partners.';
+
+const HOUR = 60 * 60 * 1000;
+
+function createEnv() {
+  return {
+    LLM_PROVIDER: 'fixture',
+    RATE_LIMIT_REQUESTS_PER_MINUTE: 1000,
+    POLICY_CACHE: createCacheNamespace(),
+    POLICY_HISTORY: createHistoryNamespace(),
+    POLICY_WATCHLIST: createWatchlistNamespace()
+  };
+}
+
+function createRequest(body) {
+  return new Request('https://worker.example/api/watchlist', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+async function listEntries(env) {
+  const { handleWatchlist } = require('../api/watchlist.js');
+  return (await (await handleWatchlist(new Request('https://worker.example/api/watchlist'), env)).json()).entries;
+}
+
+describe('Watchlist API', () => {
+  test('should add, list and remove watched policies', async () => {
+    const { handleWatchlist } = require('../api/watchlist.js');
+    const env = createEnv();
+
+    const added = await (await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy', team: 'payments', label: 'Vendor' }), env)).json();
+    expect(added).toMatchObject({ success: true, created: true });
+    expect(added.entry).toMatchObject({
+      url: 'https://vendor.example/privacy',
+      type: 'privacy',
+      depth: 'standard',
+      team: 'payments',
+      status: 'pending',
+      lastCheckedAt: null,
+      risk: { before: null, after: null }
+    });
+
+    const readded = await (await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy', team: 'security' }), env)).json();
+    expect(readded.created).toBe(false);
+    await handleWatchlist(createRequest({ url: 'https://other.example/terms', type: 'terms' }), env);
+
+    expect((await listEntries(env)).map(entry => entry.team)).toEqual(['security', null]);
+    const teamList = await (await handleWatchlist(new Request('https://worker.example/api/watchlist?team=security'), env)).json();
+    expect(teamList.entries.map(entry => entry.url)).toEqual(['https://vendor.example/privacy']);
+
+    expect((await handleWatchlist(createRequest({ action: 'remove', url: 'https://vendor.example/privacy' }), env)).status).toBe(200);
+    expect((await handleWatchlist(createRequest({ action: 'remove', url: 'https://vendor.example/privacy' }), env)).status).toBe(404);
+    expect((await listEntries(env)).map(entry => entry.url)).toEqual(['https://other.example/terms']);
+  });
+
+  test('should watch variants of a URL once', async () => {
+    const { handleWatchlist } = require('../api/watchlist.js');
+    const env = createEnv();
+
+    await handleWatchlist(createRequest({ url: 'https://www.vendor.example/privacy/?utm_source=mail', team: 'payments' }), env);
+    const readded = await (await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy#sharing', team: 'security' }), env)).json();
+
+    expect(readded.created).toBe(false);
+    expect((await listEntries(env)).map(entry => [entry.url, entry.team])).toEqual([['https://vendor.example/privacy', 'security']]);
+    expect((await handleWatchlist(createRequest({ action: 'remove', url: 'https://VENDOR.example/privacy/' }), env)).status).toBe(200);
+    expect(await listEntries(env)).toEqual([]);
+  });
+
+  test('should reject invalid watchlist requests', async () => {
+    const { handleWatchlist } = require('../api/watchlist.js');
+    const env = createEnv();
+
+    expect((await handleWatchlist(createRequest({}), env)).status).toBe(400);
+    expect((await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy', action: 'pause' }), env)).status).toBe(400);
+    expect((await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy', type: 'eula' }), env)).status).toBe(400);
+    expect((await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy', team: 'x'.repeat(101) }), env)).status).toBe(400);
+    expect((await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy' }), {})).status).toBe(503);
+  });
+});
+
+describe('Watchlist monitoring', () => {
+  const originalFetch = global.fetch;
+  let policyText;
+  beforeEach(() => {
+    policyText = POLICY_V1;
+    global.fetch = async () => new Response(policyText, { headers: { 'Content-Type': 'text/plain' } });
+  });
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should analyze new and changed policies and record their status', async () => {
+    const { handleWatchlist } = require('../api/watchlist.js');
+    const { runWatchlistChecks } = require('../monitoring/watchlist.js');
+    const env = createEnv();
+    const start = Date.now();
+    await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy', depth: 'quick' }), env);
+
+    // First check: the baseline analysis
+    expect(await runWatchlistChecks(env, start)).toEqual({ checked: 1, changed: 0, errors: 0 });
+    let [entry] = await listEntries(env);
+    expect(entry).toMatchObject({ status: 'baseline', lastCheckedAt: start, lastChangedAt: null, consecutiveErrors: 0 });
+    expect(entry.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(entry.risk.before).toBeNull();
+    const baselineRisk = entry.risk.after;
+
+    const cacheStub = env.POLICY_CACHE.get('global-cache');
+    const cached = await (await cacheStub.fetch('https://internal/get', {
+      method: 'POST',
+      body: JSON.stringify({ id: entry.analysisId })
+    })).json();
+    expect(cached.result.depth).toBe('quick');
+
+    // Not due again until the check interval has passed
+    expect(await runWatchlistChecks(env, start + HOUR)).toEqual({ checked: 0, changed: 0, errors: 0 });
+
+    // Same text: nothing to analyze
+    expect(await runWatchlistChecks(env, start + 25 * HOUR)).toEqual({ checked: 1, changed: 0, errors: 0 });
+    [entry] = await listEntries(env);
+    expect(entry).toMatchObject({ status: 'unchanged', lastCheckedAt: start + 25 * HOUR, lastChangedAt: null });
+
+    // New text: analyzed again, with the risk before and after the change
+    policyText = POLICY_V2;
+    expect(await runWatchlistChecks(env, start + 50 * HOUR)).toEqual({ checked: 1, changed: 1, errors: 0 });
+    [entry] = await listEntries(env);
+    expect(entry).toMatchObject({ status: 'changed', lastChangedAt: start + 50 * HOUR });
+    expect(entry.risk.before).toEqual(baselineRisk);
+    expect(entry.risk.after.score).toBeGreaterThan(baselineRisk.score);
+
+    const historyStub = env.POLICY_HISTORY.get('https://vendor.example/privacy');
+    const { versions } = await (await historyStub.fetch('https://internal/timeline')).json();
+    expect(versions.map(version => version.version)).toEqual([1, 2]);
+    expect(versions[0].lastSeenAt).toBe(start + 25 * HOUR);
+  });
+
+  test('should record fetch errors and keep the last known state', async () => {
+    const { handleWatchlist } = require('../api/watchlist.js');
+    const { runWatchlistChecks } = require('../monitoring/watchlist.js');
+    const env = createEnv();
+    const start = Date.now();
+    await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy', depth: 'quick' }), env);
+    await runWatchlistChecks(env, start);
+    const [baseline] = await listEntries(env);
+
+    global.fetch = async () => new Response('Unavailable', { status: 503, statusText: 'Service Unavailable' });
+    expect(await runWatchlistChecks(env, start + 25 * HOUR)).toEqual({ checked: 1, changed: 0, errors: 1 });
+    await runWatchlistChecks(env, start + 50 * HOUR);
+
+    const [entry] = await listEntries(env);
+    expect(entry).toMatchObject({
+      status: 'error',
+      lastCheckedAt: start + 50 * HOUR,
+      consecutiveErrors: 2,
+      contentHash: baseline.contentHash,
+      risk: baseline.risk
+    });
+    expect(entry.lastError.at).toBe(start + 50 * HOUR);
+  });
+
+  test('should cache and record a policy under its canonical URL', async () => {
+    const { handleWatchlist } = require('../api/watchlist.js');
+    const { runWatchlistChecks } = require('../monitoring/watchlist.js');
+    const { getAnalysisCacheKey } = require('../utils/cache-keys.js');
+    const env = createEnv();
+    global.fetch = async () => new Response(`<html><head><link rel="canonical" href="/legal/privacy"></head><body><main><p>${policyText}</p></main></body></html>`, {
+      headers: { 'Content-Type': 'text/html' }
+    });
+    await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy', depth: 'quick' }), env);
+
+    await runWatchlistChecks(env, Date.now());
+    const [entry] = await listEntries(env);
+    expect(entry).toMatchObject({ url: 'https://vendor.example/privacy', canonicalUrl: 'https://vendor.example/legal/privacy', status: 'baseline' });
+
+    const historyStub = env.POLICY_HISTORY.get('https://vendor.example/legal/privacy');
+    const { versions } = await (await historyStub.fetch('https://internal/timeline')).json();
+    expect(versions).toHaveLength(1);
+
+    // The watched URL reaches the analysis as an alias of the canonical one
+    const cached = await (await env.POLICY_CACHE.get('global-cache').fetch('https://internal/check', {
+      method: 'POST',
+      body: JSON.stringify({ url: 'https://vendor.example/privacy', key: getAnalysisCacheKey('https://vendor.example/privacy', 'privacy', 'quick') })
+    })).json();
+    expect(cached.result).toMatchObject({ id: entry.analysisId, url: 'https://vendor.example/legal/privacy' });
+
+    // Watching the canonical URL finds the same entry
+    const readded = await (await handleWatchlist(createRequest({ url: 'https://vendor.example/legal/privacy', depth: 'quick' }), env)).json();
+    expect(readded.created).toBe(false);
+    expect(await listEntries(env)).toHaveLength(1);
+  });
+
+  test('should run from the cron handler', async () => {
+    const { scheduled } = require('../index.js');
+    const env = createEnv();
+    const { handleWatchlist } = require('../api/watchlist.js');
+    await handleWatchlist(createRequest({ url: 'https://vendor.example/privacy', depth: 'quick' }), env);
+
+    await scheduled({ scheduledTime: Date.now() }, env, {});
+
+    const [entry] = await listEntries(env);
+    expect(entry.status).toBe('baseline');
+  });
+});
\ No newline at end of file
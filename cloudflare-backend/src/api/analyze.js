@@ -5,6 +5,12 @@
 
 import { PolicyAnalyzer } from '../llm/analyzer.js';
 import { PolicyCache } from '../durable-objects/policy-cache.js';
+import { resolveAnalysisDepth } from '../llm/depth.js';
+import { validateAnalysisType } from '../llm/profiles.js';
+import { migrateResult, resolveResultSchemaVersion } from '../llm/result-schema.js';
+import { getAnalysisCacheKey, getContentCacheKey } from '../utils/cache-keys.js';
+import { resolveCanonicalUrl } from '../utils/canonical-url.js';
+import { createEventStream, wantsEventStream } from '../utils/sse.js';
 import { validatePolicyUrl, checkRateLimit } from '../utils/validation.js';
 
 export async function handleAnalyze(request, env, ctx) {
@@ -60,6 +66,24 @@ export async function handleAnalyze(request, env, ctx) {
       });
     }
 
+    // Each policy type and depth mode is analyzed and cached separately;
+    // results are returned in the schema version the client asks for
+    let depth;
+    let schemaVersion;
+    try {
+      validateAnalysisType(type);
+      depth = resolveAnalysisDepth(options);
+      schemaVersion = resolveResultSchemaVersion(options.schemaVersion);
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     // Rate limiting (simple implementation)
     const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
     try {
@@ -74,21 +98,32 @@ export async function handleAnalyze(request, env, ctx) {
       });
     }
 
-    // Check cache first
     const cacheId = env.POLICY_CACHE.idFromName('global-cache');
     const cacheStub = env.POLICY_CACHE.get(cacheId);
+    const cacheKey = getAnalysisCacheKey(url, type, depth);
+    const job = { request, env, cacheStub, cacheKey, url, type, options: { ...options, depth } };
 
-    const cacheResponse = await cacheStub.fetch(`${request.url}/check`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url })
-    });
+    // Streaming mode reports each stage as a server-sent event
+    if (wantsEventStream(request, options)) {
+      const stream = createEventStream();
+      const streaming = streamAnalysis(job, schemaVersion, stream);
+      if (ctx && ctx.waitUntil) ctx.waitUntil(streaming);
 
-    if (cacheResponse.status === 200) {
-      const cachedData = await cacheResponse.json();
+      return new Response(stream.readable, {
+        headers: {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+
+    // Check cache first, unless the client asks to re-fetch the policy to
+    // find out whether its text changed
+    const cachedData = options.revalidate ? null : await getCachedAnalysis(job);
+    if (cachedData) {
       return new Response(JSON.stringify({
         success: true,
-        result: cachedData.result,
+        result: migrateResult(cachedData.result, schemaVersion),
         cached: true,
         timestamp: cachedData.timestamp
       }), {
@@ -96,28 +131,14 @@ export async function handleAnalyze(request, env, ctx) {
       });
     }
 
-    // Perform analysis
-    console.log(`Analyzing policy: ${url}`);
-
-    const analyzer = new PolicyAnalyzer(env);
-    const analysisResult = await analyzer.analyzePolicy(url, type, options);
-
-    // Cache the result
-    await cacheStub.fetch(`${request.url}/store`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        url,
-        result: analysisResult,
-        ttlMinutes: env.ANALYSIS_CACHE_TTL_MINUTES || 30
-      })
-    });
+    const { result, cached, timestamp, contentChanged } = await runAnalysis(job);
 
     return new Response(JSON.stringify({
       success: true,
-      result: analysisResult,
-      cached: false,
-      timestamp: Date.now()
+      result: migrateResult(result, schemaVersion),
+      cached,
+      contentChanged,
+      timestamp
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
@@ -134,4 +155,153 @@ export async function handleAnalyze(request, env, ctx) {
       headers: { 'Content-Type': 'application/json' }
     });
   }
+}
+
+/**
+ * The cached result for a job, or null when it has not been analyzed.
+ * A hit records `alias` (by default the job's own URL) against the entry.
+ */
+export async function getCachedAnalysis({ request, cacheStub, cacheKey, url }, alias = { url, key: cacheKey }) {
+  const cacheResponse = await cacheStub.fetch(`${request.url}/check`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url, key: cacheKey, alias })
+  });
+
+  return cacheResponse.status === 200 ? cacheResponse.json() : null;
+}
+
+/**
+ * The latest result analyzed from the text with `contentKey` at any URL,
+ * or null when that text has not been analyzed
+ */
+async function findAnalysisByContent({ request, cacheStub }, contentKey) {
+  const matchResponse = await cacheStub.fetch(`${request.url}/match`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ key: contentKey })
+  });
+
+  return matchResponse.status === 200 ? matchResponse.json() : null;
+}
+
+/**
+ * Fetches the policy and works out its canonical URL from the redirects
+ * and the canonical URL the page declares. A policy already cached under
+ * that URL is reused while its text hash matches. Text analyzed before, at
+ * this URL after its cache entry expired or at another URL, reuses that
+ * analysis. `contentChanged` is set when the text differs from the latest
+ * version in the policy's history. The result is cached under the
+ * canonical URL, with the requested URL as an alias. Resolves to
+ * `{ result, cached, timestamp, contentChanged }`.
+ */
+export async function runAnalysis(job, onProgress) {
+  const { request, env, cacheStub, cacheKey, url, type, options } = job;
+  const analyzer = new PolicyAnalyzer(env);
+
+  const document = await analyzer.fetchPolicyContent(url);
+  const snapshot = await analyzer.snapshotDocument(document, type);
+  const canonicalUrl = resolveCanonicalUrl(url, document);
+  const canonicalKey = getAnalysisCacheKey(canonicalUrl, type, options.depth);
+
+  const cachedData = await getCachedAnalysis({ ...job, cacheKey: canonicalKey, url: canonicalUrl }, { url, key: cacheKey });
+  if (cachedData && cachedData.result.contentHash === snapshot.hash) {
+    return { result: cachedData.result, cached: true, timestamp: cachedData.timestamp, contentChanged: false };
+  }
+
+  // The history outlives the cache; results cached before content hashes
+  // were recorded cannot tell
+  let latestVersion = null;
+  try {
+    latestVersion = await analyzer.getLatestVersion(canonicalUrl);
+  } catch (error) {
+    console.error('Policy history error:', error);
+  }
+  const previousHash = latestVersion ? latestVersion.hash : cachedData && cachedData.result.contentHash;
+  const contentChanged = Boolean(previousHash) && previousHash !== snapshot.hash;
+
+  let analysisResult;
+  const duplicate = await findAnalysisByContent(job, getContentCacheKey(snapshot.hash, type, options.depth));
+  if (duplicate && duplicate.url === canonicalUrl) {
+    // Unchanged text whose cache entry expired: its analysis still stands
+    console.log(`Reusing earlier analysis of unchanged policy: ${canonicalUrl}`);
+    analysisResult = duplicate.result;
+  } else if (duplicate) {
+    // Identical text: the analysis stands, only the URL it was found at is new
+    console.log(`Reusing analysis of ${duplicate.url} for identical policy: ${canonicalUrl}`);
+    analysisResult = {
+      ...duplicate.result,
+      url: canonicalUrl,
+      format: document.format,
+      contentLength: document.text.length,
+      duplicateOf: duplicate.result.duplicateOf || { url: duplicate.url, analysisId: duplicate.result.id },
+      id: crypto.randomUUID(),
+      timestamp: Date.now()
+    };
+
+    // Makes the text searchable under this URL too
+    try {
+      await analyzer.indexPolicy(analysisResult, analyzer.preprocessContent(document, type));
+    } catch (error) {
+      console.error('Policy indexing error:', error);
+    }
+  } else {
+    console.log(`Analyzing policy: ${canonicalUrl}`);
+    analysisResult = await analyzer.analyzePolicy(canonicalUrl, type, { ...options, document, onProgress });
+  }
+
+  if (duplicate) {
+    // Marks the text as seen at this URL now
+    try {
+      await analyzer.recordVersion({ ...analysisResult, timestamp: Date.now() }, snapshot);
+    } catch (error) {
+      console.error('Policy history error:', error);
+    }
+  }
+
+  await cacheStub.fetch(`${request.url}/store`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      url: canonicalUrl,
+      key: canonicalKey,
+      result: analysisResult,
+      ttlMinutes: env.ANALYSIS_CACHE_TTL_MINUTES || 30,
+      aliases: [{ url, key: cacheKey }]
+    })
+  });
+
+  return { result: analysisResult, cached: Boolean(duplicate), timestamp: Date.now(), contentChanged };
+}
+
+/**
+ * Streams an analysis as server-sent events: the analyzer's stage events,
+ * then `result` with the full result, or `error` if the analysis failed.
+ * A cached result is sent as `result` straight away.
+ */
+async function streamAnalysis(job, schemaVersion, stream) {
+  try {
+    const cachedData = job.options.revalidate ? null : await getCachedAnalysis(job);
+    if (cachedData) {
+      stream.send('result', {
+        result: migrateResult(cachedData.result, schemaVersion),
+        cached: true,
+        timestamp: cachedData.timestamp
+      });
+      return;
+    }
+
+    const { result, cached, timestamp, contentChanged } = await runAnalysis(job, (event, data) => stream.send(event, data));
+    stream.send('result', {
+      result: migrateResult(result, schemaVersion),
+      cached,
+      contentChanged,
+      timestamp
+    });
+  } catch (error) {
+    console.error('Analyze stream error:', error);
+    stream.send('error', { error: 'Analysis failed', message: error.message });
+  } finally {
+    await stream.close();
+  }
 }
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Ask API endpoint
+ * Answers a question about a policy from its most relevant passages
+ */
+
+import { PolicyAnalyzer } from '../llm/analyzer.js';
+import { validateAnalysisType } from '../llm/profiles.js';
+import { MAX_QUESTION_LENGTH } from '../llm/qa.js';
+import { validatePolicyUrl, checkRateLimit } from '../utils/validation.js';
+
+export async function handleAsk(request, env, ctx) {
+  try {
+    if (request.method !== 'POST') {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Method not allowed'
+      }), {
+        status: 405,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Invalid JSON body'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const { analysisId } = body;
+    let { url, type = 'privacy' } = body;
+    const question = typeof body.question === 'string' ? body.question.trim() : '';
+
+    if (!question || question.length > MAX_QUESTION_LENGTH) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: `A question of at most ${MAX_QUESTION_LENGTH} characters is required`
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (!url && !analysisId) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Either url or analysisId is required'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // A cached analysis supplies the policy URL and type
+    if (analysisId) {
+      const cacheId = env.POLICY_CACHE.idFromName('global-cache');
+      const cacheStub = env.POLICY_CACHE.get(cacheId);
+      // The request URL may carry a query string, so it cannot be extended with a path
+      const cacheResponse = await cacheStub.fetch('https://internal/get', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: analysisId })
+      });
+
+      if (cacheResponse.status !== 200) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: 'Analysis not found in cache'
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const { result } = await cacheResponse.json();
+      url = result.url;
+      type = result.type;
+    }
+
+    try {
+      validatePolicyUrl(url);
+      validateAnalysisType(type);
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+    try {
+      checkRateLimit(clientIP, env);
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Rate limit exceeded. Please try again later.'
+      }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const analyzer = new PolicyAnalyzer(env);
+    const answer = await analyzer.answerQuestion(url, question, type);
+
+    return new Response(JSON.stringify({
+      success: true,
+      result: answer
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Ask API error:', error);
+
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Question failed',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Compare API endpoint
+ * Analyzes two or more privacy policies (or reuses their cached analyses)
+ * and compares them dimension by dimension
+ */
+
+import { getCachedAnalysis, runAnalysis } from './analyze.js';
+import { MAX_COMPARED_POLICIES, comparePolicies } from '../llm/compare.js';
+import { resolveAnalysisDepth } from '../llm/depth.js';
+import { migrateResult } from '../llm/result-schema.js';
+import { getAnalysisCacheKey } from '../utils/cache-keys.js';
+import { normalizeUrl } from '../utils/canonical-url.js';
+import { validatePolicyUrl, checkRateLimit } from '../utils/validation.js';
+
+export async function handleCompare(request, env, ctx) {
+  try {
+    if (request.method !== 'POST') {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Method not allowed'
+      }), {
+        status: 405,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Invalid JSON body'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const { urls, options = {} } = body;
+
+    // Every policy is analyzed at the same depth, so they are compared like for like
+    let depth;
+    try {
+      if (!Array.isArray(urls) || urls.length < 2 || urls.length > MAX_COMPARED_POLICIES) {
+        throw new Error(`urls must list between 2 and ${MAX_COMPARED_POLICIES} policy URLs`);
+      }
+      urls.forEach(url => validatePolicyUrl(url));
+      if (new Set(urls.map(normalizeUrl)).size !== urls.length) {
+        throw new Error('urls must not repeat a policy');
+      }
+      depth = resolveAnalysisDepth(options);
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+    try {
+      checkRateLimit(clientIP, env);
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Rate limit exceeded. Please try again later.'
+      }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const cacheStub = env.POLICY_CACHE.get(env.POLICY_CACHE.idFromName('global-cache'));
+    const results = [];
+    const cached = [];
+
+    // One at a time: each analysis already fans out over the policy's chunks
+    for (const url of urls) {
+      const job = {
+        request,
+        env,
+        cacheStub,
+        cacheKey: getAnalysisCacheKey(url, 'privacy', depth),
+        url,
+        type: 'privacy',
+        options: { depth }
+      };
+
+      const cachedData = await getCachedAnalysis(job);
+      const analyzed = cachedData ? { result: cachedData.result, cached: true } : await runAnalysis(job);
+      results.push(migrateResult(analyzed.result));
+      cached.push(analyzed.cached);
+    }
+
+    const comparison = comparePolicies(results);
+    comparison.policies.forEach((policy, index) => {
+      policy.cached = cached[index];
+    });
+
+    return new Response(JSON.stringify({
+      success: true,
+      depth,
+      ...comparison
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Compare API error:', error);
+
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Comparison failed',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 
 import { validatePolicyUrl } from '../utils/validation.js';
+import { detectDocumentFormat, extractDocumentFromResponse } from '../utils/fetcher.js';
 
 export async function handleDetect(request, env, ctx) {
   try {
@@ -60,7 +61,8 @@ export async function handleDetect(request, env, ctx) {
       const response = await fetch(url, {
         method: 'GET',
         headers: {
-          'User-Agent': 'Privacy-Policy-Analyzer/1.0'
+          'User-Agent': 'Privacy-Policy-Analyzer/1.0',
+          'Accept': 'text/html,application/xhtml+xml,application/pdf,text/plain;q=0.9,*/*;q=0.8'
         }
       });
 
@@ -74,20 +76,23 @@ export async function handleDetect(request, env, ctx) {
         });
       }
 
-      const content = await response.text();
       const contentType = response.headers.get('content-type') || '';
+      const format = detectDocumentFormat(contentType, url);
 
-      // Check if it's HTML
-      if (!contentType.includes('text/html')) {
+      // Check if it's a document we can analyze
+      if (!format) {
         return new Response(JSON.stringify({
           success: false,
-          error: 'URL does not appear to be an HTML page'
+          error: 'URL does not appear to be an HTML, PDF or plain-text document'
         }), {
           status: 400,
           headers: { 'Content-Type': 'application/json' }
         });
       }
 
+      const document = await extractDocumentFromResponse(response, url);
+      const content = document.text;
+
       // Look for privacy policy indicators
       const policyIndicators = [
         /privacy\s+policy/i,
@@ -105,6 +110,7 @@ export async function handleDetect(request, env, ctx) {
         success: true,
         isPolicy: hasPolicyContent,
         url: url,
+        format,
         contentLength: content.length,
         indicators: policyIndicators.map(p => p.source).filter(p =>
           new RegExp(p, 'i').test(content)
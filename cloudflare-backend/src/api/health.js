@@ -3,6 +3,8 @@
  * Provides service status and diagnostics
  */
 
+import { createLLMProvider } from '../llm/providers/index.js';
+
 export async function handleHealth(request, env, ctx) {
   try {
     const health = {
@@ -13,10 +15,12 @@ export async function handleHealth(request, env, ctx) {
       checks: {}
     };
 
-    // Check AI binding
+    // Check the LLM provider
     try {
-      if (env.AI) {
+      const provider = createLLMProvider(env);
+      if (provider) {
         health.checks.ai = 'available';
+        health.checks.llmProvider = { name: provider.name, model: provider.model };
       } else {
         health.checks.ai = 'unavailable';
         health.status = 'degraded';
@@ -0,0 +1,172 @@
+/**
+ * History API endpoint
+ * Lists the recorded versions of a policy and diffs any two of them
+ */
+
+import { PolicyAnalyzer } from '../llm/analyzer.js';
+import { validateAnalysisType } from '../llm/profiles.js';
+import { diffSnapshots, restoreSections } from '../llm/versions.js';
+import { normalizeUrl, resolveCanonicalUrl } from '../utils/canonical-url.js';
+import { validatePolicyUrl, checkRateLimit } from '../utils/validation.js';
+
+/**
+ * Finds the history a policy's versions are recorded in. Versions are
+ * recorded under the canonical URL of each analysis, so a URL with no
+ * versions of its own is fetched to resolve its canonical URL. Resolves to
+ * `{ url, historyStub, versions }`.
+ */
+async function findHistory(env, policyUrl) {
+  const readHistory = async url => {
+    const historyStub = env.POLICY_HISTORY.get(env.POLICY_HISTORY.idFromName(url));
+    const { versions } = await (await historyStub.fetch('https://internal/timeline')).json();
+    return { url, historyStub, versions };
+  };
+
+  const history = await readHistory(normalizeUrl(policyUrl));
+  if (history.versions.length > 0) return history;
+
+  let canonicalUrl;
+  try {
+    canonicalUrl = resolveCanonicalUrl(policyUrl, await new PolicyAnalyzer(env).fetchPolicyContent(policyUrl));
+  } catch (error) {
+    // A policy that cannot be fetched only has the versions under its own URL
+    return history;
+  }
+  return canonicalUrl === history.url ? history : readHistory(canonicalUrl);
+}
+
+export async function handleHistory(request, env, ctx) {
+  try {
+    if (request.method !== 'GET') {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Method not allowed'
+      }), {
+        status: 405,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const url = new URL(request.url);
+    const policyUrl = url.searchParams.get('url');
+    const type = url.searchParams.get('type') || 'privacy';
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+
+    try {
+      if (!policyUrl) throw new Error('URL is required');
+      validatePolicyUrl(policyUrl);
+      validateAnalysisType(type);
+      if ((from === null) !== (to === null)) throw new Error('from and to must be given together');
+      if (from !== null && !(/^\d+$/.test(from) && /^\d+$/.test(to))) throw new Error('from and to must be version numbers');
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (!env.POLICY_HISTORY) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Version history is not configured'
+      }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // A lookup may fetch the policy and a diff is summarized by the model,
+    // so both count towards the rate limit
+    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+    try {
+      checkRateLimit(clientIP, env);
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Rate limit exceeded. Please try again later.'
+      }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const { url: canonicalUrl, historyStub, versions } = await findHistory(env, policyUrl);
+
+    if (versions.length === 0) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'No versions recorded for this URL'
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (from === null) {
+      return new Response(JSON.stringify({
+        success: true,
+        url: canonicalUrl,
+        versions
+      }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const snapshots = [];
+    for (const version of [Number(from), Number(to)]) {
+      const snapshotResponse = await historyStub.fetch('https://internal/snapshot', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version })
+      });
+
+      if (snapshotResponse.status !== 200) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: `Version ${version} not found`
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      const snapshot = await snapshotResponse.json();
+      snapshots.push({ ...snapshot, sections: restoreSections(snapshot.text, snapshot.outline) });
+    }
+
+    const [before, after] = snapshots;
+    const diff = diffSnapshots(before, after);
+    const analyzer = new PolicyAnalyzer(env);
+    const summary = await analyzer.summarizeChanges(diff, type, { from: before.fetchedAt, to: after.fetchedAt });
+
+    return new Response(JSON.stringify({
+      success: true,
+      url: canonicalUrl,
+      versions,
+      diff: {
+        from: before.version,
+        to: after.version,
+        stats: diff.stats,
+        changes: diff.changes,
+        summary
+      }
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('History API error:', error);
+
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'History lookup failed',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
\ No newline at end of file
@@ -1,8 +1,12 @@
 /**
  * Results API endpoint
- * Retrieves cached analysis results by ID
+ * Retrieves cached analysis results by ID, or by any URL that resolved to
+ * the policy
  */
 
+import { migrateResult, resolveResultSchemaVersion } from '../llm/result-schema.js';
+import { getAnalysisCacheKey } from '../utils/cache-keys.js';
+
 export async function handleResults(request, env, ctx) {
   try {
     if (request.method !== 'GET') {
@@ -18,6 +22,21 @@ export async function handleResults(request, env, ctx) {
     const url = new URL(request.url);
     const resultId = url.searchParams.get('id');
     const resultUrl = url.searchParams.get('url');
+    const resultType = url.searchParams.get('type') || 'privacy';
+    const resultDepth = url.searchParams.get('depth') || 'standard';
+
+    let schemaVersion;
+    try {
+      schemaVersion = resolveResultSchemaVersion(url.searchParams.get('schemaVersion'));
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
 
     if (!resultId && !resultUrl) {
       return new Response(JSON.stringify({
@@ -33,12 +52,14 @@ export async function handleResults(request, env, ctx) {
     const cacheId = env.POLICY_CACHE.idFromName('global-cache');
     const cacheStub = env.POLICY_CACHE.get(cacheId);
 
-    const cacheResponse = await cacheStub.fetch(`${request.url}/get`, {
+    // The request URL carries the query string, so it cannot be extended with a path
+    const cacheResponse = await cacheStub.fetch('https://internal/get', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         id: resultId,
-        url: resultUrl
+        url: resultUrl,
+        key: resultUrl ? getAnalysisCacheKey(resultUrl, resultType, resultDepth) : undefined
       })
     });
 
@@ -66,7 +87,9 @@ export async function handleResults(request, env, ctx) {
 
     return new Response(JSON.stringify({
       success: true,
-      result: cachedData.result,
+      result: migrateResult(cachedData.result, schemaVersion),
+      url: cachedData.url,
+      aliases: cachedData.aliases,
       timestamp: cachedData.timestamp,
       expiresAt: cachedData.expiresAt
     }), {
@@ -0,0 +1,26 @@
+/**
+ * Schema API endpoint
+ * Serves the JSON Schema of the current analysis result version
+ */
+
+import { RESULT_JSON_SCHEMA, RESULT_SCHEMA_VERSION, RESULT_SCHEMA_VERSIONS } from '../llm/result-schema.js';
+
+export async function handleSchema(request, env, ctx) {
+  if (request.method !== 'GET') {
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Method not allowed'
+    }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  return new Response(JSON.stringify(RESULT_JSON_SCHEMA), {
+    headers: {
+      'Content-Type': 'application/schema+json',
+      'X-Result-Schema-Version': RESULT_SCHEMA_VERSION,
+      'X-Supported-Result-Schema-Versions': RESULT_SCHEMA_VERSIONS.join(', ')
+    }
+  });
+}
\ No newline at end of file
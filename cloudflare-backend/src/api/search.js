@@ -0,0 +1,101 @@
+/**
+ * Search API endpoint
+ * Finds clauses across every analyzed policy by meaning
+ */
+
+import { PolicyAnalyzer } from '../llm/analyzer.js';
+import { validateAnalysisType } from '../llm/profiles.js';
+import { DEFAULT_SEARCH_RESULTS, MAX_SEARCH_QUERY_LENGTH, MAX_SEARCH_RESULTS, normalizeDomain } from '../llm/semantic-index.js';
+import { checkRateLimit } from '../utils/validation.js';
+
+export async function handleSearch(request, env, ctx) {
+  try {
+    if (request.method !== 'GET') {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Method not allowed'
+      }), {
+        status: 405,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const url = new URL(request.url);
+    const query = (url.searchParams.get('q') || '').trim();
+    const domain = normalizeDomain(url.searchParams.get('domain'));
+    const type = url.searchParams.get('type') || null;
+    const limit = url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : DEFAULT_SEARCH_RESULTS;
+
+    if (!query || query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: `A query (q) of at most ${MAX_SEARCH_QUERY_LENGTH} characters is required`
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    try {
+      if (type) validateAnalysisType(type);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+        throw new Error(`limit must be an integer from 1 to ${MAX_SEARCH_RESULTS}`);
+      }
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const analyzer = new PolicyAnalyzer(env);
+    if (!analyzer.provider || !analyzer.vectorStore) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Search is not configured'
+      }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+    try {
+      checkRateLimit(clientIP, env);
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Rate limit exceeded. Please try again later.'
+      }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const results = await analyzer.searchPolicies(query, { domain, type, limit });
+
+    return new Response(JSON.stringify({
+      success: true,
+      query,
+      filters: { domain, type },
+      results
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Search API error:', error);
+
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Search failed',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
\ No newline at end of file
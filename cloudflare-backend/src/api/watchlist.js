@@ -0,0 +1,146 @@
+/**
+ * Watchlist API endpoint
+ * Lists, adds and removes the policies the scheduled monitor re-checks
+ */
+
+import { resolveAnalysisDepth } from '../llm/depth.js';
+import { validateAnalysisType } from '../llm/profiles.js';
+import { getWatchlistStub } from '../monitoring/watchlist.js';
+import { validatePolicyUrl, checkRateLimit } from '../utils/validation.js';
+
+const MAX_TAG_LENGTH = 100;
+
+export async function handleWatchlist(request, env, ctx) {
+  try {
+    if (!env.POLICY_WATCHLIST) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'The watchlist is not configured'
+      }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const watchlistStub = getWatchlistStub(env);
+
+    // GET lists the watched policies, optionally only one team's
+    if (request.method === 'GET') {
+      const team = new URL(request.url).searchParams.get('team');
+      const { entries } = await (await watchlistStub.fetch('https://internal/list')).json();
+
+      return new Response(JSON.stringify({
+        success: true,
+        entries: team ? entries.filter(entry => entry.team === team) : entries
+      }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (request.method !== 'POST') {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Method not allowed'
+      }), {
+        status: 405,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Invalid JSON body'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const { action = 'add', url, type = 'privacy', team = null, label = null } = body;
+
+    let depth;
+    try {
+      if (!['add', 'remove'].includes(action)) throw new Error('action must be add or remove');
+      if (!url) throw new Error('URL is required');
+      validatePolicyUrl(url);
+      validateAnalysisType(type);
+      depth = resolveAnalysisDepth(body);
+      for (const [field, value] of [['team', team], ['label', label]]) {
+        if (value !== null && (typeof value !== 'string' || value.length > MAX_TAG_LENGTH)) {
+          throw new Error(`${field} must be a string of at most ${MAX_TAG_LENGTH} characters`);
+        }
+      }
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+    try {
+      checkRateLimit(clientIP, env);
+    } catch (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Rate limit exceeded. Please try again later.'
+      }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const watchlistResponse = await watchlistStub.fetch(`https://internal/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url, type, depth, team, label })
+    });
+
+    if (watchlistResponse.status === 404) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Policy is not on the watchlist'
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const data = await watchlistResponse.json();
+    if (!watchlistResponse.ok) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: data.error
+      }), {
+        status: watchlistResponse.status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      ...(action === 'add' ? { entry: data.entry, created: data.created } : {})
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('Watchlist API error:', error);
+
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Watchlist update failed',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
\ No newline at end of file
@@ -1,12 +1,34 @@
 /**
  * PolicyCache Durable Object
- * Caches analyzed privacy policies for performance
+ * Caches analyzed privacy policies for performance. Entries are keyed by
+ * canonical URL; other URLs that resolved to one are kept as its aliases.
+ * The analysis of each text is also kept by the hash of that text, each
+ * under its own storage key and for much longer than the cache entries, so
+ * identical text found again, at any URL, can reuse it.
  */
 
+import { RESULT_SCHEMA_VERSION, getResultSchemaVersion, migrateResult } from '../llm/result-schema.js';
+import { getContentCacheKey } from '../utils/cache-keys.js';
+
+export const MAX_ALIASES_PER_ENTRY = 100;
+
+// Analyses kept by content: the least recently used go first past the cap,
+// and any unused for the retention period are removed by cleanup
+export const MAX_CONTENT_ENTRIES = 2000;
+export const CONTENT_RETENTION_DAYS = 90;
+
+// Results cached before content hashes were recorded are not indexed
+function getEntryContentKey(entry) {
+  const { contentHash, type, depth } = entry.result || {};
+  return contentHash ? getContentCacheKey(contentHash, type, depth) : null;
+}
+
 export class PolicyCache {
   constructor(state) {
     this.state = state;
     this.cache = new Map();
+    this.aliases = new Map();
+    this.contents = new Map();
     this.initialized = false;
   }
 
@@ -19,6 +41,18 @@ export class PolicyCache {
       this.cache = new Map(stored);
     }
 
+    // Alias cache keys, each pointing at the key of the entry it resolved to
+    const aliases = await this.state.storage.get('aliases');
+    if (aliases) {
+      this.aliases = new Map(aliases);
+    }
+
+    // Content keys, each with when its analysis was last stored or reused
+    const contents = await this.state.storage.get('contents');
+    if (contents) {
+      this.contents = new Map(contents);
+    }
+
     this.initialized = true;
   }
 
@@ -35,6 +69,10 @@ export class PolicyCache {
       return this.handleCheck(request);
     }
 
+    if (request.method === 'POST' && url.pathname.endsWith('/match')) {
+      return this.handleMatch(request);
+    }
+
     if (request.method === 'POST' && url.pathname.endsWith('/get')) {
       return this.handleGet(request);
     }
@@ -52,7 +90,7 @@ export class PolicyCache {
 
   async handleStore(request) {
     try {
-      const { url, result, ttlMinutes = 30 } = await request.json();
+      const { url, key, result, ttlMinutes = 30, aliases = [] } = await request.json();
 
       if (!url || !result) {
         return new Response(JSON.stringify({ error: 'URL and result are required' }), {
@@ -61,18 +99,36 @@ export class PolicyCache {
         });
       }
 
+      // Entries are keyed per type and depth when the caller provides a key.
+      // A new result keeps the aliases of the one it replaces.
+      const entryKey = key || url;
+      const existing = this.cache.get(entryKey);
       const expiresAt = Date.now() + (ttlMinutes * 60 * 1000);
       const cacheEntry = {
+        url,
+        aliases: existing ? existing.aliases || [] : [],
         result,
         timestamp: Date.now(),
         expiresAt,
         ttlMinutes
       };
 
-      this.cache.set(url, cacheEntry);
+      this.cache.set(entryKey, cacheEntry);
+      this.aliases.delete(entryKey);
+      for (const alias of aliases) {
+        this.addAlias(entryKey, alias);
+      }
+
+      // The latest analysis of the text, kept apart from the expiring entries
+      const contentKey = getEntryContentKey(cacheEntry);
+      if (contentKey) {
+        await this.state.storage.put(`content:${contentKey}`, { url, result, timestamp: cacheEntry.timestamp });
+        this.touchContent(contentKey);
+      }
 
       // Persist to storage
-      await this.state.storage.put('cache', Array.from(this.cache.entries()));
+      await this.persist();
+      await this.evictContents(this.contents.size - MAX_CONTENT_ENTRIES);
 
       // Set up alarm for cleanup
       await this.state.storage.setAlarm(expiresAt);
@@ -92,7 +148,7 @@ export class PolicyCache {
 
   async handleCheck(request) {
     try {
-      const { url } = await request.json();
+      const { url, key, alias = null } = await request.json();
 
       if (!url) {
         return new Response(JSON.stringify({ error: 'URL is required' }), {
@@ -101,12 +157,20 @@ export class PolicyCache {
         });
       }
 
-      const cached = this.cache.get(url);
-      if (cached && cached.expiresAt > Date.now()) {
+      // A hit records the URL it was reached by (`alias`) against the entry
+      const entryKey = this.resolveKey(key || url);
+      const cached = entryKey ? await this.readEntry(entryKey) : null;
+      if (cached) {
+        if (alias && this.addAlias(entryKey, alias)) {
+          await this.persist();
+        }
+
         return new Response(JSON.stringify({
           result: cached.result,
           timestamp: cached.timestamp,
-          expiresAt: cached.expiresAt
+          expiresAt: cached.expiresAt,
+          url: cached.url,
+          aliases: cached.aliases || []
         }), {
           headers: { 'Content-Type': 'application/json' }
         });
@@ -123,30 +187,71 @@ export class PolicyCache {
     }
   }
 
-  async handleGet(request) {
+  /**
+   * Finds the latest analysis of the text with the given content key,
+   * whatever URL it was fetched from and however long ago
+   */
+  async handleMatch(request) {
     try {
-      const { id, url } = await request.json();
+      const { key } = await request.json();
 
-      let cacheKey = url;
-      if (id) {
-        // If ID is provided, we need to find by ID (not implemented yet)
-        // For now, assume URL is provided
-        cacheKey = url;
+      if (!key) {
+        return new Response(JSON.stringify({ error: 'Content key is required' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const stored = this.contents.has(key) ? await this.state.storage.get(`content:${key}`) : null;
+      if (stored) {
+        if (getResultSchemaVersion(stored.result) !== RESULT_SCHEMA_VERSION) {
+          stored.result = migrateResult(stored.result);
+          await this.state.storage.put(`content:${key}`, stored);
+        }
+        this.touchContent(key);
+        await this.state.storage.put('contents', Array.from(this.contents.entries()));
+
+        return new Response(JSON.stringify({
+          result: stored.result,
+          timestamp: stored.timestamp,
+          url: stored.url
+        }), {
+          headers: { 'Content-Type': 'application/json' }
+        });
       }
 
-      if (!cacheKey) {
+      return new Response('Not found', { status: 404 });
+
+    } catch (error) {
+      console.error('Match error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  async handleGet(request) {
+    try {
+      const { id, url, key } = await request.json();
+
+      if (!id && !key && !url) {
         return new Response(JSON.stringify({ error: 'URL or ID is required' }), {
           status: 400,
           headers: { 'Content-Type': 'application/json' }
         });
       }
 
-      const cached = this.cache.get(cacheKey);
-      if (cached && cached.expiresAt > Date.now()) {
+      // Results are looked up by their ID when one is given
+      const cacheKey = id ? this.findKeyById(id) : this.resolveKey(key || url);
+      const cached = cacheKey ? await this.readEntry(cacheKey) : null;
+      if (cached) {
         return new Response(JSON.stringify({
           result: cached.result,
           timestamp: cached.timestamp,
-          expiresAt: cached.expiresAt
+          expiresAt: cached.expiresAt,
+          url: cached.url,
+          aliases: cached.aliases || []
         }), {
           headers: { 'Content-Type': 'application/json' }
         });
@@ -163,6 +268,101 @@ export class PolicyCache {
     }
   }
 
+  /**
+   * The key of the entry stored under `key`, or of the entry `key` is an
+   * alias of
+   */
+  resolveKey(key) {
+    if (this.cache.has(key)) return key;
+    return this.aliases.get(key) || null;
+  }
+
+  /**
+   * Records that `alias.url` (cached under `alias.key`) resolved to the
+   * entry at `entryKey`. Returns whether anything changed.
+   */
+  addAlias(entryKey, alias) {
+    const entry = this.cache.get(entryKey);
+    if (!entry || !alias) return false;
+
+    let changed = false;
+    if (alias.key && alias.key !== entryKey && this.aliases.get(alias.key) !== entryKey) {
+      this.aliases.set(alias.key, entryKey);
+      changed = true;
+    }
+
+    const aliases = entry.aliases || [];
+    if (alias.url && alias.url !== entry.url && !aliases.includes(alias.url) && aliases.length < MAX_ALIASES_PER_ENTRY) {
+      entry.aliases = [...aliases, alias.url];
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  // Drops aliases whose entry has been removed
+  pruneAliases() {
+    for (const [alias, entryKey] of this.aliases.entries()) {
+      if (!this.cache.has(entryKey)) this.aliases.delete(alias);
+    }
+  }
+
+  // Marks a content key as just used, moving it to the end of the LRU order
+  touchContent(key) {
+    this.contents.delete(key);
+    this.contents.set(key, Date.now());
+  }
+
+  /**
+   * Removes the `count` least recently used analyses kept by content, and
+   * any unused since `before`
+   */
+  async evictContents(count, before = 0) {
+    const evicted = [];
+    for (const [key, usedAt] of this.contents.entries()) {
+      if (evicted.length >= count && usedAt >= before) break;
+      evicted.push(key);
+    }
+    if (evicted.length === 0) return 0;
+
+    for (const key of evicted) this.contents.delete(key);
+    // Storage deletes at most 128 keys per call
+    for (let i = 0; i < evicted.length; i += 128) {
+      await this.state.storage.delete(evicted.slice(i, i + 128).map(key => `content:${key}`));
+    }
+    await this.state.storage.put('contents', Array.from(this.contents.entries()));
+    return evicted.length;
+  }
+
+  async persist() {
+    await this.state.storage.put('cache', Array.from(this.cache.entries()));
+    await this.state.storage.put('aliases', Array.from(this.aliases.entries()));
+    await this.state.storage.put('contents', Array.from(this.contents.entries()));
+  }
+
+  findKeyById(id) {
+    for (const [key, entry] of this.cache.entries()) {
+      if (entry.result && entry.result.id === id) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Returns an unexpired entry, upgrading a result stored in an older
+   * schema version to the current one (and storing the upgrade)
+   */
+  async readEntry(key) {
+    const cached = this.cache.get(key);
+    if (!cached || cached.expiresAt <= Date.now()) return null;
+
+    if (getResultSchemaVersion(cached.result) !== RESULT_SCHEMA_VERSION) {
+      cached.result = migrateResult(cached.result);
+      await this.persist();
+    }
+
+    return cached;
+  }
+
   async handleStats(request) {
     try {
       const stats = {
@@ -173,6 +373,8 @@ export class PolicyCache {
         expiredEntries: Array.from(this.cache.values()).filter(entry =>
           entry.expiresAt <= Date.now()
         ).length,
+        aliases: this.aliases.size,
+        contents: this.contents.size,
         totalSize: JSON.stringify(Array.from(this.cache.entries())).length
       };
 
@@ -203,12 +405,16 @@ export class PolicyCache {
       }
 
       // Persist updated cache
-      await this.state.storage.put('cache', Array.from(this.cache.entries()));
+      this.pruneAliases();
+      await this.persist();
+
+      const contentsRemoved = await this.evictContents(0, Date.now() - (CONTENT_RETENTION_DAYS * 24 * 60 * 60 * 1000));
 
       return new Response(JSON.stringify({
         success: true,
         removed,
-        remaining: this.cache.size
+        remaining: this.cache.size,
+        contentsRemoved
       }), {
         headers: { 'Content-Type': 'application/json' }
       });
@@ -237,7 +443,8 @@ export class PolicyCache {
     }
 
     if (removed > 0) {
-      await this.state.storage.put('cache', Array.from(this.cache.entries()));
+      this.pruneAliases();
+      await this.persist();
       console.log(`Cleaned up ${removed} expired cache entries`);
     }
 
@@ -0,0 +1,132 @@
+/**
+ * PolicyHistory Durable Object
+ * Keeps every version of one policy URL's text, one instance per URL
+ */
+
+export class PolicyHistory {
+  constructor(state) {
+    this.state = state;
+    this.url = null;
+    this.versions = [];
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    // The timeline is loaded up front; snapshot texts are read on demand
+    this.url = (await this.state.storage.get('url')) || null;
+    this.versions = (await this.state.storage.get('versions')) || [];
+
+    this.initialized = true;
+  }
+
+  async fetch(request) {
+    await this.initialize();
+
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname.endsWith('/record')) {
+      return this.handleRecord(request);
+    }
+
+    if (request.method === 'GET' && url.pathname.endsWith('/timeline')) {
+      return this.handleTimeline(request);
+    }
+
+    if (request.method === 'POST' && url.pathname.endsWith('/snapshot')) {
+      return this.handleSnapshot(request);
+    }
+
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  /**
+   * Records a fetch of the policy. Text whose hash matches the latest
+   * version only updates when that version was last seen; new text becomes
+   * the next version.
+   */
+  async handleRecord(request) {
+    try {
+      const { url, hash, text, outline = [], fetchedAt = Date.now(), analysisId = null } = await request.json();
+
+      if (!url || !hash || typeof text !== 'string') {
+        return new Response(JSON.stringify({ error: 'URL, hash and text are required' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const latest = this.versions[this.versions.length - 1];
+      if (latest && latest.hash === hash) {
+        latest.lastSeenAt = fetchedAt;
+        if (analysisId) latest.analysisId = analysisId;
+        await this.state.storage.put('versions', this.versions);
+
+        return new Response(JSON.stringify({ version: latest.version, changed: false }), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const version = latest ? latest.version + 1 : 1;
+      this.versions.push({
+        version,
+        hash,
+        fetchedAt,
+        lastSeenAt: fetchedAt,
+        contentLength: text.length,
+        analysisId
+      });
+      this.url = url;
+
+      await this.state.storage.put({
+        url,
+        versions: this.versions,
+        [`snapshot:${version}`]: { version, hash, fetchedAt, text, outline }
+      });
+
+      return new Response(JSON.stringify({
+        version,
+        changed: true,
+        previousVersion: latest ? latest.version : null
+      }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      console.error('Record error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  async handleTimeline(request) {
+    return new Response(JSON.stringify({ url: this.url, versions: this.versions }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  async handleSnapshot(request) {
+    try {
+      const { version } = await request.json();
+
+      const snapshot = await this.state.storage.get(`snapshot:${version}`);
+      if (!snapshot) {
+        return new Response('Not found', { status: 404 });
+      }
+
+      return new Response(JSON.stringify(snapshot), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      console.error('Snapshot error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+}
\ No newline at end of file
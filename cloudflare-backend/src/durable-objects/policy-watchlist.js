@@ -0,0 +1,214 @@
+/**
+ * PolicyWatchlist Durable Object
+ * Keeps the policies the scheduled monitor re-checks, with the status of
+ * each one's latest check
+ */
+
+import { normalizeUrl } from '../utils/canonical-url.js';
+
+// The hourly cron checks 25 policies a run, 600 a day: enough to check every entry once a day
+export const MAX_WATCHLIST_ENTRIES = 500;
+
+export class PolicyWatchlist {
+  constructor(state) {
+    this.state = state;
+    this.entries = new Map();
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    // Load entries from storage
+    const stored = await this.state.storage.get('entries');
+    if (stored) {
+      this.entries = new Map(stored);
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * The key of the entry watching `url`: one keyed by the normalized URL,
+   * or one whose last check resolved to it as the canonical URL
+   */
+  findEntryKey(url, type) {
+    const normalizedUrl = normalizeUrl(url);
+    const key = `${type}:${normalizedUrl}`;
+    if (this.entries.has(key)) return key;
+
+    for (const [entryKey, entry] of this.entries) {
+      if (entry.type === type && entry.canonicalUrl === normalizedUrl) return entryKey;
+    }
+    return key;
+  }
+
+  async fetch(request) {
+    await this.initialize();
+
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname.endsWith('/add')) {
+      return this.handleAdd(request);
+    }
+
+    if (request.method === 'POST' && url.pathname.endsWith('/remove')) {
+      return this.handleRemove(request);
+    }
+
+    if (request.method === 'GET' && url.pathname.endsWith('/list')) {
+      return this.handleList(request);
+    }
+
+    if (request.method === 'POST' && url.pathname.endsWith('/due')) {
+      return this.handleDue(request);
+    }
+
+    if (request.method === 'POST' && url.pathname.endsWith('/update')) {
+      return this.handleUpdate(request);
+    }
+
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  /**
+   * Watches a policy, or updates the team and label of one already watched
+   */
+  async handleAdd(request) {
+    try {
+      const { url, type = 'privacy', depth = 'standard', team = null, label = null } = await request.json();
+
+      if (!url) {
+        return new Response(JSON.stringify({ error: 'URL is required' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const key = this.findEntryKey(url, type);
+      const existing = this.entries.get(key);
+      if (!existing && this.entries.size >= MAX_WATCHLIST_ENTRIES) {
+        return new Response(JSON.stringify({ error: `The watchlist is limited to ${MAX_WATCHLIST_ENTRIES} policies` }), {
+          status: 409,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const entry = existing ? { ...existing, depth, team, label } : {
+        url: normalizeUrl(url),
+        type,
+        depth,
+        team,
+        label,
+        addedAt: Date.now(),
+        status: 'pending',
+        lastCheckedAt: null,
+        lastChangedAt: null,
+        canonicalUrl: null,
+        contentHash: null,
+        analysisId: null,
+        lastError: null,
+        consecutiveErrors: 0,
+        risk: { before: null, after: null }
+      };
+      this.entries.set(key, entry);
+      await this.state.storage.put('entries', Array.from(this.entries.entries()));
+
+      return new Response(JSON.stringify({ entry, created: !existing }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      console.error('Watchlist add error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  async handleRemove(request) {
+    try {
+      const { url, type = 'privacy' } = await request.json();
+
+      if (!this.entries.delete(this.findEntryKey(url, type))) {
+        return new Response('Not found', { status: 404 });
+      }
+      await this.state.storage.put('entries', Array.from(this.entries.entries()));
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      console.error('Watchlist remove error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  async handleList(request) {
+    return new Response(JSON.stringify({ entries: Array.from(this.entries.values()) }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * Entries not checked within `intervalMinutes`, least recently checked
+   * (or never checked) first
+   */
+  async handleDue(request) {
+    try {
+      const { limit = 25, intervalMinutes = 24 * 60, now = Date.now() } = await request.json();
+      const cutoff = now - (intervalMinutes * 60 * 1000);
+
+      const entries = Array.from(this.entries.values())
+        .filter(entry => entry.lastCheckedAt === null || entry.lastCheckedAt <= cutoff)
+        .sort((a, b) => (a.lastCheckedAt || 0) - (b.lastCheckedAt || 0))
+        .slice(0, limit);
+
+      return new Response(JSON.stringify({ entries }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      console.error('Watchlist due error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * Merges the outcome of a check into an entry
+   */
+  async handleUpdate(request) {
+    try {
+      const { url, type = 'privacy', status } = await request.json();
+      const key = this.findEntryKey(url, type);
+
+      // The entry may have been removed while it was being checked
+      const entry = this.entries.get(key);
+      if (!entry) {
+        return new Response('Not found', { status: 404 });
+      }
+
+      this.entries.set(key, { ...entry, ...status });
+      await this.state.storage.put('entries', Array.from(this.entries.entries()));
+
+      return new Response(JSON.stringify({ entry: this.entries.get(key) }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      console.error('Watchlist update error:', error);
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+}
\ No newline at end of file
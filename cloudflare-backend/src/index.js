@@ -4,11 +4,20 @@
  */
 
 import { handleAnalyze } from './api/analyze.js';
+import { handleAsk } from './api/ask.js';
+import { handleCompare } from './api/compare.js';
 import { handleDetect } from './api/detect.js';
 import { handleResults } from './api/results.js';
 import { handleHealth } from './api/health.js';
+import { handleHistory } from './api/history.js';
+import { handleSchema } from './api/schema.js';
+import { handleSearch } from './api/search.js';
+import { handleWatchlist } from './api/watchlist.js';
 import { PolicyCache } from './durable-objects/policy-cache.js';
+import { PolicyHistory } from './durable-objects/policy-history.js';
+import { PolicyWatchlist } from './durable-objects/policy-watchlist.js';
 import { UserSession } from './durable-objects/user-session.js';
+import { runWatchlistChecks } from './monitoring/watchlist.js';
 import { validateExtensionRequest } from './utils/validation.js';
 
 export default {
@@ -100,15 +109,27 @@ export default {
       switch (url.pathname) {
         case '/api/analyze':
           return handleAnalyze(request, env, ctx);
+        case '/api/ask':
+          return handleAsk(request, env, ctx);
+        case '/api/compare':
+          return handleCompare(request, env, ctx);
         case '/api/detect':
           return handleDetect(request, env, ctx);
+        case '/api/history':
+          return handleHistory(request, env, ctx);
         case '/api/results':
           return handleResults(request, env, ctx);
+        case '/api/schema':
+          return handleSchema(request, env, ctx);
+        case '/api/search':
+          return handleSearch(request, env, ctx);
+        case '/api/watchlist':
+          return handleWatchlist(request, env, ctx);
         default:
           return new Response(JSON.stringify({
             success: false,
             error: 'Endpoint not found',
-            available: ['/api/analyze', '/api/detect', '/api/results', '/api/health']
+            available: ['/api/analyze', '/api/ask', '/api/compare', '/api/detect', '/api/history', '/api/results', '/api/schema', '/api/search', '/api/watchlist', '/api/health']
           }), {
             status: 404,
             headers: {
@@ -136,7 +157,7 @@ export default {
 };
 
 /**
- * Handle cron triggers for cleanup tasks
+ * Handle cron triggers for cleanup and watchlist monitoring
  */
 export async function scheduled(event, env, ctx) {
   console.log('Running scheduled cleanup task');
@@ -156,7 +177,15 @@ export async function scheduled(event, env, ctx) {
   } catch (error) {
     console.error('Scheduled task error:', error);
   }
+
+  try {
+    // Re-check watched policies and re-analyze the ones that changed
+    const summary = await runWatchlistChecks(env, event.scheduledTime);
+    console.log(`Watchlist checks completed: ${summary.checked} checked, ${summary.changed} changed, ${summary.errors} failed`);
+  } catch (error) {
+    console.error('Watchlist monitoring error:', error);
+  }
 }
 
 // Export Durable Objects
-export { PolicyCache, UserSession };
\ No newline at end of file
+export { PolicyCache, PolicyHistory, PolicyWatchlist, UserSession };
\ No newline at end of file
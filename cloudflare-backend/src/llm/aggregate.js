@@ -0,0 +1,158 @@
+/**
+ * Reduce step for chunked policy analysis
+ * Merges per-chunk findings into a single deduplicated analysis
+ */
+
+import { mergeCompliance } from './compliance.js';
+import { DATA_PRACTICE_TAXONOMY, mergeDataPractices } from './taxonomy.js';
+
+/**
+ * Normalizes a finding for duplicate detection
+ */
+export function normalizeFinding(finding) {
+  const text = finding && typeof finding === 'object' ? finding.text : finding;
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenSet(normalized) {
+  return new Set(normalized.split(' ').filter(token => token.length > 2));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Removes exact and near-duplicate findings, keeping the first occurrence.
+ * Findings reported by several chunks float to the top.
+ */
+export function dedupeFindings(findings, threshold = 0.8) {
+  const unique = [];
+
+  for (const finding of findings) {
+    const normalized = normalizeFinding(finding);
+    if (!normalized) continue;
+
+    const tokens = tokenSet(normalized);
+    const existing = unique.find(entry =>
+      entry.normalized === normalized || similarity(entry.tokens, tokens) >= threshold
+    );
+
+    if (existing) {
+      existing.occurrences++;
+    } else {
+      unique.push({ finding, normalized, tokens, occurrences: 1, order: unique.length });
+    }
+  }
+
+  return unique
+    .sort((a, b) => (b.occurrences - a.occurrences) || (a.order - b.order))
+    .map(entry => entry.finding);
+}
+
+function overlaps(a, b) {
+  return a.start !== null && b.start !== null && a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Drops rule-based findings the model already reported from the same passage
+ */
+export function withoutCoveredRuleFindings(findings) {
+  const modelFindings = findings.filter(finding => finding.detectedBy !== 'rules');
+  return findings.filter(finding =>
+    finding.detectedBy !== 'rules' || !modelFindings.some(modelFinding => overlaps(modelFinding, finding))
+  );
+}
+
+/**
+ * Merges the analyses of individual chunks into one result.
+ * `structuredField` names the taxonomy-based model the profile extracts
+ * (data practices for privacy policies, clauses for terms of service).
+ * With `cookieInventory`, the cookies each chunk names are collected too.
+ */
+export function mergeChunkAnalyses(chunkAnalyses, { structuredField = 'dataPractices', taxonomy = DATA_PRACTICE_TAXONOMY, cookieInventory = false } = {}) {
+  const merged = {
+    keyPoints: [],
+    redFlags: [],
+    userRights: [],
+    compliance: null,
+    [structuredField]: null,
+    ...(cookieInventory ? { cookies: [] } : {}),
+    unverifiedFindings: []
+  };
+  const chunkPractices = [];
+  const chunkCompliance = [];
+
+  for (const chunkAnalysis of chunkAnalyses) {
+    if (!chunkAnalysis || chunkAnalysis.failed) continue;
+
+    for (const category of ['keyPoints', 'redFlags', 'userRights']) {
+      if (!Array.isArray(chunkAnalysis[category])) continue;
+
+      // Findings whose evidence could not be found in the source are set aside
+      for (const finding of chunkAnalysis[category]) {
+        if (finding && finding.verified === false) {
+          merged.unverifiedFindings.push({ ...finding, category });
+        } else {
+          merged[category].push(finding);
+        }
+      }
+    }
+    if (chunkAnalysis[structuredField]) {
+      const verifiedPractices = {};
+      for (const category of Object.keys(taxonomy)) {
+        verifiedPractices[category] = [];
+        for (const practice of chunkAnalysis[structuredField][category] || []) {
+          if (practice.verified === false) {
+            merged.unverifiedFindings.push({ ...practice, category: `${structuredField}.${category}` });
+          } else {
+            verifiedPractices[category].push(practice);
+          }
+        }
+      }
+      chunkPractices.push(verifiedPractices);
+    }
+    if (cookieInventory && Array.isArray(chunkAnalysis.cookies)) {
+      for (const cookie of chunkAnalysis.cookies) {
+        if (cookie.verified === false) {
+          merged.unverifiedFindings.push({ ...cookie, category: 'cookies' });
+        } else {
+          merged.cookies.push(cookie);
+        }
+      }
+    }
+    if (chunkAnalysis.compliance) {
+      const verifiedCompliance = {};
+      for (const [regulation, items] of Object.entries(chunkAnalysis.compliance)) {
+        verifiedCompliance[regulation] = {};
+        for (const [item, entry] of Object.entries(items || {})) {
+          if (entry.verified === false) {
+            merged.unverifiedFindings.push({ ...entry, category: `compliance.${regulation}.${item}` });
+          } else {
+            verifiedCompliance[regulation][item] = entry;
+          }
+        }
+      }
+      chunkCompliance.push(verifiedCompliance);
+    }
+  }
+
+  merged.keyPoints = withoutCoveredRuleFindings(dedupeFindings(merged.keyPoints));
+  merged.redFlags = withoutCoveredRuleFindings(dedupeFindings(merged.redFlags));
+  merged.userRights = withoutCoveredRuleFindings(dedupeFindings(merged.userRights));
+  merged[structuredField] = mergeDataPractices(chunkPractices, taxonomy);
+  merged.compliance = mergeCompliance(chunkCompliance);
+
+  return merged;
+}
\ No newline at end of file
@@ -1,325 +1,844 @@
 /**
- * Policy Analyzer using Cloudflare Workers AI
- * Analyzes privacy policies with Llama 3.3
+ * Policy Analyzer
+ * Analyzes privacy policies and terms of service with the configured LLM
+ * provider (Workers AI running Llama 3.3 by default)
  */
 
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { createDocument, formatHeadingPath, formatPageRange } from '../utils/document.js';
+import { fetchPolicyDocument } from '../utils/fetcher.js';
+import { createVectorStore } from '../vector/index.js';
+import { mergeChunkAnalyses } from './aggregate.js';
+import { chunkDocument } from './chunker.js';
+import { describeComplianceSummary, normalizeChunkCompliance } from './compliance.js';
+import { buildCookieInventory, detectTrackingFlags, normalizeCookie } from './cookies.js';
+import { ANALYSIS_DEPTHS, DEFAULT_ANALYSIS_DEPTH, resolveAnalysisDepth } from './depth.js';
+import { verifyFinding } from './evidence.js';
+import { computeDocumentMetrics } from './metrics.js';
+import { describeResponseFormat, describeResponseInstructions, getAnalysisProfile } from './profiles.js';
+import { parsePromptVersions, renderPrompt, summarizePromptUsage } from './prompts.js';
+import { NOT_ADDRESSED_ANSWER, describeExcerpts, rankChunks, verifyCitations } from './qa.js';
+import { createLLMProvider } from './providers/index.js';
+import { parseModelResponse } from './response-parser.js';
+import { RESULT_SCHEMA_VERSION } from './result-schema.js';
+import { calculateRiskScores, getRiskBreakdown, getRiskThresholds } from './risk.js';
+import { RULE_ENGINE_VERSION, describeRuleHints, getRuleHints, scanPolicy, summarizeRuleScan } from './rules.js';
+import { ANSWER_SCHEMA, CHANGE_SUMMARY_SCHEMA, SUMMARY_SCHEMA } from './schemas.js';
+import { indexPolicyChunks, searchIndex } from './semantic-index.js';
+import { normalizePractice } from './taxonomy.js';
+import { MAX_SUMMARIZED_CHANGES, createSnapshot, describeChanges, outlineSections } from './versions.js';
+
+// Attempts per prompt, including corrective retries for unparseable output
+const MAX_PARSE_ATTEMPTS = 2;
+
+// Questions are answered from a few smaller chunks
+const QUESTION_CHUNK_SIZE = 1200;
+const QUESTION_EXCERPTS = 4;
+const QUESTION_MAX_TOKENS = 800;
+
+const CHANGE_SUMMARY_MAX_TOKENS = 1000;
+
+// Search matches clauses, so policies are indexed in smaller chunks than they are analyzed in
+const INDEX_CHUNK_SIZE = 1200;
+
 export class PolicyAnalyzer {
   constructor(env) {
     this.env = env;
-    this.model = env.LLAMA_MODEL || '@cf/meta/llama-3.3-70b-instruct-fp8-fast';
-    this.maxTokens = env.MAX_TOKENS || 4096;
+    this.provider = createLLMProvider(env);
+    this.model = this.provider ? this.provider.model : null;
+    this.promptVersions = parsePromptVersions(env.PROMPT_VERSIONS);
+    this.vectorStore = createVectorStore(env);
+    this.maxTokens = parseInt(env.MAX_TOKENS) || 4096;
     this.temperature = env.TEMPERATURE || 0.1;
+    this.concurrency = parseInt(env.ANALYSIS_CONCURRENCY) || 4;
   }
 
+  /**
+   * Analyzes the policy at `url`. `options.onProgress(event, data)` is
+   * called as each stage completes: fetched, chunked, chunk (once per
+   * chunk), summary, scores and, when a vector store is configured, indexed.
+   * The policy text is recorded in its version history when the
+   * POLICY_HISTORY binding exists. `options.document` analyzes a document
+   * already fetched from `url` instead of fetching it again.
+   */
   async analyzePolicy(url, type = 'privacy', options = {}) {
     try {
+      const profile = getAnalysisProfile(type);
+      const depth = resolveAnalysisDepth(options);
+      const depthConfig = ANALYSIS_DEPTHS[depth];
+      const onProgress = options.onProgress || (() => {});
+
       // Step 1: Fetch policy content
       console.log(`Fetching policy content from: ${url}`);
-      const content = await this.fetchPolicyContent(url);
+      const document = options.document || await this.fetchPolicyContent(url);
+      onProgress('fetched', {
+        url,
+        format: document.format,
+        ...(document.pageCount ? { pageCount: document.pageCount } : {}),
+        contentLength: document.text.length
+      });
 
-      // Step 2: Preprocess content
-      const processedContent = this.preprocessContent(content, type);
+      // Step 2: Preprocess content and measure it
+      const processedDocument = this.preprocessContent(document, type);
+      const snapshot = await createSnapshot(processedDocument);
+      const metrics = computeDocumentMetrics(processedDocument);
+
+      // Step 3: Rule-based pre-scan, which needs no model and gives it hints
+      const scan = scanPolicy(processedDocument, profile);
+
+      // Step 4: Quick mode reads the policy in a single pass; the other
+      // modes chunk it along section boundaries and analyze every chunk.
+      // Without an LLM provider only the rule-based findings are reported.
+      let analysis;
+      if (!this.provider) {
+        analysis = this.performRuleAnalysis(scan, type, depthConfig);
+      } else if (depthConfig.singlePass) {
+        onProgress('chunked', { depth, totalChunks: 1 });
+        analysis = await this.performQuickAnalysis(processedDocument, type, depthConfig, scan, onProgress);
+      } else {
+        const chunks = this.chunkContent(processedDocument, depthConfig.chunkSize);
+        onProgress('chunked', { depth, totalChunks: chunks.length });
+        analysis = await this.performAIAnalysis(chunks, type, depthConfig, scan, onProgress);
+      }
+      analysis.model = this.provider ? { provider: this.provider.name, name: this.model } : null;
+      analysis.ruleScan = {
+        version: RULE_ENGINE_VERSION,
+        matches: scan.matches.length,
+        rules: [...new Set(scan.matches.map(match => match.ruleId))]
+      };
 
-      // Step 3: Chunk content for analysis
-      const chunks = this.chunkContent(processedContent);
+      // Cookie policies: combine the model's cookies with the policy's tables
+      // and flag tracking the policy does not disclose
+      if (profile.cookieInventory) {
+        analysis.cookies = buildCookieInventory(processedDocument, analysis.cookies);
+        analysis.trackingFlags = detectTrackingFlags(analysis.cookies, processedDocument.text, analysis[profile.structuredField]);
+      }
 
-      // Step 4: Analyze with AI
-      const analysis = await this.performAIAnalysis(chunks, type, options);
+      onProgress('summary', {
+        engine: analysis.engine,
+        executiveSummary: analysis.executiveSummary,
+        recommendations: analysis.recommendations
+      });
 
       // Step 5: Calculate risk scores
-      const riskScores = this.calculateRiskScores(analysis);
+      const riskScores = this.calculateRiskScores(analysis, type, metrics);
+      onProgress('scores', {
+        riskScores,
+        overallRisk: riskScores.overall,
+        riskBreakdown: getRiskBreakdown(riskScores)
+      });
 
-      return {
+      const result = {
         url,
         type,
-        contentLength: content.length,
-        processedLength: processedContent.length,
-        chunksAnalyzed: chunks.length,
+        depth,
+        format: document.format,
+        ...(document.pageCount ? { pageCount: document.pageCount } : {}),
+        contentLength: document.text.length,
+        processedLength: processedDocument.text.length,
+        metrics,
+        contentHash: snapshot.hash,
+        chunksAnalyzed: analysis.coverage.chunksAnalyzed,
+        totalChunks: analysis.coverage.totalChunks,
+        coverage: analysis.coverage,
         analysis,
         riskScores,
+        overallRisk: riskScores.overall,
+        riskBreakdown: getRiskBreakdown(riskScores),
+        id: crypto.randomUUID(),
         timestamp: Date.now(),
-        version: '1.0.0'
+        schemaVersion: RESULT_SCHEMA_VERSION
       };
 
+      // Step 6: Index the policy's clauses for search. The analysis stands
+      // even if indexing fails.
+      try {
+        const indexedChunks = await this.indexPolicy(result, processedDocument);
+        if (indexedChunks !== null) onProgress('indexed', { chunks: indexedChunks });
+      } catch (error) {
+        console.error('Policy indexing error:', error);
+      }
+
+      // Step 7: Record the policy text, so changes to it can be tracked
+      try {
+        await this.recordVersion(result, snapshot);
+      } catch (error) {
+        console.error('Policy history error:', error);
+      }
+
+      return result;
+
     } catch (error) {
       console.error('Policy analysis error:', error);
       throw new Error(`Analysis failed: ${error.message}`);
     }
   }
 
-  async fetchPolicyContent(url) {
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Privacy-Policy-Analyzer/1.0 (+https://github.com/your-repo)',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-      },
-      // 10 second timeout
-      signal: AbortSignal.timeout(10000)
-    });
+  /**
+   * Answers a question about the policy at `url` from the chunks most
+   * relevant to it. An answer is only reported as addressed when the model
+   * backs it with quotes found in the policy; `citations` gives their
+   * sections and offsets.
+   */
+  async answerQuestion(url, question, type = 'privacy') {
+    try {
+      const profile = getAnalysisProfile(type);
+      const document = this.preprocessContent(await this.fetchPolicyContent(url), type);
+      const ranked = rankChunks(this.chunkContent(document, QUESTION_CHUNK_SIZE), question, QUESTION_EXCERPTS);
+      const excerpts = ranked.map(({ chunk }) => chunk);
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch policy: ${response.status} ${response.statusText}`);
+      const answer = {
+        url,
+        type,
+        question,
+        engine: this.provider ? 'ai' : 'retrieval',
+        addressed: false,
+        answer: NOT_ADDRESSED_ANSWER,
+        citations: [],
+        retrieved: ranked.map(({ chunk, score }) => ({
+          chunkIndex: chunk.index,
+          section: chunk.section,
+          headingPath: chunk.headingPath,
+          score: Math.round(score * 100) / 100
+        })),
+        model: this.provider ? { provider: this.provider.name, name: this.model } : null,
+        prompts: {},
+        timestamp: Date.now()
+      };
+
+      // Nothing in the policy shares a keyword with the question
+      if (excerpts.length === 0) return answer;
+
+      // Without a model, the most relevant passages are the answer
+      if (!this.provider) {
+        answer.addressed = null;
+        answer.answer = 'AI answering is unavailable. These are the passages most relevant to the question.';
+        answer.citations = excerpts.map(chunk => ({
+          quote: chunk.text,
+          start: chunk.start,
+          end: chunk.end,
+          section: chunk.section,
+          headingPath: chunk.headingPath,
+          ...(chunk.pages ? { pages: chunk.pages } : {})
+        }));
+        return answer;
+      }
+
+      const { result, prompts } = await this.runStructuredPrompt(this.renderPrompt('policy-question', profile, {
+        documentName: profile.documentName,
+        question,
+        excerpts: describeExcerpts(excerpts)
+      }), ANSWER_SCHEMA, QUESTION_MAX_TOKENS);
+      answer.prompts = summarizePromptUsage(prompts);
+
+      if (!result) {
+        throw new Error('Model response did not match the expected format');
+      }
+
+      // An answer the model cannot support with a quote is not reported
+      answer.citations = verifyCitations(result.quotes, excerpts);
+      if (!result.addressed) {
+        answer.answer = result.answer;
+      } else if (answer.citations.length > 0) {
+        answer.addressed = true;
+        answer.answer = result.answer;
+      }
+
+      return answer;
+
+    } catch (error) {
+      console.error('Policy question error:', error);
+      throw new Error(`Question failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Embeds the policy's chunks into the vector store. Resolves to the number
+   * of chunks indexed, or null without a model or vector store.
+   */
+  async indexPolicy(result, document) {
+    if (!this.provider || !this.vectorStore) return null;
+    return indexPolicyChunks(this.provider, this.vectorStore, result, this.chunkContent(document, INDEX_CHUNK_SIZE));
+  }
+
+  /**
+   * Searches the clauses of every indexed policy for passages closest in
+   * meaning to `query`, optionally filtered by domain and policy type
+   */
+  async searchPolicies(query, filters = {}) {
+    if (!this.provider || !this.vectorStore) {
+      throw new Error('Search needs an LLM provider and a vector store');
     }
 
-    const contentType = response.headers.get('content-type') || '';
-    if (!contentType.includes('text/html')) {
-      throw new Error('URL does not appear to contain HTML content');
+    try {
+      return await searchIndex(this.provider, this.vectorStore, query, filters);
+    } catch (error) {
+      console.error('Policy search error:', error);
+      throw new Error(`Search failed: ${error.message}`);
     }
+  }
 
-    const html = await response.text();
+  /**
+   * Fetches the policy at `url` and snapshots its normalized text, without
+   * analyzing it. Used to tell whether a policy changed.
+   */
+  async fetchSnapshot(url, type = 'privacy') {
+    const document = await this.fetchPolicyContent(url);
+    return { document, snapshot: await this.snapshotDocument(document, type) };
+  }
 
-    // Extract text content from HTML
-    return this.extractTextFromHtml(html);
+  /**
+   * Snapshots a fetched document's normalized text; its hash is the
+   * `contentHash` an analysis of the document reports
+   */
+  async snapshotDocument(document, type = 'privacy') {
+    return createSnapshot(this.preprocessContent(document, type));
   }
 
-  extractTextFromHtml(html) {
-    // Remove script and style elements
-    let text = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-    text = text.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
+  /**
+   * Records the snapshot in the policy's version history. Resolves to the
+   * version and whether it is new, or null without the POLICY_HISTORY binding.
+   */
+  async recordVersion(result, snapshot) {
+    if (!this.env.POLICY_HISTORY) return null;
+
+    const historyStub = this.env.POLICY_HISTORY.get(this.env.POLICY_HISTORY.idFromName(result.url));
+    const response = await historyStub.fetch('https://internal/record', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url: result.url,
+        hash: snapshot.hash,
+        text: snapshot.text,
+        outline: outlineSections(snapshot.sections),
+        fetchedAt: result.timestamp,
+        analysisId: result.id
+      })
+    });
 
-    // Remove HTML tags
-    text = text.replace(/<[^>]+>/g, ' ');
+    if (!response.ok) {
+      throw new Error(`Policy history returned ${response.status}`);
+    }
+    return response.json();
+  }
 
-    // Decode HTML entities
-    text = text.replace(/&nbsp;/g, ' ');
-    text = text.replace(/&amp;/g, '&');
-    text = text.replace(/&lt;/g, '<');
-    text = text.replace(/&gt;/g, '>');
-    text = text.replace(/&quot;/g, '"');
-    text = text.replace(/&#39;/g, "'");
+  /**
+   * The latest recorded version of the policy at `url`, or null when none is
+   * recorded or without the POLICY_HISTORY binding
+   */
+  async getLatestVersion(url) {
+    if (!this.env.POLICY_HISTORY) return null;
 
-    // Clean up whitespace
-    text = text.replace(/\s+/g, ' ').trim();
+    const historyStub = this.env.POLICY_HISTORY.get(this.env.POLICY_HISTORY.idFromName(url));
+    const response = await historyStub.fetch('https://internal/timeline');
 
-    return text;
+    if (!response.ok) {
+      throw new Error(`Policy history returned ${response.status}`);
+    }
+    const { versions } = await response.json();
+    return versions[versions.length - 1] || null;
   }
 
-  preprocessContent(content, type) {
-    // Remove common navigation/footer text that might interfere with analysis
-    const filters = [
-      /cookie settings?/i,
-      /accept all cookies/i,
-      /privacy preferences/i,
-      /manage cookies/i,
-      /© \d{4}/i,
-      /all rights reserved/i,
-      /contact us/i,
-      /about us/i
-    ];
+  /**
+   * Summarizes what materially changed between two versions of a policy,
+   * given their clause diff. Each material change names the numbered
+   * change it is based on; changes the diff does not contain are dropped.
+   */
+  async summarizeChanges(diff, type = 'privacy', { from, to } = {}) {
+    const summary = {
+      engine: 'diff',
+      summary: null,
+      materialChanges: [],
+      model: null,
+      prompts: {}
+    };
 
-    let processed = content;
-    filters.forEach(filter => {
-      processed = processed.replace(filter, '');
+    if (diff.changes.length === 0) {
+      summary.summary = 'No clauses changed between these versions.';
+      return summary;
+    }
+    if (!this.provider) return summary;
+
+    const profile = getAnalysisProfile(type);
+    const described = diff.changes.slice(0, MAX_SUMMARIZED_CHANGES);
+    const rendered = this.renderPrompt('change-summary', profile, {
+      documentName: profile.documentName,
+      from: new Date(from).toISOString().slice(0, 10),
+      to: new Date(to).toISOString().slice(0, 10),
+      changes: describeChanges(described)
     });
 
-    // Focus on relevant sections based on type
-    if (type === 'privacy') {
-      // Keep sections related to data collection, usage, sharing
-      const privacyKeywords = ['data collection', 'information we collect', 'how we use', 'data sharing', 'your rights'];
-      // This is a simplified approach - in production, you'd use more sophisticated section detection
+    try {
+      const { result, prompts } = await this.runStructuredPrompt(rendered, CHANGE_SUMMARY_SCHEMA, CHANGE_SUMMARY_MAX_TOKENS);
+      summary.prompts = summarizePromptUsage(prompts);
+
+      if (!result) {
+        console.error('Change summary response could not be parsed');
+        return { ...summary, failed: true };
+      }
+
+      const seen = new Set();
+      summary.engine = 'ai';
+      summary.summary = result.summary;
+      summary.model = { provider: this.provider.name, name: this.model };
+      summary.materialChanges = result.materialChanges
+        .filter(({ change }) => change >= 1 && change <= described.length && !seen.has(change) && seen.add(change))
+        .map(({ change, description, impact }) => ({ change, description, impact, ...described[change - 1] }));
+
+      return summary;
+
+    } catch (error) {
+      console.error('Change summary error:', error);
+      return { ...summary, prompts: summarizePromptUsage([rendered.prompt]), failed: true };
     }
+  }
 
-    return processed.trim();
+  async fetchPolicyContent(url) {
+    // HTML, PDF and plain-text policies all come back as sectioned documents
+    return fetchPolicyDocument(url);
   }
 
-  chunkContent(content, maxChunkSize = 2000) {
-    const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 10);
-    const chunks = [];
-    let currentChunk = '';
-
-    for (const sentence of sentences) {
-      if ((currentChunk + sentence).length > maxChunkSize) {
-        if (currentChunk.trim()) {
-          chunks.push(currentChunk.trim());
-        }
-        currentChunk = sentence;
-      } else {
-        currentChunk += (currentChunk ? '. ' : '') + sentence;
-      }
-    }
+  preprocessContent(document, type) {
+    // Drop whole lines that are leftover page chrome; never edit inside a clause
+    const boilerplateLines = [
+      /^(cookie settings?|manage cookies|privacy preferences|accept all cookies|reject all cookies)$/i,
+      /^(back to top|skip to (main )?content|print( this page)?|share( this page)?)$/i,
+      /^(©|copyright)\s*\d{4}[^.]{0,80}\.?( all rights reserved\.?)?$/i,
+      /^all rights reserved\.?$/i
+    ];
 
-    if (currentChunk.trim()) {
-      chunks.push(currentChunk.trim());
-    }
+    const sections = document.sections.map(section => {
+      const lines = section.text
+        .split('\n')
+        .filter(line => !boilerplateLines.some(pattern => pattern.test(line.trim())));
+      return { ...section, text: lines.join('\n').trim() };
+    });
 
-    return chunks.filter(chunk => chunk.length > 50);
+    const { text, sections: originalSections, ...meta } = document;
+    return createDocument(sections, meta);
   }
 
-  async performAIAnalysis(chunks, type, options) {
+  chunkContent(document, maxChunkSize = 2000) {
+    return chunkDocument(document, { maxChunkSize });
+  }
+
+  async performAIAnalysis(chunks, type, depthConfig = ANALYSIS_DEPTHS[DEFAULT_ANALYSIS_DEPTH], scan = null, onProgress = () => {}) {
+    const profile = getAnalysisProfile(type, depthConfig);
+    const maxTokens = Math.min(depthConfig.maxTokens, this.maxTokens);
     const analysis = {
+      engine: 'ai',
       executiveSummary: '',
       keyPoints: [],
       redFlags: [],
+      userRights: [],
       recommendations: [],
-      compliance: {},
-      sections: []
+      ...(profile.compliance ? { compliance: null } : {}),
+      [profile.structuredField]: null,
+      sections: [],
+      coverage: null
     };
 
-    // Analyze first few chunks to get overview
-    const sampleChunks = chunks.slice(0, 3);
-
-    for (const chunk of sampleChunks) {
+    // Map: analyze every chunk, keeping a bounded number of AI calls in flight
+    let completed = 0;
+    const chunkAnalyses = await mapWithConcurrency(chunks, this.concurrency, async (chunk) => {
+      let chunkAnalysis;
       try {
-        const chunkAnalysis = await this.analyzeChunk(chunk, type);
-        analysis.sections.push(chunkAnalysis);
-
-        // Aggregate findings
-        if (chunkAnalysis.keyPoints) {
-          analysis.keyPoints.push(...chunkAnalysis.keyPoints);
-        }
-        if (chunkAnalysis.redFlags) {
-          analysis.redFlags.push(...chunkAnalysis.redFlags);
-        }
-        if (chunkAnalysis.compliance) {
-          Object.assign(analysis.compliance, chunkAnalysis.compliance);
-        }
+        chunkAnalysis = await this.analyzeChunk(chunk, type, maxTokens, getRuleHints(scan, chunk), depthConfig);
       } catch (error) {
-        console.error('Chunk analysis error:', error);
+        console.error(`Chunk ${chunk.index} analysis error:`, error);
+        chunkAnalysis = { failed: true, error: error.message };
       }
+      const section = this.tagChunkAnalysis(chunkAnalysis, chunk, type, depthConfig);
+      onProgress('chunk', this.describeChunkProgress(section, ++completed, chunks.length));
+      return section;
+    });
+
+    analysis.sections = chunkAnalyses;
+
+    // Reduce: merge and deduplicate findings across all chunks, adding the
+    // rule-based findings the model did not report itself
+    const merged = mergeChunkAnalyses(scan ? [...chunkAnalyses, scan] : chunkAnalyses, profile);
+    analysis.keyPoints = merged.keyPoints;
+    analysis.redFlags = merged.redFlags;
+    analysis.userRights = merged.userRights;
+    if (profile.compliance) analysis.compliance = merged.compliance;
+    analysis[profile.structuredField] = merged[profile.structuredField];
+    if (profile.cookieInventory) analysis.cookies = merged.cookies;
+    analysis.unverifiedFindings = merged.unverifiedFindings;
+
+    const chunksFailed = chunkAnalyses.filter(section => section.failed).length;
+    analysis.coverage = {
+      chunksAnalyzed: chunks.length - chunksFailed,
+      chunksFailed,
+      totalChunks: chunks.length
+    };
+
+    // Record every response that failed to parse, including ones a retry recovered
+    analysis.parseFailures = chunkAnalyses.flatMap(section => (section.parseFailures || []).map(failure => ({
+      stage: 'chunk',
+      chunkIndex: section.chunkIndex,
+      section: section.section,
+      recovered: !section.failed,
+      ...failure
+    })));
+
+    // Record the registry prompts the chunks were analyzed with
+    analysis.prompts = summarizePromptUsage(chunkAnalyses.flatMap(section => section.prompts || []));
+
+    // The model produced nothing: report the rule-based findings on their own
+    if (analysis.coverage.chunksAnalyzed === 0 && scan) {
+      return this.finalizeAnalysis(this.useRuleSummary(analysis, scan, profile), depthConfig);
     }
 
-    // Generate summary analysis
+    // Generate summary analysis from the complete set of findings
     try {
-      const summaryAnalysis = await this.generateSummaryAnalysis(analysis, type);
+      const summaryAnalysis = await this.generateSummaryAnalysis(analysis, type, depthConfig.summaryMaxTokens);
+      Object.assign(analysis.prompts, summarizePromptUsage(summaryAnalysis.prompts || []));
       analysis.executiveSummary = summaryAnalysis.executiveSummary;
       analysis.recommendations = summaryAnalysis.recommendations;
+      for (const failure of summaryAnalysis.parseFailures || []) {
+        analysis.parseFailures.push({ stage: 'summary', recovered: !summaryAnalysis.failed, ...failure });
+      }
     } catch (error) {
       console.error('Summary analysis error:', error);
       analysis.executiveSummary = 'Unable to generate summary analysis.';
       analysis.recommendations = ['Review the policy manually'];
     }
 
-    // Limit arrays to prevent excessive size
-    analysis.keyPoints = analysis.keyPoints.slice(0, 10);
-    analysis.redFlags = analysis.redFlags.slice(0, 5);
-    analysis.recommendations = analysis.recommendations.slice(0, 5);
+    return this.finalizeAnalysis(analysis, depthConfig);
+  }
+
+  /**
+   * Single-pass analysis used by quick mode: one model call over as much of
+   * the policy as fits the mode's input budget, returning findings and the
+   * summary together
+   */
+  async performQuickAnalysis(document, type, depthConfig, scan = null, onProgress = () => {}) {
+    const profile = getAnalysisProfile(type, depthConfig);
+    let end = document.text.length;
+    if (end > depthConfig.maxInputChars) {
+      // Cut at the last paragraph or sentence break inside the budget
+      const window = document.text.slice(0, depthConfig.maxInputChars);
+      const breakAt = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. ') + 1);
+      end = breakAt > depthConfig.maxInputChars / 2 ? breakAt : depthConfig.maxInputChars;
+    }
+
+    const pages = [...new Set(document.sections
+      .filter(section => section.page && section.start < end)
+      .map(section => section.page))];
+    const chunk = {
+      index: 0,
+      text: document.text.slice(0, end).trim(),
+      start: 0,
+      end,
+      headingPath: [],
+      section: null,
+      ...(pages.length > 0 ? { pages } : {})
+    };
+
+    const { result, attempts, parseFailures, prompts } = await this.runStructuredPrompt(this.renderPrompt('quick-analysis', profile, {
+      auditor: profile.auditor,
+      documentName: profile.documentName,
+      focus: profile.focus,
+      text: chunk.text,
+      responseFormat: describeResponseFormat(profile),
+      instructions: describeResponseInstructions(profile),
+      ruleHints: describeRuleHints(getRuleHints(scan, chunk))
+    }), profile.quickSchema, Math.min(depthConfig.maxTokens, this.maxTokens));
+
+    const section = this.tagChunkAnalysis(result
+      ? { ...result, attempts }
+      : { keyPoints: [], redFlags: [], userRights: [], failed: true, error: 'Model response did not match the expected format', attempts }, chunk, type, depthConfig);
+    onProgress('chunk', this.describeChunkProgress(section, 1, 1));
+    const merged = mergeChunkAnalyses(scan ? [section, scan] : [section], profile);
+
+    const analysis = {
+      engine: 'ai',
+      executiveSummary: result ? result.executiveSummary : 'Unable to generate summary analysis.',
+      keyPoints: merged.keyPoints,
+      redFlags: merged.redFlags,
+      userRights: merged.userRights,
+      recommendations: result ? result.recommendations : ['Review the policy manually'],
+      ...(profile.compliance ? { compliance: merged.compliance } : {}),
+      [profile.structuredField]: merged[profile.structuredField],
+      ...(profile.cookieInventory ? { cookies: merged.cookies } : {}),
+      unverifiedFindings: merged.unverifiedFindings,
+      coverage: {
+        chunksAnalyzed: result ? 1 : 0,
+        chunksFailed: result ? 0 : 1,
+        totalChunks: 1,
+        charactersAnalyzed: end,
+        truncated: end < document.text.length
+      },
+      parseFailures: parseFailures.map(failure => ({ stage: 'quick', recovered: Boolean(result), ...failure })),
+      prompts: summarizePromptUsage(prompts)
+    };
+
+    if (!result && scan) {
+      return this.finalizeAnalysis(this.useRuleSummary(analysis, scan, profile), depthConfig);
+    }
+
+    return this.finalizeAnalysis(analysis, depthConfig);
+  }
+
+  /**
+   * Analysis from the rule-based scan alone, used when there is no model
+   */
+  performRuleAnalysis(scan, type, depthConfig) {
+    const profile = getAnalysisProfile(type, depthConfig);
+    const merged = mergeChunkAnalyses([scan], profile);
+
+    const analysis = {
+      engine: 'rules',
+      executiveSummary: '',
+      keyPoints: merged.keyPoints,
+      redFlags: merged.redFlags,
+      userRights: merged.userRights,
+      recommendations: [],
+      [profile.structuredField]: merged[profile.structuredField],
+      ...(profile.cookieInventory ? { cookies: [] } : {}),
+      unverifiedFindings: [],
+      coverage: { chunksAnalyzed: 0, chunksFailed: 0, totalChunks: 0 },
+      parseFailures: [],
+      prompts: {}
+    };
+
+    return this.finalizeAnalysis(this.useRuleSummary(analysis, scan, profile), depthConfig);
+  }
 
+  /**
+   * Labels an analysis as rule-based and writes its summary from the rule
+   * findings. Compliance cannot be judged by the rules, so it is left out.
+   */
+  useRuleSummary(analysis, scan, profile) {
+    const { executiveSummary, recommendations } = summarizeRuleScan(scan, profile.documentName);
+    analysis.engine = 'rules';
+    analysis.executiveSummary = executiveSummary;
+    analysis.recommendations = recommendations;
+    if (profile.compliance) analysis.compliance = null;
     return analysis;
   }
 
-  async analyzeChunk(chunk, type) {
-    const systemPrompt = `You are an expert privacy compliance auditor. Analyze the following ${type} policy text and provide structured findings in JSON format. Focus on user rights, data practices, and compliance issues.`;
+  finalizeAnalysis(analysis, depthConfig) {
+    // Limit arrays to the mode's output size
+    const limits = depthConfig.findingLimits;
+    analysis.keyPoints = analysis.keyPoints.slice(0, limits.keyPoints);
+    analysis.redFlags = analysis.redFlags.slice(0, limits.redFlags);
+    analysis.recommendations = analysis.recommendations.slice(0, limits.recommendations);
 
-    const userPrompt = `Analyze this ${type} policy excerpt:
+    // Per-section output is only returned in detailed mode
+    if (!depthConfig.includeSections) {
+      delete analysis.sections;
+    }
 
-"${chunk}"
+    return analysis;
+  }
 
-Return JSON with:
-{
-  "keyPoints": ["array of 2-3 most important points"],
-  "redFlags": ["array of concerning practices, if any"],
-  "compliance": {
-    "gdpr": "compliant/partially/non-compliant",
-    "ccpa": "compliant/partially/non-compliant",
-    "other": "any other compliance mentions"
-  },
-  "userRights": ["mentioned user rights or lack thereof"]
-}`;
+  /**
+   * Progress event for an analyzed chunk, with its verified findings
+   */
+  describeChunkProgress(section, completed, totalChunks) {
+    const verified = findings => findings.filter(finding => finding.verified);
+    return {
+      chunkIndex: section.chunkIndex,
+      section: section.section,
+      headingPath: section.headingPath,
+      ...(section.pages ? { pages: section.pages } : {}),
+      failed: Boolean(section.failed),
+      completed,
+      totalChunks,
+      keyPoints: verified(section.keyPoints),
+      redFlags: verified(section.redFlags),
+      userRights: verified(section.userRights)
+    };
+  }
 
-    try {
-      const response = await this.env.AI.run(this.model, {
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: this.maxTokens,
-        temperature: this.temperature
-      });
+  tagChunkAnalysis(chunkAnalysis, chunk, type = 'privacy', depthConfig = {}) {
+    const { structuredField, taxonomy, cookieInventory, compliance } = getAnalysisProfile(type, depthConfig);
+    const source = {
+      section: chunk.section,
+      headingPath: chunk.headingPath,
+      ...(chunk.pages ? { pages: chunk.pages } : {})
+    };
+    // Findings whose quote cannot be found in the chunk are marked unverified
+    const tagFindings = findings => (Array.isArray(findings) ? findings : [])
+      .map(finding => ({ ...verifyFinding(finding, chunk), ...source }));
+
+    const entries = chunkAnalysis[structuredField] || {};
+    const structured = Object.fromEntries(Object.keys(taxonomy).map(category => [
+      category,
+      (Array.isArray(entries[category]) ? entries[category] : [])
+        .map(entry => normalizePractice(category, entry, taxonomy))
+        .filter(Boolean)
+        .map(practice => {
+          const { text, ...evidence } = verifyFinding({ text: practice.description, quote: practice.quote }, chunk);
+          return { ...practice, ...evidence, ...source };
+        })
+    ]));
+
+    // Checklist items and cookies are checked against their quotes like any other finding
+    const complianceItems = compliance
+      ? normalizeChunkCompliance(chunkAnalysis.compliance, item => {
+        const { text, ...evidence } = verifyFinding({ text: item.note, quote: item.quote }, chunk);
+        return { ...item, ...evidence, ...source };
+      })
+      : null;
+
+    const cookies = cookieInventory
+      ? (Array.isArray(chunkAnalysis.cookies) ? chunkAnalysis.cookies : [])
+        .map(normalizeCookie)
+        .filter(Boolean)
+        .map(cookie => {
+          const { text, ...evidence } = verifyFinding({ text: cookie.name, quote: cookie.quote }, chunk);
+          return { ...cookie, ...evidence, ...source };
+        })
+      : null;
 
-      const result = JSON.parse(response.response);
-      return result;
+    return {
+      ...chunkAnalysis,
+      chunkIndex: chunk.index,
+      ...source,
+      keyPoints: tagFindings(chunkAnalysis.keyPoints),
+      redFlags: tagFindings(chunkAnalysis.redFlags),
+      userRights: tagFindings(chunkAnalysis.userRights),
+      [structuredField]: structured,
+      ...(complianceItems ? { compliance: complianceItems } : {}),
+      ...(cookies ? { cookies } : {})
+    };
+  }
 
-    } catch (error) {
-      console.error('AI analysis error:', error);
+  async analyzeChunk(chunk, type, maxTokens = this.maxTokens, hints = [], depthConfig = {}) {
+    const profile = getAnalysisProfile(type, depthConfig);
+    const sectionPath = formatHeadingPath(chunk.headingPath);
+    const pageRange = formatPageRange(chunk.pages);
+    const location = sectionPath ? ` from the section "${sectionPath}"` : pageRange ? ` from ${pageRange}` : '';
+
+    const { result, attempts, parseFailures, prompts } = await this.runStructuredPrompt(this.renderPrompt('chunk-analysis', profile, {
+      auditor: profile.auditor,
+      documentName: profile.documentName,
+      focus: profile.focus,
+      location,
+      text: chunk.text,
+      responseFormat: describeResponseFormat(profile),
+      instructions: describeResponseInstructions(profile),
+      ruleHints: describeRuleHints(hints)
+    }), profile.schema, maxTokens);
+
+    if (!result) {
+      console.error(`Chunk ${chunk.index} response could not be parsed after ${attempts} attempts`);
       return {
-        keyPoints: ['Unable to analyze this section'],
+        keyPoints: [],
         redFlags: [],
-        compliance: { gdpr: 'unknown', ccpa: 'unknown' },
-        userRights: []
+        userRights: [],
+        failed: true,
+        error: 'Model response did not match the expected format',
+        attempts,
+        parseFailures,
+        prompts
       };
     }
-  }
-
-  async generateSummaryAnalysis(analysis, type) {
-    const systemPrompt = 'You are a privacy policy expert. Create a concise executive summary and recommendations.';
-
-    const userPrompt = `Based on this analysis of a ${type} policy:
 
-Key Points: ${analysis.keyPoints.join(', ')}
-Red Flags: ${analysis.redFlags.join(', ')}
-Compliance: ${JSON.stringify(analysis.compliance)}
+    return {
+      ...result,
+      attempts,
+      ...(parseFailures.length > 0 ? { parseFailures } : {}),
+      prompts
+    };
+  }
 
-Provide:
-1. A 2-3 sentence executive summary
-2. 3-5 actionable recommendations for users
+  async generateSummaryAnalysis(analysis, type, maxTokens = 500) {
+    const profile = getAnalysisProfile(type);
+    const clauses = Object.entries(analysis[profile.structuredField] || {})
+      .filter(([, entries]) => entries.length > 0)
+      .map(([category, entries]) => `${category} (${entries.map(entry => entry.type).join(', ')})`)
+      .join('; ');
+
+    // Summaries with compliance verdicts use the prompt's privacy variant,
+    // which lists them instead of the clause types
+    const rendered = this.renderPrompt('summary', analysis.compliance ? profile : { ...profile, name: null }, {
+      documentName: profile.documentName,
+      keyPoints: analysis.keyPoints.map(point => point.text).join(', '),
+      redFlags: analysis.redFlags.map(flag => flag.text).join(', '),
+      userRights: analysis.userRights.map(right => right.text).join(', '),
+      compliance: describeComplianceSummary(analysis.compliance),
+      clauses: clauses || 'none identified',
+      chunksAnalyzed: analysis.coverage.chunksAnalyzed,
+      totalChunks: analysis.coverage.totalChunks
+    });
 
-Return as JSON: {"executiveSummary": "...", "recommendations": ["...", "..."]}`;
+    const fallback = {
+      executiveSummary: 'Analysis completed with limited AI processing.',
+      recommendations: ['Review the full policy text', 'Consult with a privacy expert if needed']
+    };
 
     try {
-      const response = await this.env.AI.run(this.model, {
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: 500,
-        temperature: this.temperature
-      });
+      const { result, parseFailures, prompts } = await this.runStructuredPrompt(rendered, SUMMARY_SCHEMA, maxTokens);
+
+      if (!result) {
+        console.error('Summary response could not be parsed');
+        return { ...fallback, failed: true, parseFailures, prompts };
+      }
 
-      return JSON.parse(response.response);
+      return { ...result, parseFailures, prompts };
 
     } catch (error) {
       console.error('Summary generation error:', error);
-      return {
-        executiveSummary: 'Analysis completed with limited AI processing.',
-        recommendations: ['Review the full policy text', 'Consult with a privacy expert if needed']
-      };
+      return { ...fallback, prompts: [rendered.prompt] };
     }
   }
 
-  calculateRiskScores(analysis) {
-    // Simple risk scoring algorithm
-    let regulatoryRisk = 'green';
-    let transparencyRisk = 'green';
-    let userRightsRisk = 'green';
+  /**
+   * Renders a prompt from the registry, in the version PROMPT_VERSIONS
+   * selects and with the variant for the profile and the configured model
+   */
+  renderPrompt(name, profile, variables) {
+    return renderPrompt(name, variables, {
+      version: this.promptVersions[name],
+      type: profile.name,
+      model: this.model
+    });
+  }
 
-    // Check for red flags
-    if (analysis.redFlags && analysis.redFlags.length > 0) {
-      regulatoryRisk = 'red';
-      transparencyRisk = 'yellow';
-    }
+  /**
+   * Runs a rendered prompt whose reply must be JSON matching `schema`.
+   * Output that cannot be parsed or validated is sent back to the model
+   * with the errors found, asking for a corrected reply. `prompts` lists
+   * the registry prompts that were sent.
+   */
+  async runStructuredPrompt({ messages, prompt }, schema, maxTokens) {
+    const conversation = [...messages];
+    const parseFailures = [];
+    const prompts = [prompt];
+
+    for (let attempt = 1; attempt <= MAX_PARSE_ATTEMPTS; attempt++) {
+      const reply = await this.provider.chat(conversation, {
+        maxTokens,
+        temperature: this.temperature
+      });
 
-    // Check compliance
-    if (analysis.compliance) {
-      if (analysis.compliance.gdpr === 'non-compliant' || analysis.compliance.ccpa === 'non-compliant') {
-        regulatoryRisk = 'red';
-      } else if (analysis.compliance.gdpr === 'partially' || analysis.compliance.ccpa === 'partially') {
-        regulatoryRisk = 'yellow';
+      const parsed = parseModelResponse(reply, schema);
+      if (parsed.ok) {
+        return { result: parsed.value, attempts: attempt, parseFailures, prompts };
       }
-    }
 
-    // Check user rights
-    const hasUserRights = analysis.sections.some(section =>
-      section.userRights && section.userRights.length > 0
-    );
+      const raw = typeof reply === 'string' ? reply : JSON.stringify(reply ?? null);
+      parseFailures.push({
+        attempt,
+        errors: parsed.errors.slice(0, 10),
+        responseExcerpt: raw.slice(0, 200)
+      });
 
-    if (!hasUserRights) {
-      userRightsRisk = 'yellow';
+      const retry = this.renderPrompt('parse-retry', {}, { errors: parsed.errors.slice(0, 10).join('\n- ') });
+      if (attempt === 1) prompts.push(retry.prompt);
+      conversation.push({ role: 'assistant', content: raw }, ...retry.messages);
     }
 
-    // Overall risk is the highest of the three
-    const risks = [regulatoryRisk, transparencyRisk, userRightsRisk];
-    const overallRisk = risks.includes('red') ? 'red' : risks.includes('yellow') ? 'yellow' : 'green';
+    return { result: null, attempts: MAX_PARSE_ATTEMPTS, parseFailures, prompts };
+  }
 
-    return {
-      overall: overallRisk,
-      regulatory: regulatoryRisk,
-      transparency: transparencyRisk,
-      userRights: userRightsRisk
-    };
+  calculateRiskScores(analysis, type = 'privacy', metrics = null) {
+    // Weighted rubric for the profile; levels come from the configured thresholds.
+    // The rubric reads the document metrics, when there are any, from the analysis.
+    return calculateRiskScores(metrics ? { ...analysis, metrics } : analysis, getRiskThresholds(this.env), getAnalysisProfile(type).riskRubric);
   }
 }
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Section-aware chunking for policy documents
+ * Chunks never span unrelated sections and carry the heading path they came from
+ */
+
+// Chunks shorter than this carry too little text to analyze on their own
+const MIN_CHUNK_TEXT = 50;
+
+const SENTENCE_PATTERN = /[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)/g;
+
+function commonPrefix(a, b) {
+  const prefix = [];
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) break;
+    prefix.push(a[i]);
+  }
+  return prefix;
+}
+
+/**
+ * Splits one section body into pieces no longer than maxChunkSize,
+ * breaking on sentence boundaries. Offsets are relative to the document.
+ */
+function splitSection(section, maxChunkSize) {
+  const pieces = [];
+  let pieceStart = null;
+  let pieceEnd = null;
+
+  const pushPiece = () => {
+    if (pieceStart !== null) {
+      pieces.push({ start: pieceStart, end: pieceEnd, headingPath: section.headingPath });
+    }
+    pieceStart = null;
+    pieceEnd = null;
+  };
+
+  SENTENCE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = SENTENCE_PATTERN.exec(section.text)) !== null) {
+    if (match[0].length === 0) {
+      SENTENCE_PATTERN.lastIndex++;
+      continue;
+    }
+
+    let sentenceStart = section.start + match.index;
+    const sentenceEnd = sentenceStart + match[0].length;
+
+    // Hard-split sentences that are longer than a whole chunk
+    while (sentenceEnd - sentenceStart > maxChunkSize) {
+      pushPiece();
+      pieces.push({ start: sentenceStart, end: sentenceStart + maxChunkSize, headingPath: section.headingPath });
+      sentenceStart += maxChunkSize;
+    }
+
+    if (pieceStart !== null && sentenceEnd - pieceStart > maxChunkSize) {
+      pushPiece();
+    }
+    if (pieceStart === null) pieceStart = sentenceStart;
+    pieceEnd = sentenceEnd;
+  }
+
+  pushPiece();
+  return pieces;
+}
+
+/**
+ * Chunks a document along its sections.
+ * Small neighbouring sections (and fragments too short to stand alone) that
+ * share a parent heading are packed together and tagged with that common path.
+ */
+export function chunkDocument(document, { maxChunkSize = 2000, minChunkSize = 300 } = {}) {
+  const units = [];
+
+  for (const section of document.sections) {
+    if (!section.text) continue;
+
+    if (section.text.length <= maxChunkSize) {
+      units.push({ start: section.start, end: section.end, headingPath: section.headingPath });
+    } else {
+      units.push(...splitSection(section, maxChunkSize));
+    }
+  }
+
+  const packed = [];
+  for (const unit of units) {
+    const previous = packed[packed.length - 1];
+
+    if (previous) {
+      const sharedPath = commonPrefix(previous.headingPath, unit.headingPath);
+      const bothUntitled = previous.headingPath.length === 0 && unit.headingPath.length === 0;
+      const previousLength = previous.end - previous.start;
+      const unitLength = unit.end - unit.start;
+      const isSmall = previousLength < minChunkSize && unitLength < minChunkSize;
+      const isFragment = previousLength < MIN_CHUNK_TEXT || unitLength < MIN_CHUNK_TEXT;
+
+      if ((isSmall || isFragment) && (sharedPath.length > 0 || bothUntitled) && unit.end - previous.start <= maxChunkSize) {
+        previous.end = unit.end;
+        previous.headingPath = sharedPath;
+        continue;
+      }
+    }
+
+    packed.push({ ...unit });
+  }
+
+  const pagedSections = document.sections.filter(section => section.page);
+
+  return packed
+    .map(unit => {
+      const raw = document.text.slice(unit.start, unit.end);
+      const text = raw.trim();
+      const start = unit.start + (raw.length - raw.trimStart().length);
+      const chunk = {
+        text,
+        start,
+        end: start + text.length,
+        headingPath: unit.headingPath,
+        section: unit.headingPath[unit.headingPath.length - 1] || null
+      };
+
+      // Paginated sources (PDF) report the pages each chunk spans
+      if (pagedSections.length > 0) {
+        chunk.pages = [...new Set(pagedSections
+          .filter(section => section.start < chunk.end && section.end > chunk.start)
+          .map(section => section.page))];
+      }
+
+      return chunk;
+    })
+    .filter(chunk => chunk.text.length > MIN_CHUNK_TEXT)
+    .map((chunk, index) => ({ index, ...chunk }));
+}
\ No newline at end of file
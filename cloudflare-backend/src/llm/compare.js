@@ -0,0 +1,240 @@
+/**
+ * Policy comparison
+ * Lines up analyzed privacy policies on the same dimensions and, for each
+ * one, names the most protective policy with the facts behind the call
+ */
+
+import { extractDomain } from '../utils/validation.js';
+
+export const MAX_COMPARED_POLICIES = 5;
+
+const SENSITIVE_DATA_CATEGORIES = ['health', 'biometric', 'financial', 'children', 'location'];
+
+// How much sharing with each kind of recipient exposes users; unlisted types count 1
+const RECIPIENT_EXPOSURE = { 'data-brokers': 3, advertisers: 2, unnamed: 2, public: 2 };
+
+// Retention from least to most protective; a policy is judged by its weakest practice
+const RETENTION_RANK = { indefinite: 0, unspecified: 1, limited: 2, 'stated-period': 3 };
+
+const PROTECTIVE_CHOICES = ['opt-in', 'opt-out-link', 'opt-out-by-contact', 'do-not-sell-or-share', 'access-and-deletion', 'privacy-settings'];
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+function practices(result, category) {
+  const dataPractices = (result.analysis && result.analysis.dataPractices) || {};
+  return dataPractices[category] || [];
+}
+
+function uniqueTypes(entries) {
+  return Array.from(new Set(entries.map(entry => entry.type)));
+}
+
+function compareDataCollected(result) {
+  const categories = uniqueTypes(practices(result, 'dataCategories'));
+  const sensitive = categories.filter(category => SENSITIVE_DATA_CATEGORIES.includes(category));
+
+  let summary = 'does not say which data it collects';
+  if (categories.length > 0) {
+    summary = `collects ${plural(categories.length, 'category', 'categories')} of data, ${sensitive.length > 0
+      ? `including sensitive ${sensitive.join(', ')} data`
+      : 'none of them sensitive'}`;
+  }
+
+  return {
+    categories,
+    sensitive,
+    summary,
+    // Collecting less is more protective; an undisclosed list ranks last
+    protection: categories.length > 0 ? -(categories.length + sensitive.length * 2) : -Infinity
+  };
+}
+
+function compareSharing(result) {
+  const entries = practices(result, 'thirdParties');
+  const recipients = uniqueTypes(entries);
+  const named = Array.from(new Set(entries.map(entry => entry.name).filter(Boolean)));
+
+  return {
+    recipients,
+    named,
+    summary: recipients.length > 0
+      ? `shares data with ${recipients.join(', ')}`
+      : 'does not describe sharing data with third parties',
+    // Silence about sharing is not a promise not to share; it ranks last
+    protection: recipients.length > 0 ? -recipients.reduce((sum, type) => sum + (RECIPIENT_EXPOSURE[type] || 1), 0) : -Infinity
+  };
+}
+
+function compareRetention(result) {
+  const entries = practices(result, 'retention');
+  const periods = uniqueTypes(entries);
+  const durations = Array.from(new Set(entries.map(entry => entry.duration).filter(Boolean)));
+  const rank = Math.min(...periods.map(type => RETENTION_RANK[type] ?? RETENTION_RANK.unspecified), RETENTION_RANK['stated-period']);
+  const weakest = periods.length > 0 ? Object.keys(RETENTION_RANK).find(type => RETENTION_RANK[type] === rank) : 'unspecified';
+
+  const summaries = {
+    indefinite: 'keeps some data indefinitely',
+    unspecified: 'does not state how long data is kept',
+    limited: 'keeps data only as long as it is needed',
+    'stated-period': `states how long data is kept${durations.length > 0 ? ` (${durations.join(', ')})` : ''}`
+  };
+
+  return {
+    periods,
+    durations,
+    summary: summaries[weakest],
+    protection: periods.length > 0 ? rank : RETENTION_RANK.unspecified
+  };
+}
+
+function compareRights(result) {
+  const rights = ((result.analysis && result.analysis.userRights) || []).map(right => (typeof right === 'object' ? right.text : right));
+  const choices = uniqueTypes(practices(result, 'userChoices')).filter(type => PROTECTIVE_CHOICES.includes(type));
+
+  return {
+    rights,
+    choices,
+    summary: `describes ${plural(rights.length, 'user right')}${choices.length > 0 ? ` and offers ${choices.join(', ')}` : ''}`,
+    protection: rights.length + choices.length
+  };
+}
+
+// Checklists upgraded from 1.0.0 results carry only a verdict, which counts
+// as one disclosure made, partly made or missing
+const VERDICT_COUNTS = {
+  compliant: { present: 1, partial: 0, missing: 0 },
+  partially: { present: 0, partial: 1, missing: 0 },
+  'non-compliant': { present: 0, partial: 0, missing: 1 }
+};
+
+function compareCompliance(result) {
+  const compliance = (result.analysis && result.analysis.compliance) || {};
+  const regulations = Object.fromEntries(Object.entries(compliance).map(([regulation, checklist]) => {
+    const { present, partial, missing } = Number.isFinite(checklist.missing) ? checklist : VERDICT_COUNTS[checklist.status];
+    return [regulation, { status: checklist.status, present, partial, missing }];
+  }));
+
+  const counts = Object.values(regulations).reduce((sum, { present, partial, missing }) => ({
+    present: sum.present + present,
+    partial: sum.partial + partial,
+    total: sum.total + present + partial + missing
+  }), { present: 0, partial: 0, total: 0 });
+
+  return {
+    regulations,
+    summary: counts.total > 0
+      ? `fully makes ${counts.present} and partly makes ${counts.partial} of ${plural(counts.total, 'required disclosure')}`
+      : 'was not checked against any regulation',
+    protection: counts.total > 0 ? counts.present + counts.partial / 2 : -Infinity
+  };
+}
+
+function compareRisk(result) {
+  const riskScores = result.riskScores || {};
+  const dimensions = Object.fromEntries(Object.entries(riskScores.dimensions || {}).map(([dimension, { score, level }]) => [
+    dimension,
+    { score, level }
+  ]));
+
+  return {
+    score: riskScores.score ?? null,
+    overall: riskScores.overall || result.overallRisk || null,
+    dimensions,
+    summary: Number.isFinite(riskScores.score)
+      ? `has a risk score of ${riskScores.score}/100 (${riskScores.overall})`
+      : 'has no risk score',
+    protection: Number.isFinite(riskScores.score) ? -riskScores.score : -Infinity
+  };
+}
+
+/**
+ * Comparison dimensions. `extract` reads one policy's position from its
+ * analysis result; a higher `protection` is more protective of users.
+ */
+export const COMPARISON_DIMENSIONS = {
+  dataCollected: { label: 'Data collected', extract: compareDataCollected },
+  sharing: { label: 'Sharing', extract: compareSharing },
+  retention: { label: 'Retention', extract: compareRetention },
+  rights: { label: 'User rights', extract: compareRights },
+  compliance: { label: 'Compliance items', extract: compareCompliance },
+  risk: { label: 'Risk scores', extract: compareRisk }
+};
+
+/**
+ * Compliance checklist items whose status differs between the policies
+ */
+function findComplianceDifferences(results) {
+  const differences = [];
+  const regulations = new Set(results.flatMap(result => Object.keys((result.analysis && result.analysis.compliance) || {})));
+
+  for (const regulation of regulations) {
+    const checklists = results.map(result => (result.analysis.compliance || {})[regulation]);
+    const itemIds = new Set(checklists.flatMap(checklist => Object.keys((checklist && checklist.items) || {})));
+
+    for (const item of itemIds) {
+      const entries = checklists.map(checklist => checklist && checklist.items[item]);
+      const statuses = entries.map(entry => (entry ? entry.status : null));
+      if (new Set(statuses).size > 1) {
+        differences.push({ regulation, item, label: entries.find(Boolean).label, statuses });
+      }
+    }
+  }
+
+  return differences;
+}
+
+// Hostnames read best; fall back to full URLs when two policies share a host
+function getPolicyLabels(results) {
+  const hosts = results.map(result => extractDomain(result.url) || result.url);
+  return new Set(hosts).size === hosts.length ? hosts : results.map(result => result.url);
+}
+
+function joinNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Compares analysis results across every dimension. Each dimension lists
+ * the policies' positions in the order given, the URLs of the most
+ * protective policies (all of them on a tie) and why.
+ */
+export function comparePolicies(results) {
+  if (!Array.isArray(results) || results.length < 2) {
+    throw new Error('At least two policies are needed for a comparison');
+  }
+
+  const labels = getPolicyLabels(results);
+  const dimensions = {};
+
+  for (const [dimension, { label, extract }] of Object.entries(COMPARISON_DIMENSIONS)) {
+    const positions = results.map(extract);
+    const best = Math.max(...positions.map(position => position.protection));
+    const winners = results.filter((result, index) => positions[index].protection === best);
+    const details = positions.map((position, index) => `${labels[index]} ${position.summary}`).join('; ');
+
+    dimensions[dimension] = {
+      label,
+      values: positions.map(({ protection, ...value }, index) => ({ url: results[index].url, ...value })),
+      mostProtective: winners.map(result => result.url),
+      reason: winners.length === results.length
+        ? `${results.length === 2 ? 'Both' : 'All'} policies are equally protective: ${details}.`
+        : `${joinNames(winners.map(result => labels[results.indexOf(result)]))} ${winners.length === 1 ? 'is' : 'are'} more protective: ${details}.`
+    };
+  }
+
+  dimensions.compliance.differences = findComplianceDifferences(results);
+
+  return {
+    policies: results.map((result, index) => ({
+      url: result.url,
+      label: labels[index],
+      analysisId: result.id,
+      analyzedAt: result.timestamp,
+      depth: result.depth,
+      overallRisk: result.overallRisk
+    })),
+    dimensions
+  };
+}
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * Regulatory compliance checklists
+ * Each regime lists the disclosures a privacy notice must make. Chunks
+ * report the items they address; the merged checklist marks every item
+ * present, partial or missing with the passages it is based on.
+ */
+
+export const COMPLIANCE_CHECKLISTS = {
+  gdpr: {
+    label: 'GDPR Art. 13/14 disclosures',
+    items: {
+      controllerIdentity: 'Identity and contact details of the controller',
+      dpoContact: 'Contact details of the data protection officer',
+      purposes: 'Purposes of the processing',
+      legalBasis: 'Legal basis for each purpose, including legitimate interests relied on',
+      recipients: 'Recipients or categories of recipients',
+      transfers: 'Transfers to third countries and the safeguards used',
+      retention: 'Retention period or the criteria used to determine it',
+      dataSubjectRights: 'Rights of access, rectification, erasure, restriction, objection and portability',
+      withdrawConsent: 'Right to withdraw consent at any time',
+      rightToComplain: 'Right to lodge a complaint with a supervisory authority',
+      dataSources: 'Source of data not collected from the user (Art. 14)',
+      automatedDecisions: 'Automated decision-making and profiling'
+    }
+  },
+  ccpa: {
+    label: 'CCPA as amended by CPRA',
+    items: {
+      noticeAtCollection: 'Notice at collection of the categories of personal information and their purposes',
+      sensitiveInformation: 'Categories of sensitive personal information and their purposes',
+      doNotSellOrShare: '"Do Not Sell or Share My Personal Information" link or opt-out',
+      limitSensitiveUse: 'Right to limit the use of sensitive personal information',
+      retention: 'How long each category of personal information is kept',
+      rightsToKnowDeleteCorrect: 'Rights to know, delete and correct personal information',
+      nonDiscrimination: 'Right not to be discriminated against for exercising rights',
+      requestMethods: 'Methods for submitting requests, including through an authorized agent'
+    }
+  },
+  lgpd: {
+    label: 'LGPD (Brazil)',
+    items: {
+      controllerIdentity: 'Identity and contact details of the controller',
+      dpoContact: 'Identity and contact details of the data protection officer (encarregado)',
+      purposes: 'Specific purpose of the processing',
+      legalBasis: 'Legal basis for the processing',
+      sharing: 'Shared use of data and its recipients',
+      transfers: 'International transfers',
+      dataSubjectRights: 'Data subject rights under Art. 18',
+      rightToPetitionAnpd: 'Right to petition the national authority (ANPD)'
+    }
+  },
+  pipeda: {
+    label: 'PIPEDA (Canada)',
+    items: {
+      accountability: 'Person accountable for privacy compliance',
+      purposes: 'Purposes identified at or before collection',
+      consent: 'How consent is obtained and can be withdrawn',
+      retention: 'Retention and disposal of personal information',
+      safeguards: 'Security safeguards',
+      accessAndCorrection: 'Access to and correction of personal information',
+      challengingCompliance: 'How to challenge compliance, including complaints to the Privacy Commissioner'
+    }
+  }
+};
+
+const STATUS_RANK = { missing: 0, partial: 1, present: 2 };
+
+/**
+ * Lists the checklists for inclusion in an analysis prompt
+ */
+export function describeComplianceChecklists(checklists = COMPLIANCE_CHECKLISTS) {
+  return Object.entries(checklists).map(([regulation, { label, items }]) =>
+    `- ${regulation} (${label}): ${Object.entries(items).map(([item, description]) => `${item} (${description})`).join('; ')}`
+  ).join('\n');
+}
+
+/**
+ * Maps a model-reported item status to "present" or "partial".
+ * Chunks cannot show that an item is missing, so anything else is dropped.
+ */
+export function normalizeItemStatus(status) {
+  const value = String(status || '').toLowerCase();
+  if (value.includes('partial')) return 'partial';
+  if (value.includes('present') || value.includes('disclosed') || value === 'yes') return 'present';
+  return null;
+}
+
+/**
+ * Normalizes one chunk's compliance report, keeping only known items
+ * with a usable status. `verify` attaches evidence to each item.
+ */
+export function normalizeChunkCompliance(compliance, verify = item => item, checklists = COMPLIANCE_CHECKLISTS) {
+  const normalized = {};
+  if (!compliance || typeof compliance !== 'object') return normalized;
+
+  for (const [regulation, { items }] of Object.entries(checklists)) {
+    const reported = compliance[regulation];
+    if (!reported || typeof reported !== 'object') continue;
+
+    for (const item of Object.keys(items)) {
+      const entry = reported[item];
+      const status = entry && typeof entry === 'object' ? normalizeItemStatus(entry.status) : null;
+      if (!status) continue;
+
+      if (!normalized[regulation]) normalized[regulation] = {};
+      normalized[regulation][item] = verify({
+        status,
+        note: entry.note ? String(entry.note).trim() : null,
+        quote: entry.quote || null
+      });
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Overall verdict for a regulation from its item statuses: compliant when
+ * every required disclosure is made, non-compliant when none is. Analyses
+ * whose profile has no checklists (terms, cookie policies) and rules-only
+ * analyses carry no compliance at all rather than a verdict.
+ */
+export function getComplianceVerdict(items) {
+  const statuses = Object.values(items).map(item => item.status);
+  if (statuses.every(status => status === 'present')) return 'compliant';
+  if (statuses.every(status => status === 'missing')) return 'non-compliant';
+  return 'partially';
+}
+
+/**
+ * Merges per-chunk compliance reports into one checklist per regulation.
+ * An item takes the best status any chunk found for it, and `sources`
+ * keeps every passage that supports it; items no chunk addressed are missing.
+ */
+export function mergeCompliance(chunkCompliance, checklists = COMPLIANCE_CHECKLISTS) {
+  const merged = {};
+
+  for (const [regulation, { label, items }] of Object.entries(checklists)) {
+    const checklist = Object.fromEntries(Object.entries(items).map(([item, description]) => [
+      item,
+      { label: description, status: 'missing', sources: [] }
+    ]));
+
+    for (const compliance of chunkCompliance) {
+      for (const [item, entry] of Object.entries((compliance && compliance[regulation]) || {})) {
+        if (!checklist[item]) continue;
+
+        const { status, note, quote, start, end, section, headingPath, pages } = entry;
+        if (STATUS_RANK[status] > STATUS_RANK[checklist[item].status]) checklist[item].status = status;
+        checklist[item].sources.push({ status, note, section, headingPath, ...(pages ? { pages } : {}), quote, start, end });
+      }
+    }
+
+    const counts = { present: 0, partial: 0, missing: 0 };
+    for (const item of Object.values(checklist)) counts[item.status]++;
+
+    merged[regulation] = {
+      label,
+      status: getComplianceVerdict(checklist),
+      ...counts,
+      items: checklist
+    };
+  }
+
+  return merged;
+}
+
+/**
+ * One line per regulation for the summary prompt
+ */
+export function describeComplianceSummary(compliance) {
+  return Object.entries(compliance || {}).map(([regulation, { status, items }]) => {
+    const missing = Object.entries(items).filter(([, item]) => item.status === 'missing').map(([item]) => item);
+    return `${regulation} ${status}${missing.length > 0 ? ` (missing: ${missing.join(', ')})` : ''}`;
+  }).join('; ');
+}
\ No newline at end of file
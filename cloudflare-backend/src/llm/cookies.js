@@ -0,0 +1,258 @@
+/**
+ * Cookie inventory
+ * Builds the list of cookies a cookie policy declares, from its tables and
+ * the model's findings, and checks it against well-known tracking cookies
+ */
+
+import { getSourceAt } from '../utils/document.js';
+
+export const COOKIE_PURPOSES = ['strictly-necessary', 'functional', 'analytics', 'advertising', 'unknown'];
+
+// Checked in order, so "performance and advertising cookies" counts as advertising
+const PURPOSE_PATTERNS = [
+  ['advertising', /advertis|marketing|targeting|retargeting|\bads?\b|social media/i],
+  ['analytics', /analytic|statistic|performance|measurement/i],
+  ['functional', /functional|preference|personali[sz]ation/i],
+  ['strictly-necessary', /strictly|necessary|essential|required|security|authentication|load[- ]?balanc/i]
+];
+
+// Well-known cookies by name. `crossSite` marks cookies used to follow
+// users across other websites.
+const KNOWN_COOKIES = [
+  { pattern: /^(_ga|_ga_\w+|_gid|_gat\w*)$/, provider: 'Google Analytics', purpose: 'analytics', party: 'first', crossSite: false },
+  { pattern: /^_gcl_\w+$/, provider: 'Google Ads', purpose: 'advertising', party: 'first', crossSite: true },
+  { pattern: /^(IDE|DSID|test_cookie)$/, provider: 'Google DoubleClick', purpose: 'advertising', party: 'third', crossSite: true },
+  { pattern: /^(NID|__Secure-3PSID|__Secure-3PAPISID)$/, provider: 'Google', purpose: 'advertising', party: 'third', crossSite: true },
+  { pattern: /^VISITOR_INFO1_LIVE$/, provider: 'YouTube', purpose: 'advertising', party: 'third', crossSite: true },
+  { pattern: /^_fbp$/, provider: 'Meta', purpose: 'advertising', party: 'first', crossSite: true },
+  { pattern: /^fr$/, provider: 'Meta', purpose: 'advertising', party: 'third', crossSite: true },
+  { pattern: /^(bcookie|lidc|li_sugr|UserMatchHistory)$/, provider: 'LinkedIn', purpose: 'advertising', party: 'third', crossSite: true },
+  { pattern: /^(personalization_id|guest_id)$/, provider: 'X (Twitter)', purpose: 'advertising', party: 'third', crossSite: true },
+  { pattern: /^_ttp$/, provider: 'TikTok', purpose: 'advertising', party: 'first', crossSite: true },
+  { pattern: /^MUID$/, provider: 'Microsoft Advertising', purpose: 'advertising', party: 'third', crossSite: true },
+  { pattern: /^(_uetsid|_uetvid)$/, provider: 'Microsoft Advertising', purpose: 'advertising', party: 'first', crossSite: true },
+  { pattern: /^_hj\w+$/, provider: 'Hotjar', purpose: 'analytics', party: 'first', crossSite: false },
+  { pattern: /^(_clck|_clsk)$/, provider: 'Microsoft Clarity', purpose: 'analytics', party: 'first', crossSite: false },
+  { pattern: /^ajs_(anonymous_id|user_id)$/, provider: 'Segment', purpose: 'analytics', party: 'first', crossSite: false },
+  { pattern: /^(__cf_bm|cf_clearance|__cflb)$/, provider: 'Cloudflare', purpose: 'strictly-necessary', party: 'first', crossSite: false },
+  { pattern: /^(__stripe_mid|__stripe_sid)$/, provider: 'Stripe', purpose: 'strictly-necessary', party: 'first', crossSite: false }
+];
+
+// Table header cells, checked in order
+const COLUMN_PATTERNS = [
+  ['name', /^(name|cookie|cookies|cookie name|name of cookie)$/i],
+  ['party', /\bparty\b/i],
+  ['duration', /duration|expir|lifespan|life span|retention|storage period/i],
+  ['provider', /provider|domain|set by|host|vendor|company/i],
+  ['purpose', /purpose|category|type|used for|function|description/i]
+];
+
+// Wording that tells users they are tracked across other websites
+const CROSS_SITE_DISCLOSURE = /cross[- ]site|across (other |different )?(websites|sites|apps|services)|on other (websites|sites)|other websites you visit|retarget|interest[- ]based|personali[sz]ed (ads|advertising)|targeted (ads|advertising)/i;
+
+const CROSS_SITE_PRACTICES = ['cross-site-tracking', 'retargeting', 'interest-based-advertising'];
+
+function clean(value) {
+  return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+}
+
+/**
+ * Maps a stated purpose or cookie category to one of COOKIE_PURPOSES
+ */
+export function normalizeCookiePurpose(value) {
+  const match = PURPOSE_PATTERNS.find(([, pattern]) => pattern.test(String(value || '')));
+  return match ? match[0] : 'unknown';
+}
+
+/**
+ * Maps a stated first-/third-party designation to "first" or "third"
+ */
+export function normalizeCookieParty(value) {
+  const text = String(value || '').toLowerCase();
+  if (text.includes('third')) return 'third';
+  if (text.includes('first')) return 'first';
+  return null;
+}
+
+/**
+ * Looks a cookie name up in the catalog of well-known cookies
+ */
+export function identifyCookie(name) {
+  const known = KNOWN_COOKIES.find(cookie => cookie.pattern.test(String(name || '').trim()));
+  if (!known) return null;
+
+  const { pattern, ...details } = known;
+  return details;
+}
+
+/**
+ * Normalizes one cookie reported by the model or read from a table
+ */
+export function normalizeCookie(entry) {
+  const name = entry && typeof entry === 'object' ? clean(entry.name) : null;
+  if (!name) return null;
+
+  return {
+    name,
+    provider: clean(entry.provider),
+    purpose: normalizeCookiePurpose(entry.purpose),
+    duration: clean(entry.duration),
+    party: normalizeCookieParty(entry.party),
+    quote: entry.quote || null
+  };
+}
+
+function parseHeader(cells) {
+  const columns = { purpose: [] };
+
+  cells.forEach((cell, index) => {
+    const match = COLUMN_PATTERNS.find(([, pattern]) => pattern.test(cell));
+    if (!match) return;
+
+    const [column] = match;
+    if (column === 'purpose') {
+      columns.purpose.push(index);
+    } else if (columns[column] === undefined) {
+      columns[column] = index;
+    }
+  });
+
+  return columns.name === undefined ? null : columns;
+}
+
+/**
+ * Reads cookies from the policy's tables.
+ * Extracted tables are `cell | cell` lines; a row naming a cookie column
+ * starts a table, and every following row becomes one cookie whose
+ * evidence is the row itself.
+ */
+export function parseCookieTables(document) {
+  const cookies = [];
+  let columns = null;
+  let offset = 0;
+
+  for (const line of document.text.split('\n')) {
+    const start = offset;
+    offset += line.length + 1;
+
+    if (!line.includes(' | ')) {
+      columns = null;
+      continue;
+    }
+
+    const cells = line.split(' | ').map(cell => cell.trim());
+    const header = parseHeader(cells);
+    if (header) {
+      columns = header;
+      continue;
+    }
+    if (!columns) continue;
+
+    const cell = index => (index === undefined ? null : cells[index] || null);
+    const cookie = normalizeCookie({
+      name: cell(columns.name),
+      provider: cell(columns.provider),
+      purpose: columns.purpose.map(cell).filter(Boolean).join(' '),
+      duration: cell(columns.duration),
+      party: cell(columns.party)
+    });
+    if (!cookie) continue;
+
+    const leading = line.length - line.trimStart().length;
+    cookies.push({
+      ...cookie,
+      quote: line.trim(),
+      start: start + leading,
+      end: start + line.trimEnd().length,
+      ...getSourceAt(document, start)
+    });
+  }
+
+  return cookies;
+}
+
+/**
+ * Combines cookies from the policy's tables with verified cookies the model
+ * found in the text. Cookies are merged by name, each source filling in the
+ * details the others left out; the catalog supplies a provider and purpose
+ * where the policy gives none.
+ */
+export function buildCookieInventory(document, modelCookies = []) {
+  const inventory = [];
+
+  for (const cookie of [...parseCookieTables(document), ...(modelCookies || [])]) {
+    const { quote, start, end, section, headingPath, pages, verified, ...details } = cookie;
+    const source = { section, headingPath, ...(pages ? { pages } : {}), quote, start, end };
+
+    let entry = inventory.find(existing => existing.name.toLowerCase() === details.name.toLowerCase());
+    if (!entry) {
+      entry = { ...details, sources: [] };
+      inventory.push(entry);
+    } else {
+      for (const field of ['provider', 'duration', 'party']) {
+        if (!entry[field] && details[field]) entry[field] = details[field];
+      }
+      if (entry.purpose === 'unknown') entry.purpose = details.purpose;
+    }
+
+    // A table row the model also quoted is the same evidence
+    if (!entry.sources.some(existing => existing.start !== null && existing.start <= start && end <= existing.end)) {
+      entry.sources.push(source);
+    }
+  }
+
+  return inventory.map(entry => {
+    const known = identifyCookie(entry.name);
+    const stated = entry.purpose !== 'unknown';
+
+    return {
+      name: entry.name,
+      provider: entry.provider || (known ? known.provider : null),
+      purpose: stated ? entry.purpose : known ? known.purpose : 'unknown',
+      purposeSource: stated ? 'policy' : known ? 'catalog' : null,
+      duration: entry.duration,
+      party: entry.party || (known ? known.party : 'unknown'),
+      catalog: known,
+      sources: entry.sources
+    };
+  });
+}
+
+/**
+ * Flags tracking the policy does not own up to:
+ * - known advertising cookies the policy lists under another purpose, or none
+ * - known cross-site trackers when the policy never mentions cross-site tracking
+ */
+export function detectTrackingFlags(inventory, text, cookiePractices = null) {
+  const flags = [];
+
+  for (const cookie of inventory) {
+    if (!cookie.catalog || cookie.catalog.purpose !== 'advertising') continue;
+    if (cookie.purposeSource === 'policy' && cookie.purpose === 'advertising') continue;
+
+    flags.push({
+      type: 'undisclosed-advertising',
+      cookies: [cookie.name],
+      description: cookie.purposeSource === 'policy'
+        ? `${cookie.name} is a ${cookie.catalog.provider} advertising cookie but is listed as ${cookie.purpose}`
+        : `${cookie.name} is a ${cookie.catalog.provider} advertising cookie but its purpose is not stated`,
+      sources: cookie.sources
+    });
+  }
+
+  const trackers = inventory.filter(cookie => cookie.catalog && cookie.catalog.crossSite);
+  const practices = (cookiePractices && cookiePractices.tracking) || [];
+  const disclosed = CROSS_SITE_DISCLOSURE.test(text || '') ||
+    practices.some(practice => CROSS_SITE_PRACTICES.includes(practice.type));
+
+  if (trackers.length > 0 && !disclosed) {
+    flags.push({
+      type: 'undisclosed-cross-site-tracking',
+      cookies: trackers.map(cookie => cookie.name),
+      description: `${trackers.map(cookie => cookie.name).join(', ')} can track users across other websites, but the policy does not disclose cross-site tracking`,
+      sources: trackers.flatMap(cookie => cookie.sources.slice(0, 1))
+    });
+  }
+
+  return flags;
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Analysis depth modes
+ * Each mode has its own token budget, output detail and cache entry
+ */
+
+export const ANALYSIS_DEPTHS = {
+  // One model call over the start of the policy, summary and headline findings only
+  quick: {
+    singlePass: true,
+    maxInputChars: 24000,
+    maxTokens: 1536,
+    findingLimits: { keyPoints: 5, redFlags: 5, recommendations: 3 },
+    includeSections: false,
+    compliance: false
+  },
+  // Every chunk analyzed, merged findings
+  standard: {
+    singlePass: false,
+    chunkSize: 2000,
+    maxTokens: 2048,
+    summaryMaxTokens: 500,
+    findingLimits: { keyPoints: 15, redFlags: 10, recommendations: 5 },
+    includeSections: false,
+    compliance: false
+  },
+  // Every chunk analyzed against the compliance checklists too, with per-section output
+  detailed: {
+    singlePass: false,
+    chunkSize: 2000,
+    maxTokens: 4096,
+    summaryMaxTokens: 1000,
+    findingLimits: { keyPoints: 50, redFlags: 30, recommendations: 10 },
+    includeSections: true,
+    compliance: true
+  }
+};
+
+export const DEFAULT_ANALYSIS_DEPTH = 'standard';
+
+/**
+ * Resolves the requested depth from analysis options.
+ * Accepts `depth` or the extension's `analysisDepth` setting, and the legacy
+ * `detailed: true` flag.
+ */
+export function resolveAnalysisDepth(options = {}) {
+  const requested = options.depth || options.analysisDepth || (options.detailed === true ? 'detailed' : DEFAULT_ANALYSIS_DEPTH);
+  const depth = String(requested).toLowerCase();
+
+  if (!Object.prototype.hasOwnProperty.call(ANALYSIS_DEPTHS, depth)) {
+    throw new Error(`Analysis depth must be one of: ${Object.keys(ANALYSIS_DEPTHS).join(', ')}`);
+  }
+
+  return depth;
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Evidence quote verification
+ * Locates the quotes the model cites for each finding in the source text
+ */
+
+// Quotes shorter than this are too unspecific to count as evidence
+const MIN_QUOTE_LENGTH = 12;
+
+// Each part of a quote elided with "..." must be this long, and follow the
+// part before it within this many source characters, so short fragments
+// can't be stitched together from across the policy
+const MIN_ELIDED_PART_LENGTH = 20;
+const MAX_ELIDED_GAP = 300;
+
+const ELLIPSIS_PATTERN = /\s*(?:\.{3}|…|\[\.{3}\]|\[…\])\s*/;
+
+const CHARACTER_FOLDS = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'", '`': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"',
+  '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '−': '-',
+  ' ': ' '
+};
+
+/**
+ * Folds text for lenient matching while remembering where each folded
+ * character came from: case, quote styles, dashes and whitespace runs
+ * are ignored.
+ */
+function foldWithOffsets(text) {
+  let folded = '';
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = CHARACTER_FOLDS[text[i]] || text[i];
+
+    if (/\s/.test(char)) {
+      pendingSpace = folded.length > 0;
+      continue;
+    }
+
+    if (pendingSpace) {
+      folded += ' ';
+      offsets.push(i);
+      pendingSpace = false;
+    }
+
+    folded += char.toLowerCase();
+    offsets.push(i);
+  }
+
+  return { folded, offsets };
+}
+
+function trimQuote(quote) {
+  return String(quote || '')
+    .trim()
+    .replace(/^["'“‘«]+|["'”’»]+$/g, '')
+    .trim();
+}
+
+/**
+ * Matches the parts of an elided quote in order from `index`, where the
+ * first part was found. Returns source offsets `{ start, end }` or null.
+ */
+function matchParts(source, parts, index) {
+  const start = source.offsets[index];
+  let end = source.offsets[index + parts[0].length - 1] + 1;
+  let searchFrom = index + parts[0].length;
+
+  for (const part of parts.slice(1)) {
+    const next = source.folded.indexOf(part, searchFrom);
+    if (next === -1 || source.offsets[next] - end > MAX_ELIDED_GAP) return null;
+
+    end = source.offsets[next + part.length - 1] + 1;
+    searchFrom = next + part.length;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Finds a quote in the source text.
+ * Exact matches are preferred; otherwise case, quote styles, dashes and
+ * whitespace are ignored, and quotes elided with "..." must match every
+ * part in order, each close after the one before. Returns source offsets
+ * `{ start, end }` or null.
+ */
+export function locateQuote(text, quote, fromIndex = 0) {
+  const trimmed = trimQuote(quote);
+  if (trimmed.replace(/\W/g, '').length < MIN_QUOTE_LENGTH) return null;
+
+  const exact = text.indexOf(trimmed, fromIndex);
+  if (exact !== -1) {
+    return { start: exact, end: exact + trimmed.length };
+  }
+
+  const source = foldWithOffsets(text);
+  const parts = trimmed
+    .split(ELLIPSIS_PATTERN)
+    .map(part => foldWithOffsets(part).folded)
+    .filter(part => part.length > 0);
+
+  const searchFrom = source.offsets.findIndex(offset => offset >= fromIndex);
+  if (searchFrom === -1 || parts.length === 0) return null;
+  if (parts.length > 1 && parts.some(part => part.length < MIN_ELIDED_PART_LENGTH)) return null;
+
+  for (let index = source.folded.indexOf(parts[0], searchFrom); index !== -1; index = source.folded.indexOf(parts[0], index + 1)) {
+    const location = matchParts(source, parts, index);
+    if (location) return location;
+  }
+
+  return null;
+}
+
+/**
+ * Attaches verified evidence to a finding from a chunk.
+ * Offsets are converted from the chunk to the whole document, and the quote
+ * is replaced with the exact source text it matched.
+ */
+export function verifyFinding(finding, chunk) {
+  const text = finding && typeof finding === 'object' ? String(finding.text || '') : String(finding);
+  const quote = finding && typeof finding === 'object' ? finding.quote : null;
+  const location = quote ? locateQuote(chunk.text, quote) : null;
+
+  if (!location) {
+    return { text, quote: quote || null, start: null, end: null, verified: false };
+  }
+
+  return {
+    text,
+    quote: chunk.text.slice(location.start, location.end),
+    start: chunk.start + location.start,
+    end: chunk.start + location.end,
+    verified: true
+  };
+}
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * Document metrics
+ * Length, readability and wording measures computed from the policy text
+ * alone, without the model, so every analysis has them
+ */
+
+export const METRICS_VERSION = '1.0.0';
+
+// Average silent reading speed of adults for non-fiction
+export const READING_WORDS_PER_MINUTE = 238;
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+
+const IRREGULAR_PARTICIPLES = [
+  'made', 'kept', 'held', 'sold', 'sent', 'told', 'found', 'bought', 'built', 'done', 'known', 'shown',
+  'paid', 'set', 'put', 'read', 'lost', 'left', 'brought', 'taught', 'run', 'seen', 'given', 'taken', 'written'
+];
+
+// A form of "to be" or "to get", an optional adverb, then a past participle
+const PASSIVE_PATTERN = new RegExp(
+  `\\b(am|is|are|was|were|be|been|being|get|gets|got|gotten)\\s+(\\w+ly\\s+)?(\\w+ed|\\w+en|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'i'
+);
+
+/**
+ * Phrases that qualify or leave room in a commitment. Keys name the phrase
+ * in the counts reported for a policy.
+ */
+export const HEDGING_PHRASES = {
+  // Not the month, as in "May 5, 2024"
+  may: /\bmay\b(?!\s+\d)/gi,
+  might: /\bmight\b/gi,
+  could: /\bcould\b/gi,
+  'including but not limited to': /\bincluding,? but not limited to\b/gi,
+  'including without limitation': /\bincluding,? without limitation\b/gi,
+  'from time to time': /\bfrom time to time\b/gi,
+  'at our discretion': /\bat our (sole |absolute )?discretion\b/gi,
+  'as necessary': /\bas (we deem |we consider )?(necessary|appropriate|needed)\b/gi,
+  'where appropriate': /\bwhere (appropriate|applicable|necessary)\b/gi,
+  'certain': /\bcertain\b/gi,
+  'generally': /\b(generally|typically|usually)\b/gi
+};
+
+// Whether a sentence contains any hedging phrase
+const HEDGING_PATTERN = new RegExp(Object.values(HEDGING_PHRASES).map(pattern => pattern.source).join('|'), 'i');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE_PATTERN = [
+  `${MONTH_PATTERN}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}`,
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN},?\\s+\\d{4}`,
+  `${MONTH_PATTERN},?\\s+\\d{4}`,
+  '\\d{4}-\\d{2}-\\d{2}',
+  '\\d{1,2}/\\d{1,2}/\\d{4}'
+].join('|');
+
+// "Last updated" and its variants win over an effective date
+const DATE_LABELS = [
+  /\b(last\s+(?:updated|modified|revised|changed)|date\s+of\s+last\s+(?:update|revision)|updated|revised)\b/i,
+  /\b(effective(?:\s+date)?|effective\s+as\s+of)\b/i
+];
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Estimates the syllables in a word by counting vowel groups, ignoring a
+ * silent final "e" and the "-es"/"-ed" endings that add none
+ * ("stores", "shared", but not "collected")
+ */
+export function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length === 0) return 0;
+  if (letters.length <= 3) return 1;
+
+  const trimmed = letters
+    .replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, match => match[0])
+    .replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Splits text into sentences. Every line is split on its own, so headings
+ * and list items count as sentences rather than running into the next one.
+ */
+export function splitSentences(text) {
+  return text
+    .split('\n')
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[^a-z])/))
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+}
+
+function parseDate(value) {
+  const text = value.toLowerCase().replace(/(\d)(st|nd|rd|th)\b/g, '$1').replace(/[.,]|\bof\b/g, ' ').replace(/\s+/g, ' ').trim();
+  const pad = number => String(number).padStart(2, '0');
+  const valid = (year, month, day) => month >= 1 && month <= 12 && (!day || (day >= 1 && day <= 31)) && year >= 1990 && year <= 2100;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    return valid(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+  }
+
+  // Numeric dates are read month first, as most English-language policies write them
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    const [, month, day, year] = match.map(Number);
+    return valid(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+  }
+
+  const monthIndex = word => MONTHS.findIndex(month => month.startsWith(word.slice(0, 3)));
+  const parts = text.split(' ');
+  const year = Number(parts[parts.length - 1]);
+  const monthPart = parts.find(part => /^[a-z]+$/.test(part));
+  const dayPart = parts.find(part => /^\d{1,2}$/.test(part));
+  const month = monthPart ? monthIndex(monthPart) + 1 : 0;
+  const day = dayPart ? Number(dayPart) : null;
+
+  if (!valid(year, month, day)) return null;
+  return day ? `${year}-${pad(month)}-${pad(day)}` : `${year}-${pad(month)}`;
+}
+
+/**
+ * Finds the date the policy says it was last updated, or its effective
+ * date when it gives none. `date` is ISO 8601, without the day when the
+ * policy only names the month.
+ */
+export function findLastUpdated(text) {
+  for (const label of DATE_LABELS) {
+    const pattern = new RegExp(`${label.source}\\s*(?:on|as of|:|-|–)?\\s*(?:the\\s+)?(?<date>${DATE_PATTERN})`, 'gi');
+    for (const match of text.matchAll(pattern)) {
+      const date = parseDate(match.groups.date);
+      if (date) {
+        return { date, text: match[0], start: match.index, end: match.index + match[0].length };
+      }
+    }
+  }
+  return null;
+}
+
+function countHedging(text) {
+  const phrases = {};
+  for (const [phrase, pattern] of Object.entries(HEDGING_PHRASES)) {
+    const count = (text.match(pattern) || []).length;
+    if (count > 0) phrases[phrase] = count;
+  }
+  return phrases;
+}
+
+/**
+ * Computes the metrics of a document's text: counts, reading time,
+ * readability indices, sentence length, how many sentences are passive or
+ * hedged, and the "last updated" date
+ */
+export function computeDocumentMetrics(document) {
+  const text = typeof document === 'string' ? document : document.text;
+  const words = text.match(WORD_PATTERN) || [];
+  const sentences = splitSentences(text);
+
+  const wordCount = words.length;
+  const sentenceCount = Math.max(1, sentences.length);
+  const syllables = words.map(countSyllables);
+  const syllableCount = syllables.reduce((sum, count) => sum + count, 0);
+  const polysyllables = syllables.filter(count => count >= 3).length;
+  const letters = words.reduce((sum, word) => sum + word.replace(/[^\p{L}\p{N}]/gu, '').length, 0);
+
+  const wordsPerSentence = wordCount / sentenceCount;
+  const syllablesPerWord = wordCount > 0 ? syllableCount / wordCount : 0;
+  const lettersPerWord = wordCount > 0 ? letters / wordCount : 0;
+
+  const hedgingPhrases = countHedging(text);
+  const hedgedSentences = sentences.filter(sentence => HEDGING_PATTERN.test(sentence)).length;
+  const passiveSentences = sentences.filter(sentence => PASSIVE_PATTERN.test(sentence)).length;
+
+  const readability = wordCount > 0
+    ? {
+      fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+      fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+      gunningFog: round(0.4 * (wordsPerSentence + 100 * polysyllables / wordCount)),
+      smogIndex: round(1.043 * Math.sqrt(polysyllables * 30 / sentenceCount) + 3.1291),
+      colemanLiauIndex: round(0.0588 * lettersPerWord * 100 - 0.296 * 100 / wordsPerSentence - 15.8),
+      automatedReadabilityIndex: round(4.71 * lettersPerWord + 0.5 * wordsPerSentence - 21.43)
+    }
+    : null;
+
+  return {
+    version: METRICS_VERSION,
+    wordCount,
+    sentenceCount: sentences.length,
+    readingTimeMinutes: wordCount > 0 ? Math.ceil(wordCount / READING_WORDS_PER_MINUTE) : 0,
+    averageSentenceLength: round(wordsPerSentence),
+    averageSyllablesPerWord: round(syllablesPerWord, 2),
+    readability,
+    passiveSentenceShare: sentences.length > 0 ? round(passiveSentences / sentences.length, 3) : 0,
+    hedgingSentenceShare: sentences.length > 0 ? round(hedgedSentences / sentences.length, 3) : 0,
+    hedgingPhrases,
+    lastUpdated: findLastUpdated(text)
+  };
+}
\ No newline at end of file
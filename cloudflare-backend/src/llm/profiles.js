@@ -0,0 +1,154 @@
+/**
+ * Analysis profiles
+ * Each policy type has its own prompts, structured output and risk rubric
+ */
+
+import { describeComplianceChecklists } from './compliance.js';
+import { COOKIE_RISK_RUBRIC, PRIVACY_RISK_RUBRIC, TERMS_RISK_RUBRIC } from './risk.js';
+import { COOKIE_RULES, PRIVACY_RULES, TERMS_RULES } from './rules.js';
+import { createChunkAnalysisSchema, createQuickAnalysisSchema } from './schemas.js';
+import { COOKIE_PRACTICE_TAXONOMY, DATA_PRACTICE_TAXONOMY, TERMS_CLAUSE_TAXONOMY, describeTaxonomy } from './taxonomy.js';
+
+const EVIDENCE = '"quote": "verbatim passage it is based on"';
+
+function createProfile(profile) {
+  const schema = createChunkAnalysisSchema(profile);
+  const created = {
+    ...profile,
+    schema,
+    quickSchema: createQuickAnalysisSchema(schema)
+  };
+  // Depths that skip the compliance checklists use the profile without them
+  created.withoutCompliance = profile.compliance ? createProfile({ ...profile, compliance: false }) : created;
+  return created;
+}
+
+export const ANALYSIS_PROFILES = {
+  privacy: createProfile({
+    name: 'privacy',
+    documentName: 'privacy policy',
+    auditor: 'You are an expert privacy compliance auditor.',
+    focus: 'user rights, data practices, and compliance issues',
+    findings: {
+      keyPoints: 'one of the 2-3 most important points',
+      redFlags: 'a concerning practice, if any',
+      userRights: 'a mentioned user right or lack thereof'
+    },
+    structuredField: 'dataPractices',
+    structuredLabel: 'data practice',
+    taxonomy: DATA_PRACTICE_TAXONOMY,
+    compliance: true,
+    riskRubric: PRIVACY_RISK_RUBRIC,
+    rules: PRIVACY_RULES
+  }),
+  terms: createProfile({
+    name: 'terms',
+    documentName: 'terms of service',
+    auditor: 'You are an expert consumer-protection lawyer reviewing terms of service.',
+    focus: 'dispute resolution, changes to the terms, billing and cancellation, content licenses, liability and account termination',
+    findings: {
+      keyPoints: 'one of the 2-3 most important terms',
+      redFlags: 'a clause that is unfair or harmful to users, if any',
+      userRights: 'a right or protection the user keeps, or lack thereof'
+    },
+    structuredField: 'clauses',
+    structuredLabel: 'contract clause',
+    taxonomy: TERMS_CLAUSE_TAXONOMY,
+    compliance: false,
+    riskRubric: TERMS_RISK_RUBRIC,
+    rules: TERMS_RULES
+  }),
+  cookie: createProfile({
+    name: 'cookie',
+    documentName: 'cookie policy',
+    auditor: 'You are an expert in cookie consent and online tracking compliance.',
+    focus: 'which cookies are set, who sets them, what they are used for, how long they last, consent and cross-site tracking',
+    findings: {
+      keyPoints: 'one of the 2-3 most important points',
+      redFlags: 'a concerning tracking or consent practice, if any',
+      userRights: 'a way for the user to refuse or remove cookies, or lack thereof'
+    },
+    structuredField: 'cookiePractices',
+    structuredLabel: 'cookie practice',
+    taxonomy: COOKIE_PRACTICE_TAXONOMY,
+    compliance: false,
+    cookieInventory: true,
+    riskRubric: COOKIE_RISK_RUBRIC,
+    rules: COOKIE_RULES
+  })
+};
+
+// Documents detected as both a privacy policy and terms are analyzed as privacy policies
+const TYPE_ALIASES = { both: 'privacy' };
+
+/**
+ * Checks that an analysis type is supported
+ */
+export function validateAnalysisType(type) {
+  const profileName = TYPE_ALIASES[type] || type;
+  if (!Object.prototype.hasOwnProperty.call(ANALYSIS_PROFILES, profileName)) {
+    throw new Error(`Analysis type must be one of: ${[...Object.keys(ANALYSIS_PROFILES), ...Object.keys(TYPE_ALIASES)].join(', ')}`);
+  }
+  return type;
+}
+
+/**
+ * Returns the profile used to analyze a policy type. With a depth config
+ * whose `compliance` is false, the profile leaves out the compliance
+ * checklists.
+ */
+export function getAnalysisProfile(type = 'privacy', { compliance = true } = {}) {
+  validateAnalysisType(type);
+  const profile = ANALYSIS_PROFILES[TYPE_ALIASES[type] || type];
+  return compliance ? profile : profile.withoutCompliance;
+}
+
+/**
+ * Describes the JSON fields a profile's analysis prompts must return
+ */
+export function describeResponseFormat(profile) {
+  const lines = [
+    `  "keyPoints": [{"text": "${profile.findings.keyPoints}", ${EVIDENCE}}],`,
+    `  "redFlags": [{"text": "${profile.findings.redFlags}", ${EVIDENCE}}],`
+  ];
+
+  if (profile.compliance) {
+    lines.push(
+      '  "compliance": {',
+      `    "<regulation>": {"<item>": {"status": "present/partial", "note": "what is disclosed or left out", ${EVIDENCE}}}`,
+      '  },'
+    );
+  }
+
+  lines.push(`  "userRights": [{"text": "${profile.findings.userRights}", ${EVIDENCE}}],`);
+
+  if (profile.cookieInventory) {
+    lines.push(`  "cookies": [{"name": "cookie name", "provider": "company that sets it", "purpose": "strictly-necessary/functional/analytics/advertising", "duration": "how long it lasts", "party": "first/third", ${EVIDENCE}}],`);
+  }
+
+  lines.push(
+    `  "${profile.structuredField}": {`,
+    `    "<category>": [{"type": "taxonomy type", "description": "short description", ${EVIDENCE}}]`,
+    '  }'
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Instructions for classifying the profile's structured output and citing evidence
+ */
+export function describeResponseInstructions(profile) {
+  const cookies = profile.cookieInventory
+    ? '\n\nList every cookie the text names under "cookies", using null for details it does not give.'
+    : '';
+  const compliance = profile.compliance
+    ? `\n\nCheck the text against these compliance checklists. Report only the items it addresses, as "present" when fully disclosed or "partial" when incomplete:
+${describeComplianceChecklists()}`
+    : '';
+
+  return `Classify every ${profile.structuredLabel} the text describes under these ${profile.structuredField} categories (omit categories it does not mention):
+${describeTaxonomy(profile.taxonomy)}${cookies}${compliance}
+
+Every "quote" must be copied word for word from the text above. Leave out any finding you cannot support with a quote.`;
+}
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * Prompt template registry
+ * Every prompt the analyzer sends is a named, versioned template with
+ * `{{variable}}` placeholders. A version can carry variants for a policy
+ * type and overrides for a model; both replace the base `system` or `user`
+ * template. Results record the prompt versions that produced them.
+ */
+
+export const PROMPT_TEMPLATES = {
+  'chunk-analysis': {
+    '1.0.0': {
+      system: '{{auditor}} Analyze the following {{documentName}} text and provide structured findings in JSON format. Focus on {{focus}}.',
+      user: `Analyze this {{documentName}} excerpt{{location}}:
+
+"{{text}}"
+
+Return JSON with:
+{
+{{responseFormat}}
+}
+
+{{instructions}}{{ruleHints}}`
+    }
+  },
+  'quick-analysis': {
+    '1.0.0': {
+      system: '{{auditor}} Read the following {{documentName}} and provide an executive summary and structured findings in JSON format. Focus on {{focus}}.',
+      user: `Analyze this {{documentName}}:
+
+"{{text}}"
+
+Return JSON with:
+{
+  "executiveSummary": "2-3 sentence summary",
+{{responseFormat}},
+  "recommendations": ["2-3 actionable recommendations for users"]
+}
+
+{{instructions}}{{ruleHints}}`
+    }
+  },
+  summary: {
+    '1.0.0': {
+      system: 'You are a {{documentName}} expert. Create a concise executive summary and recommendations.',
+      user: `Based on this analysis of a {{documentName}}:
+
+Key Points: {{keyPoints}}
+Red Flags: {{redFlags}}
+User Rights: {{userRights}}
+Clauses: {{clauses}}
+Coverage: {{chunksAnalyzed}} of {{totalChunks}} sections analyzed
+
+Provide:
+1. A 2-3 sentence executive summary
+2. 3-5 actionable recommendations for users
+
+Return as JSON: {"executiveSummary": "...", "recommendations": ["...", "..."]}`,
+      variants: {
+        // Privacy summaries get the compliance verdicts instead of the clause types
+        privacy: {
+          user: `Based on this analysis of a {{documentName}}:
+
+Key Points: {{keyPoints}}
+Red Flags: {{redFlags}}
+User Rights: {{userRights}}
+Compliance: {{compliance}}
+Coverage: {{chunksAnalyzed}} of {{totalChunks}} sections analyzed
+
+Provide:
+1. A 2-3 sentence executive summary
+2. 3-5 actionable recommendations for users
+
+Return as JSON: {"executiveSummary": "...", "recommendations": ["...", "..."]}`
+        }
+      }
+    }
+  },
+  'policy-question': {
+    '1.0.0': {
+      system: 'You answer questions about a {{documentName}} using only the excerpts provided. Never rely on outside knowledge of the company.',
+      user: `Question: {{question}}
+
+Excerpts from the {{documentName}}:
+
+{{excerpts}}
+
+Return JSON with:
+{
+  "addressed": true if the excerpts answer the question, otherwise false,
+  "answer": "a direct answer in 1-3 sentences, or what the policy leaves unsaid",
+  "quotes": [{"excerpt": number of the excerpt, "quote": "verbatim passage the answer is based on"}]
+}
+
+Every "quote" must be copied word for word from an excerpt. If the excerpts do not address the question, set "addressed" to false and say so in "answer".`
+    }
+  },
+  'change-summary': {
+    '1.0.0': {
+      system: 'You compare two versions of a {{documentName}} and explain what changed for the people it applies to.',
+      user: `These clauses of the {{documentName}} changed between the version of {{from}} and the version of {{to}}:
+
+{{changes}}
+
+Return JSON with:
+{
+  "summary": "2-3 sentences on what materially changed for users",
+  "materialChanges": [{"change": number of the change, "description": "what changed and why it matters", "impact": "better", "worse" or "neutral" for users}]
+}
+
+Only list changes that affect users' rights, their data or their obligations; ignore rewording, formatting and renumbering. If nothing material changed, say so in "summary" and return an empty "materialChanges" list.`
+    }
+  },
+  // Sent after a reply that could not be parsed or validated
+  'parse-retry': {
+    '1.0.0': {
+      user: `Your previous reply could not be used:
+- {{errors}}
+
+Reply again with only the corrected JSON object in the requested format, with no markdown fences or commentary.`
+    }
+  }
+};
+
+// Versions used unless PROMPT_VERSIONS selects another one
+export const ACTIVE_PROMPT_VERSIONS = {
+  'chunk-analysis': '1.0.0',
+  'quick-analysis': '1.0.0',
+  summary: '1.0.0',
+  'policy-question': '1.0.0',
+  'change-summary': '1.0.0',
+  'parse-retry': '1.0.0'
+};
+
+/**
+ * Parses the PROMPT_VERSIONS setting, a JSON object mapping prompt names
+ * to versions (e.g. to try a new prompt), and checks every version exists
+ */
+export function parsePromptVersions(value) {
+  if (value === undefined || value === null || value === '') return {};
+
+  let versions = value;
+  if (typeof value === 'string') {
+    try {
+      versions = JSON.parse(value);
+    } catch (error) {
+      throw new Error('PROMPT_VERSIONS must be a JSON object');
+    }
+  }
+  if (!versions || typeof versions !== 'object' || Array.isArray(versions)) {
+    throw new Error('PROMPT_VERSIONS must be a JSON object');
+  }
+
+  for (const [name, version] of Object.entries(versions)) {
+    getPromptTemplate(name, { version });
+  }
+
+  return versions;
+}
+
+/**
+ * Resolves a prompt to its templates: the selected version, then the
+ * variant for the policy type, then the override for the model
+ */
+export function getPromptTemplate(name, { version, type = null, model = null } = {}) {
+  const versions = PROMPT_TEMPLATES[name];
+  if (!versions) throw new Error(`Unknown prompt: ${name}`);
+
+  const selected = version || ACTIVE_PROMPT_VERSIONS[name];
+  const template = versions[selected];
+  if (!template) {
+    throw new Error(`Unknown version ${selected} of prompt ${name}; available: ${Object.keys(versions).join(', ')}`);
+  }
+
+  const { variants = {}, models = {}, ...base } = template;
+  const variant = type && variants[type] ? type : null;
+  const modelOverride = model && models[model] ? model : null;
+
+  return {
+    name,
+    version: selected,
+    variant,
+    modelOverride,
+    ...base,
+    ...(variant ? variants[variant] : {}),
+    ...(modelOverride ? models[modelOverride] : {})
+  };
+}
+
+function fillTemplate(template, variables, id) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, variable) => {
+    if (variables[variable] === undefined || variables[variable] === null) {
+      throw new Error(`Prompt ${id} is missing the variable "${variable}"`);
+    }
+    return String(variables[variable]);
+  });
+}
+
+/**
+ * Renders a prompt into chat messages. `prompt` identifies the template
+ * used, for recording alongside the result.
+ */
+export function renderPrompt(name, variables = {}, options = {}) {
+  const { system, user, ...prompt } = getPromptTemplate(name, options);
+  const id = `${name}@${prompt.version}`;
+
+  return {
+    prompt,
+    messages: [
+      ...(system ? [{ role: 'system', content: fillTemplate(system, variables, id) }] : []),
+      ...(user ? [{ role: 'user', content: fillTemplate(user, variables, id) }] : [])
+    ]
+  };
+}
+
+/**
+ * Lists the prompts used across an analysis by name, with the version,
+ * variant and model override of each
+ */
+export function summarizePromptUsage(prompts) {
+  return Object.fromEntries(prompts.filter(Boolean).map(({ name, ...details }) => [name, details]));
+}
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Fixture provider
+ * Deterministic replies for tests and offline development. Each fixture
+ * matches prompts containing its `match` text; `responses` are replayed in
+ * order, repeating the last one. Prompts no fixture matches get a valid
+ * reply with no findings. Embeddings are hashed bags of words, so texts
+ * that share keywords are similar.
+ */
+
+import { tokenize } from '../qa.js';
+
+export const FIXTURE_EMBEDDING_DIMENSIONS = 256;
+
+export const DEFAULT_FIXTURE_RESPONSE = JSON.stringify({
+  executiveSummary: 'Offline fixture reply.',
+  recommendations: [],
+  keyPoints: [],
+  redFlags: [],
+  userRights: []
+});
+
+/**
+ * Embeds text as its stemmed keywords hashed into a fixed number of
+ * dimensions, scaled to unit length
+ */
+export function hashEmbedding(text, dimensions = FIXTURE_EMBEDDING_DIMENSIONS) {
+  const values = new Array(dimensions).fill(0);
+  for (const token of tokenize(text)) {
+    let hash = 0;
+    for (const character of token) {
+      hash = (hash * 31 + character.charCodeAt(0)) >>> 0;
+    }
+    values[hash % dimensions] += 1;
+  }
+
+  const length = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? values.map(value => value / length) : values;
+}
+
+/**
+ * Reads fixtures from an `LLM_FIXTURES` value: a JSON array, or an
+ * array already parsed
+ */
+export function parseFixtures(value) {
+  if (!value) return [];
+  const fixtures = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(fixtures)) {
+    throw new Error('LLM_FIXTURES must be a JSON array');
+  }
+  return fixtures;
+}
+
+export class FixtureProvider {
+  constructor(fixtures = [], { model = 'fixture' } = {}) {
+    this.name = 'fixture';
+    this.model = model;
+    this.embeddingModel = 'fixture-hash';
+    this.fixtures = fixtures.map(fixture => ({ ...fixture, replayed: 0 }));
+    this.calls = [];
+  }
+
+  async chat(messages, { maxTokens, temperature } = {}) {
+    this.calls.push({ messages, maxTokens, temperature });
+
+    // Match against the whole conversation, so corrective retries still match
+    const prompt = messages.map(message => message.content).join('\n');
+    const fixture = this.fixtures.find(candidate => !candidate.match || prompt.includes(candidate.match));
+    if (!fixture) return DEFAULT_FIXTURE_RESPONSE;
+
+    const responses = fixture.responses || [fixture.response];
+    const response = responses[Math.min(fixture.replayed, responses.length - 1)];
+    fixture.replayed++;
+
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  async embed(texts) {
+    return texts.map(text => hashEmbedding(text));
+  }
+}
\ No newline at end of file
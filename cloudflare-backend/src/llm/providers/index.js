@@ -0,0 +1,53 @@
+/**
+ * LLM providers
+ * Every provider exposes `name`, `model` and
+ * `chat(messages, { maxTokens, temperature })`, which resolves to the
+ * model's reply, and `embed(texts)`, which resolves to one vector per text.
+ * `LLM_PROVIDER` selects one; without it the Workers AI binding is used
+ * when present.
+ */
+
+import { FixtureProvider, parseFixtures } from './fixture.js';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { DEFAULT_WORKERS_AI_EMBEDDING_MODEL, DEFAULT_WORKERS_AI_MODEL, WorkersAIProvider } from './workers-ai.js';
+
+export const LLM_PROVIDERS = ['workers-ai', 'openai', 'fixture'];
+
+/**
+ * Creates the provider configured in the environment, or null when no
+ * model is available (the analyzer then reports rule-based findings only)
+ */
+export function createLLMProvider(env = {}) {
+  const name = String(env.LLM_PROVIDER || (env.AI ? 'workers-ai' : '')).trim().toLowerCase();
+
+  switch (name) {
+    case '':
+      return null;
+
+    case 'workers-ai':
+      if (!env.AI) throw new Error('LLM_PROVIDER is workers-ai but the AI binding is missing');
+      return new WorkersAIProvider(env.AI, {
+        model: env.LLAMA_MODEL || DEFAULT_WORKERS_AI_MODEL,
+        embeddingModel: env.EMBEDDING_MODEL || DEFAULT_WORKERS_AI_EMBEDDING_MODEL
+      });
+
+    case 'openai':
+      if (!env.LLM_API_BASE_URL) throw new Error('LLM_API_BASE_URL is required for the openai provider');
+      if (!env.LLM_MODEL) throw new Error('LLM_MODEL is required for the openai provider');
+      return new OpenAICompatibleProvider({
+        baseUrl: env.LLM_API_BASE_URL,
+        apiKey: env.LLM_API_KEY || null,
+        model: env.LLM_MODEL,
+        embeddingModel: env.EMBEDDING_MODEL || null,
+        timeoutMs: parseInt(env.LLM_TIMEOUT_MS) || 60000
+      });
+
+    case 'fixture':
+      return new FixtureProvider(parseFixtures(env.LLM_FIXTURES), { model: env.LLM_MODEL || 'fixture' });
+
+    default:
+      throw new Error(`LLM_PROVIDER must be one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
+
+export { FixtureProvider, OpenAICompatibleProvider, WorkersAIProvider };
\ No newline at end of file
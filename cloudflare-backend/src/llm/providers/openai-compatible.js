@@ -0,0 +1,64 @@
+/**
+ * OpenAI-compatible provider
+ * Runs chat prompts against any `/chat/completions` endpoint: OpenAI,
+ * a local Ollama or llama.cpp server, vLLM and similar. Embeddings use the
+ * `/embeddings` endpoint of the same server.
+ */
+
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey = null, model, embeddingModel = null, timeoutMs = 60000 }) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async chat(messages, { maxTokens, temperature } = {}) {
+    const data = await this.post('/chat/completions', {
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error('LLM endpoint returned no choices');
+    }
+
+    return choice.message.content;
+  }
+
+  async embed(texts) {
+    if (!this.embeddingModel) {
+      throw new Error('EMBEDDING_MODEL is required for embeddings with the openai provider');
+    }
+
+    const data = await this.post('/embeddings', { model: this.embeddingModel, input: texts });
+    if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+      throw new Error('LLM endpoint returned the wrong number of embeddings');
+    }
+
+    return [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+
+  async post(path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM endpoint returned ${response.status} ${response.statusText}`.trim());
+    }
+
+    return response.json();
+  }
+}
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * Workers AI provider
+ * Runs chat prompts and embeddings through the Cloudflare `AI` binding
+ */
+
+export const DEFAULT_WORKERS_AI_MODEL = '@cf/meta/llama-3.3-70b-instruct-fp8-fast';
+
+export const DEFAULT_WORKERS_AI_EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+
+export class WorkersAIProvider {
+  constructor(binding, { model = DEFAULT_WORKERS_AI_MODEL, embeddingModel = DEFAULT_WORKERS_AI_EMBEDDING_MODEL } = {}) {
+    this.name = 'workers-ai';
+    this.binding = binding;
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+  }
+
+  async chat(messages, { maxTokens, temperature } = {}) {
+    const response = await this.binding.run(this.model, {
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+    return response.response;
+  }
+
+  async embed(texts) {
+    const response = await this.binding.run(this.embeddingModel, { text: texts });
+    return response.data;
+  }
+}
\ No newline at end of file
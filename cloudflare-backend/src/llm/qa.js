@@ -0,0 +1,145 @@
+/**
+ * Policy question answering
+ * Finds the chunks of a policy most relevant to a question with BM25
+ * keyword ranking, and checks the model's answer against them
+ */
+
+import { formatHeadingPath, formatPageRange } from '../utils/document.js';
+import { verifyFinding } from './evidence.js';
+
+export const MAX_QUESTION_LENGTH = 500;
+
+export const NOT_ADDRESSED_ANSWER = 'The policy does not appear to address this question.';
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+  'our', 'so', 'that', 'the', 'their', 'them', 'there', 'they', 'this', 'to', 'us', 'we', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Question terms that policies often phrase differently, by stem
+const QUERY_SYNONYMS = {
+  delet: ['eras', 'remov', 'clos'],
+  shar: ['disclos', 'sell', 'sold', 'transfer', 'provid'],
+  sell: ['sale', 'sold', 'shar'],
+  location: ['geolocation', 'gps'],
+  advertis: ['advertiser', 'ads', 'market'],
+  keep: ['kept', 'retain', 'retention', 'stor'],
+  cancel: ['cancellation', 'terminat', 'refund'],
+  track: ['cooki', 'pixel'],
+  child: ['children', 'minor', 'age']
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Reduces a word to a crude stem, so "sharing", "shared" and "shares" match,
+ * as do "policy" and "policies"
+ */
+function stem(word) {
+  let stemmed = word;
+  if (stemmed.endsWith('sses')) stemmed = stemmed.slice(0, -2);
+  else if (stemmed.endsWith('ies') && stemmed.length > 4) stemmed = stemmed.slice(0, -2);
+  else if (stemmed.endsWith('s') && !stemmed.endsWith('ss') && stemmed.length > 3) stemmed = stemmed.slice(0, -1);
+
+  if (stemmed.endsWith('ing') && stemmed.length > 5) stemmed = stemmed.slice(0, -3);
+  else if (stemmed.endsWith('ed') && stemmed.length > 4) stemmed = stemmed.slice(0, -2);
+
+  if (stemmed.endsWith('e') && stemmed.length > 4) stemmed = stemmed.slice(0, -1);
+  else if (stemmed.endsWith('y') && stemmed.length > 3) stemmed = `${stemmed.slice(0, -1)}i`;
+  return stemmed;
+}
+
+/**
+ * Splits text into stemmed keywords, dropping stopwords
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Keywords of a question, with the synonyms policies tend to use
+ */
+export function getQueryTerms(question) {
+  const terms = tokenize(question);
+  return [...new Set([...terms, ...terms.flatMap(term => QUERY_SYNONYMS[term] || [])])];
+}
+
+/**
+ * Ranks chunks by BM25 relevance to a question (headings included) and
+ * returns the best `limit` that share at least one keyword with it
+ */
+export function rankChunks(chunks, question, limit = 4) {
+  const terms = getQueryTerms(question);
+  const documents = chunks.map(chunk => tokenize(`${formatHeadingPath(chunk.headingPath)} ${chunk.text}`));
+  const averageLength = documents.reduce((sum, tokens) => sum + tokens.length, 0) / (documents.length || 1);
+
+  const documentFrequency = Object.fromEntries(terms.map(term => [
+    term,
+    documents.filter(tokens => tokens.includes(term)).length
+  ]));
+
+  return chunks
+    .map((chunk, index) => {
+      const tokens = documents[index];
+      const score = terms.reduce((sum, term) => {
+        const frequency = tokens.filter(token => token === term).length;
+        if (frequency === 0) return sum;
+
+        const idf = Math.log(1 + (chunks.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+        return sum + idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / (averageLength || 1)));
+      }, 0);
+      return { chunk, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Numbered excerpts for the question prompt, each with its section
+ */
+export function describeExcerpts(chunks) {
+  return chunks.map((chunk, index) => {
+    const sectionPath = formatHeadingPath(chunk.headingPath);
+    const pageRange = formatPageRange(chunk.pages);
+    const location = sectionPath ? ` (section "${sectionPath}")` : pageRange ? ` (${pageRange})` : '';
+    return `[${index + 1}]${location}\n"${chunk.text}"`;
+  }).join('\n\n');
+}
+
+/**
+ * Checks each quote against the excerpt it names (or any excerpt), keeping
+ * the verified ones as citations with their section and offsets
+ */
+export function verifyCitations(quotes, chunks) {
+  const citations = [];
+
+  for (const { excerpt, quote } of Array.isArray(quotes) ? quotes : []) {
+    const named = chunks[excerpt - 1];
+    const candidates = named ? [named, ...chunks.filter(chunk => chunk !== named)] : chunks;
+
+    for (const chunk of candidates) {
+      const evidence = verifyFinding({ text: '', quote }, chunk);
+      if (!evidence.verified) continue;
+
+      if (!citations.some(citation => citation.start === evidence.start && citation.end === evidence.end)) {
+        citations.push({
+          quote: evidence.quote,
+          start: evidence.start,
+          end: evidence.end,
+          section: chunk.section,
+          headingPath: chunk.headingPath,
+          ...(chunk.pages ? { pages: chunk.pages } : {})
+        });
+      }
+      break;
+    }
+  }
+
+  return citations;
+}
\ No newline at end of file
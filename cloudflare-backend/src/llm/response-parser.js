@@ -0,0 +1,192 @@
+/**
+ * Model response parsing
+ * Extracts JSON from fenced or chatty model output and validates it against a schema
+ */
+
+// Candidate JSON starts tried before giving up on a response
+const MAX_CANDIDATES = 20;
+
+const FENCE_PATTERN = /```(?:json|JSON)?[ \t]*\r?\n?([\s\S]*?)```/g;
+
+/**
+ * Finds the end of the JSON value opening at `start`, skipping over strings.
+ * Returns the index just past the closing bracket, or -1 if it never closes.
+ */
+function findBalancedEnd(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i + 1;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Removes trailing commas before a closing bracket, outside of strings
+ */
+function removeTrailingCommas(json) {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+
+    if (inString) {
+      output += char;
+      if (char === '\\' && i + 1 < json.length) output += json[++i];
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+
+    if (char === ',') {
+      const next = json.slice(i + 1).match(/^\s*([}\]])/);
+      if (next) continue;
+    }
+
+    output += char;
+  }
+
+  return output;
+}
+
+function tryParse(text) {
+  for (const candidate of [text, removeTrailingCommas(text)]) {
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch {
+      // Try the next repair
+    }
+  }
+  return { ok: false };
+}
+
+function extractFromText(text) {
+  const direct = tryParse(text);
+  if (direct.ok) return direct;
+
+  // Markdown code fences
+  FENCE_PATTERN.lastIndex = 0;
+  let fence;
+  while ((fence = FENCE_PATTERN.exec(text)) !== null) {
+    const fenced = extractFromText(fence[1].trim());
+    if (fenced.ok) return fenced;
+  }
+
+  // JSON embedded in prose: try each opening bracket in turn
+  let candidates = 0;
+  for (let start = 0; start < text.length && candidates < MAX_CANDIDATES; start++) {
+    if (text[start] !== '{' && text[start] !== '[') continue;
+    candidates++;
+
+    const end = findBalancedEnd(text, start);
+    if (end === -1) continue;
+
+    const parsed = tryParse(text.slice(start, end));
+    if (parsed.ok && parsed.value !== null && typeof parsed.value === 'object') {
+      return parsed;
+    }
+  }
+
+  return { ok: false };
+}
+
+/**
+ * Extracts a JSON value from a model response.
+ * Accepts plain JSON, markdown-fenced JSON, JSON surrounded by prose and
+ * JSON with trailing commas. Already-parsed objects are returned as-is.
+ */
+export function extractJson(raw) {
+  if (raw !== null && typeof raw === 'object') {
+    return { ok: true, value: raw };
+  }
+
+  const text = String(raw ?? '').trim();
+  if (!text) {
+    return { ok: false, error: 'Response was empty' };
+  }
+
+  const result = extractFromText(text);
+  return result.ok ? result : { ok: false, error: 'Response did not contain valid JSON' };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a JSON Schema subset:
+ * type, properties, required, items, enum and minLength.
+ * Returns a list of human-readable errors, empty when the value is valid.
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(type => type === actual || (type === 'integer' && Number.isInteger(value)));
+    if (!matches) {
+      errors.push(`${path} should be ${allowed.join(' or ')} but was ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Parses a model response and validates it against a schema
+ */
+export function parseModelResponse(raw, schema) {
+  const extracted = extractJson(raw);
+  if (!extracted.ok) {
+    return { ok: false, errors: [extracted.error] };
+  }
+
+  const errors = validateSchema(extracted.value, schema);
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, value: extracted.value };
+}
\ No newline at end of file
@@ -0,0 +1,345 @@
+/**
+ * Analysis result schema
+ * Results carry a `schemaVersion`. The JSON Schema below describes the
+ * current version; migrations convert results between versions, so cached
+ * results can be upgraded and clients can ask for the version they support.
+ */
+
+import { COMPLIANCE_CHECKLISTS } from './compliance.js';
+import { DEFAULT_RISK_THRESHOLDS, getRiskBreakdown } from './risk.js';
+
+export const RESULT_SCHEMA_VERSION = '2.0.0';
+
+const RISK_LEVEL = { type: 'string', enum: ['green', 'yellow', 'red'] };
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+const NULLABLE_OFFSET = { type: ['integer', 'null'] };
+
+const SOURCE_PROPERTIES = {
+  section: NULLABLE_STRING,
+  headingPath: { type: 'array', items: { type: 'string' } },
+  pages: { type: 'array', items: { type: 'integer' } },
+  quote: NULLABLE_STRING,
+  start: NULLABLE_OFFSET,
+  end: NULLABLE_OFFSET
+};
+
+const SOURCES = {
+  type: 'array',
+  items: { type: 'object', properties: SOURCE_PROPERTIES }
+};
+
+const FINDINGS = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['text', 'verified'],
+    properties: {
+      text: { type: 'string' },
+      verified: { type: 'boolean' },
+      detectedBy: { type: 'string', enum: ['rules'] },
+      ruleId: { type: 'string' },
+      ...SOURCE_PROPERTIES
+    }
+  }
+};
+
+// dataPractices, clauses or cookiePractices: taxonomy category -> entries
+const STRUCTURED_ENTRIES = {
+  type: ['object', 'null'],
+  description: 'Entries for each taxonomy category, keyed by category',
+  additionalProperties: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['type', 'sources'],
+      properties: {
+        type: { type: 'string' },
+        description: NULLABLE_STRING,
+        sources: SOURCES
+      }
+    }
+  }
+};
+
+/**
+ * JSON Schema (draft 2020-12) for an analysis result in the current version
+ */
+export const RESULT_JSON_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: `SolarFlare policy analysis result ${RESULT_SCHEMA_VERSION}`,
+  type: 'object',
+  required: ['schemaVersion', 'url', 'type', 'depth', 'analysis', 'riskScores', 'overallRisk', 'riskBreakdown', 'coverage', 'timestamp'],
+  properties: {
+    schemaVersion: { type: 'string', enum: [RESULT_SCHEMA_VERSION] },
+    id: { type: 'string', description: 'Identifies the result in the cache, e.g. for /api/ask' },
+    url: { type: 'string' },
+    type: { type: 'string', enum: ['privacy', 'terms', 'cookie', 'both'] },
+    depth: { type: 'string', enum: ['quick', 'standard', 'detailed'] },
+    format: { type: 'string' },
+    pageCount: { type: 'integer' },
+    contentLength: { type: 'integer' },
+    processedLength: { type: 'integer' },
+    contentHash: { type: 'string', description: 'SHA-256 of the normalized policy text' },
+    duplicateOf: {
+      type: 'object',
+      description: 'The analysis reused because it was made from identical text at another URL',
+      properties: {
+        url: { type: 'string' },
+        analysisId: { type: 'string' }
+      }
+    },
+    metrics: {
+      type: 'object',
+      description: 'Length, readability and wording measures computed from the text without the model',
+      required: ['wordCount', 'readingTimeMinutes', 'averageSentenceLength', 'readability', 'lastUpdated'],
+      properties: {
+        version: { type: 'string' },
+        wordCount: { type: 'integer' },
+        sentenceCount: { type: 'integer' },
+        readingTimeMinutes: { type: 'integer' },
+        averageSentenceLength: { type: 'number' },
+        averageSyllablesPerWord: { type: 'number' },
+        readability: {
+          type: ['object', 'null'],
+          properties: {
+            fleschReadingEase: { type: 'number' },
+            fleschKincaidGrade: { type: 'number' },
+            gunningFog: { type: 'number' },
+            smogIndex: { type: 'number' },
+            colemanLiauIndex: { type: 'number' },
+            automatedReadabilityIndex: { type: 'number' }
+          }
+        },
+        passiveSentenceShare: { type: 'number' },
+        hedgingSentenceShare: { type: 'number' },
+        hedgingPhrases: { type: 'object', additionalProperties: { type: 'integer' } },
+        lastUpdated: {
+          type: ['object', 'null'],
+          properties: {
+            date: { type: 'string', description: 'ISO 8601 date, or year and month' },
+            text: { type: 'string' },
+            start: { type: 'integer' },
+            end: { type: 'integer' }
+          }
+        }
+      }
+    },
+    chunksAnalyzed: { type: 'integer' },
+    totalChunks: { type: 'integer' },
+    coverage: {
+      type: 'object',
+      required: ['chunksAnalyzed', 'chunksFailed', 'totalChunks'],
+      properties: {
+        chunksAnalyzed: { type: 'integer' },
+        chunksFailed: { type: 'integer' },
+        totalChunks: { type: 'integer' },
+        charactersAnalyzed: { type: 'integer' },
+        truncated: { type: 'boolean' }
+      }
+    },
+    analysis: {
+      type: 'object',
+      required: ['engine', 'executiveSummary', 'keyPoints', 'redFlags', 'userRights', 'recommendations', 'unverifiedFindings'],
+      properties: {
+        engine: { type: 'string', enum: ['ai', 'rules'] },
+        executiveSummary: { type: 'string' },
+        keyPoints: FINDINGS,
+        redFlags: FINDINGS,
+        userRights: FINDINGS,
+        recommendations: { type: 'array', items: { type: 'string' } },
+        unverifiedFindings: { type: 'array', items: { type: 'object' } },
+        compliance: {
+          type: ['object', 'null'],
+          description: 'Checklist for each regulation, keyed by regulation (privacy policies only)'
+        },
+        dataPractices: STRUCTURED_ENTRIES,
+        clauses: STRUCTURED_ENTRIES,
+        cookiePractices: STRUCTURED_ENTRIES,
+        cookies: { type: 'array', items: { type: 'object', required: ['name', 'purpose', 'sources'] } },
+        trackingFlags: { type: 'array', items: { type: 'object', required: ['type', 'cookies', 'description'] } },
+        sections: { type: 'array', items: { type: 'object' } },
+        parseFailures: { type: 'array', items: { type: 'object' } },
+        prompts: { type: 'object' },
+        model: {
+          type: ['object', 'null'],
+          properties: { provider: { type: 'string' }, name: { type: 'string' } }
+        },
+        ruleScan: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            matches: { type: 'integer' },
+            rules: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    },
+    riskScores: {
+      type: 'object',
+      required: ['overall', 'score', 'dimensions', 'thresholds'],
+      properties: {
+        overall: RISK_LEVEL,
+        score: { type: 'number' },
+        dimensions: { type: 'object' },
+        thresholds: { type: 'object' }
+      }
+    },
+    overallRisk: RISK_LEVEL,
+    riskBreakdown: {
+      type: 'object',
+      description: 'Risk level of each dimension, keyed by dimension',
+      additionalProperties: RISK_LEVEL
+    },
+    timestamp: { type: 'integer' }
+  }
+};
+
+// 1.0.0 findings were plain strings that nothing checked against the policy
+const toFinding = finding => (typeof finding === 'string' ? { text: finding, verified: false } : finding);
+
+const toFindingText = finding => (finding && typeof finding === 'object' ? finding.text : finding);
+
+/**
+ * 1.0.0 risk scores only had a level per dimension. Each level becomes the
+ * lowest score that has it, so the levels read back unchanged.
+ */
+function upgradeRiskScores(riskScores) {
+  if (!riskScores || riskScores.dimensions) return riskScores;
+
+  const levelScores = { green: 0, yellow: DEFAULT_RISK_THRESHOLDS.yellow, red: DEFAULT_RISK_THRESHOLDS.red };
+  return {
+    ...riskScores,
+    score: levelScores[riskScores.overall] ?? 0,
+    dimensions: Object.fromEntries(Object.entries(getRiskBreakdown(riskScores)).map(([dimension, level]) => [
+      dimension,
+      { score: levelScores[level] ?? 0, level, factors: [] }
+    ])),
+    thresholds: { ...DEFAULT_RISK_THRESHOLDS }
+  };
+}
+
+const LEGACY_VERDICTS = ['compliant', 'partially', 'non-compliant'];
+
+/**
+ * 1.0.0 compliance was a verdict string per regulation. Each verdict
+ * becomes a checklist that carries it with no items, since none were
+ * checked; anything else the model wrote there (`unknown`, notes) is dropped.
+ */
+function upgradeCompliance(compliance) {
+  if (!compliance) return compliance;
+
+  return Object.fromEntries(Object.entries(compliance).flatMap(([regulation, checklist]) => {
+    if (typeof checklist !== 'string') return [[regulation, checklist]];
+
+    const status = checklist.trim().toLowerCase();
+    if (!LEGACY_VERDICTS.includes(status)) return [];
+    const label = COMPLIANCE_CHECKLISTS[regulation] ? COMPLIANCE_CHECKLISTS[regulation].label : regulation.toUpperCase();
+    return [[regulation, { label, status, items: {} }]];
+  }));
+}
+
+const toComplianceVerdicts = compliance => compliance && Object.fromEntries(Object.entries(compliance).map(([regulation, checklist]) => [
+  regulation,
+  checklist && typeof checklist === 'object' ? checklist.status : checklist
+]));
+
+// Each step converts a result between two adjacent versions, oldest first
+const MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '2.0.0',
+    // Adds the risk summary the extension renders, renames `version`, turns
+    // findings and compliance verdicts into objects and fills in the fields
+    // 1.0.0 did not have
+    up: ({ version, ...result }) => {
+      const analysis = result.analysis || {};
+      const chunksAnalyzed = result.chunksAnalyzed ?? 0;
+      const riskScores = upgradeRiskScores(result.riskScores);
+
+      return {
+        schemaVersion: '2.0.0',
+        ...result,
+        depth: result.depth || 'standard',
+        coverage: result.coverage || { chunksAnalyzed, chunksFailed: 0, totalChunks: chunksAnalyzed },
+        analysis: {
+          ...analysis,
+          engine: analysis.engine || 'ai',
+          executiveSummary: analysis.executiveSummary || '',
+          keyPoints: (analysis.keyPoints || []).map(toFinding),
+          redFlags: (analysis.redFlags || []).map(toFinding),
+          userRights: (analysis.userRights || []).map(toFinding),
+          recommendations: analysis.recommendations || [],
+          unverifiedFindings: analysis.unverifiedFindings || [],
+          ...('compliance' in analysis ? { compliance: upgradeCompliance(analysis.compliance) } : {})
+        },
+        riskScores,
+        overallRisk: riskScores ? riskScores.overall : undefined,
+        riskBreakdown: getRiskBreakdown(riskScores)
+      };
+    },
+    // 1.0.0 clients read findings and compliance as strings and risk scores as levels
+    down: ({ schemaVersion, overallRisk, riskBreakdown, ...result }) => ({
+      ...result,
+      ...(result.analysis ? {
+        analysis: {
+          ...result.analysis,
+          keyPoints: (result.analysis.keyPoints || []).map(toFindingText),
+          redFlags: (result.analysis.redFlags || []).map(toFindingText),
+          userRights: (result.analysis.userRights || []).map(toFindingText),
+          ...('compliance' in result.analysis ? { compliance: toComplianceVerdicts(result.analysis.compliance) } : {})
+        }
+      } : {}),
+      ...(result.riskScores ? { riskScores: { overall: result.riskScores.overall, ...getRiskBreakdown(result.riskScores) } } : {}),
+      version: '1.0.0'
+    })
+  }
+];
+
+export const RESULT_SCHEMA_VERSIONS = [MIGRATIONS[0].from, ...MIGRATIONS.map(migration => migration.to)];
+
+/**
+ * Checks a requested schema version, defaulting to the current one
+ */
+export function resolveResultSchemaVersion(requested) {
+  if (requested === undefined || requested === null || requested === '') return RESULT_SCHEMA_VERSION;
+
+  const version = String(requested);
+  if (!RESULT_SCHEMA_VERSIONS.includes(version)) {
+    throw new Error(`Result schema version must be one of: ${RESULT_SCHEMA_VERSIONS.join(', ')}`);
+  }
+  return version;
+}
+
+/**
+ * The schema version of a stored result. Results from before versioning
+ * carried `version: "1.0.0"` or nothing.
+ */
+export function getResultSchemaVersion(result) {
+  return result.schemaVersion || result.version || '1.0.0';
+}
+
+/**
+ * Converts a result to another schema version, one migration at a time
+ */
+export function migrateResult(result, targetVersion = RESULT_SCHEMA_VERSION) {
+  let version = getResultSchemaVersion(result);
+  const target = RESULT_SCHEMA_VERSIONS.indexOf(targetVersion);
+  if (target === -1) throw new Error(`Unknown result schema version: ${targetVersion}`);
+  if (!RESULT_SCHEMA_VERSIONS.includes(version)) throw new Error(`Unknown result schema version: ${version}`);
+
+  let migrated = result;
+  while (RESULT_SCHEMA_VERSIONS.indexOf(version) < target) {
+    const migration = MIGRATIONS.find(step => step.from === version);
+    migrated = migration.up(migrated);
+    version = migration.to;
+  }
+  while (RESULT_SCHEMA_VERSIONS.indexOf(version) > target) {
+    const migration = MIGRATIONS.find(step => step.to === version);
+    migrated = migration.down(migrated);
+    version = migration.from;
+  }
+
+  return migrated;
+}
\ No newline at end of file
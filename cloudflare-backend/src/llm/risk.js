@@ -0,0 +1,496 @@
+/**
+ * Policy risk rubric
+ * Scores each risk dimension from 0 (low risk) to 100 (high risk) and lists
+ * the factors behind every score, so a level can always be explained
+ */
+
+export const DEFAULT_RISK_THRESHOLDS = { yellow: 34, red: 67 };
+
+// Points when every required disclosure is missing, scaled down by the share
+// made (partial ones counting half); a compliant regulation earns `compliant`.
+// Every checklist in compliance.js is scored.
+export const COMPLIANCE_POINTS = {
+  gdpr: { missing: 35, compliant: -10 },
+  ccpa: { missing: 25, compliant: -5 },
+  lgpd: { missing: 15, compliant: -5 },
+  pipeda: { missing: 15, compliant: -5 }
+};
+
+const SENSITIVE_DATA_CATEGORIES = ['health', 'biometric', 'financial', 'children', 'location'];
+
+function clamp(score) {
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+// Accepts a regulation's merged checklist or a plain verdict string
+function normalizeComplianceStatus(compliance) {
+  const status = compliance && typeof compliance === 'object' ? compliance.status : compliance;
+  const value = String(status || '').toLowerCase();
+  if (value.includes('non')) return 'non-compliant';
+  if (value.includes('partial')) return 'partially';
+  if (value.includes('compliant')) return 'compliant';
+  return null;
+}
+
+/**
+ * Points for one regulation, from the share of its required disclosures
+ * the policy does not make. A plain verdict string has no counts, so a
+ * partial verdict counts as half of them missing.
+ */
+function getCompliancePoints(compliance, status, points) {
+  if (status === 'compliant') return points.compliant;
+
+  const { present = 0, partial = 0, missing = 0 } = typeof compliance === 'object' ? compliance : {};
+  const total = present + partial + missing;
+  const shortfall = total > 0 ? (missing + partial / 2) / total : status === 'non-compliant' ? 1 : 0.5;
+  return Math.round(points.missing * shortfall);
+}
+
+function practiceTypes(analysis, category, field = 'dataPractices') {
+  const practices = analysis[field] && analysis[field][category];
+  return new Set((practices || []).map(practice => practice.type));
+}
+
+function scoreRegulatory(analysis) {
+  const factors = [];
+
+  for (const [regulation, points] of Object.entries(COMPLIANCE_POINTS)) {
+    const compliance = analysis.compliance && analysis.compliance[regulation];
+    const status = normalizeComplianceStatus(compliance);
+    if (status) {
+      const counted = typeof compliance === 'object' && Number.isFinite(compliance.missing);
+      factors.push({
+        id: `${regulation}-${status}`,
+        description: counted && status !== 'compliant'
+          ? `${regulation.toUpperCase()}: ${compliance.missing} of ${compliance.present + compliance.partial + compliance.missing} required disclosures missing${compliance.partial > 0 ? `, ${compliance.partial} partial` : ''}`
+          : `${regulation.toUpperCase()} assessed as ${status}`,
+        points: getCompliancePoints(compliance, status, points)
+      });
+    }
+  }
+
+  const redFlags = (analysis.redFlags || []).length;
+  if (redFlags > 0) {
+    factors.push({
+      id: 'red-flags',
+      description: `${redFlags} verified red flag${redFlags === 1 ? '' : 's'}`,
+      points: Math.min(redFlags * 10, 40)
+    });
+  }
+
+  return factors;
+}
+
+/**
+ * Factors from the document metrics: how hard the policy is to read, how
+ * much of it hedges or hides the actor, and whether it is dated. Analyses
+ * without metrics get none.
+ */
+function scoreReadability(analysis) {
+  const metrics = analysis.metrics;
+  if (!metrics || !metrics.readability) return [];
+
+  const factors = [];
+  const grade = metrics.readability.fleschKincaidGrade;
+  if (grade > 14) {
+    factors.push({ id: 'hard-to-read', description: `Needs a grade ${grade} reading level`, points: 10 });
+  } else if (grade <= 10) {
+    factors.push({ id: 'easy-to-read', description: `Readable at a grade ${grade} level`, points: -5 });
+  }
+
+  if (metrics.readingTimeMinutes > 30) {
+    factors.push({ id: 'long-read', description: `Takes about ${metrics.readingTimeMinutes} minutes to read`, points: 5 });
+  }
+
+  if (metrics.hedgingSentenceShare >= 0.25) {
+    factors.push({
+      id: 'hedging-language',
+      description: `${Math.round(metrics.hedgingSentenceShare * 100)}% of sentences hedge (e.g. "may", "including but not limited to")`,
+      points: 5
+    });
+  }
+
+  if (metrics.passiveSentenceShare >= 0.3) {
+    factors.push({
+      id: 'passive-voice',
+      description: `${Math.round(metrics.passiveSentenceShare * 100)}% of sentences are passive and may not say who handles the data`,
+      points: 5
+    });
+  }
+
+  if (!metrics.lastUpdated) {
+    factors.push({ id: 'undated', description: 'Does not say when it was last updated', points: 5 });
+  }
+
+  return factors;
+}
+
+function scoreTransparency(analysis) {
+  const factors = [];
+  const coverage = analysis.coverage;
+
+  if (coverage && coverage.totalChunks > 0 && coverage.chunksFailed > 0) {
+    factors.push({
+      id: 'unanalyzed-sections',
+      description: `${coverage.chunksFailed} of ${coverage.totalChunks} sections could not be analyzed`,
+      points: Math.round(30 * coverage.chunksFailed / coverage.totalChunks)
+    });
+  }
+
+  const dataCategories = practiceTypes(analysis, 'dataCategories');
+  factors.push(dataCategories.size > 0
+    ? { id: 'data-categories-disclosed', description: 'Discloses the categories of data collected', points: -10 }
+    : { id: 'data-categories-missing', description: 'Does not say which data is collected', points: 15 });
+
+  const purposes = practiceTypes(analysis, 'purposes');
+  if (purposes.size === 0) {
+    factors.push({ id: 'purposes-missing', description: 'Does not explain why data is used', points: 10 });
+  }
+
+  const retention = practiceTypes(analysis, 'retention');
+  if (retention.has('stated-period') || retention.has('limited')) {
+    factors.push({ id: 'retention-stated', description: 'States how long data is kept', points: -10 });
+  } else {
+    factors.push({ id: 'retention-unspecified', description: 'Does not state how long data is kept', points: 15 });
+  }
+
+  const recipients = (analysis.dataPractices && analysis.dataPractices.thirdParties) || [];
+  if (recipients.some(recipient => recipient.type === 'unnamed')) {
+    factors.push({ id: 'unnamed-recipients', description: 'Shares data with unnamed third parties', points: 10 });
+  } else if (recipients.some(recipient => recipient.name)) {
+    factors.push({ id: 'named-recipients', description: 'Names the third parties data is shared with', points: -5 });
+  }
+
+  return [...factors, ...scoreReadability(analysis)];
+}
+
+function scoreUserRights(analysis) {
+  const factors = [];
+  const rights = (analysis.userRights || []).length;
+
+  if (rights > 0) {
+    factors.push({
+      id: 'user-rights',
+      description: `${rights} user right${rights === 1 ? '' : 's'} described`,
+      points: -Math.min(rights * 10, 40)
+    });
+  } else {
+    factors.push({ id: 'user-rights-missing', description: 'No user rights are described', points: 30 });
+  }
+
+  const choices = practiceTypes(analysis, 'userChoices');
+  if (choices.has('opt-out-link') || choices.has('opt-out-by-contact') || choices.has('do-not-sell-or-share')) {
+    factors.push({ id: 'opt-out', description: 'Offers a way to opt out', points: -10 });
+  }
+  if (choices.has('access-and-deletion')) {
+    factors.push({ id: 'access-and-deletion', description: 'Lets users access or delete their data', points: -10 });
+  }
+
+  return factors;
+}
+
+function scoreDataPractices(analysis) {
+  const factors = [];
+
+  const sensitive = SENSITIVE_DATA_CATEGORIES.filter(category => practiceTypes(analysis, 'dataCategories').has(category));
+  if (sensitive.length > 0) {
+    factors.push({
+      id: 'sensitive-data',
+      description: `Collects sensitive data: ${sensitive.join(', ')}`,
+      points: Math.min(sensitive.length * 10, 30)
+    });
+  }
+
+  const recipients = practiceTypes(analysis, 'thirdParties');
+  if (recipients.has('data-brokers')) {
+    factors.push({ id: 'data-brokers', description: 'Shares data with data brokers', points: 15 });
+  }
+  if (recipients.has('advertisers')) {
+    factors.push({ id: 'advertisers', description: 'Shares data with advertisers', points: 10 });
+  }
+
+  if (practiceTypes(analysis, 'purposes').has('advertising')) {
+    factors.push({ id: 'advertising-purpose', description: 'Uses data for advertising', points: 10 });
+  }
+
+  if (practiceTypes(analysis, 'retention').has('indefinite')) {
+    factors.push({ id: 'indefinite-retention', description: 'Keeps data indefinitely', points: 15 });
+  }
+
+  if (practiceTypes(analysis, 'internationalTransfers').has('unspecified')) {
+    factors.push({ id: 'unprotected-transfers', description: 'Transfers data abroad without a stated safeguard', points: 10 });
+  }
+
+  factors.push(practiceTypes(analysis, 'security').size > 0
+    ? { id: 'security-measures', description: 'Describes security measures', points: -10 }
+    : { id: 'security-missing', description: 'Does not describe any security measures', points: 10 });
+
+  return factors;
+}
+
+/**
+ * Privacy policy rubric. Each dimension starts from its baseline and is
+ * weighted in the overall score.
+ */
+export const PRIVACY_RISK_RUBRIC = {
+  regulatory: { weight: 0.3, baseline: 20, score: scoreRegulatory },
+  transparency: { weight: 0.2, baseline: 30, score: scoreTransparency },
+  userRights: { weight: 0.25, baseline: 50, score: scoreUserRights },
+  dataPractices: { weight: 0.25, baseline: 20, score: scoreDataPractices }
+};
+
+/**
+ * Scores a dimension from the clause types found in one category:
+ * each type present contributes its points once
+ */
+function clauseScorer(category, points, field = 'clauses') {
+  return analysis => {
+    const types = practiceTypes(analysis, category, field);
+    return Object.entries(points)
+      .filter(([type]) => types.has(type))
+      .map(([type, [value, description]]) => ({ id: type, description, points: value }));
+  };
+}
+
+/**
+ * Terms-of-service rubric, scored from the extracted clauses
+ */
+export const TERMS_RISK_RUBRIC = {
+  disputeResolution: {
+    weight: 0.2,
+    baseline: 10,
+    score: clauseScorer('disputeResolution', {
+      'forced-arbitration': [40, 'Disputes must go to binding arbitration'],
+      'class-action-waiver': [30, 'Users waive class actions'],
+      'jury-trial-waiver': [10, 'Users waive a jury trial'],
+      'arbitration-opt-out': [-20, 'Users can opt out of arbitration']
+    })
+  },
+  unilateralChanges: {
+    weight: 0.15,
+    baseline: 20,
+    score: clauseScorer('unilateralChanges', {
+      'change-without-notice': [40, 'Terms can change without notice'],
+      'continued-use-acceptance': [20, 'Continued use counts as accepting changes'],
+      'change-with-notice': [-10, 'Users are notified of changes']
+    })
+  },
+  autoRenewal: {
+    weight: 0.2,
+    baseline: 10,
+    score: clauseScorer('autoRenewal', {
+      'auto-renewal': [25, 'Subscriptions renew automatically'],
+      'cancellation-restricted': [30, 'Cancellation is restricted'],
+      'no-refunds': [20, 'Payments are not refunded'],
+      'price-change': [10, 'Prices can change during a subscription'],
+      'cancellation-anytime': [-15, 'Users can cancel at any time'],
+      'refunds-available': [-10, 'Refunds are available']
+    })
+  },
+  contentLicense: {
+    weight: 0.15,
+    baseline: 10,
+    score: clauseScorer('contentLicense', {
+      'perpetual-license': [20, 'Users grant a perpetual license to their content'],
+      'irrevocable-license': [20, 'The content license is irrevocable'],
+      'sublicensable-license': [15, 'The service can sublicense user content'],
+      'ai-training': [25, 'User content can be used to train AI models'],
+      'limited-license': [-10, 'The content license is limited to running the service'],
+      'user-keeps-ownership': [-5, 'Users keep ownership of their content']
+    })
+  },
+  liability: {
+    weight: 0.15,
+    baseline: 20,
+    score: clauseScorer('liability', {
+      'liability-cap': [25, 'The service caps its liability'],
+      'disclaimer-of-warranties': [10, 'The service disclaims warranties'],
+      'indemnification-by-user': [20, 'Users must indemnify the service']
+    })
+  },
+  termination: {
+    weight: 0.15,
+    baseline: 10,
+    score: clauseScorer('termination', {
+      'termination-without-cause': [30, 'Accounts can be terminated without cause'],
+      'termination-without-notice': [25, 'Accounts can be terminated without notice'],
+      'data-deleted-on-termination': [10, 'Data is deleted when an account is terminated'],
+      'user-can-terminate': [-10, 'Users can close their account at any time']
+    })
+  }
+};
+
+const TRACKING_FLAG_POINTS = {
+  'undisclosed-advertising': [20, 'Advertising cookies are not disclosed as advertising'],
+  'undisclosed-cross-site-tracking': [25, 'Cross-site tracking cookies are not disclosed']
+};
+
+const scoreTrackingPractices = clauseScorer('tracking', {
+  'cross-site-tracking': [15, 'Tracks users across other websites'],
+  retargeting: [10, 'Retargets users with ads'],
+  fingerprinting: [20, 'Uses device fingerprinting'],
+  'data-shared-with-partners': [10, 'Shares cookie data with partners']
+}, 'cookiePractices');
+
+function scoreCookieTracking(analysis) {
+  const factors = [];
+  const cookies = analysis.cookies || [];
+
+  const advertising = cookies.filter(cookie => cookie.purpose === 'advertising').length;
+  if (advertising > 0) {
+    factors.push({
+      id: 'advertising-cookies',
+      description: `${advertising} advertising cookie${advertising === 1 ? '' : 's'}`,
+      points: Math.min(advertising * 10, 30)
+    });
+  }
+
+  const thirdParty = cookies.filter(cookie => cookie.party === 'third').length;
+  if (thirdParty > 0) {
+    factors.push({
+      id: 'third-party-cookies',
+      description: `${thirdParty} third-party cookie${thirdParty === 1 ? '' : 's'}`,
+      points: Math.min(thirdParty * 5, 20)
+    });
+  }
+
+  const flagTypes = new Set((analysis.trackingFlags || []).map(flag => flag.type));
+  for (const [type, [points, description]] of Object.entries(TRACKING_FLAG_POINTS)) {
+    if (flagTypes.has(type)) factors.push({ id: type, description, points });
+  }
+
+  return [...factors, ...scoreTrackingPractices(analysis)];
+}
+
+function scoreCookieTransparency(analysis) {
+  const cookies = analysis.cookies || [];
+  if (cookies.length === 0) {
+    return [{ id: 'inventory-missing', description: 'Does not list the cookies it sets', points: 25 }, ...scoreReadability(analysis)];
+  }
+
+  const factors = [{ id: 'inventory-listed', description: `Lists ${cookies.length} cookie${cookies.length === 1 ? '' : 's'}`, points: -10 }];
+
+  const unexplained = cookies.filter(cookie => cookie.purposeSource !== 'policy').length;
+  if (unexplained > 0) {
+    factors.push({
+      id: 'purpose-missing',
+      description: `${unexplained} cookie${unexplained === 1 ? ' has' : 's have'} no stated purpose`,
+      points: Math.min(unexplained * 5, 20)
+    });
+  }
+
+  const undated = cookies.filter(cookie => !cookie.duration).length;
+  if (undated > 0) {
+    factors.push({
+      id: 'duration-missing',
+      description: `${undated} cookie${undated === 1 ? ' has' : 's have'} no stated duration`,
+      points: Math.min(undated * 3, 15)
+    });
+  }
+
+  return [...factors, ...scoreReadability(analysis)];
+}
+
+/**
+ * Cookie policy rubric, scored from the cookie inventory, tracking flags
+ * and cookie practices
+ */
+export const COOKIE_RISK_RUBRIC = {
+  tracking: { weight: 0.35, baseline: 10, score: scoreCookieTracking },
+  transparency: { weight: 0.25, baseline: 30, score: scoreCookieTransparency },
+  consent: {
+    weight: 0.25,
+    baseline: 40,
+    score: clauseScorer('consent', {
+      'prior-consent': [-30, 'Asks for consent before setting non-essential cookies'],
+      'implied-consent': [20, 'Treats continued browsing as consent'],
+      'no-consent': [30, 'Sets non-essential cookies without consent']
+    }, 'cookiePractices')
+  },
+  control: {
+    weight: 0.15,
+    baseline: 50,
+    score: clauseScorer('controls', {
+      'cookie-settings': [-25, 'Offers settings to refuse non-essential cookies'],
+      'opt-out-links': [-15, 'Links to advertising opt-outs'],
+      'global-privacy-control': [-15, 'Honors Global Privacy Control'],
+      'browser-settings': [-5, 'Points users to browser settings'],
+      'do-not-track-ignored': [10, 'Ignores Do Not Track signals']
+    }, 'cookiePractices')
+  }
+};
+
+/**
+ * Reads the green/yellow/red thresholds from the environment,
+ * falling back to the defaults when they are missing or inconsistent
+ */
+export function getRiskThresholds(env = {}) {
+  const yellow = parseInt(env.RISK_THRESHOLD_YELLOW);
+  const red = parseInt(env.RISK_THRESHOLD_RED);
+
+  if (!Number.isFinite(yellow) && !Number.isFinite(red)) return { ...DEFAULT_RISK_THRESHOLDS };
+
+  const thresholds = {
+    yellow: Number.isFinite(yellow) ? yellow : DEFAULT_RISK_THRESHOLDS.yellow,
+    red: Number.isFinite(red) ? red : DEFAULT_RISK_THRESHOLDS.red
+  };
+
+  if (thresholds.yellow < 0 || thresholds.red > 100 || thresholds.yellow >= thresholds.red) {
+    console.warn('Invalid risk thresholds, using defaults:', thresholds);
+    return { ...DEFAULT_RISK_THRESHOLDS };
+  }
+
+  return thresholds;
+}
+
+/**
+ * Maps a 0-100 score to a traffic-light level
+ */
+export function getRiskLevel(score, thresholds = DEFAULT_RISK_THRESHOLDS) {
+  if (score >= thresholds.red) return 'red';
+  if (score >= thresholds.yellow) return 'yellow';
+  return 'green';
+}
+
+/**
+ * Scores an analysis against a rubric.
+ * Returns the level of every dimension (as before) plus the numeric scores,
+ * weights and contributing factors behind them.
+ */
+export function calculateRiskScores(analysis, thresholds = DEFAULT_RISK_THRESHOLDS, rubric = PRIVACY_RISK_RUBRIC) {
+  const dimensions = {};
+
+  for (const [dimension, { weight, baseline, score: scorer }] of Object.entries(rubric)) {
+    const factors = scorer(analysis);
+    const score = clamp(baseline + factors.reduce((sum, factor) => sum + factor.points, 0));
+    dimensions[dimension] = {
+      score,
+      level: getRiskLevel(score, thresholds),
+      weight,
+      baseline,
+      factors
+    };
+  }
+
+  const score = clamp(Object.values(dimensions).reduce((sum, dimension) => sum + dimension.score * dimension.weight, 0));
+
+  return {
+    overall: getRiskLevel(score, thresholds),
+    ...Object.fromEntries(Object.entries(dimensions).map(([dimension, result]) => [dimension, result.level])),
+    score,
+    dimensions,
+    thresholds
+  };
+}
+
+/**
+ * The level of each risk dimension, e.g. `{ regulatory: "yellow" }`.
+ * Scores from before the weighted rubric only carry the flat levels.
+ */
+export function getRiskBreakdown(riskScores) {
+  if (!riskScores) return {};
+  if (riskScores.dimensions) {
+    return Object.fromEntries(Object.entries(riskScores.dimensions).map(([dimension, { level }]) => [dimension, level]));
+  }
+  return Object.fromEntries(Object.entries(riskScores).filter(([key, value]) => key !== 'overall' && typeof value === 'string'));
+}
\ No newline at end of file
@@ -0,0 +1,286 @@
+/**
+ * Rule-based pre-scanner
+ * Finds well-known risky (and reassuring) phrasing with a fixed lexicon, so
+ * a policy gets real findings even without the model, and tells the model
+ * which passages to look at
+ */
+
+import { getSourceAt } from '../utils/document.js';
+
+export const RULE_ENGINE_VERSION = '1.0.0';
+
+// Negations close before a match turn "we sell" into "we do not sell"
+const NEGATION_PATTERN = /\b(not|never|no longer|don't|doesn't|won't|neither|nor)\b[^.;:,]{0,60}$/i;
+
+/**
+ * Privacy policy rules. `finding` is reported when the phrase matches,
+ * `negated` when it is negated; `practice` classifies the passage in the
+ * data practice taxonomy.
+ */
+export const PRIVACY_RULES = [
+  {
+    id: 'sells-personal-information',
+    pattern: /\bsell(s|ing)?\s+(your\s+|the\s+)?(personal\s+)?(information|data)\b/i,
+    finding: ['redFlags', 'May sell personal information'],
+    negated: ['keyPoints', 'States that personal information is not sold'],
+    recommendation: 'Use the opt-out of the sale of your personal information'
+  },
+  {
+    id: 'indefinite-retention',
+    pattern: /\b(indefinitely|for as long as we (see fit|deem (it )?necessary|wish)|permanently (retain|store|keep))\b/i,
+    finding: ['redFlags', 'May keep personal data indefinitely'],
+    practice: ['retention', 'indefinite'],
+    recommendation: 'Ask for your data to be deleted when you stop using the service'
+  },
+  {
+    id: 'affiliates-and-partners',
+    pattern: /\baffiliates,?\s+(and|or)\s+(business\s+|marketing\s+|advertising\s+)?partners\b/i,
+    finding: ['redFlags', 'Shares data with affiliates and partners'],
+    practice: ['thirdParties', 'business-partners']
+  },
+  {
+    id: 'shares-with-advertisers',
+    pattern: /\b(share|disclose|provide|transfer)s?\b[^.]{0,80}\b(advertisers|advertising (partners|networks)|ad networks)\b/i,
+    finding: ['redFlags', 'Shares data with advertisers'],
+    negated: ['keyPoints', 'States that data is not shared with advertisers'],
+    practice: ['thirdParties', 'advertisers'],
+    recommendation: 'Opt out of personalized advertising'
+  },
+  {
+    id: 'data-brokers',
+    pattern: /\bdata brokers?\b/i,
+    finding: ['redFlags', 'Data may go to or come from data brokers'],
+    practice: ['thirdParties', 'data-brokers']
+  },
+  {
+    id: 'precise-location',
+    pattern: /\bprecise\s+(geo)?location\b/i,
+    finding: ['keyPoints', 'Collects precise location'],
+    practice: ['dataCategories', 'location']
+  },
+  {
+    id: 'biometric-data',
+    pattern: /\bbiometric\s+(data|information|identifiers?)\b/i,
+    finding: ['keyPoints', 'Mentions biometric data'],
+    practice: ['dataCategories', 'biometric']
+  },
+  {
+    id: 'policy-changes-without-notice',
+    pattern: /\b(change|modify|update|amend)\b[^.]{0,60}\bwithout (prior |further )?notice\b/i,
+    finding: ['redFlags', 'The policy can change without notice']
+  },
+  {
+    id: 'do-not-sell-or-share',
+    pattern: /\bdo not sell (or share )?my personal information\b/i,
+    finding: ['userRights', 'Offers a "Do Not Sell or Share" opt-out'],
+    practice: ['userChoices', 'do-not-sell-or-share']
+  },
+  {
+    id: 'right-to-delete',
+    pattern: /\b(right to|request( that we)?|ask us to)\s+(delete|erase|the deletion of|erasure of)\b/i,
+    finding: ['userRights', 'Users can ask for their data to be deleted'],
+    practice: ['userChoices', 'access-and-deletion']
+  },
+  {
+    id: 'encryption-in-transit',
+    pattern: /\b(TLS|SSL|HTTPS|encrypt(ed|s)? in transit)\b/,
+    finding: ['keyPoints', 'Encrypts data in transit'],
+    practice: ['security', 'encryption-in-transit']
+  }
+];
+
+export const TERMS_RULES = [
+  {
+    id: 'binding-arbitration',
+    pattern: /\bbinding\s+(individual\s+)?arbitration\b/i,
+    finding: ['redFlags', 'Disputes must go to binding arbitration'],
+    practice: ['disputeResolution', 'forced-arbitration'],
+    recommendation: 'Check whether you can opt out of arbitration and by when'
+  },
+  {
+    id: 'class-action-waiver',
+    pattern: /\bwaive\b[^.]{0,60}\bclass[- ]action|\bclass[- ]action\b[^.]{0,60}\bwaive/i,
+    finding: ['redFlags', 'Users waive class actions'],
+    practice: ['disputeResolution', 'class-action-waiver']
+  },
+  {
+    id: 'jury-trial-waiver',
+    pattern: /\bwaive\b[^.]{0,60}\bjury trial\b/i,
+    finding: ['redFlags', 'Users waive a jury trial'],
+    practice: ['disputeResolution', 'jury-trial-waiver']
+  },
+  {
+    id: 'arbitration-opt-out',
+    pattern: /\bopt out of (this |the )?(agreement to )?arbitrat/i,
+    finding: ['userRights', 'Users can opt out of arbitration'],
+    practice: ['disputeResolution', 'arbitration-opt-out']
+  },
+  {
+    id: 'terms-change-without-notice',
+    pattern: /\b(change|modify|update|amend)\b[^.]{0,60}\bwithout (prior |further )?notice\b/i,
+    finding: ['redFlags', 'The terms can change without notice'],
+    practice: ['unilateralChanges', 'change-without-notice']
+  },
+  {
+    id: 'continued-use-acceptance',
+    pattern: /\bcontinued use\b[^.]{0,80}\b(constitutes|means|signifies|indicates)\b[^.]{0,30}\baccept/i,
+    finding: ['keyPoints', 'Continued use counts as accepting changes'],
+    practice: ['unilateralChanges', 'continued-use-acceptance']
+  },
+  {
+    id: 'auto-renewal',
+    pattern: /\b(automatically renew|auto-renew)/i,
+    finding: ['keyPoints', 'Subscriptions renew automatically'],
+    practice: ['autoRenewal', 'auto-renewal'],
+    recommendation: 'Note the renewal date and how to cancel'
+  },
+  {
+    id: 'no-refunds',
+    pattern: /\bnon-?refundable\b|\bno refunds\b/i,
+    finding: ['redFlags', 'Payments are not refunded'],
+    practice: ['autoRenewal', 'no-refunds']
+  },
+  {
+    id: 'perpetual-license',
+    pattern: /\b(perpetual|irrevocable)\b[^.]{0,80}\blicen[cs]e\b/i,
+    finding: ['redFlags', 'Users grant a perpetual or irrevocable license to their content'],
+    practice: ['contentLicense', 'perpetual-license']
+  },
+  {
+    id: 'termination-without-notice',
+    pattern: /\b(terminate|suspend)\b[^.]{0,80}\b(for any reason|without (prior )?notice)\b/i,
+    finding: ['redFlags', 'Accounts can be terminated without notice or cause'],
+    practice: ['termination', 'termination-without-notice']
+  }
+];
+
+export const COOKIE_RULES = [
+  {
+    id: 'implied-cookie-consent',
+    pattern: /\bby (continuing to (use|browse)|using)\b[^.]{0,60}\b(consent|agree)\b/i,
+    finding: ['redFlags', 'Continued browsing is treated as consent to cookies'],
+    practice: ['consent', 'implied-consent']
+  },
+  {
+    id: 'cross-site-tracking',
+    pattern: /\bacross (other |different )?(websites|sites|apps)\b/i,
+    finding: ['redFlags', 'Cookies track users across other websites'],
+    practice: ['tracking', 'cross-site-tracking']
+  },
+  {
+    id: 'advertising-cookies',
+    pattern: /\b(advertising|targeting|marketing) cookies\b/i,
+    finding: ['keyPoints', 'Uses advertising cookies'],
+    practice: ['tracking', 'interest-based-advertising'],
+    recommendation: 'Refuse advertising cookies in the cookie settings'
+  },
+  {
+    id: 'cookie-settings',
+    pattern: /\b(cookie (settings|preferences)|manage (your )?cookies)\b/i,
+    finding: ['userRights', 'Cookie settings let users refuse cookies'],
+    practice: ['controls', 'cookie-settings']
+  }
+];
+
+function sentenceAround(text, start, end) {
+  const before = text.slice(0, start);
+  const period = before.lastIndexOf('. ');
+  const sentenceStart = Math.max(period === -1 ? 0 : period + 2, before.lastIndexOf('\n') + 1);
+  const after = text.slice(end).search(/\.(\s|$)|\n/);
+  const sentenceEnd = after === -1 ? text.length : end + after + (text[end + after] === '.' ? 1 : 0);
+  return { start: sentenceStart, end: sentenceEnd };
+}
+
+/**
+ * Runs a profile's rules over a document. Returns the findings and
+ * structured entries in the same shape as a tagged chunk analysis,
+ * each labeled `detectedBy: "rules"`, plus every match for prompt hints.
+ * Only the first match of each rule becomes a finding.
+ */
+export function scanPolicy(document, { rules = [], structuredField, taxonomy }) {
+  const scan = {
+    keyPoints: [],
+    redFlags: [],
+    userRights: [],
+    [structuredField]: {},
+    matches: [],
+    recommendations: []
+  };
+  const reported = new Set();
+
+  for (const rule of rules) {
+    const pattern = new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`);
+
+    for (const match of document.text.matchAll(pattern)) {
+      const sentence = sentenceAround(document.text, match.index, match.index + match[0].length);
+      const negated = NEGATION_PATTERN.test(document.text.slice(sentence.start, match.index));
+      const result = negated ? rule.negated : rule.finding;
+      if (!result) continue;
+
+      const evidence = {
+        quote: document.text.slice(sentence.start, sentence.end),
+        start: sentence.start,
+        end: sentence.end,
+        verified: true,
+        ...getSourceAt(document, match.index),
+        detectedBy: 'rules',
+        ruleId: rule.id
+      };
+      const [category, text] = result;
+      scan.matches.push({ ruleId: rule.id, category, text, negated, ...evidence });
+
+      const key = `${rule.id}:${negated}`;
+      if (reported.has(key)) continue;
+      reported.add(key);
+
+      scan[category].push({ text, ...evidence });
+      if (!negated && rule.recommendation) scan.recommendations.push(rule.recommendation);
+
+      if (!negated && rule.practice && taxonomy[rule.practice[0]]) {
+        const [practiceCategory, type] = rule.practice;
+        const attributes = Object.fromEntries((taxonomy[practiceCategory].attributes || []).map(attribute => [attribute, null]));
+        if (!scan[structuredField][practiceCategory]) scan[structuredField][practiceCategory] = [];
+        scan[structuredField][practiceCategory].push({ type, description: text, ...attributes, ...evidence });
+      }
+    }
+  }
+
+  return scan;
+}
+
+/**
+ * Lists the rule matches inside a chunk, for the chunk's prompt
+ */
+export function getRuleHints(scan, chunk) {
+  if (!scan) return [];
+  return scan.matches.filter(match => match.start < chunk.end && chunk.start < match.end);
+}
+
+/**
+ * Summary and recommendations written from the rule-based findings alone,
+ * used when the model produced nothing
+ */
+export function summarizeRuleScan(scan, documentName = 'policy') {
+  const redFlags = scan.redFlags.map(flag => flag.text);
+  const found = redFlags.length > 0
+    ? `It found ${redFlags.length} concern${redFlags.length === 1 ? '' : 's'}: ${redFlags.slice(0, 3).join('; ')}.`
+    : 'It found none of the risky phrasing it looks for.';
+
+  return {
+    executiveSummary: `AI analysis was unavailable, so this ${documentName} was checked with rule-based pattern matching only. ${found}`,
+    recommendations: [...new Set(scan.recommendations), 'Review the policy manually']
+  };
+}
+
+/**
+ * Prompt section asking the model to check the passages the rules flagged
+ */
+export function describeRuleHints(hints, limit = 10) {
+  const unique = [...new Map(hints.map(hint => [`${hint.quote}|${hint.text}`, hint])).values()].slice(0, limit);
+  if (unique.length === 0) return '';
+
+  return `
+
+A rule-based pre-scan flagged these passages. Check each one and include it in your findings if the text supports it:
+${unique.map(hint => `- "${hint.quote}" (${hint.text})`).join('\n')}`;
+}
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Response schemas for each analyzer prompt
+ */
+
+import { COMPLIANCE_CHECKLISTS } from './compliance.js';
+import { DATA_PRACTICE_TAXONOMY } from './taxonomy.js';
+
+const FINDINGS = { type: 'array', items: { type: 'string' } };
+
+// Findings must cite the passage they are based on
+const EVIDENCED_FINDINGS = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['text', 'quote'],
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      quote: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// Each practice entry is classified with a taxonomy type and cites its passage
+const PRACTICE_ENTRIES = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['type', 'quote'],
+    properties: {
+      type: { type: 'string' },
+      description: { type: ['string', 'null'] },
+      quote: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// Cookies named by a cookie policy, each citing the passage that lists it
+const COOKIE_ENTRIES = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['name', 'quote'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      provider: { type: ['string', 'null'] },
+      purpose: { type: ['string', 'null'] },
+      duration: { type: ['string', 'null'] },
+      party: { type: ['string', 'null'] },
+      quote: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// Checklist items a chunk addresses, each citing its passage
+const COMPLIANCE_ITEM = {
+  type: ['object', 'null'],
+  required: ['status', 'quote'],
+  properties: {
+    status: { type: 'string' },
+    note: { type: ['string', 'null'] },
+    quote: { type: 'string', minLength: 1 }
+  }
+};
+
+const COMPLIANCE = {
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(COMPLIANCE_CHECKLISTS).map(([regulation, { items }]) => [
+    regulation,
+    {
+      type: ['object', 'null'],
+      properties: Object.fromEntries(Object.keys(items).map(item => [item, COMPLIANCE_ITEM]))
+    }
+  ]))
+};
+
+/**
+ * Builds the chunk analysis schema for an analysis profile: evidenced
+ * findings, the profile's structured taxonomy field and, where the profile
+ * asks for them, compliance statuses and a cookie inventory
+ */
+export function createChunkAnalysisSchema({ structuredField, taxonomy, compliance, cookieInventory }) {
+  return {
+    type: 'object',
+    required: ['keyPoints', 'redFlags', 'userRights'],
+    properties: {
+      keyPoints: EVIDENCED_FINDINGS,
+      redFlags: EVIDENCED_FINDINGS,
+      userRights: EVIDENCED_FINDINGS,
+      [structuredField]: {
+        type: 'object',
+        properties: Object.fromEntries(Object.keys(taxonomy).map(category => [category, PRACTICE_ENTRIES]))
+      },
+      ...(compliance ? { compliance: COMPLIANCE } : {}),
+      ...(cookieInventory ? { cookies: COOKIE_ENTRIES } : {})
+    }
+  };
+}
+
+export const CHUNK_ANALYSIS_SCHEMA = createChunkAnalysisSchema({
+  structuredField: 'dataPractices',
+  taxonomy: DATA_PRACTICE_TAXONOMY,
+  compliance: true
+});
+
+export const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['executiveSummary', 'recommendations'],
+  properties: {
+    executiveSummary: { type: 'string', minLength: 1 },
+    recommendations: FINDINGS
+  }
+};
+
+export const ANSWER_SCHEMA = {
+  type: 'object',
+  required: ['addressed', 'answer', 'quotes'],
+  properties: {
+    addressed: { type: 'boolean' },
+    answer: { type: 'string', minLength: 1 },
+    quotes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['quote'],
+        properties: {
+          excerpt: { type: ['integer', 'null'] },
+          quote: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+export const CHANGE_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'materialChanges'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    materialChanges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['change', 'description', 'impact'],
+        properties: {
+          change: { type: 'integer' },
+          description: { type: 'string', minLength: 1 },
+          impact: { type: 'string', enum: ['better', 'worse', 'neutral'] }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Extends a chunk schema with the summary fields for single-pass analysis
+ */
+export function createQuickAnalysisSchema(chunkSchema) {
+  return {
+    ...chunkSchema,
+    required: [...chunkSchema.required, ...SUMMARY_SCHEMA.required],
+    properties: {
+      ...chunkSchema.properties,
+      ...SUMMARY_SCHEMA.properties
+    }
+  };
+}
+
+export const QUICK_ANALYSIS_SCHEMA = createQuickAnalysisSchema(CHUNK_ANALYSIS_SCHEMA);
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Semantic policy index
+ * Embeds the chunks of analyzed policies into a vector store, so clauses
+ * can be searched by meaning across every policy analyzed
+ */
+
+import { formatHeadingPath } from '../utils/document.js';
+import { sha256Hex } from '../utils/hash.js';
+import { extractDomain } from '../utils/validation.js';
+import { getQueryTerms, tokenize } from './qa.js';
+
+export const MAX_SEARCH_QUERY_LENGTH = 500;
+
+export const DEFAULT_SEARCH_RESULTS = 10;
+
+// Vectorize returns metadata with at most 20 matches
+export const MAX_SEARCH_RESULTS = 20;
+
+const EMBEDDING_BATCH_SIZE = 50;
+
+// Matches looked up when pruning a policy's chunks, and the most it can have
+const MAX_CHUNKS_PER_POLICY = 100;
+
+const SENTENCE_PATTERN = /[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)/g;
+
+/**
+ * Reduces a hostname or URL to the domain used in filters, without `www.`
+ */
+export function normalizeDomain(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+
+  const hostname = text.includes('://') ? extractDomain(text) : text.split('/')[0];
+  return hostname ? hostname.replace(/^www\./, '') : null;
+}
+
+/**
+ * Identifies a policy in the index. Vector ids are at most 64 bytes, so
+ * the URL is hashed.
+ */
+export async function getPolicyKey(url, type) {
+  return (await sha256Hex(`${type}:${url}`)).slice(0, 32);
+}
+
+/**
+ * Embeds texts in batches the embedding models accept
+ */
+export async function embedTexts(provider, texts) {
+  const embeddings = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    embeddings.push(...await provider.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE)));
+  }
+  return embeddings;
+}
+
+/**
+ * Embeds a policy's chunks, with their section and offsets, and replaces
+ * whatever the index held for an earlier analysis of it. Resolves to the
+ * number of chunks indexed.
+ */
+export async function indexPolicyChunks(provider, store, result, chunks) {
+  if (chunks.length === 0) return 0;
+
+  const policy = await getPolicyKey(result.url, result.type);
+  const embeddings = await embedTexts(provider, chunks.map(chunk =>
+    [formatHeadingPath(chunk.headingPath), chunk.text].filter(Boolean).join('\n')
+  ));
+
+  const vectors = chunks.map((chunk, i) => ({
+    id: `${policy}-${chunk.index}`,
+    values: embeddings[i],
+    metadata: {
+      policy,
+      url: result.url,
+      domain: normalizeDomain(result.url),
+      type: result.type,
+      analysisId: result.id,
+      analyzedAt: result.timestamp,
+      section: chunk.section,
+      headingPath: chunk.headingPath,
+      ...(chunk.pages ? { pages: chunk.pages } : {}),
+      start: chunk.start,
+      end: chunk.end,
+      text: chunk.text
+    }
+  }));
+  await store.upsert(vectors);
+
+  // Drop chunks an earlier, longer version of the policy left behind
+  const ids = new Set(vectors.map(vector => vector.id));
+  const existing = await store.query(vectors[0].values, {
+    topK: MAX_CHUNKS_PER_POLICY,
+    filter: { policy },
+    returnMetadata: 'none'
+  });
+  const stale = existing.map(match => match.id).filter(id => !ids.has(id));
+  if (stale.length > 0) await store.deleteByIds(stale);
+
+  return vectors.length;
+}
+
+/**
+ * The sentence of a chunk sharing the most keywords with the query, with
+ * its offsets; the whole chunk when no sentence shares any
+ */
+export function findPassage(chunk, query) {
+  const terms = new Set(getQueryTerms(query));
+  let best = { quote: chunk.text, start: chunk.start, end: chunk.end };
+  let bestScore = 0;
+
+  SENTENCE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = SENTENCE_PATTERN.exec(chunk.text)) !== null) {
+    if (match[0].length === 0) {
+      SENTENCE_PATTERN.lastIndex++;
+      continue;
+    }
+
+    const score = new Set(tokenize(match[0]).filter(token => terms.has(token))).size;
+    if (score <= bestScore) continue;
+
+    const quote = match[0].trim();
+    const start = chunk.start + match.index + (match[0].length - match[0].trimStart().length);
+    best = { quote, start, end: start + quote.length };
+    bestScore = score;
+  }
+
+  return best;
+}
+
+/**
+ * Finds the indexed chunks closest in meaning to the query, optionally
+ * only from one domain or policy type
+ */
+export async function searchIndex(provider, store, query, { domain = null, type = null, limit = DEFAULT_SEARCH_RESULTS } = {}) {
+  const [values] = await provider.embed([query]);
+  const filter = {
+    ...(domain ? { domain: normalizeDomain(domain) } : {}),
+    ...(type ? { type } : {})
+  };
+
+  const matches = await store.query(values, { topK: limit, filter, returnMetadata: 'all' });
+
+  return matches.map(({ score, metadata }) => ({
+    score: Math.round(score * 1000) / 1000,
+    url: metadata.url,
+    domain: metadata.domain,
+    type: metadata.type,
+    analysisId: metadata.analysisId,
+    analyzedAt: metadata.analyzedAt,
+    section: metadata.section,
+    headingPath: metadata.headingPath,
+    ...(metadata.pages ? { pages: metadata.pages } : {}),
+    ...findPassage(metadata, query),
+    text: metadata.text
+  }));
+}
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * Policy taxonomies
+ * Structured models of what a policy says: data practices (loosely following
+ * the OPP-115 annotation scheme), terms-of-service clauses and cookie practices
+ */
+
+export const DATA_PRACTICE_TAXONOMY = {
+  dataCategories: {
+    label: 'Data categories collected',
+    types: [
+      'contact', 'identifiers', 'device-and-ip', 'location', 'online-activity', 'cookies-and-tracking',
+      'financial', 'health', 'biometric', 'demographic', 'user-profile', 'social-media',
+      'user-content', 'children', 'other'
+    ]
+  },
+  purposes: {
+    label: 'Purposes of use',
+    types: [
+      'basic-service', 'additional-feature', 'service-operation-and-security', 'personalization',
+      'analytics-research', 'advertising', 'marketing', 'legal-requirement', 'merger-acquisition', 'other'
+    ]
+  },
+  thirdParties: {
+    label: 'Third-party recipients',
+    types: [
+      'service-providers', 'advertisers', 'analytics-providers', 'affiliates', 'business-partners',
+      'data-brokers', 'law-enforcement', 'acquirers', 'other-users', 'public', 'unnamed', 'other'
+    ],
+    attributes: ['name']
+  },
+  retention: {
+    label: 'Retention periods',
+    types: ['stated-period', 'limited', 'indefinite', 'unspecified'],
+    attributes: ['duration']
+  },
+  security: {
+    label: 'Security measures',
+    types: [
+      'encryption-in-transit', 'encryption-at-rest', 'access-limitation', 'secure-authentication',
+      'audits-and-certifications', 'security-program', 'generic', 'other'
+    ]
+  },
+  userChoices: {
+    label: 'User choices',
+    types: [
+      'opt-in', 'opt-out-link', 'opt-out-by-contact', 'privacy-settings', 'browser-or-device-controls',
+      'third-party-controls', 'do-not-sell-or-share', 'access-and-deletion', 'dont-use-service', 'other'
+    ]
+  },
+  internationalTransfers: {
+    label: 'International transfers',
+    types: [
+      'adequacy-decision', 'standard-contractual-clauses', 'binding-corporate-rules', 'data-privacy-framework',
+      'consent', 'unspecified'
+    ],
+    attributes: ['destination']
+  }
+};
+
+export const TERMS_CLAUSE_TAXONOMY = {
+  disputeResolution: {
+    label: 'Arbitration and class-action waivers',
+    types: [
+      'forced-arbitration', 'class-action-waiver', 'jury-trial-waiver', 'arbitration-opt-out',
+      'venue-selection', 'other'
+    ]
+  },
+  unilateralChanges: {
+    label: 'Changes to the terms',
+    types: ['change-without-notice', 'change-with-notice', 'continued-use-acceptance', 'other']
+  },
+  autoRenewal: {
+    label: 'Auto-renewal and cancellation',
+    types: [
+      'auto-renewal', 'cancellation-anytime', 'cancellation-restricted', 'no-refunds',
+      'refunds-available', 'price-change', 'other'
+    ],
+    attributes: ['period']
+  },
+  contentLicense: {
+    label: 'Content and IP licenses granted to the service',
+    types: [
+      'perpetual-license', 'irrevocable-license', 'sublicensable-license', 'ai-training',
+      'limited-license', 'user-keeps-ownership', 'other'
+    ]
+  },
+  liability: {
+    label: 'Liability limits',
+    types: ['liability-cap', 'disclaimer-of-warranties', 'indemnification-by-user', 'other'],
+    attributes: ['amount']
+  },
+  termination: {
+    label: 'Account termination rights',
+    types: [
+      'termination-without-cause', 'termination-without-notice', 'termination-for-breach',
+      'user-can-terminate', 'data-deleted-on-termination', 'other'
+    ]
+  }
+};
+
+export const COOKIE_PRACTICE_TAXONOMY = {
+  consent: {
+    label: 'Consent for non-essential cookies',
+    types: ['prior-consent', 'implied-consent', 'no-consent', 'other']
+  },
+  controls: {
+    label: 'Ways to refuse or remove cookies',
+    types: [
+      'cookie-settings', 'browser-settings', 'opt-out-links', 'global-privacy-control', 'do-not-track-ignored', 'other'
+    ]
+  },
+  tracking: {
+    label: 'Cross-site tracking and ad targeting',
+    types: [
+      'cross-site-tracking', 'retargeting', 'interest-based-advertising', 'data-shared-with-partners',
+      'fingerprinting', 'other'
+    ]
+  }
+};
+
+export const DATA_PRACTICE_CATEGORIES = Object.keys(DATA_PRACTICE_TAXONOMY);
+
+function fallbackType(definition) {
+  return definition.types.includes('other') ? 'other' : 'unspecified';
+}
+
+/**
+ * Returns an empty model with every category of the taxonomy present
+ */
+export function createDataPractices(taxonomy = DATA_PRACTICE_TAXONOMY) {
+  return Object.fromEntries(Object.keys(taxonomy).map(category => [category, []]));
+}
+
+/**
+ * Lists a taxonomy for inclusion in an analysis prompt
+ */
+export function describeTaxonomy(taxonomy = DATA_PRACTICE_TAXONOMY) {
+  return Object.keys(taxonomy).map(category => {
+    const { label, types, attributes = [] } = taxonomy[category];
+    const extra = attributes.length > 0 ? `; also give ${attributes.map(attribute => `"${attribute}"`).join(', ')}` : '';
+    return `- ${category} (${label}): type is one of ${types.join(', ')}${extra}`;
+  }).join('\n');
+}
+
+/**
+ * Normalizes one model-reported practice entry.
+ * Types outside the taxonomy fall back to "other" or "unspecified".
+ */
+export function normalizePractice(category, entry, taxonomy = DATA_PRACTICE_TAXONOMY) {
+  const definition = Object.prototype.hasOwnProperty.call(taxonomy, category) ? taxonomy[category] : null;
+  if (!definition || !entry || typeof entry !== 'object') return null;
+
+  const requested = String(entry.type || '').trim().toLowerCase().replace(/[\s_/]+/g, '-');
+  const practice = {
+    type: definition.types.includes(requested) ? requested : fallbackType(definition),
+    description: String(entry.description || entry.text || '').trim(),
+    quote: entry.quote || null
+  };
+
+  for (const attribute of definition.attributes || []) {
+    const value = entry[attribute];
+    practice[attribute] = value === undefined || value === null || value === '' ? null : String(value).trim();
+  }
+
+  return practice;
+}
+
+function normalizeKeyPart(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function practiceKey(definition, practice) {
+  const attributes = (definition.attributes || [])
+    .map(attribute => normalizeKeyPart(practice[attribute]));
+
+  // Catch-all types only merge when they describe the same thing
+  if (practice.type === 'other' || practice.type === 'unspecified') {
+    attributes.push(normalizeKeyPart(practice.description));
+  }
+
+  return [practice.type, ...attributes].join('|');
+}
+
+/**
+ * Merges per-chunk entries into one model.
+ * Entries with the same type (and name, duration or destination) are combined
+ * and keep every source section they were found in.
+ */
+export function mergeDataPractices(chunkPractices, taxonomy = DATA_PRACTICE_TAXONOMY) {
+  const merged = createDataPractices(taxonomy);
+
+  for (const practices of chunkPractices) {
+    if (!practices) continue;
+
+    for (const category of Object.keys(taxonomy)) {
+      for (const practice of practices[category] || []) {
+        const key = practiceKey(taxonomy[category], practice);
+        const { quote, start, end, section, headingPath, pages, verified, detectedBy, ruleId, ...details } = practice;
+        const source = {
+          section,
+          headingPath,
+          ...(pages ? { pages } : {}),
+          quote,
+          start,
+          end,
+          ...(detectedBy ? { detectedBy, ruleId } : {})
+        };
+
+        // Rule-based entries carry no attributes, so they support any entry of their type
+        let entry = merged[category].find(existing => existing.key === key) ||
+          (detectedBy ? merged[category].find(existing => existing.type === practice.type) : null);
+        if (!entry) {
+          entry = { key, ...details, sources: [] };
+          merged[category].push(entry);
+        } else if (!entry.description && details.description) {
+          entry.description = details.description;
+        }
+        entry.sources.push(source);
+      }
+    }
+  }
+
+  for (const category of Object.keys(taxonomy)) {
+    merged[category] = merged[category].map(({ key, ...entry }) => entry);
+  }
+
+  return merged;
+}
\ No newline at end of file
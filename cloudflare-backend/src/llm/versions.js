@@ -0,0 +1,324 @@
+/**
+ * Policy versions
+ * Normalizes policy text into snapshots identified by a content hash, and
+ * diffs two snapshots clause by clause
+ */
+
+import { formatHeadingPath } from '../utils/document.js';
+import { sha256Hex } from '../utils/hash.js';
+import { tokenize } from './qa.js';
+
+// Most changes described to the model when summarizing a diff
+export const MAX_SUMMARIZED_CHANGES = 60;
+
+const SENTENCE_PATTERN = /[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)/g;
+
+// A removed and an added clause sharing at least this share of their
+// keywords are one edited clause
+const MODIFIED_SIMILARITY = 0.5;
+
+// Largest LCS table built when aligning clauses (4 bytes a cell, so 16MB).
+// Larger changed ranges are aligned on the clauses unique to both sides.
+export const MAX_ALIGNMENT_CELLS = 4 * 1024 * 1024;
+
+// Most removed × added clause comparisons made looking for edited clauses
+// in one run; a larger run is reported as removed and added clauses
+export const MAX_PAIRED_COMPARISONS = 250000;
+
+/**
+ * Collapses runs of spaces and blank lines, so re-rendering the same
+ * policy gives the same text
+ */
+export function normalizePolicyText(text) {
+  return String(text || '')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * A snapshot of a policy document: its normalized sections and text, and a
+ * SHA-256 hash of the text that changes whenever the wording does
+ */
+export async function createSnapshot(document) {
+  const sections = document.sections
+    .map(section => ({ headingPath: section.headingPath, text: normalizePolicyText(section.text) }))
+    .filter(section => section.text);
+  const text = sections.map(section => section.text).join('\n\n');
+
+  return { hash: await sha256Hex(text), text, sections };
+}
+
+/**
+ * The heading path and length of each of a snapshot's sections: enough to
+ * cut its text back into sections, so history stores the text only once
+ */
+export function outlineSections(sections) {
+  return sections.map(({ headingPath, text }) => ({ headingPath, length: text.length }));
+}
+
+/**
+ * Cuts a snapshot's text back into the sections `outlineSections` outlined
+ */
+export function restoreSections(text, outline) {
+  let offset = 0;
+  return outline.map(({ headingPath, length }) => {
+    const section = { headingPath, text: text.slice(offset, offset + length) };
+    offset += length + 2;
+    return section;
+  });
+}
+
+/**
+ * Splits a snapshot's sections into clauses (sentences and table rows),
+ * each with the heading path it appears under
+ */
+export function splitClauses(sections) {
+  const clauses = [];
+
+  for (const section of sections) {
+    SENTENCE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = SENTENCE_PATTERN.exec(section.text)) !== null) {
+      if (match[0].length === 0) {
+        SENTENCE_PATTERN.lastIndex++;
+        continue;
+      }
+
+      const text = match[0].trim();
+      if (!text) continue;
+      clauses.push({
+        text,
+        key: text.toLowerCase().replace(/\s+/g, ' '),
+        headingPath: section.headingPath,
+        section: section.headingPath[section.headingPath.length - 1] || null
+      });
+    }
+  }
+
+  return clauses;
+}
+
+function similarity(tokensA, tokensB) {
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  const total = tokensA.size + tokensB.size;
+  return total > 0 ? (2 * shared) / total : 0;
+}
+
+/**
+ * Longest common subsequence of clause keys, as the operations that turn
+ * `removed` into `added`
+ */
+function alignByLcs(removed, added) {
+  const columns = added.length + 1;
+  const lengths = new Uint32Array((removed.length + 1) * columns);
+
+  for (let i = removed.length - 1; i >= 0; i--) {
+    for (let j = added.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] = removed[i].key === added[j].key
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < removed.length || j < added.length) {
+    if (i < removed.length && j < added.length && removed[i].key === added[j].key) {
+      operations.push({ op: 'same', clause: added[j] });
+      i++;
+      j++;
+    } else if (j < added.length && (i === removed.length || lengths[i * columns + j + 1] >= lengths[(i + 1) * columns + j])) {
+      operations.push({ op: 'added', clause: added[j++] });
+    } else {
+      operations.push({ op: 'removed', clause: removed[i++] });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Patience-style alignment for ranges too large for an LCS table: clauses
+ * that occur once on each side are anchors, the longest run of anchors in
+ * the same order on both sides is kept, and everything between two kept
+ * anchors is removed then added. Runs in O(n log n).
+ */
+function alignByUniqueClauses(removed, added) {
+  const counts = new Map();
+  removed.forEach(clause => {
+    const count = counts.get(clause.key) || { removed: 0, added: 0, index: -1 };
+    count.removed++;
+    counts.set(clause.key, count);
+  });
+  added.forEach((clause, index) => {
+    const count = counts.get(clause.key);
+    if (!count) return;
+    count.added++;
+    count.index = index;
+  });
+
+  const anchors = [];
+  removed.forEach((clause, index) => {
+    const count = counts.get(clause.key);
+    if (count.removed === 1 && count.added === 1) anchors.push([index, count.index]);
+  });
+
+  // Longest increasing subsequence of the anchors' positions in `added`
+  const tails = [];
+  const previous = new Array(anchors.length);
+  anchors.forEach(([, position], index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (anchors[tails[middle]][1] < position) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+  const kept = [];
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+    kept.unshift(anchors[index]);
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  for (const [anchorI, anchorJ] of [...kept, [removed.length, added.length]]) {
+    while (i < anchorI) operations.push({ op: 'removed', clause: removed[i++] });
+    while (j < anchorJ) operations.push({ op: 'added', clause: added[j++] });
+    if (i < removed.length) {
+      operations.push({ op: 'same', clause: added[j] });
+      i++;
+      j++;
+    }
+  }
+  return operations;
+}
+
+/**
+ * Aligns two clause lists into the operations that turn `before` into
+ * `after`
+ */
+function alignClauses(before, after) {
+  // Edits are usually local, so only the middle between the common
+  // prefix and suffix needs aligning
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix].key === after[prefix].key) prefix++;
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix && suffix < after.length - prefix &&
+    before[before.length - 1 - suffix].key === after[after.length - 1 - suffix].key
+  ) suffix++;
+
+  const removedRange = before.slice(prefix, before.length - suffix);
+  const addedRange = after.slice(prefix, after.length - suffix);
+  const align = (removedRange.length + 1) * (addedRange.length + 1) <= MAX_ALIGNMENT_CELLS ? alignByLcs : alignByUniqueClauses;
+
+  const operations = before.slice(0, prefix).map(clause => ({ op: 'same', clause }));
+  operations.push(...align(removedRange, addedRange));
+  operations.push(...after.slice(after.length - suffix).map(clause => ({ op: 'same', clause })));
+
+  return operations;
+}
+
+/**
+ * Turns a run of removed and added clauses into changes, pairing each
+ * removed clause with the added clause most like it as a modification
+ */
+function describeRun(removed, added) {
+  const changes = [];
+  const paired = new Set();
+  const pairing = removed.length * added.length <= MAX_PAIRED_COMPARISONS;
+  const addedTokens = pairing ? added.map(clause => new Set(tokenize(clause.text))) : [];
+
+  for (const clause of removed) {
+    let best = null;
+    let bestSimilarity = MODIFIED_SIMILARITY;
+    const tokens = pairing ? new Set(tokenize(clause.text)) : null;
+    added.forEach((candidate, index) => {
+      if (!pairing || paired.has(index)) return;
+      const score = similarity(tokens, addedTokens[index]);
+      if (score >= bestSimilarity) {
+        best = index;
+        bestSimilarity = score;
+      }
+    });
+
+    if (best === null) {
+      changes.push({ type: 'removed', section: clause.section, headingPath: clause.headingPath, before: clause.text, after: null });
+    } else {
+      paired.add(best);
+      const after = added[best];
+      changes.push({ type: 'modified', section: after.section, headingPath: after.headingPath, before: clause.text, after: after.text });
+    }
+  }
+
+  added.forEach((clause, index) => {
+    if (!paired.has(index)) {
+      changes.push({ type: 'added', section: clause.section, headingPath: clause.headingPath, before: null, after: clause.text });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Diffs two snapshots clause by clause. Clauses are compared by wording
+ * alone, ignoring case and spacing, so renaming a heading leaves its
+ * clauses unchanged.
+ */
+export function diffSnapshots(before, after) {
+  const operations = alignClauses(splitClauses(before.sections), splitClauses(after.sections));
+  const changes = [];
+  let unchanged = 0;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    changes.push(...describeRun(removed, added));
+    removed = [];
+    added = [];
+  };
+
+  for (const { op, clause } of operations) {
+    if (op === 'same') {
+      flush();
+      unchanged++;
+    } else if (op === 'removed') {
+      removed.push(clause);
+    } else {
+      added.push(clause);
+    }
+  }
+  flush();
+
+  return {
+    stats: {
+      added: changes.filter(change => change.type === 'added').length,
+      removed: changes.filter(change => change.type === 'removed').length,
+      modified: changes.filter(change => change.type === 'modified').length,
+      unchanged
+    },
+    changes
+  };
+}
+
+/**
+ * Numbered changes for the change summary prompt
+ */
+export function describeChanges(changes) {
+  return changes.slice(0, MAX_SUMMARIZED_CHANGES).map((change, index) => {
+    const sectionPath = formatHeadingPath(change.headingPath);
+    const location = sectionPath ? ` (section "${sectionPath}")` : '';
+
+    if (change.type === 'modified') {
+      return `[${index + 1}] Modified${location}\nBefore: "${change.before}"\nAfter: "${change.after}"`;
+    }
+    return change.type === 'added'
+      ? `[${index + 1}] Added${location}\n"${change.after}"`
+      : `[${index + 1}] Removed${location}\n"${change.before}"`;
+  }).join('\n\n');
+}
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Watchlist monitoring
+ * Re-fetches watched policies on the cron schedule and re-analyzes the ones
+ * whose text changed
+ */
+
+import { PolicyAnalyzer } from '../llm/analyzer.js';
+import { getAnalysisCacheKey } from '../utils/cache-keys.js';
+import { resolveCanonicalUrl } from '../utils/canonical-url.js';
+
+/**
+ * The watchlist shared by every team
+ */
+export function getWatchlistStub(env) {
+  return env.POLICY_WATCHLIST.get(env.POLICY_WATCHLIST.idFromName('global-watchlist'));
+}
+
+/**
+ * Checks one watched policy. A policy seen for the first time, or whose
+ * content hash differs from the last check, is analyzed again and the
+ * result cached under its canonical URL, like `/api/analyze` does.
+ * Resolves to the status to merge into its entry.
+ */
+export async function checkWatchedPolicy(env, entry, now = Date.now()) {
+  const analyzer = new PolicyAnalyzer(env);
+
+  try {
+    const { document, snapshot } = await analyzer.fetchSnapshot(entry.url, entry.type);
+    const canonicalUrl = resolveCanonicalUrl(entry.url, document);
+
+    if (snapshot.hash === entry.contentHash) {
+      // Marks the current version as still live in the policy's history
+      await analyzer.recordVersion({ url: canonicalUrl, id: null, timestamp: now }, snapshot)
+        .catch(error => console.error('Policy history error:', error));
+
+      return {
+        status: 'unchanged',
+        canonicalUrl,
+        lastCheckedAt: now,
+        lastError: null,
+        consecutiveErrors: 0
+      };
+    }
+
+    const result = await analyzer.analyzePolicy(canonicalUrl, entry.type, { depth: entry.depth, document });
+
+    const cacheStub = env.POLICY_CACHE.get(env.POLICY_CACHE.idFromName('global-cache'));
+    await cacheStub.fetch('https://internal/store', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url: canonicalUrl,
+        key: getAnalysisCacheKey(canonicalUrl, entry.type, entry.depth),
+        result,
+        ttlMinutes: env.ANALYSIS_CACHE_TTL_MINUTES || 30,
+        aliases: [{ url: entry.url, key: getAnalysisCacheKey(entry.url, entry.type, entry.depth) }]
+      })
+    });
+
+    return {
+      status: entry.contentHash ? 'changed' : 'baseline',
+      canonicalUrl,
+      lastCheckedAt: now,
+      lastChangedAt: entry.contentHash ? now : entry.lastChangedAt,
+      contentHash: result.contentHash,
+      analysisId: result.id,
+      lastError: null,
+      consecutiveErrors: 0,
+      risk: {
+        before: entry.risk && entry.risk.after ? entry.risk.after : null,
+        after: { score: result.riskScores.score, overall: result.overallRisk, analyzedAt: result.timestamp }
+      }
+    };
+
+  } catch (error) {
+    console.error(`Watchlist check error for ${entry.url}:`, error);
+    return {
+      status: 'error',
+      lastCheckedAt: now,
+      lastError: { message: error.message, at: now },
+      consecutiveErrors: (entry.consecutiveErrors || 0) + 1
+    };
+  }
+}
+
+/**
+ * Checks the watched policies that are due, least recently checked first,
+ * one at a time. WATCHLIST_BATCH_SIZE caps how many one cron run checks.
+ */
+export async function runWatchlistChecks(env, now = Date.now()) {
+  if (!env.POLICY_WATCHLIST) return { checked: 0, changed: 0, errors: 0 };
+
+  const watchlistStub = getWatchlistStub(env);
+  const dueResponse = await watchlistStub.fetch('https://internal/due', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      limit: parseInt(env.WATCHLIST_BATCH_SIZE) || 25,
+      intervalMinutes: (parseFloat(env.WATCHLIST_CHECK_INTERVAL_HOURS) || 24) * 60,
+      now
+    })
+  });
+  const { entries } = await dueResponse.json();
+
+  const summary = { checked: 0, changed: 0, errors: 0 };
+  for (const entry of entries) {
+    const status = await checkWatchedPolicy(env, entry, now);
+
+    await watchlistStub.fetch('https://internal/update', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: entry.url, type: entry.type, status })
+    });
+
+    summary.checked++;
+    if (status.status === 'changed') summary.changed++;
+    if (status.status === 'error') summary.errors++;
+  }
+
+  return summary;
+}
\ No newline at end of file
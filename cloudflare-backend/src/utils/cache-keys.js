@@ -0,0 +1,24 @@
+/**
+ * Cache key helpers
+ * Analyses are cached per canonical URL, policy type and analysis depth,
+ * and indexed by the hash of the text they were made from
+ */
+
+import { normalizeUrl } from './canonical-url.js';
+
+/**
+ * Builds the PolicyCache key for an analysis. The URL is normalized, so
+ * variants that differ only in `www.`, slashes, fragments or tracking
+ * parameters share a key.
+ */
+export function getAnalysisCacheKey(url, type = 'privacy', depth = 'standard') {
+  return `${type}:${depth}:${normalizeUrl(url)}`;
+}
+
+/**
+ * Builds the PolicyCache key of the text an analysis was made from, so
+ * identical policies served from different URLs share one analysis
+ */
+export function getContentCacheKey(contentHash, type = 'privacy', depth = 'standard') {
+  return `${type}:${depth}:sha256:${contentHash}`;
+}
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * URL canonicalization
+ * Maps the many URLs a policy is reached by to one, so it is analyzed,
+ * cached and tracked once
+ */
+
+// Query parameters that track the visit rather than select the content
+const TRACKING_PARAMETERS = new Set([
+  'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'li_fat_id',
+  'igshid', 'mc_cid', 'mc_eid', 'mkt_tok', '_ga', '_gl', '_ke', 'ref', 'ref_src', 'si', 'spm', 'trk', 'cmpid'
+]);
+
+const TRACKING_PREFIXES = ['utm_', '_hs', 'hsa_', 'pk_', 'mtm_', 'oly_'];
+
+// URL already lowercases the hostname
+function siteHost(parsed) {
+  return parsed.hostname.replace(/^www\./, '');
+}
+
+/**
+ * Whether a query parameter only tracks where the visitor came from
+ */
+export function isTrackingParameter(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMETERS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Normalizes a URL without fetching it: lowercases the host and drops
+ * `www.` and default ports, removes the fragment, tracking parameters,
+ * duplicate and trailing slashes, and sorts the remaining parameters.
+ * Strings that are not URLs are returned unchanged.
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = siteHost(parsed);
+  parsed.pathname = parsed.pathname.replace(/\/{2,}/g, '/').replace(/(.)\/+$/, '$1');
+
+  const parameters = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !isTrackingParameter(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = new URLSearchParams(parameters).toString();
+
+  // URL keeps a bare "/" path on the origin; drop it so "x.com" and "x.com/" match
+  return parsed.pathname === '/' && !parsed.search ? parsed.origin : parsed.toString();
+}
+
+/**
+ * The canonical URL of a fetched policy. Starts from the URL the request
+ * was redirected to (`document.finalUrl`), then honors the canonical URL
+ * the page declares (`document.canonicalUrl`, from `<link rel="canonical">`
+ * or a `Link` header). A declared URL on another host is ignored, so a page
+ * cannot claim to be another site's policy.
+ */
+export function resolveCanonicalUrl(url, document = {}) {
+  const fetchedUrl = document.finalUrl || url;
+
+  if (document.canonicalUrl) {
+    try {
+      const declared = new URL(document.canonicalUrl, fetchedUrl);
+      if (['http:', 'https:'].includes(declared.protocol) && siteHost(declared) === siteHost(new URL(fetchedUrl))) {
+        return normalizeUrl(declared.href);
+      }
+    } catch {
+      // An unparseable declaration is ignored
+    }
+  }
+
+  return normalizeUrl(fetchedUrl);
+}
\ No newline at end of file
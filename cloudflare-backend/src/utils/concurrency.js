@@ -0,0 +1,24 @@
+/**
+ * Concurrency helpers for fanning out work to Workers AI
+ */
+
+/**
+ * Maps over items with at most `limit` promises in flight.
+ * Results keep the order of the input array.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+  return results;
+}
\ No newline at end of file
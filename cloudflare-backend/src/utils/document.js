@@ -0,0 +1,78 @@
+/**
+ * Extracted policy document model
+ * Sections keep their heading path and character offsets into the document text
+ */
+
+/**
+ * Builds a document from ordered sections.
+ * Each section's start/end offsets point at its body inside `text`.
+ */
+export function createDocument(sections, meta = {}) {
+  let text = '';
+  const placed = [];
+
+  for (const section of sections) {
+    const body = (section.text || '').trim();
+    const heading = section.heading || null;
+
+    if (!body && !heading) continue;
+
+    if (text) text += '\n\n';
+    if (heading) {
+      text += heading;
+      if (body) text += '\n\n';
+    }
+
+    const start = text.length;
+    text += body;
+
+    placed.push({
+      ...section,
+      id: placed.length,
+      heading,
+      level: section.level || 0,
+      headingPath: section.headingPath || [],
+      text: body,
+      start,
+      end: text.length
+    });
+  }
+
+  return {
+    ...meta,
+    text,
+    sections: placed
+  };
+}
+
+/**
+ * Returns the section, heading path and page of a document offset,
+ * in the form findings carry them
+ */
+export function getSourceAt(document, offset) {
+  const section = document.sections.find(candidate => offset >= candidate.start && offset <= candidate.end);
+  if (!section) return { section: null, headingPath: [] };
+
+  return {
+    section: section.headingPath[section.headingPath.length - 1] || null,
+    headingPath: section.headingPath,
+    ...(section.page ? { pages: [section.page] } : {})
+  };
+}
+
+/**
+ * Formats a heading path for display and prompts
+ */
+export function formatHeadingPath(headingPath) {
+  return headingPath && headingPath.length > 0 ? headingPath.join(' > ') : null;
+}
+
+/**
+ * Formats the pages a chunk or finding spans, e.g. "page 3" or "pages 3-5"
+ */
+export function formatPageRange(pages) {
+  if (!pages || pages.length === 0) return null;
+  const first = Math.min(...pages);
+  const last = Math.max(...pages);
+  return first === last ? `page ${first}` : `pages ${first}-${last}`;
+}
\ No newline at end of file
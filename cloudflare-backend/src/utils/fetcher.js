@@ -0,0 +1,137 @@
+/**
+ * Policy document fetching
+ * Downloads a policy URL and extracts a document from HTML, PDF or plain text
+ */
+
+import { createDocument } from './document.js';
+import { extractDocumentFromHtml } from './html.js';
+import { extractDocumentFromPdf } from './pdf.js';
+
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024; // 10MB
+
+/**
+ * Works out the document format from the Content-Type header,
+ * falling back to the URL extension for generic binary responses
+ */
+export function detectDocumentFormat(contentType, url) {
+  const type = (contentType || '').toLowerCase();
+
+  if (type.includes('text/html') || type.includes('application/xhtml+xml')) return 'html';
+  if (type.includes('application/pdf')) return 'pdf';
+  if (type.includes('text/plain')) return 'text';
+
+  if (!type || type.includes('application/octet-stream')) {
+    try {
+      const pathname = new URL(url).pathname.toLowerCase();
+      if (pathname.endsWith('.pdf')) return 'pdf';
+      if (pathname.endsWith('.txt')) return 'text';
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extracts a document from plain text.
+ * Form feeds are treated as page breaks, as in text exports of PDFs.
+ */
+export function extractDocumentFromText(text) {
+  const normalized = text.replace(/\r\n?/g, '\n');
+  const pages = normalized.split('\f');
+  const paginated = pages.length > 1;
+
+  const sections = pages.map((page, index) => ({
+    heading: null,
+    headingPath: [],
+    ...(paginated ? { page: index + 1 } : {}),
+    text: page
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+  }));
+
+  return createDocument(sections, paginated ? { format: 'text', pageCount: pages.length } : { format: 'text' });
+}
+
+/**
+ * Extracts a document from a fetched response body
+ */
+export async function extractDocumentFromResponse(response, url) {
+  const contentType = response.headers.get('content-type') || '';
+  const format = detectDocumentFormat(contentType, url);
+
+  if (!format) {
+    throw new Error('URL does not contain a supported document type (HTML, PDF or plain text)');
+  }
+
+  const declaredLength = parseInt(response.headers.get('content-length') || '0');
+  if (declaredLength > MAX_DOCUMENT_BYTES) {
+    throw new Error('Policy document is too large to analyze');
+  }
+
+  if (format === 'pdf') {
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength > MAX_DOCUMENT_BYTES) {
+      throw new Error('Policy document is too large to analyze');
+    }
+    return extractDocumentFromPdf(buffer);
+  }
+
+  const body = await response.text();
+  if (body.length > MAX_DOCUMENT_BYTES) {
+    throw new Error('Policy document is too large to analyze');
+  }
+
+  return format === 'html' ? extractDocumentFromHtml(body) : extractDocumentFromText(body);
+}
+
+/**
+ * The canonical URL declared in a `Link` response header, which is how
+ * PDFs and other non-HTML documents declare one
+ */
+export function parseCanonicalLinkHeader(header) {
+  for (const link of (header || '').split(/,(?=\s*<)/)) {
+    const match = link.match(/^\s*<([^>]*)>(.*)$/);
+    if (match && /;\s*rel\s*=\s*"?([^";]*\s)?canonical(\s[^";]*)?"?\s*(;|$)/i.test(match[2])) {
+      return match[1].trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetches a policy URL and extracts its document. `finalUrl` is the URL
+ * after redirects; `canonicalUrl` is the canonical URL the response
+ * declares, if any.
+ */
+export async function fetchPolicyDocument(url) {
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'User-Agent': 'Privacy-Policy-Analyzer/1.0 (+https://github.com/your-repo)',
+      'Accept': 'text/html,application/xhtml+xml,application/pdf,text/plain;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Accept-Encoding': 'gzip, deflate',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+    },
+    // 10 second timeout
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch policy: ${response.status} ${response.statusText}`);
+  }
+
+  const document = await extractDocumentFromResponse(response, url);
+  const canonicalUrl = document.canonicalUrl || parseCanonicalLinkHeader(response.headers.get('link'));
+
+  return {
+    ...document,
+    finalUrl: response.url || url,
+    ...(canonicalUrl ? { canonicalUrl } : {})
+  };
+}
\ No newline at end of file
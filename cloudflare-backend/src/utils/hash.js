@@ -0,0 +1,11 @@
+/**
+ * Hashing helpers
+ */
+
+/**
+ * SHA-256 digest of a string, as lowercase hex
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
\ No newline at end of file
@@ -0,0 +1,485 @@
+/**
+ * HTML5 named character references
+ * Generated from the WHATWG entity table (https://html.spec.whatwg.org/entities.json)
+ */
+
+export const NAMED_ENTITIES = {
+  Aacute: '\u00c1', aacute: '\u00e1', Abreve: '\u0102', abreve: '\u0103', ac: '\u223e',
+  acd: '\u223f', acE: '\u223e\u0333', Acirc: '\u00c2', acirc: '\u00e2', acute: '\u00b4',
+  Acy: '\u0410', acy: '\u0430', AElig: '\u00c6', aelig: '\u00e6', af: '\u2061', Afr: '\u{1d504}',
+  afr: '\u{1d51e}', Agrave: '\u00c0', agrave: '\u00e0', alefsym: '\u2135', aleph: '\u2135',
+  Alpha: '\u0391', alpha: '\u03b1', Amacr: '\u0100', amacr: '\u0101', amalg: '\u2a3f', amp: '&',
+  AMP: '&', andand: '\u2a55', And: '\u2a53', and: '\u2227', andd: '\u2a5c', andslope: '\u2a58',
+  andv: '\u2a5a', ang: '\u2220', ange: '\u29a4', angle: '\u2220', angmsdaa: '\u29a8',
+  angmsdab: '\u29a9', angmsdac: '\u29aa', angmsdad: '\u29ab', angmsdae: '\u29ac',
+  angmsdaf: '\u29ad', angmsdag: '\u29ae', angmsdah: '\u29af', angmsd: '\u2221', angrt: '\u221f',
+  angrtvb: '\u22be', angrtvbd: '\u299d', angsph: '\u2222', angst: '\u00c5', angzarr: '\u237c',
+  Aogon: '\u0104', aogon: '\u0105', Aopf: '\u{1d538}', aopf: '\u{1d552}', apacir: '\u2a6f',
+  ap: '\u2248', apE: '\u2a70', ape: '\u224a', apid: '\u224b', apos: '\'', ApplyFunction: '\u2061',
+  approx: '\u2248', approxeq: '\u224a', Aring: '\u00c5', aring: '\u00e5', Ascr: '\u{1d49c}',
+  ascr: '\u{1d4b6}', Assign: '\u2254', ast: '*', asymp: '\u2248', asympeq: '\u224d',
+  Atilde: '\u00c3', atilde: '\u00e3', Auml: '\u00c4', auml: '\u00e4', awconint: '\u2233',
+  awint: '\u2a11', backcong: '\u224c', backepsilon: '\u03f6', backprime: '\u2035',
+  backsim: '\u223d', backsimeq: '\u22cd', Backslash: '\u2216', Barv: '\u2ae7', barvee: '\u22bd',
+  barwed: '\u2305', Barwed: '\u2306', barwedge: '\u2305', bbrk: '\u23b5', bbrktbrk: '\u23b6',
+  bcong: '\u224c', Bcy: '\u0411', bcy: '\u0431', bdquo: '\u201e', becaus: '\u2235',
+  because: '\u2235', Because: '\u2235', bemptyv: '\u29b0', bepsi: '\u03f6', bernou: '\u212c',
+  Bernoullis: '\u212c', Beta: '\u0392', beta: '\u03b2', beth: '\u2136', between: '\u226c',
+  Bfr: '\u{1d505}', bfr: '\u{1d51f}', bigcap: '\u22c2', bigcirc: '\u25ef', bigcup: '\u22c3',
+  bigodot: '\u2a00', bigoplus: '\u2a01', bigotimes: '\u2a02', bigsqcup: '\u2a06', bigstar: '\u2605',
+  bigtriangledown: '\u25bd', bigtriangleup: '\u25b3', biguplus: '\u2a04', bigvee: '\u22c1',
+  bigwedge: '\u22c0', bkarow: '\u290d', blacklozenge: '\u29eb', blacksquare: '\u25aa',
+  blacktriangle: '\u25b4', blacktriangledown: '\u25be', blacktriangleleft: '\u25c2',
+  blacktriangleright: '\u25b8', blank: '\u2423', blk12: '\u2592', blk14: '\u2591', blk34: '\u2593',
+  block: '\u2588', bne: '=\u20e5', bnequiv: '\u2261\u20e5', bNot: '\u2aed', bnot: '\u2310',
+  Bopf: '\u{1d539}', bopf: '\u{1d553}', bot: '\u22a5', bottom: '\u22a5', bowtie: '\u22c8',
+  boxbox: '\u29c9', boxdl: '\u2510', boxdL: '\u2555', boxDl: '\u2556', boxDL: '\u2557',
+  boxdr: '\u250c', boxdR: '\u2552', boxDr: '\u2553', boxDR: '\u2554', boxh: '\u2500',
+  boxH: '\u2550', boxhd: '\u252c', boxHd: '\u2564', boxhD: '\u2565', boxHD: '\u2566',
+  boxhu: '\u2534', boxHu: '\u2567', boxhU: '\u2568', boxHU: '\u2569', boxminus: '\u229f',
+  boxplus: '\u229e', boxtimes: '\u22a0', boxul: '\u2518', boxuL: '\u255b', boxUl: '\u255c',
+  boxUL: '\u255d', boxur: '\u2514', boxuR: '\u2558', boxUr: '\u2559', boxUR: '\u255a',
+  boxv: '\u2502', boxV: '\u2551', boxvh: '\u253c', boxvH: '\u256a', boxVh: '\u256b',
+  boxVH: '\u256c', boxvl: '\u2524', boxvL: '\u2561', boxVl: '\u2562', boxVL: '\u2563',
+  boxvr: '\u251c', boxvR: '\u255e', boxVr: '\u255f', boxVR: '\u2560', bprime: '\u2035',
+  breve: '\u02d8', Breve: '\u02d8', brvbar: '\u00a6', bscr: '\u{1d4b7}', Bscr: '\u212c',
+  bsemi: '\u204f', bsim: '\u223d', bsime: '\u22cd', bsolb: '\u29c5', bsol: '\\', bsolhsub: '\u27c8',
+  bull: '\u2022', bullet: '\u2022', bump: '\u224e', bumpE: '\u2aae', bumpe: '\u224f',
+  Bumpeq: '\u224e', bumpeq: '\u224f', Cacute: '\u0106', cacute: '\u0107', capand: '\u2a44',
+  capbrcup: '\u2a49', capcap: '\u2a4b', cap: '\u2229', Cap: '\u22d2', capcup: '\u2a47',
+  capdot: '\u2a40', CapitalDifferentialD: '\u2145', caps: '\u2229\ufe00', caret: '\u2041',
+  caron: '\u02c7', Cayleys: '\u212d', ccaps: '\u2a4d', Ccaron: '\u010c', ccaron: '\u010d',
+  Ccedil: '\u00c7', ccedil: '\u00e7', Ccirc: '\u0108', ccirc: '\u0109', Cconint: '\u2230',
+  ccups: '\u2a4c', ccupssm: '\u2a50', Cdot: '\u010a', cdot: '\u010b', cedil: '\u00b8',
+  Cedilla: '\u00b8', cemptyv: '\u29b2', cent: '\u00a2', centerdot: '\u00b7', CenterDot: '\u00b7',
+  cfr: '\u{1d520}', Cfr: '\u212d', CHcy: '\u0427', chcy: '\u0447', check: '\u2713',
+  checkmark: '\u2713', Chi: '\u03a7', chi: '\u03c7', circ: '\u02c6', circeq: '\u2257',
+  circlearrowleft: '\u21ba', circlearrowright: '\u21bb', circledast: '\u229b',
+  circledcirc: '\u229a', circleddash: '\u229d', CircleDot: '\u2299', circledR: '\u00ae',
+  circledS: '\u24c8', CircleMinus: '\u2296', CirclePlus: '\u2295', CircleTimes: '\u2297',
+  cir: '\u25cb', cirE: '\u29c3', cire: '\u2257', cirfnint: '\u2a10', cirmid: '\u2aef',
+  cirscir: '\u29c2', ClockwiseContourIntegral: '\u2232', CloseCurlyDoubleQuote: '\u201d',
+  CloseCurlyQuote: '\u2019', clubs: '\u2663', clubsuit: '\u2663', colon: ':', Colon: '\u2237',
+  Colone: '\u2a74', colone: '\u2254', coloneq: '\u2254', comma: ',', commat: '@', comp: '\u2201',
+  compfn: '\u2218', complement: '\u2201', complexes: '\u2102', cong: '\u2245', congdot: '\u2a6d',
+  Congruent: '\u2261', conint: '\u222e', Conint: '\u222f', ContourIntegral: '\u222e',
+  copf: '\u{1d554}', Copf: '\u2102', coprod: '\u2210', Coproduct: '\u2210', copy: '\u00a9',
+  COPY: '\u00a9', copysr: '\u2117', CounterClockwiseContourIntegral: '\u2233', crarr: '\u21b5',
+  cross: '\u2717', Cross: '\u2a2f', Cscr: '\u{1d49e}', cscr: '\u{1d4b8}', csub: '\u2acf',
+  csube: '\u2ad1', csup: '\u2ad0', csupe: '\u2ad2', ctdot: '\u22ef', cudarrl: '\u2938',
+  cudarrr: '\u2935', cuepr: '\u22de', cuesc: '\u22df', cularr: '\u21b6', cularrp: '\u293d',
+  cupbrcap: '\u2a48', cupcap: '\u2a46', CupCap: '\u224d', cup: '\u222a', Cup: '\u22d3',
+  cupcup: '\u2a4a', cupdot: '\u228d', cupor: '\u2a45', cups: '\u222a\ufe00', curarr: '\u21b7',
+  curarrm: '\u293c', curlyeqprec: '\u22de', curlyeqsucc: '\u22df', curlyvee: '\u22ce',
+  curlywedge: '\u22cf', curren: '\u00a4', curvearrowleft: '\u21b6', curvearrowright: '\u21b7',
+  cuvee: '\u22ce', cuwed: '\u22cf', cwconint: '\u2232', cwint: '\u2231', cylcty: '\u232d',
+  dagger: '\u2020', Dagger: '\u2021', daleth: '\u2138', darr: '\u2193', Darr: '\u21a1',
+  dArr: '\u21d3', dash: '\u2010', Dashv: '\u2ae4', dashv: '\u22a3', dbkarow: '\u290f',
+  dblac: '\u02dd', Dcaron: '\u010e', dcaron: '\u010f', Dcy: '\u0414', dcy: '\u0434',
+  ddagger: '\u2021', ddarr: '\u21ca', DD: '\u2145', dd: '\u2146', DDotrahd: '\u2911',
+  ddotseq: '\u2a77', deg: '\u00b0', Del: '\u2207', Delta: '\u0394', delta: '\u03b4',
+  demptyv: '\u29b1', dfisht: '\u297f', Dfr: '\u{1d507}', dfr: '\u{1d521}', dHar: '\u2965',
+  dharl: '\u21c3', dharr: '\u21c2', DiacriticalAcute: '\u00b4', DiacriticalDot: '\u02d9',
+  DiacriticalDoubleAcute: '\u02dd', DiacriticalGrave: '`', DiacriticalTilde: '\u02dc',
+  diam: '\u22c4', diamond: '\u22c4', Diamond: '\u22c4', diamondsuit: '\u2666', diams: '\u2666',
+  die: '\u00a8', DifferentialD: '\u2146', digamma: '\u03dd', disin: '\u22f2', div: '\u00f7',
+  divide: '\u00f7', divideontimes: '\u22c7', divonx: '\u22c7', DJcy: '\u0402', djcy: '\u0452',
+  dlcorn: '\u231e', dlcrop: '\u230d', dollar: '$', Dopf: '\u{1d53b}', dopf: '\u{1d555}',
+  Dot: '\u00a8', dot: '\u02d9', DotDot: '\u20dc', doteq: '\u2250', doteqdot: '\u2251',
+  DotEqual: '\u2250', dotminus: '\u2238', dotplus: '\u2214', dotsquare: '\u22a1',
+  doublebarwedge: '\u2306', DoubleContourIntegral: '\u222f', DoubleDot: '\u00a8',
+  DoubleDownArrow: '\u21d3', DoubleLeftArrow: '\u21d0', DoubleLeftRightArrow: '\u21d4',
+  DoubleLeftTee: '\u2ae4', DoubleLongLeftArrow: '\u27f8', DoubleLongLeftRightArrow: '\u27fa',
+  DoubleLongRightArrow: '\u27f9', DoubleRightArrow: '\u21d2', DoubleRightTee: '\u22a8',
+  DoubleUpArrow: '\u21d1', DoubleUpDownArrow: '\u21d5', DoubleVerticalBar: '\u2225',
+  DownArrowBar: '\u2913', downarrow: '\u2193', DownArrow: '\u2193', Downarrow: '\u21d3',
+  DownArrowUpArrow: '\u21f5', DownBreve: '\u0311', downdownarrows: '\u21ca',
+  downharpoonleft: '\u21c3', downharpoonright: '\u21c2', DownLeftRightVector: '\u2950',
+  DownLeftTeeVector: '\u295e', DownLeftVectorBar: '\u2956', DownLeftVector: '\u21bd',
+  DownRightTeeVector: '\u295f', DownRightVectorBar: '\u2957', DownRightVector: '\u21c1',
+  DownTeeArrow: '\u21a7', DownTee: '\u22a4', drbkarow: '\u2910', drcorn: '\u231f', drcrop: '\u230c',
+  Dscr: '\u{1d49f}', dscr: '\u{1d4b9}', DScy: '\u0405', dscy: '\u0455', dsol: '\u29f6',
+  Dstrok: '\u0110', dstrok: '\u0111', dtdot: '\u22f1', dtri: '\u25bf', dtrif: '\u25be',
+  duarr: '\u21f5', duhar: '\u296f', dwangle: '\u29a6', DZcy: '\u040f', dzcy: '\u045f',
+  dzigrarr: '\u27ff', Eacute: '\u00c9', eacute: '\u00e9', easter: '\u2a6e', Ecaron: '\u011a',
+  ecaron: '\u011b', Ecirc: '\u00ca', ecirc: '\u00ea', ecir: '\u2256', ecolon: '\u2255',
+  Ecy: '\u042d', ecy: '\u044d', eDDot: '\u2a77', Edot: '\u0116', edot: '\u0117', eDot: '\u2251',
+  ee: '\u2147', efDot: '\u2252', Efr: '\u{1d508}', efr: '\u{1d522}', eg: '\u2a9a', Egrave: '\u00c8',
+  egrave: '\u00e8', egs: '\u2a96', egsdot: '\u2a98', el: '\u2a99', Element: '\u2208',
+  elinters: '\u23e7', ell: '\u2113', els: '\u2a95', elsdot: '\u2a97', Emacr: '\u0112',
+  emacr: '\u0113', empty: '\u2205', emptyset: '\u2205', EmptySmallSquare: '\u25fb',
+  emptyv: '\u2205', EmptyVerySmallSquare: '\u25ab', emsp13: '\u2004', emsp14: '\u2005',
+  emsp: '\u2003', ENG: '\u014a', eng: '\u014b', ensp: '\u2002', Eogon: '\u0118', eogon: '\u0119',
+  Eopf: '\u{1d53c}', eopf: '\u{1d556}', epar: '\u22d5', eparsl: '\u29e3', eplus: '\u2a71',
+  epsi: '\u03b5', Epsilon: '\u0395', epsilon: '\u03b5', epsiv: '\u03f5', eqcirc: '\u2256',
+  eqcolon: '\u2255', eqsim: '\u2242', eqslantgtr: '\u2a96', eqslantless: '\u2a95', Equal: '\u2a75',
+  equals: '=', EqualTilde: '\u2242', equest: '\u225f', Equilibrium: '\u21cc', equiv: '\u2261',
+  equivDD: '\u2a78', eqvparsl: '\u29e5', erarr: '\u2971', erDot: '\u2253', escr: '\u212f',
+  Escr: '\u2130', esdot: '\u2250', Esim: '\u2a73', esim: '\u2242', Eta: '\u0397', eta: '\u03b7',
+  ETH: '\u00d0', eth: '\u00f0', Euml: '\u00cb', euml: '\u00eb', euro: '\u20ac', excl: '!',
+  exist: '\u2203', Exists: '\u2203', expectation: '\u2130', exponentiale: '\u2147',
+  ExponentialE: '\u2147', fallingdotseq: '\u2252', Fcy: '\u0424', fcy: '\u0444', female: '\u2640',
+  ffilig: '\ufb03', fflig: '\ufb00', ffllig: '\ufb04', Ffr: '\u{1d509}', ffr: '\u{1d523}',
+  filig: '\ufb01', FilledSmallSquare: '\u25fc', FilledVerySmallSquare: '\u25aa', fjlig: 'fj',
+  flat: '\u266d', fllig: '\ufb02', fltns: '\u25b1', fnof: '\u0192', Fopf: '\u{1d53d}',
+  fopf: '\u{1d557}', forall: '\u2200', ForAll: '\u2200', fork: '\u22d4', forkv: '\u2ad9',
+  Fouriertrf: '\u2131', fpartint: '\u2a0d', frac12: '\u00bd', frac13: '\u2153', frac14: '\u00bc',
+  frac15: '\u2155', frac16: '\u2159', frac18: '\u215b', frac23: '\u2154', frac25: '\u2156',
+  frac34: '\u00be', frac35: '\u2157', frac38: '\u215c', frac45: '\u2158', frac56: '\u215a',
+  frac58: '\u215d', frac78: '\u215e', frasl: '\u2044', frown: '\u2322', fscr: '\u{1d4bb}',
+  Fscr: '\u2131', gacute: '\u01f5', Gamma: '\u0393', gamma: '\u03b3', Gammad: '\u03dc',
+  gammad: '\u03dd', gap: '\u2a86', Gbreve: '\u011e', gbreve: '\u011f', Gcedil: '\u0122',
+  Gcirc: '\u011c', gcirc: '\u011d', Gcy: '\u0413', gcy: '\u0433', Gdot: '\u0120', gdot: '\u0121',
+  ge: '\u2265', gE: '\u2267', gEl: '\u2a8c', gel: '\u22db', geq: '\u2265', geqq: '\u2267',
+  geqslant: '\u2a7e', gescc: '\u2aa9', ges: '\u2a7e', gesdot: '\u2a80', gesdoto: '\u2a82',
+  gesdotol: '\u2a84', gesl: '\u22db\ufe00', gesles: '\u2a94', Gfr: '\u{1d50a}', gfr: '\u{1d524}',
+  gg: '\u226b', Gg: '\u22d9', ggg: '\u22d9', gimel: '\u2137', GJcy: '\u0403', gjcy: '\u0453',
+  gla: '\u2aa5', gl: '\u2277', glE: '\u2a92', glj: '\u2aa4', gnap: '\u2a8a', gnapprox: '\u2a8a',
+  gne: '\u2a88', gnE: '\u2269', gneq: '\u2a88', gneqq: '\u2269', gnsim: '\u22e7', Gopf: '\u{1d53e}',
+  gopf: '\u{1d558}', grave: '`', GreaterEqual: '\u2265', GreaterEqualLess: '\u22db',
+  GreaterFullEqual: '\u2267', GreaterGreater: '\u2aa2', GreaterLess: '\u2277',
+  GreaterSlantEqual: '\u2a7e', GreaterTilde: '\u2273', Gscr: '\u{1d4a2}', gscr: '\u210a',
+  gsim: '\u2273', gsime: '\u2a8e', gsiml: '\u2a90', gtcc: '\u2aa7', gtcir: '\u2a7a', gt: '>',
+  GT: '>', Gt: '\u226b', gtdot: '\u22d7', gtlPar: '\u2995', gtquest: '\u2a7c', gtrapprox: '\u2a86',
+  gtrarr: '\u2978', gtrdot: '\u22d7', gtreqless: '\u22db', gtreqqless: '\u2a8c', gtrless: '\u2277',
+  gtrsim: '\u2273', gvertneqq: '\u2269\ufe00', gvnE: '\u2269\ufe00', Hacek: '\u02c7',
+  hairsp: '\u200a', half: '\u00bd', hamilt: '\u210b', HARDcy: '\u042a', hardcy: '\u044a',
+  harrcir: '\u2948', harr: '\u2194', hArr: '\u21d4', harrw: '\u21ad', Hat: '^', hbar: '\u210f',
+  Hcirc: '\u0124', hcirc: '\u0125', hearts: '\u2665', heartsuit: '\u2665', hellip: '\u2026',
+  hercon: '\u22b9', hfr: '\u{1d525}', Hfr: '\u210c', HilbertSpace: '\u210b', hksearow: '\u2925',
+  hkswarow: '\u2926', hoarr: '\u21ff', homtht: '\u223b', hookleftarrow: '\u21a9',
+  hookrightarrow: '\u21aa', hopf: '\u{1d559}', Hopf: '\u210d', horbar: '\u2015',
+  HorizontalLine: '\u2500', hscr: '\u{1d4bd}', Hscr: '\u210b', hslash: '\u210f', Hstrok: '\u0126',
+  hstrok: '\u0127', HumpDownHump: '\u224e', HumpEqual: '\u224f', hybull: '\u2043', hyphen: '\u2010',
+  Iacute: '\u00cd', iacute: '\u00ed', ic: '\u2063', Icirc: '\u00ce', icirc: '\u00ee', Icy: '\u0418',
+  icy: '\u0438', Idot: '\u0130', IEcy: '\u0415', iecy: '\u0435', iexcl: '\u00a1', iff: '\u21d4',
+  ifr: '\u{1d526}', Ifr: '\u2111', Igrave: '\u00cc', igrave: '\u00ec', ii: '\u2148',
+  iiiint: '\u2a0c', iiint: '\u222d', iinfin: '\u29dc', iiota: '\u2129', IJlig: '\u0132',
+  ijlig: '\u0133', Imacr: '\u012a', imacr: '\u012b', image: '\u2111', ImaginaryI: '\u2148',
+  imagline: '\u2110', imagpart: '\u2111', imath: '\u0131', Im: '\u2111', imof: '\u22b7',
+  imped: '\u01b5', Implies: '\u21d2', incare: '\u2105', in: '\u2208', infin: '\u221e',
+  infintie: '\u29dd', inodot: '\u0131', intcal: '\u22ba', int: '\u222b', Int: '\u222c',
+  integers: '\u2124', Integral: '\u222b', intercal: '\u22ba', Intersection: '\u22c2',
+  intlarhk: '\u2a17', intprod: '\u2a3c', InvisibleComma: '\u2063', InvisibleTimes: '\u2062',
+  IOcy: '\u0401', iocy: '\u0451', Iogon: '\u012e', iogon: '\u012f', Iopf: '\u{1d540}',
+  iopf: '\u{1d55a}', Iota: '\u0399', iota: '\u03b9', iprod: '\u2a3c', iquest: '\u00bf',
+  iscr: '\u{1d4be}', Iscr: '\u2110', isin: '\u2208', isindot: '\u22f5', isinE: '\u22f9',
+  isins: '\u22f4', isinsv: '\u22f3', isinv: '\u2208', it: '\u2062', Itilde: '\u0128',
+  itilde: '\u0129', Iukcy: '\u0406', iukcy: '\u0456', Iuml: '\u00cf', iuml: '\u00ef',
+  Jcirc: '\u0134', jcirc: '\u0135', Jcy: '\u0419', jcy: '\u0439', Jfr: '\u{1d50d}',
+  jfr: '\u{1d527}', jmath: '\u0237', Jopf: '\u{1d541}', jopf: '\u{1d55b}', Jscr: '\u{1d4a5}',
+  jscr: '\u{1d4bf}', Jsercy: '\u0408', jsercy: '\u0458', Jukcy: '\u0404', jukcy: '\u0454',
+  Kappa: '\u039a', kappa: '\u03ba', kappav: '\u03f0', Kcedil: '\u0136', kcedil: '\u0137',
+  Kcy: '\u041a', kcy: '\u043a', Kfr: '\u{1d50e}', kfr: '\u{1d528}', kgreen: '\u0138',
+  KHcy: '\u0425', khcy: '\u0445', KJcy: '\u040c', kjcy: '\u045c', Kopf: '\u{1d542}',
+  kopf: '\u{1d55c}', Kscr: '\u{1d4a6}', kscr: '\u{1d4c0}', lAarr: '\u21da', Lacute: '\u0139',
+  lacute: '\u013a', laemptyv: '\u29b4', lagran: '\u2112', Lambda: '\u039b', lambda: '\u03bb',
+  lang: '\u27e8', Lang: '\u27ea', langd: '\u2991', langle: '\u27e8', lap: '\u2a85',
+  Laplacetrf: '\u2112', laquo: '\u00ab', larrb: '\u21e4', larrbfs: '\u291f', larr: '\u2190',
+  Larr: '\u219e', lArr: '\u21d0', larrfs: '\u291d', larrhk: '\u21a9', larrlp: '\u21ab',
+  larrpl: '\u2939', larrsim: '\u2973', larrtl: '\u21a2', latail: '\u2919', lAtail: '\u291b',
+  lat: '\u2aab', late: '\u2aad', lates: '\u2aad\ufe00', lbarr: '\u290c', lBarr: '\u290e',
+  lbbrk: '\u2772', lbrace: '{', lbrack: '[', lbrke: '\u298b', lbrksld: '\u298f', lbrkslu: '\u298d',
+  Lcaron: '\u013d', lcaron: '\u013e', Lcedil: '\u013b', lcedil: '\u013c', lceil: '\u2308',
+  lcub: '{', Lcy: '\u041b', lcy: '\u043b', ldca: '\u2936', ldquo: '\u201c', ldquor: '\u201e',
+  ldrdhar: '\u2967', ldrushar: '\u294b', ldsh: '\u21b2', le: '\u2264', lE: '\u2266',
+  LeftAngleBracket: '\u27e8', LeftArrowBar: '\u21e4', leftarrow: '\u2190', LeftArrow: '\u2190',
+  Leftarrow: '\u21d0', LeftArrowRightArrow: '\u21c6', leftarrowtail: '\u21a2',
+  LeftCeiling: '\u2308', LeftDoubleBracket: '\u27e6', LeftDownTeeVector: '\u2961',
+  LeftDownVectorBar: '\u2959', LeftDownVector: '\u21c3', LeftFloor: '\u230a',
+  leftharpoondown: '\u21bd', leftharpoonup: '\u21bc', leftleftarrows: '\u21c7',
+  leftrightarrow: '\u2194', LeftRightArrow: '\u2194', Leftrightarrow: '\u21d4',
+  leftrightarrows: '\u21c6', leftrightharpoons: '\u21cb', leftrightsquigarrow: '\u21ad',
+  LeftRightVector: '\u294e', LeftTeeArrow: '\u21a4', LeftTee: '\u22a3', LeftTeeVector: '\u295a',
+  leftthreetimes: '\u22cb', LeftTriangleBar: '\u29cf', LeftTriangle: '\u22b2',
+  LeftTriangleEqual: '\u22b4', LeftUpDownVector: '\u2951', LeftUpTeeVector: '\u2960',
+  LeftUpVectorBar: '\u2958', LeftUpVector: '\u21bf', LeftVectorBar: '\u2952', LeftVector: '\u21bc',
+  lEg: '\u2a8b', leg: '\u22da', leq: '\u2264', leqq: '\u2266', leqslant: '\u2a7d', lescc: '\u2aa8',
+  les: '\u2a7d', lesdot: '\u2a7f', lesdoto: '\u2a81', lesdotor: '\u2a83', lesg: '\u22da\ufe00',
+  lesges: '\u2a93', lessapprox: '\u2a85', lessdot: '\u22d6', lesseqgtr: '\u22da',
+  lesseqqgtr: '\u2a8b', LessEqualGreater: '\u22da', LessFullEqual: '\u2266', LessGreater: '\u2276',
+  lessgtr: '\u2276', LessLess: '\u2aa1', lesssim: '\u2272', LessSlantEqual: '\u2a7d',
+  LessTilde: '\u2272', lfisht: '\u297c', lfloor: '\u230a', Lfr: '\u{1d50f}', lfr: '\u{1d529}',
+  lg: '\u2276', lgE: '\u2a91', lHar: '\u2962', lhard: '\u21bd', lharu: '\u21bc', lharul: '\u296a',
+  lhblk: '\u2584', LJcy: '\u0409', ljcy: '\u0459', llarr: '\u21c7', ll: '\u226a', Ll: '\u22d8',
+  llcorner: '\u231e', Lleftarrow: '\u21da', llhard: '\u296b', lltri: '\u25fa', Lmidot: '\u013f',
+  lmidot: '\u0140', lmoustache: '\u23b0', lmoust: '\u23b0', lnap: '\u2a89', lnapprox: '\u2a89',
+  lne: '\u2a87', lnE: '\u2268', lneq: '\u2a87', lneqq: '\u2268', lnsim: '\u22e6', loang: '\u27ec',
+  loarr: '\u21fd', lobrk: '\u27e6', longleftarrow: '\u27f5', LongLeftArrow: '\u27f5',
+  Longleftarrow: '\u27f8', longleftrightarrow: '\u27f7', LongLeftRightArrow: '\u27f7',
+  Longleftrightarrow: '\u27fa', longmapsto: '\u27fc', longrightarrow: '\u27f6',
+  LongRightArrow: '\u27f6', Longrightarrow: '\u27f9', looparrowleft: '\u21ab',
+  looparrowright: '\u21ac', lopar: '\u2985', Lopf: '\u{1d543}', lopf: '\u{1d55d}', loplus: '\u2a2d',
+  lotimes: '\u2a34', lowast: '\u2217', lowbar: '_', LowerLeftArrow: '\u2199',
+  LowerRightArrow: '\u2198', loz: '\u25ca', lozenge: '\u25ca', lozf: '\u29eb', lpar: '(',
+  lparlt: '\u2993', lrarr: '\u21c6', lrcorner: '\u231f', lrhar: '\u21cb', lrhard: '\u296d',
+  lrm: '\u200e', lrtri: '\u22bf', lsaquo: '\u2039', lscr: '\u{1d4c1}', Lscr: '\u2112',
+  lsh: '\u21b0', Lsh: '\u21b0', lsim: '\u2272', lsime: '\u2a8d', lsimg: '\u2a8f', lsqb: '[',
+  lsquo: '\u2018', lsquor: '\u201a', Lstrok: '\u0141', lstrok: '\u0142', ltcc: '\u2aa6',
+  ltcir: '\u2a79', lt: '<', LT: '<', Lt: '\u226a', ltdot: '\u22d6', lthree: '\u22cb',
+  ltimes: '\u22c9', ltlarr: '\u2976', ltquest: '\u2a7b', ltri: '\u25c3', ltrie: '\u22b4',
+  ltrif: '\u25c2', ltrPar: '\u2996', lurdshar: '\u294a', luruhar: '\u2966',
+  lvertneqq: '\u2268\ufe00', lvnE: '\u2268\ufe00', macr: '\u00af', male: '\u2642', malt: '\u2720',
+  maltese: '\u2720', Map: '\u2905', map: '\u21a6', mapsto: '\u21a6', mapstodown: '\u21a7',
+  mapstoleft: '\u21a4', mapstoup: '\u21a5', marker: '\u25ae', mcomma: '\u2a29', Mcy: '\u041c',
+  mcy: '\u043c', mdash: '\u2014', mDDot: '\u223a', measuredangle: '\u2221', MediumSpace: '\u205f',
+  Mellintrf: '\u2133', Mfr: '\u{1d510}', mfr: '\u{1d52a}', mho: '\u2127', micro: '\u00b5',
+  midast: '*', midcir: '\u2af0', mid: '\u2223', middot: '\u00b7', minusb: '\u229f', minus: '\u2212',
+  minusd: '\u2238', minusdu: '\u2a2a', MinusPlus: '\u2213', mlcp: '\u2adb', mldr: '\u2026',
+  mnplus: '\u2213', models: '\u22a7', Mopf: '\u{1d544}', mopf: '\u{1d55e}', mp: '\u2213',
+  mscr: '\u{1d4c2}', Mscr: '\u2133', mstpos: '\u223e', Mu: '\u039c', mu: '\u03bc',
+  multimap: '\u22b8', mumap: '\u22b8', nabla: '\u2207', Nacute: '\u0143', nacute: '\u0144',
+  nang: '\u2220\u20d2', nap: '\u2249', napE: '\u2a70\u0338', napid: '\u224b\u0338', napos: '\u0149',
+  napprox: '\u2249', natural: '\u266e', naturals: '\u2115', natur: '\u266e', nbsp: '\u00a0',
+  nbump: '\u224e\u0338', nbumpe: '\u224f\u0338', ncap: '\u2a43', Ncaron: '\u0147', ncaron: '\u0148',
+  Ncedil: '\u0145', ncedil: '\u0146', ncong: '\u2247', ncongdot: '\u2a6d\u0338', ncup: '\u2a42',
+  Ncy: '\u041d', ncy: '\u043d', ndash: '\u2013', nearhk: '\u2924', nearr: '\u2197', neArr: '\u21d7',
+  nearrow: '\u2197', ne: '\u2260', nedot: '\u2250\u0338', NegativeMediumSpace: '\u200b',
+  NegativeThickSpace: '\u200b', NegativeThinSpace: '\u200b', NegativeVeryThinSpace: '\u200b',
+  nequiv: '\u2262', nesear: '\u2928', nesim: '\u2242\u0338', NestedGreaterGreater: '\u226b',
+  NestedLessLess: '\u226a', NewLine: '\u000a', nexist: '\u2204', nexists: '\u2204',
+  Nfr: '\u{1d511}', nfr: '\u{1d52b}', ngE: '\u2267\u0338', nge: '\u2271', ngeq: '\u2271',
+  ngeqq: '\u2267\u0338', ngeqslant: '\u2a7e\u0338', nges: '\u2a7e\u0338', nGg: '\u22d9\u0338',
+  ngsim: '\u2275', nGt: '\u226b\u20d2', ngt: '\u226f', ngtr: '\u226f', nGtv: '\u226b\u0338',
+  nharr: '\u21ae', nhArr: '\u21ce', nhpar: '\u2af2', ni: '\u220b', nis: '\u22fc', nisd: '\u22fa',
+  niv: '\u220b', NJcy: '\u040a', njcy: '\u045a', nlarr: '\u219a', nlArr: '\u21cd', nldr: '\u2025',
+  nlE: '\u2266\u0338', nle: '\u2270', nleftarrow: '\u219a', nLeftarrow: '\u21cd',
+  nleftrightarrow: '\u21ae', nLeftrightarrow: '\u21ce', nleq: '\u2270', nleqq: '\u2266\u0338',
+  nleqslant: '\u2a7d\u0338', nles: '\u2a7d\u0338', nless: '\u226e', nLl: '\u22d8\u0338',
+  nlsim: '\u2274', nLt: '\u226a\u20d2', nlt: '\u226e', nltri: '\u22ea', nltrie: '\u22ec',
+  nLtv: '\u226a\u0338', nmid: '\u2224', NoBreak: '\u2060', NonBreakingSpace: '\u00a0',
+  nopf: '\u{1d55f}', Nopf: '\u2115', Not: '\u2aec', not: '\u00ac', NotCongruent: '\u2262',
+  NotCupCap: '\u226d', NotDoubleVerticalBar: '\u2226', NotElement: '\u2209', NotEqual: '\u2260',
+  NotEqualTilde: '\u2242\u0338', NotExists: '\u2204', NotGreater: '\u226f',
+  NotGreaterEqual: '\u2271', NotGreaterFullEqual: '\u2267\u0338', NotGreaterGreater: '\u226b\u0338',
+  NotGreaterLess: '\u2279', NotGreaterSlantEqual: '\u2a7e\u0338', NotGreaterTilde: '\u2275',
+  NotHumpDownHump: '\u224e\u0338', NotHumpEqual: '\u224f\u0338', notin: '\u2209',
+  notindot: '\u22f5\u0338', notinE: '\u22f9\u0338', notinva: '\u2209', notinvb: '\u22f7',
+  notinvc: '\u22f6', NotLeftTriangleBar: '\u29cf\u0338', NotLeftTriangle: '\u22ea',
+  NotLeftTriangleEqual: '\u22ec', NotLess: '\u226e', NotLessEqual: '\u2270',
+  NotLessGreater: '\u2278', NotLessLess: '\u226a\u0338', NotLessSlantEqual: '\u2a7d\u0338',
+  NotLessTilde: '\u2274', NotNestedGreaterGreater: '\u2aa2\u0338',
+  NotNestedLessLess: '\u2aa1\u0338', notni: '\u220c', notniva: '\u220c', notnivb: '\u22fe',
+  notnivc: '\u22fd', NotPrecedes: '\u2280', NotPrecedesEqual: '\u2aaf\u0338',
+  NotPrecedesSlantEqual: '\u22e0', NotReverseElement: '\u220c', NotRightTriangleBar: '\u29d0\u0338',
+  NotRightTriangle: '\u22eb', NotRightTriangleEqual: '\u22ed', NotSquareSubset: '\u228f\u0338',
+  NotSquareSubsetEqual: '\u22e2', NotSquareSuperset: '\u2290\u0338',
+  NotSquareSupersetEqual: '\u22e3', NotSubset: '\u2282\u20d2', NotSubsetEqual: '\u2288',
+  NotSucceeds: '\u2281', NotSucceedsEqual: '\u2ab0\u0338', NotSucceedsSlantEqual: '\u22e1',
+  NotSucceedsTilde: '\u227f\u0338', NotSuperset: '\u2283\u20d2', NotSupersetEqual: '\u2289',
+  NotTilde: '\u2241', NotTildeEqual: '\u2244', NotTildeFullEqual: '\u2247', NotTildeTilde: '\u2249',
+  NotVerticalBar: '\u2224', nparallel: '\u2226', npar: '\u2226', nparsl: '\u2afd\u20e5',
+  npart: '\u2202\u0338', npolint: '\u2a14', npr: '\u2280', nprcue: '\u22e0', nprec: '\u2280',
+  npreceq: '\u2aaf\u0338', npre: '\u2aaf\u0338', nrarrc: '\u2933\u0338', nrarr: '\u219b',
+  nrArr: '\u21cf', nrarrw: '\u219d\u0338', nrightarrow: '\u219b', nRightarrow: '\u21cf',
+  nrtri: '\u22eb', nrtrie: '\u22ed', nsc: '\u2281', nsccue: '\u22e1', nsce: '\u2ab0\u0338',
+  Nscr: '\u{1d4a9}', nscr: '\u{1d4c3}', nshortmid: '\u2224', nshortparallel: '\u2226',
+  nsim: '\u2241', nsime: '\u2244', nsimeq: '\u2244', nsmid: '\u2224', nspar: '\u2226',
+  nsqsube: '\u22e2', nsqsupe: '\u22e3', nsub: '\u2284', nsubE: '\u2ac5\u0338', nsube: '\u2288',
+  nsubset: '\u2282\u20d2', nsubseteq: '\u2288', nsubseteqq: '\u2ac5\u0338', nsucc: '\u2281',
+  nsucceq: '\u2ab0\u0338', nsup: '\u2285', nsupE: '\u2ac6\u0338', nsupe: '\u2289',
+  nsupset: '\u2283\u20d2', nsupseteq: '\u2289', nsupseteqq: '\u2ac6\u0338', ntgl: '\u2279',
+  Ntilde: '\u00d1', ntilde: '\u00f1', ntlg: '\u2278', ntriangleleft: '\u22ea',
+  ntrianglelefteq: '\u22ec', ntriangleright: '\u22eb', ntrianglerighteq: '\u22ed', Nu: '\u039d',
+  nu: '\u03bd', num: '#', numero: '\u2116', numsp: '\u2007', nvap: '\u224d\u20d2', nvdash: '\u22ac',
+  nvDash: '\u22ad', nVdash: '\u22ae', nVDash: '\u22af', nvge: '\u2265\u20d2', nvgt: '>\u20d2',
+  nvHarr: '\u2904', nvinfin: '\u29de', nvlArr: '\u2902', nvle: '\u2264\u20d2', nvlt: '<\u20d2',
+  nvltrie: '\u22b4\u20d2', nvrArr: '\u2903', nvrtrie: '\u22b5\u20d2', nvsim: '\u223c\u20d2',
+  nwarhk: '\u2923', nwarr: '\u2196', nwArr: '\u21d6', nwarrow: '\u2196', nwnear: '\u2927',
+  Oacute: '\u00d3', oacute: '\u00f3', oast: '\u229b', Ocirc: '\u00d4', ocirc: '\u00f4',
+  ocir: '\u229a', Ocy: '\u041e', ocy: '\u043e', odash: '\u229d', Odblac: '\u0150', odblac: '\u0151',
+  odiv: '\u2a38', odot: '\u2299', odsold: '\u29bc', OElig: '\u0152', oelig: '\u0153',
+  ofcir: '\u29bf', Ofr: '\u{1d512}', ofr: '\u{1d52c}', ogon: '\u02db', Ograve: '\u00d2',
+  ograve: '\u00f2', ogt: '\u29c1', ohbar: '\u29b5', ohm: '\u03a9', oint: '\u222e', olarr: '\u21ba',
+  olcir: '\u29be', olcross: '\u29bb', oline: '\u203e', olt: '\u29c0', Omacr: '\u014c',
+  omacr: '\u014d', Omega: '\u03a9', omega: '\u03c9', Omicron: '\u039f', omicron: '\u03bf',
+  omid: '\u29b6', ominus: '\u2296', Oopf: '\u{1d546}', oopf: '\u{1d560}', opar: '\u29b7',
+  OpenCurlyDoubleQuote: '\u201c', OpenCurlyQuote: '\u2018', operp: '\u29b9', oplus: '\u2295',
+  orarr: '\u21bb', Or: '\u2a54', or: '\u2228', ord: '\u2a5d', order: '\u2134', orderof: '\u2134',
+  ordf: '\u00aa', ordm: '\u00ba', origof: '\u22b6', oror: '\u2a56', orslope: '\u2a57',
+  orv: '\u2a5b', oS: '\u24c8', Oscr: '\u{1d4aa}', oscr: '\u2134', Oslash: '\u00d8',
+  oslash: '\u00f8', osol: '\u2298', Otilde: '\u00d5', otilde: '\u00f5', otimesas: '\u2a36',
+  Otimes: '\u2a37', otimes: '\u2297', Ouml: '\u00d6', ouml: '\u00f6', ovbar: '\u233d',
+  OverBar: '\u203e', OverBrace: '\u23de', OverBracket: '\u23b4', OverParenthesis: '\u23dc',
+  para: '\u00b6', parallel: '\u2225', par: '\u2225', parsim: '\u2af3', parsl: '\u2afd',
+  part: '\u2202', PartialD: '\u2202', Pcy: '\u041f', pcy: '\u043f', percnt: '%', period: '.',
+  permil: '\u2030', perp: '\u22a5', pertenk: '\u2031', Pfr: '\u{1d513}', pfr: '\u{1d52d}',
+  Phi: '\u03a6', phi: '\u03c6', phiv: '\u03d5', phmmat: '\u2133', phone: '\u260e', Pi: '\u03a0',
+  pi: '\u03c0', pitchfork: '\u22d4', piv: '\u03d6', planck: '\u210f', planckh: '\u210e',
+  plankv: '\u210f', plusacir: '\u2a23', plusb: '\u229e', pluscir: '\u2a22', plus: '+',
+  plusdo: '\u2214', plusdu: '\u2a25', pluse: '\u2a72', PlusMinus: '\u00b1', plusmn: '\u00b1',
+  plussim: '\u2a26', plustwo: '\u2a27', pm: '\u00b1', Poincareplane: '\u210c', pointint: '\u2a15',
+  popf: '\u{1d561}', Popf: '\u2119', pound: '\u00a3', prap: '\u2ab7', Pr: '\u2abb', pr: '\u227a',
+  prcue: '\u227c', precapprox: '\u2ab7', prec: '\u227a', preccurlyeq: '\u227c', Precedes: '\u227a',
+  PrecedesEqual: '\u2aaf', PrecedesSlantEqual: '\u227c', PrecedesTilde: '\u227e', preceq: '\u2aaf',
+  precnapprox: '\u2ab9', precneqq: '\u2ab5', precnsim: '\u22e8', pre: '\u2aaf', prE: '\u2ab3',
+  precsim: '\u227e', prime: '\u2032', Prime: '\u2033', primes: '\u2119', prnap: '\u2ab9',
+  prnE: '\u2ab5', prnsim: '\u22e8', prod: '\u220f', Product: '\u220f', profalar: '\u232e',
+  profline: '\u2312', profsurf: '\u2313', prop: '\u221d', Proportional: '\u221d',
+  Proportion: '\u2237', propto: '\u221d', prsim: '\u227e', prurel: '\u22b0', Pscr: '\u{1d4ab}',
+  pscr: '\u{1d4c5}', Psi: '\u03a8', psi: '\u03c8', puncsp: '\u2008', Qfr: '\u{1d514}',
+  qfr: '\u{1d52e}', qint: '\u2a0c', qopf: '\u{1d562}', Qopf: '\u211a', qprime: '\u2057',
+  Qscr: '\u{1d4ac}', qscr: '\u{1d4c6}', quaternions: '\u210d', quatint: '\u2a16', quest: '?',
+  questeq: '\u225f', quot: '"', QUOT: '"', rAarr: '\u21db', race: '\u223d\u0331', Racute: '\u0154',
+  racute: '\u0155', radic: '\u221a', raemptyv: '\u29b3', rang: '\u27e9', Rang: '\u27eb',
+  rangd: '\u2992', range: '\u29a5', rangle: '\u27e9', raquo: '\u00bb', rarrap: '\u2975',
+  rarrb: '\u21e5', rarrbfs: '\u2920', rarrc: '\u2933', rarr: '\u2192', Rarr: '\u21a0',
+  rArr: '\u21d2', rarrfs: '\u291e', rarrhk: '\u21aa', rarrlp: '\u21ac', rarrpl: '\u2945',
+  rarrsim: '\u2974', Rarrtl: '\u2916', rarrtl: '\u21a3', rarrw: '\u219d', ratail: '\u291a',
+  rAtail: '\u291c', ratio: '\u2236', rationals: '\u211a', rbarr: '\u290d', rBarr: '\u290f',
+  RBarr: '\u2910', rbbrk: '\u2773', rbrace: '}', rbrack: ']', rbrke: '\u298c', rbrksld: '\u298e',
+  rbrkslu: '\u2990', Rcaron: '\u0158', rcaron: '\u0159', Rcedil: '\u0156', rcedil: '\u0157',
+  rceil: '\u2309', rcub: '}', Rcy: '\u0420', rcy: '\u0440', rdca: '\u2937', rdldhar: '\u2969',
+  rdquo: '\u201d', rdquor: '\u201d', rdsh: '\u21b3', real: '\u211c', realine: '\u211b',
+  realpart: '\u211c', reals: '\u211d', Re: '\u211c', rect: '\u25ad', reg: '\u00ae', REG: '\u00ae',
+  ReverseElement: '\u220b', ReverseEquilibrium: '\u21cb', ReverseUpEquilibrium: '\u296f',
+  rfisht: '\u297d', rfloor: '\u230b', rfr: '\u{1d52f}', Rfr: '\u211c', rHar: '\u2964',
+  rhard: '\u21c1', rharu: '\u21c0', rharul: '\u296c', Rho: '\u03a1', rho: '\u03c1', rhov: '\u03f1',
+  RightAngleBracket: '\u27e9', RightArrowBar: '\u21e5', rightarrow: '\u2192', RightArrow: '\u2192',
+  Rightarrow: '\u21d2', RightArrowLeftArrow: '\u21c4', rightarrowtail: '\u21a3',
+  RightCeiling: '\u2309', RightDoubleBracket: '\u27e7', RightDownTeeVector: '\u295d',
+  RightDownVectorBar: '\u2955', RightDownVector: '\u21c2', RightFloor: '\u230b',
+  rightharpoondown: '\u21c1', rightharpoonup: '\u21c0', rightleftarrows: '\u21c4',
+  rightleftharpoons: '\u21cc', rightrightarrows: '\u21c9', rightsquigarrow: '\u219d',
+  RightTeeArrow: '\u21a6', RightTee: '\u22a2', RightTeeVector: '\u295b', rightthreetimes: '\u22cc',
+  RightTriangleBar: '\u29d0', RightTriangle: '\u22b3', RightTriangleEqual: '\u22b5',
+  RightUpDownVector: '\u294f', RightUpTeeVector: '\u295c', RightUpVectorBar: '\u2954',
+  RightUpVector: '\u21be', RightVectorBar: '\u2953', RightVector: '\u21c0', ring: '\u02da',
+  risingdotseq: '\u2253', rlarr: '\u21c4', rlhar: '\u21cc', rlm: '\u200f', rmoustache: '\u23b1',
+  rmoust: '\u23b1', rnmid: '\u2aee', roang: '\u27ed', roarr: '\u21fe', robrk: '\u27e7',
+  ropar: '\u2986', ropf: '\u{1d563}', Ropf: '\u211d', roplus: '\u2a2e', rotimes: '\u2a35',
+  RoundImplies: '\u2970', rpar: ')', rpargt: '\u2994', rppolint: '\u2a12', rrarr: '\u21c9',
+  Rrightarrow: '\u21db', rsaquo: '\u203a', rscr: '\u{1d4c7}', Rscr: '\u211b', rsh: '\u21b1',
+  Rsh: '\u21b1', rsqb: ']', rsquo: '\u2019', rsquor: '\u2019', rthree: '\u22cc', rtimes: '\u22ca',
+  rtri: '\u25b9', rtrie: '\u22b5', rtrif: '\u25b8', rtriltri: '\u29ce', RuleDelayed: '\u29f4',
+  ruluhar: '\u2968', rx: '\u211e', Sacute: '\u015a', sacute: '\u015b', sbquo: '\u201a',
+  scap: '\u2ab8', Scaron: '\u0160', scaron: '\u0161', Sc: '\u2abc', sc: '\u227b', sccue: '\u227d',
+  sce: '\u2ab0', scE: '\u2ab4', Scedil: '\u015e', scedil: '\u015f', Scirc: '\u015c',
+  scirc: '\u015d', scnap: '\u2aba', scnE: '\u2ab6', scnsim: '\u22e9', scpolint: '\u2a13',
+  scsim: '\u227f', Scy: '\u0421', scy: '\u0441', sdotb: '\u22a1', sdot: '\u22c5', sdote: '\u2a66',
+  searhk: '\u2925', searr: '\u2198', seArr: '\u21d8', searrow: '\u2198', sect: '\u00a7', semi: ';',
+  seswar: '\u2929', setminus: '\u2216', setmn: '\u2216', sext: '\u2736', Sfr: '\u{1d516}',
+  sfr: '\u{1d530}', sfrown: '\u2322', sharp: '\u266f', SHCHcy: '\u0429', shchcy: '\u0449',
+  SHcy: '\u0428', shcy: '\u0448', ShortDownArrow: '\u2193', ShortLeftArrow: '\u2190',
+  shortmid: '\u2223', shortparallel: '\u2225', ShortRightArrow: '\u2192', ShortUpArrow: '\u2191',
+  shy: '\u00ad', Sigma: '\u03a3', sigma: '\u03c3', sigmaf: '\u03c2', sigmav: '\u03c2',
+  sim: '\u223c', simdot: '\u2a6a', sime: '\u2243', simeq: '\u2243', simg: '\u2a9e', simgE: '\u2aa0',
+  siml: '\u2a9d', simlE: '\u2a9f', simne: '\u2246', simplus: '\u2a24', simrarr: '\u2972',
+  slarr: '\u2190', SmallCircle: '\u2218', smallsetminus: '\u2216', smashp: '\u2a33',
+  smeparsl: '\u29e4', smid: '\u2223', smile: '\u2323', smt: '\u2aaa', smte: '\u2aac',
+  smtes: '\u2aac\ufe00', SOFTcy: '\u042c', softcy: '\u044c', solbar: '\u233f', solb: '\u29c4',
+  sol: '/', Sopf: '\u{1d54a}', sopf: '\u{1d564}', spades: '\u2660', spadesuit: '\u2660',
+  spar: '\u2225', sqcap: '\u2293', sqcaps: '\u2293\ufe00', sqcup: '\u2294', sqcups: '\u2294\ufe00',
+  Sqrt: '\u221a', sqsub: '\u228f', sqsube: '\u2291', sqsubset: '\u228f', sqsubseteq: '\u2291',
+  sqsup: '\u2290', sqsupe: '\u2292', sqsupset: '\u2290', sqsupseteq: '\u2292', square: '\u25a1',
+  Square: '\u25a1', SquareIntersection: '\u2293', SquareSubset: '\u228f',
+  SquareSubsetEqual: '\u2291', SquareSuperset: '\u2290', SquareSupersetEqual: '\u2292',
+  SquareUnion: '\u2294', squarf: '\u25aa', squ: '\u25a1', squf: '\u25aa', srarr: '\u2192',
+  Sscr: '\u{1d4ae}', sscr: '\u{1d4c8}', ssetmn: '\u2216', ssmile: '\u2323', sstarf: '\u22c6',
+  Star: '\u22c6', star: '\u2606', starf: '\u2605', straightepsilon: '\u03f5', straightphi: '\u03d5',
+  strns: '\u00af', sub: '\u2282', Sub: '\u22d0', subdot: '\u2abd', subE: '\u2ac5', sube: '\u2286',
+  subedot: '\u2ac3', submult: '\u2ac1', subnE: '\u2acb', subne: '\u228a', subplus: '\u2abf',
+  subrarr: '\u2979', subset: '\u2282', Subset: '\u22d0', subseteq: '\u2286', subseteqq: '\u2ac5',
+  SubsetEqual: '\u2286', subsetneq: '\u228a', subsetneqq: '\u2acb', subsim: '\u2ac7',
+  subsub: '\u2ad5', subsup: '\u2ad3', succapprox: '\u2ab8', succ: '\u227b', succcurlyeq: '\u227d',
+  Succeeds: '\u227b', SucceedsEqual: '\u2ab0', SucceedsSlantEqual: '\u227d',
+  SucceedsTilde: '\u227f', succeq: '\u2ab0', succnapprox: '\u2aba', succneqq: '\u2ab6',
+  succnsim: '\u22e9', succsim: '\u227f', SuchThat: '\u220b', sum: '\u2211', Sum: '\u2211',
+  sung: '\u266a', sup1: '\u00b9', sup2: '\u00b2', sup3: '\u00b3', sup: '\u2283', Sup: '\u22d1',
+  supdot: '\u2abe', supdsub: '\u2ad8', supE: '\u2ac6', supe: '\u2287', supedot: '\u2ac4',
+  Superset: '\u2283', SupersetEqual: '\u2287', suphsol: '\u27c9', suphsub: '\u2ad7',
+  suplarr: '\u297b', supmult: '\u2ac2', supnE: '\u2acc', supne: '\u228b', supplus: '\u2ac0',
+  supset: '\u2283', Supset: '\u22d1', supseteq: '\u2287', supseteqq: '\u2ac6', supsetneq: '\u228b',
+  supsetneqq: '\u2acc', supsim: '\u2ac8', supsub: '\u2ad4', supsup: '\u2ad6', swarhk: '\u2926',
+  swarr: '\u2199', swArr: '\u21d9', swarrow: '\u2199', swnwar: '\u292a', szlig: '\u00df',
+  Tab: '\u0009', target: '\u2316', Tau: '\u03a4', tau: '\u03c4', tbrk: '\u23b4', Tcaron: '\u0164',
+  tcaron: '\u0165', Tcedil: '\u0162', tcedil: '\u0163', Tcy: '\u0422', tcy: '\u0442',
+  tdot: '\u20db', telrec: '\u2315', Tfr: '\u{1d517}', tfr: '\u{1d531}', there4: '\u2234',
+  therefore: '\u2234', Therefore: '\u2234', Theta: '\u0398', theta: '\u03b8', thetasym: '\u03d1',
+  thetav: '\u03d1', thickapprox: '\u2248', thicksim: '\u223c', ThickSpace: '\u205f\u200a',
+  ThinSpace: '\u2009', thinsp: '\u2009', thkap: '\u2248', thksim: '\u223c', THORN: '\u00de',
+  thorn: '\u00fe', tilde: '\u02dc', Tilde: '\u223c', TildeEqual: '\u2243', TildeFullEqual: '\u2245',
+  TildeTilde: '\u2248', timesbar: '\u2a31', timesb: '\u22a0', times: '\u00d7', timesd: '\u2a30',
+  tint: '\u222d', toea: '\u2928', topbot: '\u2336', topcir: '\u2af1', top: '\u22a4',
+  Topf: '\u{1d54b}', topf: '\u{1d565}', topfork: '\u2ada', tosa: '\u2929', tprime: '\u2034',
+  trade: '\u2122', TRADE: '\u2122', triangle: '\u25b5', triangledown: '\u25bf',
+  triangleleft: '\u25c3', trianglelefteq: '\u22b4', triangleq: '\u225c', triangleright: '\u25b9',
+  trianglerighteq: '\u22b5', tridot: '\u25ec', trie: '\u225c', triminus: '\u2a3a',
+  TripleDot: '\u20db', triplus: '\u2a39', trisb: '\u29cd', tritime: '\u2a3b', trpezium: '\u23e2',
+  Tscr: '\u{1d4af}', tscr: '\u{1d4c9}', TScy: '\u0426', tscy: '\u0446', TSHcy: '\u040b',
+  tshcy: '\u045b', Tstrok: '\u0166', tstrok: '\u0167', twixt: '\u226c', twoheadleftarrow: '\u219e',
+  twoheadrightarrow: '\u21a0', Uacute: '\u00da', uacute: '\u00fa', uarr: '\u2191', Uarr: '\u219f',
+  uArr: '\u21d1', Uarrocir: '\u2949', Ubrcy: '\u040e', ubrcy: '\u045e', Ubreve: '\u016c',
+  ubreve: '\u016d', Ucirc: '\u00db', ucirc: '\u00fb', Ucy: '\u0423', ucy: '\u0443', udarr: '\u21c5',
+  Udblac: '\u0170', udblac: '\u0171', udhar: '\u296e', ufisht: '\u297e', Ufr: '\u{1d518}',
+  ufr: '\u{1d532}', Ugrave: '\u00d9', ugrave: '\u00f9', uHar: '\u2963', uharl: '\u21bf',
+  uharr: '\u21be', uhblk: '\u2580', ulcorn: '\u231c', ulcorner: '\u231c', ulcrop: '\u230f',
+  ultri: '\u25f8', Umacr: '\u016a', umacr: '\u016b', uml: '\u00a8', UnderBar: '_',
+  UnderBrace: '\u23df', UnderBracket: '\u23b5', UnderParenthesis: '\u23dd', Union: '\u22c3',
+  UnionPlus: '\u228e', Uogon: '\u0172', uogon: '\u0173', Uopf: '\u{1d54c}', uopf: '\u{1d566}',
+  UpArrowBar: '\u2912', uparrow: '\u2191', UpArrow: '\u2191', Uparrow: '\u21d1',
+  UpArrowDownArrow: '\u21c5', updownarrow: '\u2195', UpDownArrow: '\u2195', Updownarrow: '\u21d5',
+  UpEquilibrium: '\u296e', upharpoonleft: '\u21bf', upharpoonright: '\u21be', uplus: '\u228e',
+  UpperLeftArrow: '\u2196', UpperRightArrow: '\u2197', upsi: '\u03c5', Upsi: '\u03d2',
+  upsih: '\u03d2', Upsilon: '\u03a5', upsilon: '\u03c5', UpTeeArrow: '\u21a5', UpTee: '\u22a5',
+  upuparrows: '\u21c8', urcorn: '\u231d', urcorner: '\u231d', urcrop: '\u230e', Uring: '\u016e',
+  uring: '\u016f', urtri: '\u25f9', Uscr: '\u{1d4b0}', uscr: '\u{1d4ca}', utdot: '\u22f0',
+  Utilde: '\u0168', utilde: '\u0169', utri: '\u25b5', utrif: '\u25b4', uuarr: '\u21c8',
+  Uuml: '\u00dc', uuml: '\u00fc', uwangle: '\u29a7', vangrt: '\u299c', varepsilon: '\u03f5',
+  varkappa: '\u03f0', varnothing: '\u2205', varphi: '\u03d5', varpi: '\u03d6', varpropto: '\u221d',
+  varr: '\u2195', vArr: '\u21d5', varrho: '\u03f1', varsigma: '\u03c2',
+  varsubsetneq: '\u228a\ufe00', varsubsetneqq: '\u2acb\ufe00', varsupsetneq: '\u228b\ufe00',
+  varsupsetneqq: '\u2acc\ufe00', vartheta: '\u03d1', vartriangleleft: '\u22b2',
+  vartriangleright: '\u22b3', vBar: '\u2ae8', Vbar: '\u2aeb', vBarv: '\u2ae9', Vcy: '\u0412',
+  vcy: '\u0432', vdash: '\u22a2', vDash: '\u22a8', Vdash: '\u22a9', VDash: '\u22ab',
+  Vdashl: '\u2ae6', veebar: '\u22bb', vee: '\u2228', Vee: '\u22c1', veeeq: '\u225a',
+  vellip: '\u22ee', verbar: '|', Verbar: '\u2016', vert: '|', Vert: '\u2016', VerticalBar: '\u2223',
+  VerticalLine: '|', VerticalSeparator: '\u2758', VerticalTilde: '\u2240', VeryThinSpace: '\u200a',
+  Vfr: '\u{1d519}', vfr: '\u{1d533}', vltri: '\u22b2', vnsub: '\u2282\u20d2', vnsup: '\u2283\u20d2',
+  Vopf: '\u{1d54d}', vopf: '\u{1d567}', vprop: '\u221d', vrtri: '\u22b3', Vscr: '\u{1d4b1}',
+  vscr: '\u{1d4cb}', vsubnE: '\u2acb\ufe00', vsubne: '\u228a\ufe00', vsupnE: '\u2acc\ufe00',
+  vsupne: '\u228b\ufe00', Vvdash: '\u22aa', vzigzag: '\u299a', Wcirc: '\u0174', wcirc: '\u0175',
+  wedbar: '\u2a5f', wedge: '\u2227', Wedge: '\u22c0', wedgeq: '\u2259', weierp: '\u2118',
+  Wfr: '\u{1d51a}', wfr: '\u{1d534}', Wopf: '\u{1d54e}', wopf: '\u{1d568}', wp: '\u2118',
+  wr: '\u2240', wreath: '\u2240', Wscr: '\u{1d4b2}', wscr: '\u{1d4cc}', xcap: '\u22c2',
+  xcirc: '\u25ef', xcup: '\u22c3', xdtri: '\u25bd', Xfr: '\u{1d51b}', xfr: '\u{1d535}',
+  xharr: '\u27f7', xhArr: '\u27fa', Xi: '\u039e', xi: '\u03be', xlarr: '\u27f5', xlArr: '\u27f8',
+  xmap: '\u27fc', xnis: '\u22fb', xodot: '\u2a00', Xopf: '\u{1d54f}', xopf: '\u{1d569}',
+  xoplus: '\u2a01', xotime: '\u2a02', xrarr: '\u27f6', xrArr: '\u27f9', Xscr: '\u{1d4b3}',
+  xscr: '\u{1d4cd}', xsqcup: '\u2a06', xuplus: '\u2a04', xutri: '\u25b3', xvee: '\u22c1',
+  xwedge: '\u22c0', Yacute: '\u00dd', yacute: '\u00fd', YAcy: '\u042f', yacy: '\u044f',
+  Ycirc: '\u0176', ycirc: '\u0177', Ycy: '\u042b', ycy: '\u044b', yen: '\u00a5', Yfr: '\u{1d51c}',
+  yfr: '\u{1d536}', YIcy: '\u0407', yicy: '\u0457', Yopf: '\u{1d550}', yopf: '\u{1d56a}',
+  Yscr: '\u{1d4b4}', yscr: '\u{1d4ce}', YUcy: '\u042e', yucy: '\u044e', yuml: '\u00ff',
+  Yuml: '\u0178', Zacute: '\u0179', zacute: '\u017a', Zcaron: '\u017d', zcaron: '\u017e',
+  Zcy: '\u0417', zcy: '\u0437', Zdot: '\u017b', zdot: '\u017c', zeetrf: '\u2128',
+  ZeroWidthSpace: '\u200b', Zeta: '\u0396', zeta: '\u03b6', zfr: '\u{1d537}', Zfr: '\u2128',
+  ZHcy: '\u0416', zhcy: '\u0436', zigrarr: '\u21dd', zopf: '\u{1d56b}', Zopf: '\u2124',
+  Zscr: '\u{1d4b5}', zscr: '\u{1d4cf}', zwj: '\u200d', zwnj: '\u200c'
+};
+
+/**
+ * Entities that browsers also decode without a trailing semicolon
+ */
+export const LEGACY_ENTITIES = new Set([
+  'Aacute', 'aacute', 'Acirc', 'acirc', 'acute', 'AElig', 'aelig', 'Agrave', 'agrave', 'amp', 'AMP',
+  'Aring', 'aring', 'Atilde', 'atilde', 'Auml', 'auml', 'brvbar', 'Ccedil', 'ccedil', 'cedil',
+  'cent', 'copy', 'COPY', 'curren', 'deg', 'divide', 'Eacute', 'eacute', 'Ecirc', 'ecirc', 'Egrave',
+  'egrave', 'ETH', 'eth', 'Euml', 'euml', 'frac12', 'frac14', 'frac34', 'gt', 'GT', 'Iacute',
+  'iacute', 'Icirc', 'icirc', 'iexcl', 'Igrave', 'igrave', 'iquest', 'Iuml', 'iuml', 'laquo', 'lt',
+  'LT', 'macr', 'micro', 'middot', 'nbsp', 'not', 'Ntilde', 'ntilde', 'Oacute', 'oacute', 'Ocirc',
+  'ocirc', 'Ograve', 'ograve', 'ordf', 'ordm', 'Oslash', 'oslash', 'Otilde', 'otilde', 'Ouml',
+  'ouml', 'para', 'plusmn', 'pound', 'quot', 'QUOT', 'raquo', 'reg', 'REG', 'sect', 'shy', 'sup1',
+  'sup2', 'sup3', 'szlig', 'THORN', 'thorn', 'times', 'Uacute', 'uacute', 'Ucirc', 'ucirc',
+  'Ugrave', 'ugrave', 'uml', 'Uuml', 'uuml', 'Yacute', 'yacute', 'yen', 'yuml'
+]);
+
+/**
+ * Numeric references in the C1 range that map to windows-1252 characters
+ */
+export const NUMERIC_REPLACEMENTS = {
+  0: 65533, 128: 8364, 130: 8218, 131: 402, 132: 8222, 133: 8230, 134: 8224, 135: 8225, 136: 710,
+  137: 8240, 138: 352, 139: 8249, 140: 338, 142: 381, 145: 8216, 146: 8217, 147: 8220, 148: 8221,
+  149: 8226, 150: 8211, 151: 8212, 152: 732, 153: 8482, 154: 353, 155: 8250, 156: 339, 158: 382,
+  159: 376
+};
\ No newline at end of file
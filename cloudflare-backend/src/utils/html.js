@@ -0,0 +1,375 @@
+/**
+ * HTML extraction utilities
+ * Extracts the main content of policy pages into sectioned documents that keep
+ * their heading hierarchy, lists and tables
+ */
+
+import { createDocument } from './document.js';
+import { NAMED_ENTITIES, LEGACY_ENTITIES, NUMERIC_REPLACEMENTS } from './html-entities.js';
+
+const SKIP_CONTENT_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'head', 'iframe', 'button', 'select']);
+
+// Elements whose contents are raw text, not markup: a "<" inside them opens no tag
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'noscript']);
+
+const BOILERPLATE_TAGS = new Set(['aside', 'dialog']);
+
+// Page chrome at page level, but inside <main> or an <article> a header
+// holds the policy title and its "last updated" line
+const PAGE_CHROME_TAGS = new Set(['nav', 'header', 'footer']);
+
+const CONTENT_TAGS = new Set(['main', 'article']);
+
+const BOILERPLATE_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alertdialog']);
+
+// Consent-manager vendors, matched anywhere in an id or class
+const CONSENT_VENDOR_PATTERN = /onetrust|cookiebot|didomi|osano|truste|cookieyes|iubenda-cs|termly-consent/i;
+
+// Cookie banners and page chrome, matched at the start of an id or class token
+const BOILERPLATE_TOKEN_PATTERN = /^(cookie[-_]?(banner|consent|notice|bar|popup|modal|law|wall)|consent[-_]?(banner|manager|modal|popup)|gdpr[-_]?(banner|consent|popup)|cc[-_]window|breadcrumbs?|skip[-_]?(link|nav|to)|((site|page|global|main)[-_]?)?(header|footer|nav)$|navbar|sidebar|menu|newsletter|share[-_]?buttons|social[-_]?links)([-_]|$)/i;
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const HEADING_LEVELS = { h1: 1, h2: 2, h3: 3, h4: 4 };
+
+const SECTIONING_TAGS = new Set(['section', 'article']);
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'caption', 'dd', 'details', 'div', 'dl',
+  'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h5', 'h6', 'header', 'hr', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'thead', 'tfoot', 'tr', 'ul'
+]);
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const ENTITY_PATTERN = /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*));?/g;
+
+/**
+ * Splits HTML into open, close and text tokens. The body of a script,
+ * style, textarea or noscript element is one text token running up to its
+ * closing tag.
+ */
+export function* tokenizeHtml(html) {
+  const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const [raw, closing, tagName, attributes] = match;
+
+    if (tagName) {
+      const name = tagName.toLowerCase();
+      if (closing) {
+        yield { type: 'close', name };
+      } else {
+        const selfClosing = /\/\s*$/.test(attributes || '');
+        yield { type: 'open', name, attributes: attributes || '', selfClosing };
+
+        if (RAW_TEXT_TAGS.has(name) && !selfClosing) {
+          // An unclosed element runs to the end of the page, as in browsers
+          const closingTag = new RegExp(`</${name}(?=[\\s/>]|$)`, 'ig');
+          closingTag.lastIndex = pattern.lastIndex;
+          const closed = closingTag.exec(html);
+          const end = closed ? closed.index : html.length;
+          if (end > pattern.lastIndex) yield { type: 'text', text: html.slice(pattern.lastIndex, end) };
+          pattern.lastIndex = end;
+        }
+      }
+    } else if (raw === '<' || !raw.startsWith('<')) {
+      // Comments, doctypes and processing instructions are dropped
+      yield { type: 'text', text: raw };
+    }
+  }
+}
+
+/**
+ * Parses a raw attribute string into a lowercase-keyed object
+ */
+export function parseAttributes(raw) {
+  const attributes = {};
+  const pattern = new RegExp(ATTRIBUTE_PATTERN.source, 'g');
+  let match;
+
+  while ((match = pattern.exec(raw || '')) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+
+  return attributes;
+}
+
+function decodeNumericEntity(codePoint) {
+  if (NUMERIC_REPLACEMENTS[codePoint]) {
+    return String.fromCodePoint(NUMERIC_REPLACEMENTS[codePoint]);
+  }
+  if (codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+    return '\uFFFD';
+  }
+  return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Decodes every HTML5 named and numeric character reference
+ */
+export function decodeEntities(text) {
+  if (!text || !text.includes('&')) return text;
+
+  return text.replace(ENTITY_PATTERN, (match, decimal, hex, name) => {
+    if (decimal) return decodeNumericEntity(parseInt(decimal, 10));
+    if (hex) return decodeNumericEntity(parseInt(hex, 16));
+
+    if (match.endsWith(';') && Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)) {
+      return NAMED_ENTITIES[name];
+    }
+
+    // Legacy references may omit the semicolon and run into the next word
+    for (let length = name.length; length > 1; length--) {
+      const prefix = name.slice(0, length);
+      if (LEGACY_ENTITIES.has(prefix)) {
+        return NAMED_ENTITIES[prefix] + match.slice(prefix.length + 1);
+      }
+    }
+
+    return match;
+  });
+}
+
+function cleanInline(text) {
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Checks whether an element is page chrome (navigation, footers, banners).
+ * `inContent` is set inside <main> or an <article>, where headers, footers
+ * and navigation belong to the document. Hidden elements are kept: collapsed
+ * "read more" panels and accordions hold clauses of the policy.
+ */
+export function isBoilerplateElement(name, attributes, inContent = false) {
+  if (BOILERPLATE_TAGS.has(name)) return true;
+  if (PAGE_CHROME_TAGS.has(name) && !inContent) return true;
+  if (attributes.role && BOILERPLATE_ROLES.has(attributes.role.toLowerCase())) return true;
+
+  const identity = `${attributes.id || ''} ${attributes.class || ''}`;
+  if (CONSENT_VENDOR_PATTERN.test(identity)) return true;
+  return identity.split(/\s+/).some(token => BOILERPLATE_TOKEN_PATTERN.test(token));
+}
+
+function isMainElement(name, attributes) {
+  return name === 'main' || (attributes.role || '').toLowerCase() === 'main';
+}
+
+/**
+ * Extracts sections from the main content of an HTML page.
+ * Sections are tagged with their h1-h4 heading path; <section>/<article>
+ * boundaries close any headings opened inside them. Sidebars, cookie
+ * banners and page-level navigation, headers and footers are dropped, list
+ * items keep their bullets and table rows become `cell | cell` lines.
+ */
+export function extractSections(html) {
+  const sections = [];
+  const headingStack = [];
+  const sectioningStack = [];
+  const listStack = [];
+
+  // Only read inside <main>/role="main" when the page declares one
+  const hasMain = /<main[\s>]|role\s*=\s*["']?main["'\s>]/i.test(html);
+  let mainRegion = hasMain ? null : { name: null, depth: 1 };
+  // Open <main> and <article> elements inside the region
+  let contentDepth = 0;
+
+  let current = null;
+  let lines = [];
+  let line = '';
+  let linePrefix = '';
+  let heading = null;
+  let row = null;
+  let cell = null;
+  let skipRegion = null;
+
+  const flushLine = () => {
+    const cleaned = cleanInline(line);
+    if (cleaned) lines.push(linePrefix + cleaned);
+    line = '';
+    linePrefix = '';
+  };
+
+  const flushCell = () => {
+    if (row && cell !== null) row.push(cleanInline(cell));
+    cell = null;
+  };
+
+  const flushRow = () => {
+    flushCell();
+    if (row && row.some(value => value)) {
+      flushLine();
+      lines.push(row.join(' | '));
+    }
+    row = null;
+  };
+
+  const startSection = () => {
+    flushRow();
+    flushLine();
+    if (current && (lines.length > 0 || current.heading)) {
+      sections.push({ ...current, text: lines.join('\n') });
+    }
+
+    const top = headingStack[headingStack.length - 1];
+    current = {
+      heading: top && !top.emitted ? top.text : null,
+      level: top ? top.level : 0,
+      headingPath: headingStack.map(entry => entry.text)
+    };
+    if (top) top.emitted = true;
+    lines = [];
+  };
+
+  const breakLine = () => {
+    if (heading) heading.text += ' ';
+    else if (cell !== null) cell += ' ';
+    else flushLine();
+  };
+
+  startSection();
+
+  for (const token of tokenizeHtml(html)) {
+    // Skip the contents of dropped regions, tracking nesting of the same tag
+    if (skipRegion) {
+      if (token.type === 'open' && token.name === skipRegion.name && !token.selfClosing) skipRegion.depth++;
+      if (token.type === 'close' && token.name === skipRegion.name && --skipRegion.depth === 0) skipRegion = null;
+      continue;
+    }
+
+    if (token.type === 'text') {
+      if (!mainRegion) continue;
+      if (heading) heading.text += token.text;
+      else if (cell !== null) cell += token.text;
+      else line += token.text;
+      continue;
+    }
+
+    const { name } = token;
+
+    if (token.type === 'open') {
+      const attributes = parseAttributes(token.attributes);
+
+      if (!mainRegion) {
+        if (isMainElement(name, attributes) && !VOID_TAGS.has(name)) {
+          mainRegion = { name, depth: 1 };
+        }
+        continue;
+      }
+
+      if (VOID_TAGS.has(name) || token.selfClosing) {
+        if (name === 'br' || name === 'hr') breakLine();
+        continue;
+      }
+
+      if (SKIP_CONTENT_TAGS.has(name) || isBoilerplateElement(name, attributes, Boolean(mainRegion.name) || contentDepth > 0)) {
+        skipRegion = { name, depth: 1 };
+        continue;
+      }
+
+      if (mainRegion.name === name) mainRegion.depth++;
+      if (CONTENT_TAGS.has(name)) contentDepth++;
+
+      if (HEADING_LEVELS[name]) {
+        flushRow();
+        flushLine();
+        heading = { level: HEADING_LEVELS[name], text: '' };
+      } else if (SECTIONING_TAGS.has(name)) {
+        sectioningStack.push(headingStack.length);
+        flushLine();
+      } else if (name === 'ul' || name === 'ol') {
+        flushLine();
+        listStack.push({ ordered: name === 'ol', count: 0 });
+      } else if (name === 'li') {
+        flushLine();
+        const list = listStack[listStack.length - 1];
+        const indent = '  '.repeat(Math.max(0, listStack.length - 1));
+        if (list) list.count++;
+        linePrefix = `${indent}${list && list.ordered ? `${list.count}.` : '-'} `;
+      } else if (name === 'tr') {
+        flushRow();
+        flushLine();
+        row = [];
+      } else if (name === 'td' || name === 'th') {
+        if (!row) row = [];
+        flushCell();
+        cell = '';
+      } else if (BLOCK_TAGS.has(name)) {
+        breakLine();
+      }
+      continue;
+    }
+
+    if (!mainRegion) continue;
+
+    if (mainRegion.name === name && --mainRegion.depth === 0) {
+      mainRegion = null;
+      flushRow();
+      flushLine();
+      continue;
+    }
+
+    if (CONTENT_TAGS.has(name) && contentDepth > 0) contentDepth--;
+
+    if (HEADING_LEVELS[name] && heading) {
+      const text = cleanInline(heading.text);
+      heading = null;
+      if (!text) continue;
+
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= HEADING_LEVELS[name]) {
+        headingStack.pop();
+      }
+      headingStack.push({ level: HEADING_LEVELS[name], text, emitted: false });
+      startSection();
+    } else if (SECTIONING_TAGS.has(name) && sectioningStack.length > 0) {
+      const depth = sectioningStack.pop();
+      if (headingStack.length > depth) {
+        headingStack.length = depth;
+        startSection();
+      } else {
+        flushLine();
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      flushLine();
+      listStack.pop();
+    } else if (name === 'td' || name === 'th') {
+      flushCell();
+    } else if (name === 'tr' || name === 'table') {
+      flushRow();
+    } else if (BLOCK_TAGS.has(name)) {
+      breakLine();
+    }
+  }
+
+  // Close the trailing section
+  startSection();
+
+  return sections;
+}
+
+/**
+ * The href of the page's first `<link rel="canonical">`, or null
+ */
+export function findCanonicalLink(html) {
+  for (const token of tokenizeHtml(html)) {
+    if (token.type !== 'open' || token.name !== 'link') continue;
+
+    const attributes = parseAttributes(token.attributes);
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    if (rel.includes('canonical') && attributes.href) return attributes.href.trim();
+  }
+  return null;
+}
+
+/**
+ * Extracts a sectioned document from an HTML page, with the canonical URL
+ * it declares
+ */
+export function extractDocumentFromHtml(html) {
+  const canonicalUrl = findCanonicalLink(html);
+  return createDocument(extractSections(html), { format: 'html', ...(canonicalUrl ? { canonicalUrl } : {}) });
+}
\ No newline at end of file
@@ -0,0 +1,709 @@
+/**
+ * PDF text extraction
+ * A small, dependency-free reader for the text layer of policy PDFs.
+ * Supports Flate-compressed content and object streams, the page tree,
+ * and ToUnicode CMaps; scanned (image-only) and encrypted PDFs are rejected.
+ */
+
+import { createDocument } from './document.js';
+import { NUMERIC_REPLACEMENTS } from './html-entities.js';
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+// Most bytes a document's streams may inflate to, so a small compressed
+// stream cannot exhaust the Worker's memory. Inflating holds a stream's
+// chunks, their concatenation and the decoded string at once, about three
+// times this at peak, well inside the 128MB limit.
+const MAX_INFLATED_BYTES = 16 * 1024 * 1024; // 16MB
+
+/**
+ * Converts bytes to a binary string (one char per byte)
+ */
+function bytesToBinaryString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return result;
+}
+
+function binaryStringToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PdfName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class PdfOperator {
+  constructor(op) {
+    this.op = op;
+  }
+}
+
+/**
+ * Tokenizer and parser for PDF objects and content streams
+ */
+class PdfLexer {
+  constructor(data, position = 0) {
+    this.data = data;
+    this.pos = position;
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.data.length) {
+      const code = this.data.charCodeAt(this.pos);
+      if (WHITESPACE.has(code)) {
+        this.pos++;
+      } else if (this.data[this.pos] === '%') {
+        while (this.pos < this.data.length && this.data[this.pos] !== '\n' && this.data[this.pos] !== '\r') {
+          this.pos++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  readLiteralString() {
+    let depth = 1;
+    let result = '';
+    this.pos++;
+
+    while (this.pos < this.data.length) {
+      const ch = this.data[this.pos++];
+      if (ch === '\\') {
+        const next = this.data[this.pos++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (next in escapes) {
+          result += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(this.data[this.pos])) {
+            octal += this.data[this.pos++];
+          }
+          result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (this.data[this.pos] === '\n') this.pos++;
+        } else if (next !== '\n') {
+          result += next;
+        }
+      } else if (ch === '(') {
+        depth++;
+        result += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) break;
+        result += ch;
+      } else {
+        result += ch;
+      }
+    }
+
+    return result;
+  }
+
+  readHexString() {
+    const end = this.data.indexOf('>', this.pos);
+    const hex = this.data.slice(this.pos + 1, end === -1 ? undefined : end).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = end === -1 ? this.data.length : end + 1;
+
+    const padded = hex.length % 2 ? hex + '0' : hex;
+    let result = '';
+    for (let i = 0; i < padded.length; i += 2) {
+      result += String.fromCharCode(parseInt(padded.slice(i, i + 2), 16));
+    }
+    return result;
+  }
+
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.data.length) {
+      const ch = this.data[this.pos];
+      if (WHITESPACE.has(ch.charCodeAt(0)) || DELIMITERS.has(ch)) break;
+      this.pos++;
+    }
+    return this.data.slice(start, this.pos);
+  }
+
+  /**
+   * Reads the next token: a value, a structural marker or an operator
+   */
+  nextToken() {
+    this.skipWhitespace();
+    if (this.pos >= this.data.length) return null;
+
+    const ch = this.data[this.pos];
+
+    if (ch === '<' && this.data[this.pos + 1] === '<') {
+      this.pos += 2;
+      return { marker: '<<' };
+    }
+    if (ch === '>' && this.data[this.pos + 1] === '>') {
+      this.pos += 2;
+      return { marker: '>>' };
+    }
+    if (ch === '[' || ch === ']' || ch === '{' || ch === '}') {
+      this.pos++;
+      return { marker: ch };
+    }
+    if (ch === '(') {
+      return { value: { string: this.readLiteralString() } };
+    }
+    if (ch === '<') {
+      return { value: { string: this.readHexString() } };
+    }
+    if (ch === '/') {
+      this.pos++;
+      const name = this.readRegular().replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      return { value: new PdfName(name) };
+    }
+    if (ch === ')' || ch === '>') {
+      this.pos++;
+      return this.nextToken();
+    }
+
+    const word = this.readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      return { value: parseFloat(word) };
+    }
+    if (word === 'true' || word === 'false') {
+      return { value: word === 'true' };
+    }
+    if (word === 'null') {
+      return { value: null };
+    }
+    return { value: new PdfOperator(word) };
+  }
+
+  /**
+   * Parses one complete object (resolving `n g R` references)
+   */
+  parseObject() {
+    const token = this.nextToken();
+    if (!token) return undefined;
+
+    if (token.marker === '<<') {
+      const dict = {};
+      for (;;) {
+        const keyToken = this.nextToken();
+        if (!keyToken || keyToken.marker === '>>') break;
+        if (keyToken.value instanceof PdfName) {
+          dict[keyToken.value.name] = this.parseObject();
+        }
+      }
+      return dict;
+    }
+
+    if (token.marker === '[') {
+      const array = [];
+      for (;;) {
+        const saved = this.pos;
+        const next = this.nextToken();
+        if (!next || next.marker === ']') break;
+        this.pos = saved;
+        array.push(this.parseObject());
+      }
+      return array;
+    }
+
+    if (typeof token.value === 'number' && Number.isInteger(token.value)) {
+      const saved = this.pos;
+      const gen = this.nextToken();
+      const r = this.nextToken();
+      if (gen && typeof gen.value === 'number' && r && r.value instanceof PdfOperator && r.value.op === 'R') {
+        return new PdfRef(token.value, gen.value);
+      }
+      this.pos = saved;
+    }
+
+    return token.value;
+  }
+}
+
+/**
+ * Inflates a Flate stream, or resolves to null as soon as its output
+ * exceeds `limit` bytes
+ */
+async function inflate(bytes, limit) {
+  for (const format of ['deflate', 'deflate-raw']) {
+    const input = format === 'deflate-raw' ? bytes.subarray(2) : bytes;
+    const reader = new Blob([input]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+    const chunks = [];
+    let length = 0;
+
+    try {
+      for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        length += chunk.value.length;
+        if (length > limit) {
+          await reader.cancel();
+          return null;
+        }
+        chunks.push(chunk.value);
+      }
+    } catch (error) {
+      // Try the next format; some producers write broken zlib headers
+      continue;
+    }
+
+    const output = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return output;
+  }
+  throw new Error('Unable to decompress PDF stream');
+}
+
+/**
+ * Parsed PDF file: object table plus stream decoding
+ */
+class PdfFile {
+  constructor(data) {
+    this.data = data;
+    this.objects = new Map();
+    this.streams = new Map();
+    this.decoded = new Map();
+    this.inflatedBytes = 0;
+    this.tooLarge = false;
+  }
+
+  async load() {
+    const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = objectPattern.exec(this.data)) !== null) {
+      const num = parseInt(match[1], 10);
+      const lexer = new PdfLexer(this.data, objectPattern.lastIndex);
+      const value = lexer.parseObject();
+
+      lexer.skipWhitespace();
+      if (this.data.startsWith('stream', lexer.pos)) {
+        let start = lexer.pos + 'stream'.length;
+        if (this.data[start] === '\r') start++;
+        if (this.data[start] === '\n') start++;
+
+        let end = this.data.indexOf('endstream', start);
+        if (end === -1) end = this.data.length;
+        const declared = typeof value?.Length === 'number' ? value.Length : null;
+        const raw = declared !== null && start + declared <= end
+          ? this.data.slice(start, start + declared)
+          : this.data.slice(start, end).replace(/\r?\n$/, '');
+
+        this.streams.set(num, { dict: value || {}, raw });
+        objectPattern.lastIndex = end;
+      } else {
+        objectPattern.lastIndex = Math.max(objectPattern.lastIndex, lexer.pos);
+      }
+
+      this.objects.set(num, value);
+    }
+
+    await this.loadObjectStreams();
+    this.trailer = this.findTrailer();
+  }
+
+  async loadObjectStreams() {
+    for (const [num, stream] of this.streams) {
+      if (this.resolve(stream.dict.Type)?.name !== 'ObjStm') continue;
+
+      let content;
+      try {
+        content = await this.getStreamData(num);
+      } catch (error) {
+        continue;
+      }
+
+      const count = this.resolve(stream.dict.N) || 0;
+      const first = this.resolve(stream.dict.First) || 0;
+      const header = new PdfLexer(content);
+      const entries = [];
+      for (let i = 0; i < count; i++) {
+        const objectNumber = header.parseObject();
+        const offset = header.parseObject();
+        entries.push([objectNumber, offset]);
+      }
+
+      for (const [objectNumber, offset] of entries) {
+        if (this.objects.has(objectNumber)) continue;
+        this.objects.set(objectNumber, new PdfLexer(content, first + offset).parseObject());
+      }
+    }
+  }
+
+  findTrailer() {
+    const index = this.data.lastIndexOf('trailer');
+    if (index !== -1) {
+      return new PdfLexer(this.data, index + 'trailer'.length).parseObject() || {};
+    }
+
+    // Cross-reference streams carry the trailer keys in their dictionary
+    for (const stream of this.streams.values()) {
+      if (this.resolve(stream.dict.Type)?.name === 'XRef') return stream.dict;
+    }
+    return {};
+  }
+
+  resolve(value, depth = 0) {
+    if (value instanceof PdfRef && depth < 16) {
+      return this.resolve(this.objects.get(value.num), depth + 1);
+    }
+    return value;
+  }
+
+  async getStreamData(num) {
+    if (this.decoded.has(num)) return this.decoded.get(num);
+
+    const stream = this.streams.get(num);
+    if (!stream) return '';
+    if (this.tooLarge) throw new Error('PDF content is too large to decompress');
+
+    const filters = [].concat(this.resolve(stream.dict.Filter) || []).map(filter => this.resolve(filter)?.name);
+    let bytes = binaryStringToBytes(stream.raw);
+
+    for (const filter of filters) {
+      if (filter === 'FlateDecode' || filter === 'Fl') {
+        bytes = await inflate(bytes, MAX_INFLATED_BYTES - this.inflatedBytes);
+        if (!bytes) {
+          this.tooLarge = true;
+          throw new Error('PDF content is too large to decompress');
+        }
+        this.inflatedBytes += bytes.length;
+      } else {
+        throw new Error(`Unsupported PDF stream filter: ${filter}`);
+      }
+    }
+
+    const data = bytesToBinaryString(bytes);
+    this.decoded.set(num, data);
+    return data;
+  }
+
+  /**
+   * Returns the page dictionaries in reading order, with inherited resources
+   */
+  getPages() {
+    const root = this.resolve(this.trailer.Root);
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (node, inheritedResources) => {
+      const dict = this.resolve(node);
+      if (!dict || visited.has(dict)) return;
+      visited.add(dict);
+
+      const resources = dict.Resources ? this.resolve(dict.Resources) : inheritedResources;
+      const type = this.resolve(dict.Type)?.name;
+
+      if (type === 'Pages' || Array.isArray(this.resolve(dict.Kids))) {
+        for (const kid of this.resolve(dict.Kids) || []) walk(kid, resources);
+      } else {
+        pages.push({ dict, resources: resources || {} });
+      }
+    };
+
+    if (root && root.Pages) {
+      walk(root.Pages, null);
+    }
+
+    // Fall back to document order when the page tree is unreadable
+    if (pages.length === 0) {
+      for (const value of this.objects.values()) {
+        if (value && this.resolve(value.Type)?.name === 'Page') {
+          pages.push({ dict: value, resources: this.resolve(value.Resources) || {} });
+        }
+      }
+    }
+
+    return pages;
+  }
+
+  async getPageContent(page) {
+    let contents = page.dict.Contents || [];
+    if (contents instanceof PdfRef && !this.streams.has(contents.num)) {
+      contents = this.resolve(contents) || [];
+    }
+    contents = [].concat(contents);
+    let content = '';
+
+    for (const ref of contents) {
+      if (!(ref instanceof PdfRef)) continue;
+      try {
+        content += await this.getStreamData(ref.num) + '\n';
+      } catch (error) {
+        console.error('PDF content stream error:', error.message);
+      }
+    }
+
+    return content;
+  }
+}
+
+/**
+ * Parses a ToUnicode CMap into a code -> string map
+ */
+export function parseToUnicodeCMap(cmap) {
+  const map = new Map();
+  let codeLength = 1;
+
+  const range = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(cmap);
+  if (range) codeLength = Math.ceil(range[1].length / 2);
+
+  const hexToUnicode = raw => {
+    const hex = raw.replace(/\s+/g, '');
+    let result = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+      result += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    }
+    return result || String.fromCharCode(parseInt(hex, 16));
+  };
+
+  for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F\s]*)>/g)) {
+      map.set(parseInt(pair[1], 16), hexToUnicode(pair[2]));
+    }
+  }
+
+  for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<([0-9a-fA-F]*)>|\[([^\]]*)\])/g)) {
+      const low = parseInt(entry[1], 16);
+      const high = parseInt(entry[2], 16);
+
+      if (entry[4] !== undefined) {
+        const base = entry[4];
+        const prefix = base.slice(0, -4);
+        const start = parseInt(base.slice(-4) || '0', 16);
+        for (let code = low; code <= high && code - low < 65536; code++) {
+          map.set(code, hexToUnicode(prefix) + String.fromCharCode(start + code - low));
+        }
+      } else {
+        const targets = [...entry[5].matchAll(/<([0-9a-fA-F\s]*)>/g)].map(target => target[1]);
+        targets.forEach((target, index) => map.set(low + index, hexToUnicode(target)));
+      }
+    }
+  }
+
+  return { map, codeLength };
+}
+
+function decodeWithoutCMap(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const code = bytes.charCodeAt(i);
+    result += NUMERIC_REPLACEMENTS[code] ? String.fromCodePoint(NUMERIC_REPLACEMENTS[code]) : String.fromCharCode(code);
+  }
+  return result;
+}
+
+async function loadFonts(pdf, resources) {
+  const fonts = new Map();
+  const fontDict = pdf.resolve(resources.Font) || {};
+
+  for (const [name, ref] of Object.entries(fontDict)) {
+    const font = pdf.resolve(ref) || {};
+    const entry = { cmap: null, identity: false };
+
+    const encoding = pdf.resolve(font.Encoding);
+    entry.identity = encoding instanceof PdfName && /^Identity-/.test(encoding.name);
+
+    if (font.ToUnicode instanceof PdfRef) {
+      try {
+        entry.cmap = parseToUnicodeCMap(await pdf.getStreamData(font.ToUnicode.num));
+      } catch (error) {
+        console.error('PDF ToUnicode error:', error.message);
+      }
+    }
+
+    fonts.set(name, entry);
+  }
+
+  return fonts;
+}
+
+function decodeString(bytes, font) {
+  if (font && font.cmap && font.cmap.map.size > 0) {
+    const { map, codeLength } = font.cmap;
+    let result = '';
+    for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+      let code = 0;
+      for (let j = 0; j < codeLength; j++) code = (code << 8) | bytes.charCodeAt(i + j);
+      result += map.get(code) ?? '';
+    }
+    return result;
+  }
+
+  // Two-byte glyph IDs cannot be read without a ToUnicode map
+  if (font && font.identity) return '';
+
+  return decodeWithoutCMap(bytes);
+}
+
+/**
+ * Interprets a page content stream and returns its text
+ */
+function extractContentText(content, fonts) {
+  const lexer = new PdfLexer(content);
+  const lines = [];
+  let line = '';
+  let operands = [];
+  let font = null;
+  let lastY = null;
+
+  const newLine = () => {
+    const cleaned = line.replace(/\s+/g, ' ').trim();
+    if (cleaned) lines.push(cleaned);
+    line = '';
+  };
+
+  const show = text => {
+    line += text;
+  };
+
+  for (;;) {
+    const token = lexer.nextToken();
+    if (!token) break;
+
+    if (token.marker === '[') {
+      // Re-read the array as a single operand
+      lexer.pos--;
+      operands.push(lexer.parseObject());
+      continue;
+    }
+    if (token.marker) continue;
+
+    if (!(token.value instanceof PdfOperator)) {
+      operands.push(token.value);
+      continue;
+    }
+
+    const { op } = token.value;
+
+    switch (op) {
+      case 'Tf':
+        font = fonts.get(operands[0]?.name) || null;
+        break;
+      case 'Tj':
+        if (operands[0]?.string !== undefined) show(decodeString(operands[0].string, font));
+        break;
+      case "'":
+      case '"':
+        newLine();
+        if (operands[operands.length - 1]?.string !== undefined) {
+          show(decodeString(operands[operands.length - 1].string, font));
+        }
+        break;
+      case 'TJ':
+        for (const item of operands[0] || []) {
+          if (item && item.string !== undefined) {
+            show(decodeString(item.string, font));
+          } else if (typeof item === 'number' && item < -200) {
+            show(' ');
+          }
+        }
+        break;
+      case 'Td':
+      case 'TD':
+        if (operands[1]) {
+          newLine();
+        } else if (operands[0] > 0 && !/\s$/.test(line)) {
+          show(' ');
+        }
+        break;
+      case 'T*':
+        newLine();
+        break;
+      case 'Tm': {
+        const y = operands[5];
+        if (lastY !== null && y !== lastY) newLine();
+        else if (lastY !== null && !/\s$/.test(line)) show(' ');
+        lastY = y;
+        break;
+      }
+      case 'ID': {
+        // Skip inline image data
+        const end = content.indexOf('EI', lexer.pos);
+        lexer.pos = end === -1 ? content.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+
+    operands = [];
+  }
+
+  newLine();
+  return lines.join('\n');
+}
+
+/**
+ * Extracts the text of every page of a PDF
+ */
+export async function extractPdfPages(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const data = bytesToBinaryString(bytes);
+
+  if (!data.startsWith('%PDF-')) {
+    throw new Error('Content is not a valid PDF document');
+  }
+
+  const pdf = new PdfFile(data);
+  await pdf.load();
+
+  if (pdf.trailer.Encrypt) {
+    throw new Error('Encrypted PDFs are not supported');
+  }
+
+  // Stream errors skip the stream, but a document over the decompression
+  // limit is rejected as a whole rather than read in part
+  const checkSize = () => {
+    if (pdf.tooLarge) throw new Error('PDF content is too large to decompress');
+  };
+  checkSize();
+
+  const pages = [];
+  for (const page of pdf.getPages()) {
+    const fonts = await loadFonts(pdf, page.resources);
+    const content = await pdf.getPageContent(page);
+    checkSize();
+    pages.push(extractContentText(content, fonts));
+  }
+
+  return pages;
+}
+
+/**
+ * Extracts a paginated document from a PDF.
+ * Every page becomes a section tagged with its page number.
+ */
+export async function extractDocumentFromPdf(buffer) {
+  const pages = await extractPdfPages(buffer);
+
+  if (!pages.some(page => page.trim().length > 0)) {
+    throw new Error('PDF has no extractable text (it may be a scanned document)');
+  }
+
+  const sections = pages.map((text, index) => ({
+    heading: null,
+    headingPath: [],
+    page: index + 1,
+    text
+  }));
+
+  return createDocument(sections, { format: 'pdf', pageCount: pages.length });
+}
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * Server-sent events helpers
+ */
+
+/**
+ * Formats one event in the text/event-stream format
+ */
+export function formatServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Creates a stream of server-sent events. `readable` is the response body;
+ * events are queued without waiting for the client, and writes after the
+ * client disconnects are dropped.
+ */
+export function createEventStream() {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  return {
+    readable,
+    send(event, data) {
+      writer.write(encoder.encode(formatServerSentEvent(event, data))).catch(() => {});
+    },
+    close() {
+      return writer.close().catch(() => {});
+    }
+  };
+}
+
+/**
+ * Whether a request asked for a streamed response, with
+ * `Accept: text/event-stream` or the `stream` option
+ */
+export function wantsEventStream(request, options = {}) {
+  return options.stream === true || (request.headers.get('Accept') || '').includes('text/event-stream');
+}
\ No newline at end of file
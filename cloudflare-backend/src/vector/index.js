@@ -0,0 +1,43 @@
+/**
+ * Vector stores
+ * Every store exposes `upsert(vectors)`, where each vector is
+ * `{ id, values, metadata }`, `query(values, { topK, filter, returnMetadata })`,
+ * which resolves to the closest vectors as `{ id, score, metadata }`, most
+ * similar first, and `deleteByIds(ids)`. Filters match metadata fields
+ * exactly. `VECTOR_STORE` selects one; without it the Vectorize binding is
+ * used when present.
+ */
+
+import { MemoryVectorStore } from './memory.js';
+import { VectorizeStore } from './vectorize.js';
+
+export const VECTOR_STORES = ['vectorize', 'memory'];
+
+// Shared by every request this isolate serves, like the rate limiter
+let memoryStore = null;
+
+/**
+ * Creates the store configured in the environment, or null when there is
+ * none (analyses are then not indexed and search is unavailable)
+ */
+export function createVectorStore(env = {}) {
+  const name = String(env.VECTOR_STORE || (env.POLICY_INDEX ? 'vectorize' : '')).trim().toLowerCase();
+
+  switch (name) {
+    case '':
+      return null;
+
+    case 'vectorize':
+      if (!env.POLICY_INDEX) throw new Error('VECTOR_STORE is vectorize but the POLICY_INDEX binding is missing');
+      return new VectorizeStore(env.POLICY_INDEX);
+
+    case 'memory':
+      memoryStore = memoryStore || new MemoryVectorStore();
+      return memoryStore;
+
+    default:
+      throw new Error(`VECTOR_STORE must be one of: ${VECTOR_STORES.join(', ')}`);
+  }
+}
+
+export { MemoryVectorStore, VectorizeStore };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * In-memory vector store
+ * Keeps vectors in a Map and ranks them by cosine similarity. For tests and
+ * local development; nothing survives the isolate.
+ */
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let lengthA = 0;
+  let lengthB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    lengthA += a[i] * a[i];
+    lengthB += b[i] * b[i];
+  }
+  return lengthA && lengthB ? dot / Math.sqrt(lengthA * lengthB) : 0;
+}
+
+function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(([field, value]) => metadata[field] === value);
+}
+
+export class MemoryVectorStore {
+  constructor() {
+    this.name = 'memory';
+    this.vectors = new Map();
+    this.dimensions = null;
+  }
+
+  async upsert(vectors) {
+    for (const { id, values, metadata = {} } of vectors) {
+      this.checkDimensions(values);
+      this.vectors.set(id, { id, values, metadata });
+    }
+    return { count: vectors.length };
+  }
+
+  async query(values, { topK = 10, filter = {}, returnMetadata = 'all' } = {}) {
+    this.checkDimensions(values);
+
+    return [...this.vectors.values()]
+      .filter(vector => matchesFilter(vector.metadata, filter))
+      .map(vector => ({
+        id: vector.id,
+        score: cosineSimilarity(values, vector.values),
+        ...(returnMetadata === 'none' ? {} : { metadata: vector.metadata })
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  async deleteByIds(ids) {
+    const deleted = ids.filter(id => this.vectors.delete(id));
+    return { count: deleted.length };
+  }
+
+  clear() {
+    this.vectors.clear();
+    this.dimensions = null;
+  }
+
+  checkDimensions(values) {
+    if (this.dimensions === null) this.dimensions = values.length;
+    if (values.length !== this.dimensions) {
+      throw new Error(`Vector has ${values.length} dimensions; the index expects ${this.dimensions}`);
+    }
+  }
+}
\ No newline at end of file
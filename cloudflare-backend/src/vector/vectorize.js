@@ -0,0 +1,26 @@
+/**
+ * Vectorize store
+ * Stores vectors in a Cloudflare Vectorize index through its binding. The
+ * index's dimensions must match the embedding model, and metadata fields
+ * used in filters need a metadata index.
+ */
+
+export class VectorizeStore {
+  constructor(binding) {
+    this.name = 'vectorize';
+    this.binding = binding;
+  }
+
+  async upsert(vectors) {
+    return this.binding.upsert(vectors);
+  }
+
+  async query(values, { topK = 10, filter = {}, returnMetadata = 'all' } = {}) {
+    const response = await this.binding.query(values, { topK, filter, returnMetadata });
+    return response.matches;
+  }
+
+  async deleteByIds(ids) {
+    return this.binding.deleteByIds(ids);
+  }
+}
\ No newline at end of file
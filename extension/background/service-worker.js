@@ -3,6 +3,9 @@
  * Handles communication between content scripts, popup, and manages state
  */
 
+// Result schema version this extension understands (see the backend's /api/schema)
+const RESULT_SCHEMA_VERSION = '2.0.0';
+
 class SolarFlareServiceWorker {
   constructor() {
     this.detectedPolicies = new Map(); // tabId -> policies
@@ -43,9 +46,13 @@ class SolarFlareServiceWorker {
           return true; // Keep message channel open for async response
 
         case 'getCachedAnalysis':
-          const cached = this.analysisCache.get(message.url);
-          sendResponse({ cached: cached || null });
-          break;
+          chrome.storage.sync.get({ analysisDepth: 'standard' })
+            .then(({ analysisDepth }) => {
+              const cached = this.analysisCache.get(`${analysisDepth}:${message.url}`);
+              sendResponse({ cached: cached || null });
+            })
+            .catch(error => sendResponse({ cached: null, error: error.message }));
+          return true; // Keep message channel open for async response
 
         case 'openPopup':
           // Can't programmatically open popup, but we can set badge
@@ -108,18 +115,20 @@ class SolarFlareServiceWorker {
 
   async handleAnalyzePolicy(data, sender) {
     const { url, type } = data;
+    const { analysisDepth } = await chrome.storage.sync.get({ analysisDepth: 'standard' });
+    const cacheKey = `${analysisDepth}:${url}`;
 
-    // Check cache first
-    const cached = this.analysisCache.get(url);
+    // Check cache first (results differ per analysis depth)
+    const cached = this.analysisCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < 30 * 60 * 1000) { // 30 minutes
       return cached.result;
     }
 
     try {
-      const result = await this.callAnalysisAPI(url, type);
+      const result = await this.callAnalysisAPI(url, type, analysisDepth);
 
       // Cache the result
-      this.analysisCache.set(url, {
+      this.analysisCache.set(cacheKey, {
         result,
         timestamp: Date.now()
       });
@@ -131,7 +140,7 @@ class SolarFlareServiceWorker {
     }
   }
 
-  async callAnalysisAPI(url, type) {
+  async callAnalysisAPI(url, type, analysisDepth = 'standard') {
     // Get API URL from storage, fallback to default
     const settings = await chrome.storage.sync.get({ apiUrl: 'https://solarflare.innotekworker.workers.dev' });
     const apiUrl = `${settings.apiUrl}/api/analyze`;
@@ -146,6 +155,7 @@ class SolarFlareServiceWorker {
         body: JSON.stringify({
           url,
           type,
+          options: { depth: analysisDepth, schemaVersion: RESULT_SCHEMA_VERSION },
           userAgent: navigator.userAgent,
           extensionId: chrome.runtime.id
         })
@@ -155,8 +165,12 @@ class SolarFlareServiceWorker {
         throw new Error(`API request failed: ${response.status}`);
       }
 
-      const result = await response.json();
-      
+      const body = await response.json();
+      if (!body.success || !body.result) {
+        throw new Error(body.error || 'API returned no result');
+      }
+      const result = this.toDisplayResult(body.result);
+
       // Store for popup to retrieve
       await chrome.storage.local.set({ lastAnalysis: result, lastAnalysisUrl: url });
       
@@ -171,6 +185,23 @@ class SolarFlareServiceWorker {
     }
   }
 
+  // Flattens an API result into the shape the popup and page notification render.
+  // The full result stays available as `details`.
+  toDisplayResult(result) {
+    const analysis = result.analysis || {};
+    const texts = findings => (findings || []).map(finding => finding.text || finding);
+
+    return {
+      overallRisk: result.overallRisk,
+      executiveSummary: analysis.executiveSummary,
+      riskScores: result.riskScores || {},
+      keyPoints: texts(analysis.keyPoints),
+      redFlags: texts(analysis.redFlags),
+      recommendations: analysis.recommendations || [],
+      details: result
+    };
+  }
+
   getMockAnalysis(url) {
     // Generate somewhat realistic mock based on URL
     const isKnownGood = url.includes('apple.com') || url.includes('google.com') || 
@@ -181,10 +212,12 @@ class SolarFlareServiceWorker {
       return {
         overallRisk: 'green',
         executiveSummary: 'This privacy policy appears comprehensive and user-friendly, with clear explanations of data practices and strong user rights.',
-        riskBreakdown: {
-          regulatory: 'green',
-          transparency: 'green',
-          userRights: 'green'
+        riskScores: {
+          dimensions: {
+            regulatory: { level: 'green' },
+            transparency: { level: 'green' },
+            userRights: { level: 'green' }
+          }
         },
         keyPoints: [
           'Clear data collection practices',
@@ -202,10 +235,12 @@ class SolarFlareServiceWorker {
       return {
         overallRisk: 'red',
         executiveSummary: 'This policy contains concerning practices including broad data collection and third-party sharing without clear limits.',
-        riskBreakdown: {
-          regulatory: 'red',
-          transparency: 'red',
-          userRights: 'yellow'
+        riskScores: {
+          dimensions: {
+            regulatory: { level: 'red' },
+            transparency: { level: 'red' },
+            userRights: { level: 'yellow' }
+          }
         },
         keyPoints: [
           'Collects extensive personal data',
@@ -227,10 +262,12 @@ class SolarFlareServiceWorker {
       return {
         overallRisk: 'yellow',
         executiveSummary: 'This policy has some good practices but also areas of concern. Review the key points before proceeding.',
-        riskBreakdown: {
-          regulatory: 'green',
-          transparency: 'yellow',
-          userRights: 'yellow'
+        riskScores: {
+          dimensions: {
+            regulatory: { level: 'green' },
+            transparency: { level: 'yellow' },
+            userRights: { level: 'yellow' }
+          }
         },
         keyPoints: [
           'Standard data collection practices',
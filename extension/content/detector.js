@@ -63,10 +63,15 @@ class SolarFlareDetector {
       /\/privacy[-_]?statement/i,
       /\/privacy[-_]?notice/i,
       /\/privacy\/?$/i,
-      /\/cookie[-_]?policy/i,
       /\/data[-_]?policy/i,
     ];
 
+    const cookiePagePatterns = [
+      /\/cookie[-_]?policy/i,
+      /\/cookie[-_]?notice/i,
+      /\/cookies\/?$/i,
+    ];
+
     const termsPagePatterns = [
       /\/terms[-_]?of[-_]?service/i,
       /\/terms[-_]?of[-_]?use/i,
@@ -83,10 +88,14 @@ class SolarFlareDetector {
       /^privacy\s*policy/i,
       /^privacy\s*statement/i,
       /^privacy\s*notice/i,
-      /^cookie\s*policy/i,
       /privacy\s*policy\s*[-–|]/i,
     ];
 
+    const cookieTitlePatterns = [
+      /^cookie\s*policy/i,
+      /^cookie\s*notice/i,
+    ];
+
     const termsTitlePatterns = [
       /^terms\s*of\s*service/i,
       /^terms\s*of\s*use/i,
@@ -102,11 +111,16 @@ class SolarFlareDetector {
     const isTermsPage = termsPagePatterns.some(p => p.test(pathname) || p.test(url)) ||
                         termsTitlePatterns.some(p => p.test(title));
 
-    if (isPrivacyPage || isTermsPage) {
+    // Cookie policies get their own analysis with a cookie inventory
+    const isCookiePage = cookiePagePatterns.some(p => p.test(pathname) || p.test(url)) ||
+                         cookieTitlePatterns.some(p => p.test(title));
+
+    if (isPrivacyPage || isTermsPage || isCookiePage) {
       return {
         url: window.location.href,
         text: document.title || 'Current Page',
-        type: isPrivacyPage && isTermsPage ? 'both' : isPrivacyPage ? 'privacy' : 'terms',
+        type: isCookiePage ? 'cookie' :
+              isPrivacyPage && isTermsPage ? 'both' : isPrivacyPage ? 'privacy' : 'terms',
         isCurrentPage: true,
         element: null,
         detectedAt: Date.now()
@@ -164,10 +178,15 @@ class SolarFlareDetector {
       /^privacy\s*statement$/i,
       /^privacy\s*notice$/i,
       /^privacy$/i,
-      /^cookie\s*policy$/i,
       /^data\s*policy$/i,
     ];
 
+    const cookieTextPatterns = [
+      /^cookie\s*policy$/i,
+      /^cookie\s*notice$/i,
+      /^cookies$/i,
+    ];
+
     // Common terms of service patterns (text-based)
     const termsTextPatterns = [
       /^terms\s*of\s*service$/i,
@@ -184,7 +203,11 @@ class SolarFlareDetector {
     const privacyUrlPatterns = [
       /\/privacy[-_]?policy/i,
       /\/privacy\/?$/i,
+    ];
+
+    const cookieUrlPatterns = [
       /\/cookie[-_]?policy/i,
+      /\/cookie[-_]?notice/i,
     ];
 
     const termsUrlPatterns = [
@@ -205,12 +228,15 @@ class SolarFlareDetector {
 
     const isPrivacyLink = isPrivacyText || isPrivacyUrl;
     const isTermsLink = isTermsText || isTermsUrl;
+    const isCookieLink = cookieTextPatterns.some(pattern => pattern.test(text.trim())) ||
+                         cookieUrlPatterns.some(pattern => pattern.test(href));
 
-    if (isPrivacyLink || isTermsLink) {
+    if (isPrivacyLink || isTermsLink || isCookieLink) {
       return {
         url: link.href,
         text: link.textContent?.trim() || 'Policy Link',
-        type: isPrivacyLink && isTermsLink ? 'both' :
+        type: isCookieLink ? 'cookie' :
+              isPrivacyLink && isTermsLink ? 'both' :
               isPrivacyLink ? 'privacy' : 'terms',
         element: link,
         isCurrentPage: false,
@@ -265,7 +291,8 @@ class SolarFlareDetector {
     container.id = 'solarflare-notification';
     
     const typeLabel = policy.type === 'privacy' ? 'Privacy Policy' :
-                      policy.type === 'terms' ? 'Terms of Service' : 'Legal Document';
+                      policy.type === 'terms' ? 'Terms of Service' :
+                      policy.type === 'cookie' ? 'Cookie Policy' : 'Legal Document';
 
     container.innerHTML = `
       <div class="solarflare-card">
@@ -334,7 +361,7 @@ class SolarFlareDetector {
     const container = document.createElement('div');
     container.id = 'solarflare-notification';
     
-    const hasPrivacy = policies.some(p => p.type === 'privacy' || p.type === 'both');
+    const hasPrivacy = policies.some(p => p.type === 'privacy' || p.type === 'both' || p.type === 'cookie');
     const hasTerms = policies.some(p => p.type === 'terms' || p.type === 'both');
     
     let typeText = '';
@@ -405,8 +432,9 @@ class SolarFlareDetector {
   }
 
   createPolicyItem(policy) {
-    const icon = policy.type === 'privacy' ? '🔒' : '📋';
-    const label = policy.type === 'privacy' ? 'Privacy Policy' : 'Terms of Service';
+    const icon = policy.type === 'privacy' ? '🔒' : policy.type === 'cookie' ? '🍪' : '📋';
+    const label = policy.type === 'privacy' ? 'Privacy Policy' :
+                  policy.type === 'cookie' ? 'Cookie Policy' : 'Terms of Service';
     
     return `
       <div class="solarflare-policy-item" data-url="${policy.url}">
@@ -700,10 +728,12 @@ class SolarFlareDetector {
       return {
         overallRisk: 'green',
         executiveSummary: 'This privacy policy appears comprehensive and user-friendly, with clear explanations of data practices and strong user rights.',
-        riskBreakdown: {
-          regulatory: 'green',
-          transparency: 'green',
-          userRights: 'green'
+        riskScores: {
+          dimensions: {
+            regulatory: { level: 'green' },
+            transparency: { level: 'green' },
+            userRights: { level: 'green' }
+          }
         },
         keyPoints: [
           'Clear data collection practices',
@@ -721,10 +751,12 @@ class SolarFlareDetector {
       return {
         overallRisk: 'red',
         executiveSummary: 'This policy contains concerning practices including broad data collection and third-party sharing without clear limits.',
-        riskBreakdown: {
-          regulatory: 'red',
-          transparency: 'red',
-          userRights: 'yellow'
+        riskScores: {
+          dimensions: {
+            regulatory: { level: 'red' },
+            transparency: { level: 'red' },
+            userRights: { level: 'yellow' }
+          }
         },
         keyPoints: [
           'Collects extensive personal data',
@@ -746,10 +778,12 @@ class SolarFlareDetector {
       return {
         overallRisk: 'yellow',
         executiveSummary: 'This policy has some good practices but also areas that need attention. Review carefully before proceeding.',
-        riskBreakdown: {
-          regulatory: 'green',
-          transparency: 'yellow',
-          userRights: 'yellow'
+        riskScores: {
+          dimensions: {
+            regulatory: { level: 'green' },
+            transparency: { level: 'yellow' },
+            userRights: { level: 'yellow' }
+          }
         },
         keyPoints: [
           'Standard data collection practices',
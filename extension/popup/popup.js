@@ -3,6 +3,19 @@
  * Handles user interaction and displays analysis results
  */
 
+// Display names for risk dimensions whose name does not read well on its own
+const DIMENSION_LABELS = {
+  regulatory: 'Compliance'
+};
+
+const DIMENSION_ICONS = {
+  regulatory: '<path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>',
+  transparency: '<path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/>',
+  userRights: '<path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M22 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/>'
+};
+
+const DEFAULT_DIMENSION_ICON = '<circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/>';
+
 class PrivacyPopup {
   constructor() {
     this.currentTabId = null;
@@ -145,10 +158,13 @@ class PrivacyPopup {
       return {
         overallRisk: 'green',
         executiveSummary: 'This privacy policy appears comprehensive and user-friendly, with clear explanations of data practices and strong user rights.',
-        riskBreakdown: {
-          regulatory: 'green',
-          transparency: 'green',
-          userRights: 'yellow'
+        riskScores: {
+          dimensions: {
+            regulatory: { level: 'green' },
+            transparency: { level: 'green' },
+            userRights: { level: 'yellow' },
+            dataPractices: { level: 'green' }
+          }
         },
         keyPoints: [
           'Clear data collection practices',
@@ -167,10 +183,13 @@ class PrivacyPopup {
       return {
         overallRisk: 'red',
         executiveSummary: 'This privacy policy contains several concerning practices and lacks transparency about data handling.',
-        riskBreakdown: {
-          regulatory: 'red',
-          transparency: 'red',
-          userRights: 'red'
+        riskScores: {
+          dimensions: {
+            regulatory: { level: 'red' },
+            transparency: { level: 'red' },
+            userRights: { level: 'red' },
+            dataPractices: { level: 'red' }
+          }
         },
         keyPoints: [
           'Broad data collection without clear limits',
@@ -223,7 +242,8 @@ class PrivacyPopup {
       item.dataset.policyUrl = policy.url;
 
       const typeClass = policy.type === 'privacy' ? 'policy-type-privacy' :
-                       policy.type === 'terms' ? 'policy-type-terms' : 'policy-type-both';
+                       policy.type === 'terms' ? 'policy-type-terms' :
+                       policy.type === 'cookie' ? 'policy-type-cookie' : 'policy-type-both';
 
       item.innerHTML = `
         <div class="policy-info">
@@ -263,9 +283,7 @@ class PrivacyPopup {
     document.getElementById('executive-summary').textContent = results.executiveSummary;
 
     // Update risk breakdown
-    this.updateMetric('regulatory-risk', results.riskBreakdown.regulatory);
-    this.updateMetric('transparency-risk', results.riskBreakdown.transparency);
-    this.updateMetric('user-rights-risk', results.riskBreakdown.userRights);
+    this.renderRiskDimensions(results.riskScores);
 
     // Update key points
     this.renderList('key-points-list', results.keyPoints);
@@ -282,10 +300,39 @@ class PrivacyPopup {
     this.renderList('recommendations-list', results.recommendations);
   }
 
-  updateMetric(elementId, riskLevel) {
-    const element = document.getElementById(elementId);
-    element.textContent = this.formatRiskScore(riskLevel);
-    element.className = `metric-value ${this.getRiskClass(riskLevel)}`;
+  // Each policy type is scored on its own dimensions, so the metrics are
+  // built from whichever dimensions the result has
+  renderRiskDimensions(riskScores) {
+    const container = document.getElementById('risk-dimensions');
+    container.innerHTML = '';
+
+    Object.entries(riskScores?.dimensions || {}).forEach(([name, dimension]) => {
+      const item = document.createElement('div');
+      item.className = 'metric-item';
+
+      const iconClass = DIMENSION_ICONS[name] ? name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`) : 'other';
+      item.innerHTML = `
+        <div class="metric-icon ${iconClass}">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            ${DIMENSION_ICONS[name] || DEFAULT_DIMENSION_ICON}
+          </svg>
+        </div>
+        <div class="metric-content">
+          <span class="metric-label"></span>
+          <span class="metric-value ${this.getRiskClass(dimension.level)}"></span>
+        </div>
+      `;
+      item.querySelector('.metric-label').textContent = this.formatDimensionName(name);
+      item.querySelector('.metric-value').textContent = this.formatRiskScore(dimension.level);
+
+      container.appendChild(item);
+    });
+  }
+
+  formatDimensionName(name) {
+    return DIMENSION_LABELS[name] || name
+      .replace(/([A-Z])/g, ' $1')
+      .replace(/^./, letter => letter.toUpperCase());
   }
 
   showError(message) {